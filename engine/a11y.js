@@ -0,0 +1,268 @@
+// engine/a11y.js
+// Keyboard play and screen reader support.
+//
+//  - announce(): one polite + one assertive ARIA live region; _msg() and toasts are read out through it
+//  - trapFocus(): Tab/Shift+Tab stay inside the topmost modal, dialog or puzzle; Escape closes it;
+//    focus returns to where it was when the layer closes (layers stack: a puzzle inside a list…)
+//  - hotspotLabel() / readingOrder(): accessible names for hotspots and their Tab order
+//    (top-to-bottom, left-to-right; the DOM order changes, the stacking order does not)
+//  - keyboard shortcuts (settings.accessibility.shortcuts, default on):
+//      1–9 select / deselect the n-th inventory item for use, I = inventory, H = hotspots,
+//      D = describe the scene (scene.description), Esc = leave use mode
+
+const FOCUSABLE = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])', '[contenteditable="true"]'
+].join(',');
+
+/** Visually hidden but read by screen readers (inline so no stylesheet is needed). */
+const SR_ONLY = {
+    position: 'absolute', width: '1px', height: '1px', margin: '-1px', padding: '0',
+    overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap', border: '0'
+};
+
+const isTyping = (el) => !!el?.closest?.('input, textarea, select, [contenteditable="true"]');
+
+/**
+ * Tab order for hotspots: sorted by top edge, hotspots starting within half the height of a
+ * row's first hotspot join that row, rows are read left to right.
+ * @param {{rect?:{x:number,y:number,w:number,h:number}}[]} hotspots
+ * @returns {number[]} indices into `hotspots`
+ */
+export function readingOrder(hotspots) {
+    const rectOf = (i) => hotspots[i]?.rect || {x: 0, y: 0, w: 0, h: 0};
+    const byTop = hotspots.map((_, i) => i).sort((a, b) => (rectOf(a).y - rectOf(b).y) || (rectOf(a).x - rectOf(b).x) || (a - b));
+    const rows = [];
+    for (const i of byTop) {
+        const row = rows[rows.length - 1];
+        const first = row && rectOf(row[0]);
+        if (first && rectOf(i).y < first.y + first.h / 2) row.push(i);
+        else rows.push([i]);
+    }
+    return rows.flatMap(row => row.sort((a, b) => (rectOf(a).x - rectOf(b).x) || (a - b)));
+}
+
+export class A11y {
+    /**
+     * @param {import('./engine.js').Game} game
+     */
+    constructor(game) {
+        this.game = game;
+        this._layers = []; // focus traps, topmost last: {container, onEscape, returnTo}
+        this._regions = null;
+        if (game.headless) return;
+
+        this._onKeydown = (e) => this._keydown(e);
+        document.addEventListener('keydown', this._onKeydown);
+    }
+
+    // --- announcements ------------------------------------------------------------
+
+    _ensureRegions() {
+        if (this._regions) return this._regions;
+        const make = (role, live) => {
+            const el = document.createElement('div');
+            el.className = 'sr-live';
+            el.setAttribute('role', role);
+            el.setAttribute('aria-live', live);
+            el.setAttribute('aria-atomic', 'false');
+            Object.assign(el.style, SR_ONLY);
+            document.body.appendChild(el);
+            return el;
+        };
+        this._regions = {polite: make('status', 'polite'), assertive: make('alert', 'assertive')};
+        return this._regions;
+    }
+
+    /**
+     * Read a text out (screen readers only; nothing is shown).
+     * Each call appends a new node, so repeating the same text is announced again.
+     * @param {string} text
+     * @param {{assertive?:boolean}} [opts]
+     */
+    announce(text, {assertive = false} = {}) {
+        if (this.game.headless || !text) return;
+        const region = this._ensureRegions()[assertive ? 'assertive' : 'polite'];
+        const line = document.createElement('div');
+        line.textContent = String(text);
+        region.appendChild(line);
+        while (region.childNodes.length > 3) region.firstChild.remove();
+    }
+
+    // --- focus layers -------------------------------------------------------------
+
+    /**
+     * Keep keyboard focus inside `container` until the returned release function is called.
+     * @param {HTMLElement} container
+     * @param {{onEscape?:Function|null, initialFocus?:HTMLElement|null, label?:string}} [opts]
+     *   onEscape – called on Escape (omit to ignore it); initialFocus – defaults to the first focusable element
+     * @returns {Function} release – removes the trap and returns focus to the element focused before
+     */
+    trapFocus(container, {onEscape = null, initialFocus = null, label = ''} = {}) {
+        if (this.game.headless || !container) return () => {};
+        if (!container.hasAttribute('role')) container.setAttribute('role', 'dialog');
+        container.setAttribute('aria-modal', 'true');
+        if (label) container.setAttribute('aria-label', label);
+        if (!container.hasAttribute('tabindex')) container.tabIndex = -1;
+
+        const layer = {container, onEscape, returnTo: document.activeElement};
+        this._layers.push(layer);
+        this.focusInto(container, initialFocus);
+
+        return () => {
+            const i = this._layers.indexOf(layer);
+            if (i < 0) return;
+            this._layers.splice(i, 1);
+            // only the topmost layer hands focus back; an inner layer closing under it must not steal it
+            if (i === this._layers.length && layer.returnTo?.isConnected) layer.returnTo.focus?.({preventScroll: true});
+        };
+    }
+
+    /** Focus `preferred`, else the first focusable element in `container`, else the container itself. */
+    focusInto(container, preferred = null) {
+        if (this.game.headless || !container) return;
+        const target = (preferred?.isConnected && preferred) || this._focusables(container)[0] || container;
+        target.focus?.({preventScroll: true});
+    }
+
+    /** @returns {boolean} true while a modal, dialog or puzzle holds the focus */
+    get trapped() {
+        return this._layers.length > 0;
+    }
+
+    _focusables(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE))
+            .filter(el => !el.closest('[hidden], .hidden, [aria-hidden="true"]') && el.style.display !== 'none' && el.style.visibility !== 'hidden');
+    }
+
+    _keydown(e) {
+        if (!this.game.hotspotLayer?.isConnected) return; // game no longer on the page
+        const layer = this._layers[this._layers.length - 1];
+        if (layer) {
+            if (!layer.container.isConnected) {
+                this._layers.pop();
+                return this._keydown(e);
+            }
+            if (e.key === 'Escape' && layer.onEscape) {
+                e.preventDefault();
+                layer.onEscape();
+            } else if (e.key === 'Tab') {
+                this._cycle(e, layer.container);
+            }
+            return;
+        }
+        this._shortcut(e);
+    }
+
+    _cycle(e, container) {
+        const list = this._focusables(container);
+        if (!list.length) {
+            e.preventDefault();
+            container.focus?.();
+            return;
+        }
+        const first = list[0];
+        const last = list[list.length - 1];
+        const active = document.activeElement;
+        const inside = container.contains(active);
+        if (e.shiftKey && (!inside || active === first || active === container)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (!inside || active === last)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // --- shortcuts ----------------------------------------------------------------
+
+    _shortcutsOn() {
+        return this.game.data?.settings?.accessibility?.shortcuts !== false;
+    }
+
+    _shortcut(e) {
+        const g = this.game;
+        if (!g.state || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.key === 'Escape' && g.state.useItemId) {
+            g.exitUseMode();
+            e.preventDefault();
+            return;
+        }
+        if (!this._shortcutsOn() || isTyping(e.target) || document.body.classList.contains('editor-on')) return;
+
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        if (/^[1-9]$/.test(key)) {
+            const id = (g.state.inventory || [])[Number(key) - 1];
+            if (!id) return;
+            e.preventDefault();
+            if (g.state.useItemId === id) {
+                g.exitUseMode();
+                this.announce(g._t('engine.a11y.useOff', 'Předmět odložen.'));
+            } else {
+                g.enterUseMode(id);
+            }
+        } else if (key === 'i') {
+            e.preventDefault();
+            const first = g.inventoryRoot.querySelector('.item');
+            if (first) first.focus();
+            else this.announce(g._t('engine.a11y.inventoryEmpty', 'Inventář je prázdný.'));
+        } else if (key === 'h') {
+            e.preventDefault();
+            this.focusInto(g.hotspotLayer);
+        } else if (key === 'd') {
+            e.preventDefault();
+            this.describeScene();
+        }
+    }
+
+    // --- scene --------------------------------------------------------------------
+
+    /** Scene description for the image alt text and the D shortcut (title when there is none). */
+    sceneText(scene = this.game.currentScene) {
+        if (!scene) return '';
+        return this.game._text(scene.description) || this.game._text(scene.title) || '';
+    }
+
+    /** Announce the scene description and how many places can be activated. */
+    describeScene() {
+        const g = this.game;
+        if (!g.currentScene) return;
+        const count = g.hotspotLayer.querySelectorAll('.hotspot:not([aria-hidden="true"])').length;
+        this.announce([this.sceneText(), g._t('engine.a11y.hotspotCount', 'Aktivní místa: {n}.', {n: count})].filter(Boolean).join(' '));
+    }
+
+    /**
+     * Accessible name of a hotspot: its (state) label, else a phrase derived from its type.
+     * @param {object} h - hotspot
+     * @param {object|null} state - active visual state
+     * @param {number} n - 1-based position in the Tab order
+     */
+    hotspotLabel(h, state, n) {
+        const g = this.game;
+        const label = (state && state.label) || h.label;
+        if (label) return g._text(label);
+        switch (h.type) {
+            case 'goTo': {
+                const target = g.data?.scenes?.find(s => s.id === h.target);
+                const name = g._text(target?.title) || h.target;
+                if (name) return g._t('engine.a11y.goTo', 'Jít: {name}', {name});
+                break;
+            }
+            case 'pickup':
+                return g._t('engine.a11y.pickup', 'Sebrat: {name}', {name: g._itemLabel(h.itemId)});
+            case 'dialog': {
+                const dlg = g.dialogsData?.dialogs?.find(d => d?.id === h.dialogId);
+                const name = g._text(dlg?.title);
+                return name ? g._t('engine.a11y.dialogNamed', 'Promluvit: {name}', {name}) : g._t('engine.a11y.dialog', 'Promluvit');
+            }
+            case 'puzzle':
+            case 'puzzleList': {
+                const ref = h.puzzleRef || h.puzzle?.ref;
+                const name = g._text((ref && g.data?.puzzles?.[ref]?.title) || h.puzzle?.title);
+                return name ? g._t('engine.a11y.puzzleNamed', 'Úloha: {name}', {name}) : g._t('engine.a11y.puzzle', 'Úloha');
+            }
+        }
+        if (state?.content) return g._text(state.content);
+        return g._t('engine.a11y.hotspot', 'Místo {n}', {n});
+    }
+}
@@ -0,0 +1,354 @@
+// engine/actions.js
+// Single action executor for hotspots (onApply/onSuccess/onFail), event `then`,
+// puzzle results, video `onEnd` and dialogs (onChoose/onNext/onEnd).
+//
+// Actions come in two shapes:
+//   - bundle:   { "giveItem": "key", "setFlags": ["a"], "goTo": "hall" }
+//               keys run in ACTION_ORDER (feedback → blocking UI → logic → navigation)
+//   - sequence: [ { "message": "…" }, { "delay": 500 }, { "goTo": "hall" } ]
+//               entries run one after another (each entry is a bundle)
+//
+// Handler signature: async (game, arg, ctx) => boolean|void
+//   return true when game state (inventory/flags) changed; the executor then re-renders
+//   hotspots, saves and fires `stateChange` events once per bundle (before navigation).
+//
+// registerAction() fills the shared registry (every game on the page); game.registerAction()
+// passes the game's own map, which is looked up first. Built-in keys cannot be replaced.
+
+import {openListModal} from './puzzles/index.js';
+import {evaluateCondition} from './conditions.js';
+import {clearResults} from './aggregate.js';
+
+const _registry = new Map();
+
+/** Canonical execution order of built-in keys inside one bundle. Custom keys run after logic. */
+export const ACTION_ORDER = [
+    'toast',
+    'message',
+    'setSceneImage',
+    'openDialog',
+    'highlightHotspot',
+    'playVideo',
+    'openPuzzle',
+    'openPuzzleList',
+    'showResults',
+    'giveItem',
+    'takeItem',
+    'setFlags',
+    'clearFlags',
+    'setVar',
+    'incVar',
+    'decVar',
+    'startTimer',
+    'stopTimer',
+    'pauseTimer',
+    'resumeTimer',
+    'addTime',
+    'clearResults',
+    'checkResults',
+    'delay',
+    'goTo'
+];
+
+/** Keys that navigate away: pending state changes are committed before they run. */
+const NAVIGATION = new Set(['goTo']);
+
+/**
+ * Register an action key.
+ * @param {string} name
+ * @param {(game: import('./engine.js').Game, arg: *, ctx: object) => (boolean|void|Promise<boolean|void>)} handler
+ * @param {Map<string, Function>} [registry] - a game's own registry (default: shared by all games)
+ */
+export function registerAction(name, handler, registry = _registry) {
+    // built-ins are the ACTION_ORDER keys, registered once below
+    if (ACTION_ORDER.includes(name) && _registry.has(name)) throw new Error(`Action '${name}' is built in`);
+    if (typeof handler !== 'function') throw new Error(`Action '${name}' needs a handler function`);
+    registry.set(name, handler);
+}
+
+/**
+ * @param {string} name
+ * @param {Map<string, Function>|null} [registry] - a game's own registry, looked up first
+ */
+export function getAction(name, registry = null) {
+    return registry?.get(name) || _registry.get(name) || null;
+}
+
+export function listActions(registry = null) {
+    return Array.from(new Set([..._registry.keys(), ...(registry?.keys() || [])]));
+}
+
+/**
+ * Take `openDialog` out of a bundle or sequence (dialog hand-over: the other actions run first,
+ * then the dialog takes over). The last `openDialog` wins.
+ * @returns {{handoff: string|object|null, own: object|Array}}
+ */
+export function splitHandoff(act) {
+    let handoff = null;
+    const strip = (a) => {
+        if (!a || typeof a !== 'object' || a.openDialog == null) return a;
+        const {openDialog, ...rest} = a;
+        handoff = openDialog;
+        return rest;
+    };
+    const own = Array.isArray(act) ? act.map(strip) : strip(act || {});
+    return {handoff, own};
+}
+
+const asList = (v) => (Array.isArray(v) ? v : (v == null ? [] : [v]));
+const FULL_RECT = {x: 0, y: 0, w: 100, h: 100};
+
+// --- built-in actions ---------------------------------------------------------
+
+registerAction('toast', (g, a) => {
+    const cfg = typeof a === 'object' && !a.key ? a : {text: a};
+    if (cfg.text) g.toast(g._text(cfg.text), cfg.ms ?? 5000);
+});
+
+registerAction('message', (g, a) => {
+    g._msg(g._text(a));
+});
+
+registerAction('setSceneImage', async (g, a) => {
+    if (!a?.image) return;
+    const sc = g.data.scenes.find(s => s.id === (a.sceneId || g.currentScene?.id));
+    if (!sc) return;
+    sc.image = g._resolveAsset(a.image);
+    // If we are currently in this scene, update the DOM immediately
+    if (g.currentScene?.id === sc.id && !g.headless) {
+        g.sceneImage.src = sc.image;
+        await new Promise(res => {
+            if (g.sceneImage.complete && g.sceneImage.naturalWidth) res();
+            else g.sceneImage.onload = () => res();
+        });
+    }
+});
+
+// Blocking: waits until the dialog is fully closed by the user.
+// Inside a running dialog it hands the conversation over instead (DialogUI.handOver).
+registerAction('openDialog', async (g, a) => {
+    await g.openDialog(a);
+});
+
+registerAction('highlightHotspot', (g, a, ctx) => {
+    if (!a?.rect) return;
+    g._enqueueOrShowHighlight({
+        sceneId: a.sceneId || ctx.scene || g.currentScene?.id,
+        rect: a.rect,
+        ms: a.ms ?? 3500,
+        outline: !!a.outline
+    });
+});
+
+// Blocking: waits until the video ends or is skipped, then runs its onEnd.
+registerAction('playVideo', async (g, a, ctx) => {
+    if (!a?.src) return;
+    await g._playVideo(a);
+    if (a.onEnd) await runActions(g, a.onEnd, ctx);
+});
+
+registerAction('openPuzzle', async (g, a, ctx) => {
+    const ref = typeof a === 'string' ? a : a?.ref;
+    if (!ref) return;
+    const cfg = typeof a === 'object' ? a : {};
+    const options = cfg.options || {};
+    const res = await g._openPuzzleByRef({
+        ref,
+        rect: cfg.rect || FULL_RECT,
+        options,
+        background: cfg.background || null
+    });
+
+    if (options.aggregateOnly) {
+        g._appendPuzzleResult({ref, ok: !!res?.ok, detail: res?.detail || null, group: options.group});
+    } else if (res?.ok) {
+        g.state.solved['solved:pz:' + ref] = true;
+        g._saveState();
+    }
+    if (res?.ok) {
+        if (cfg.onSuccess) await runActions(g, cfg.onSuccess, ctx);
+    } else if (cfg.onFail) {
+        await runActions(g, cfg.onFail, ctx);
+    }
+});
+
+registerAction('openPuzzleList', async (g, a, ctx) => {
+    const ok = await openListModal(g, {
+        items: a?.items || [],
+        rect: a?.rect || FULL_RECT,
+        background: a?.background || null,
+        aggregateOnly: !!a?.aggregateOnly,
+        blockUntilSolved: !!a?.blockUntilSolved,
+        group: a?.group,
+        puzzlesById: g.data.puzzles
+    });
+    if (ok) {
+        if (a?.onSuccess) await runActions(g, a.onSuccess, ctx);
+    } else if (a?.onFail) {
+        await runActions(g, a.onFail, ctx);
+    }
+});
+
+// Blocking: per-puzzle report of aggregated results (true | group | {group, refs, title}).
+registerAction('showResults', async (g, a) => {
+    const opts = typeof a === 'object' && a ? a : (typeof a === 'string' ? {group: a} : {});
+    await g.showResultsReport(opts);
+});
+
+registerAction('giveItem', (g, a) => {
+    let added = 0;
+    for (const id of asList(a)) {
+        if (g._addItemToInventory(id)) added++;
+    }
+    if (added) g._renderInventory();
+    return added > 0;
+});
+
+registerAction('takeItem', (g, a) => {
+    let removed = 0;
+    for (const id of asList(a)) {
+        if (g._removeItemFromInventory(id)) removed++;
+    }
+    if (g.state.useItemId && !g.state.inventory.includes(g.state.useItemId)) g.exitUseMode();
+    if (removed) g._renderInventory();
+    return removed > 0;
+});
+
+registerAction('setFlags', (g, a) => {
+    let changed = false;
+    const entries = Array.isArray(a) ? a.map(f => [f, true]) : Object.entries(a && typeof a === 'object' ? a : {});
+    for (const [k, v] of entries) {
+        if (g.setFlag(k, v)) changed = true;
+    }
+    return changed;
+});
+
+registerAction('clearFlags', (g, a) => {
+    let changed = false;
+    for (const f of asList(a)) {
+        if (g.setFlag(f, false)) changed = true;
+    }
+    return changed;
+});
+
+// { "pressure": 50, "mode": "alarm" }
+registerAction('setVar', (g, a) => {
+    let changed = false;
+    for (const [k, v] of Object.entries(a || {})) {
+        if (g.setVar(k, v)) changed = true;
+    }
+    return changed;
+});
+
+// "attempts" | ["a", "b"] (by 1) | { "pressure": 5 }
+function stepVars(g, a, sign) {
+    const steps = (a && typeof a === 'object' && !Array.isArray(a))
+        ? Object.entries(a)
+        : asList(a).map(k => [k, 1]);
+    let changed = false;
+    for (const [k, by] of steps) {
+        const cur = Number(g.getVar(k)) || 0;
+        if (g.setVar(k, cur + sign * (Number(by) || 0))) changed = true;
+    }
+    return changed;
+}
+
+registerAction('incVar', (g, a) => stepVars(g, a, 1));
+registerAction('decVar', (g, a) => stepVars(g, a, -1));
+
+// "game" (declared in scenes.json > timers) | { "id": "fuse", "duration": 30, "onExpire": {…} }
+registerAction('startTimer', (g, a) => {
+    const id = typeof a === 'string' ? a : a?.id;
+    if (!id) return;
+    const cfg = typeof a === 'object' ? a : g.data?.timers?.[id];
+    if (cfg) g.timers.start(id, cfg);
+    else console.warn('[ACTIONS] startTimer: unknown timer', id);
+});
+
+registerAction('stopTimer', (g, a) => {
+    asList(a).forEach(id => g.timers.stop(id));
+});
+
+registerAction('pauseTimer', (g, a) => {
+    asList(a).forEach(id => g.timers.setRunning(id, false));
+});
+
+registerAction('resumeTimer', (g, a) => {
+    asList(a).forEach(id => g.timers.setRunning(id, true));
+});
+
+// { "game": 60 } → +60 s, { "game": -30 } → penalty
+registerAction('addTime', (g, a) => {
+    for (const [id, sec] of Object.entries(a || {})) g.timers.addTime(id, sec);
+});
+
+registerAction('clearResults', (g, a) => clearResults(g, a === true ? null : a));
+
+// Branch on aggregated results: { group?, refs?, correct?, wrong?, answered?, ratio?, then, else }
+registerAction('checkResults', async (g, a, ctx) => {
+    if (!a || typeof a !== 'object') return;
+    const {then: onTrue, else: onFalse, ...query} = a;
+    const branch = evaluateCondition(g, {results: query}) ? onTrue : onFalse;
+    if (branch) await runActions(g, branch, ctx);
+});
+
+registerAction('delay', async (g, a) => {
+    const ms = typeof a === 'object' ? a?.ms : a;
+    // Headless playthroughs do not wait for pacing delays
+    if (ms > 0 && !g.headless) await new Promise(res => setTimeout(res, ms));
+});
+
+registerAction('goTo', async (g, a) => {
+    const target = typeof a === 'object' ? a?.scene : a;
+    if (target) await g.goto(target);
+});
+
+// --- executor -----------------------------------------------------------------
+
+/**
+ * Persist + propagate state changes made by logic actions.
+ * Inside event processing we do not re-fire `stateChange` (avoids event feedback loops).
+ */
+async function commit(g, ctx) {
+    if (g.currentScene) g._renderHotspots();
+    if (ctx.event) g._saveState();
+    else await g._stateChanged();
+    if (g.currentScene) g._drainHighlightsForScene(g.currentScene.id);
+}
+
+async function runBundle(g, bundle, ctx) {
+    if (!bundle || typeof bundle !== 'object') return;
+
+    const keys = Object.keys(bundle).filter(k => getAction(k, g._actions));
+    const ordered = [
+        ...ACTION_ORDER.filter(k => keys.includes(k) && !NAVIGATION.has(k)),
+        ...keys.filter(k => !ACTION_ORDER.includes(k)),
+        ...ACTION_ORDER.filter(k => keys.includes(k) && NAVIGATION.has(k))
+    ];
+
+    let changed = false;
+    for (const key of ordered) {
+        if (NAVIGATION.has(key) && changed) {
+            await commit(g, ctx);
+            changed = false;
+        }
+        const res = await getAction(key, g._actions)(g, bundle[key], ctx);
+        if (res === true) changed = true;
+    }
+    if (changed) await commit(g, ctx);
+}
+
+/**
+ * Run an action bundle or a sequence of bundles.
+ * @param {import('./engine.js').Game} game
+ * @param {object|object[]|null|undefined} actions
+ * @param {{scene?:string, event?:object, source?:string}} [ctx]
+ */
+export async function runActions(game, actions, ctx = {}) {
+    if (!actions) return;
+    if (Array.isArray(actions)) {
+        for (const a of actions) await runBundle(game, a, ctx);
+        return;
+    }
+    await runBundle(game, actions, ctx);
+}
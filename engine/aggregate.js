@@ -0,0 +1,182 @@
+// engine/aggregate.js
+// Aggregated puzzle results (state.puzzleResults, filled by aggregateOnly puzzles and lists):
+// queries for conditions/actions, the per-puzzle report modal and CSV/JSON export.
+//
+// Each entry: { ref, ok, detail, group, at }. `group` comes from the hotspot/openPuzzle/list
+// options (`options.group`, `group`) or the puzzle config (`group` in puzzles.json).
+// A puzzle answered repeatedly counts once – its latest answer wins.
+//
+//   condition: { "results": { "group": "quiz1", "correct": { "gte": 4 }, "answered": 6 } }
+//   actions:   { "checkResults": { "group": "quiz1", "correct": { "gte": 4 }, "then": {…}, "else": {…} } }
+//              { "showResults": { "group": "quiz1" } }     { "clearResults": "quiz1" }
+
+const asList = (v) => (Array.isArray(v) ? v : (v == null ? [] : [v]));
+
+/**
+ * Latest result per puzzle ref, optionally filtered by group(s) / refs.
+ * @returns {{ref:string, ok:boolean, detail:*, group:string|null, at:number|null, attempts:number}[]}
+ */
+export function latestResults(game, {group = null, refs = null} = {}) {
+    const groups = asList(group);
+    const wanted = asList(refs);
+    const byRef = new Map();
+    for (const r of game.state?.puzzleResults || []) {
+        if (!r?.ref) continue;
+        if (groups.length && !groups.includes(r.group)) continue;
+        if (wanted.length && !wanted.includes(r.ref)) continue;
+        const prev = byRef.get(r.ref);
+        byRef.set(r.ref, {...r, ok: !!r.ok, group: r.group ?? null, at: r.at ?? null, attempts: (prev?.attempts || 0) + 1});
+    }
+    return Array.from(byRef.values());
+}
+
+/** Counts for a query: answered, correct, wrong, ratio (0..1, 0 when nothing answered). */
+export function summarizeResults(game, query = {}) {
+    const list = latestResults(game, query);
+    const correct = list.filter(r => r.ok).length;
+    return {
+        answered: list.length,
+        correct,
+        wrong: list.length - correct,
+        ratio: list.length ? correct / list.length : 0
+    };
+}
+
+/** Drop results of one group (or all) – e.g. before a quiz retake. @returns {boolean} changed */
+export function clearResults(game, group = null) {
+    const before = game.state.puzzleResults.length;
+    const groups = asList(group);
+    game.state.puzzleResults = groups.length
+        ? game.state.puzzleResults.filter(r => !groups.includes(r?.group))
+        : [];
+    return game.state.puzzleResults.length !== before;
+}
+
+// --- answers ------------------------------------------------------------------
+
+/** Human-readable user answer from a puzzle `detail` (token ids → labels when known). */
+export function formatAnswer(game, ref, detail) {
+    if (!detail || typeof detail !== 'object') return detail == null ? '' : String(detail);
+    const tokens = game.data?.puzzles?.[ref]?.tokens || [];
+    const label = (id) => {
+        const t = tokens.find(x => x.id === id);
+        return t ? game._text(t.label ?? t.text ?? id) : String(id);
+    };
+    const fmt = (v) => {
+        if (Array.isArray(v)) return v.map(label).join(', ');
+        if (v && typeof v === 'object') return Object.entries(v).map(([k, x]) => `${label(k)} → ${label(x)}`).join('; ');
+        return String(v);
+    };
+    return Object.entries(detail)
+        .filter(([k]) => !/^solution/.test(k) && k !== 'reason' && k !== 'results')
+        .map(([, v]) => fmt(v))
+        .join(' | ');
+}
+
+// --- export ---------------------------------------------------------------------
+
+const CSV_COLUMNS = ['ref', 'title', 'group', 'ok', 'attempts', 'answer', 'at'];
+
+function csvCell(v) {
+    const s = v == null ? '' : String(v);
+    return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function reportRows(game, query) {
+    return latestResults(game, query).map(r => ({
+        ref: r.ref,
+        title: game._text(game.data?.puzzles?.[r.ref]?.title || r.ref),
+        group: r.group ?? '',
+        ok: r.ok,
+        attempts: r.attempts,
+        answer: formatAnswer(game, r.ref, r.detail),
+        detail: r.detail ?? null,
+        at: r.at ? new Date(r.at).toISOString() : ''
+    }));
+}
+
+/**
+ * Export aggregated results.
+ * @param {import('./engine.js').Game} game
+ * @param {'csv'|'json'} format
+ * @param {{group?:string|string[], refs?:string[]}} [query]
+ * @returns {string}
+ */
+export function exportResults(game, format = 'json', query = {}) {
+    const rows = reportRows(game, query);
+    if (format === 'csv') {
+        const lines = [CSV_COLUMNS.join(',')];
+        rows.forEach(r => lines.push(CSV_COLUMNS.map(c => csvCell(r[c])).join(',')));
+        return lines.join('\n') + '\n';
+    }
+    return JSON.stringify({
+        gameId: game.meta?.id || 'unknown',
+        hero: game.getHero?.()?.name || null,
+        exportedAt: new Date().toISOString(),
+        summary: summarizeResults(game, query),
+        results: rows
+    }, null, 2);
+}
+
+// --- report modal ---------------------------------------------------------------
+
+/**
+ * Per-puzzle breakdown (title, ✓/✗, user's answer) with CSV/JSON download buttons.
+ * @param {import('./engine.js').Game} game
+ * @param {{group?:string|string[], refs?:string[], title?:*}} [opts]
+ * @returns {Promise<void>}
+ */
+export async function openResultsReport(game, opts = {}) {
+    const query = {group: opts.group ?? null, refs: opts.refs ?? null};
+    const rows = reportRows(game, query);
+    const sum = summarizeResults(game, query);
+
+    const body = document.createElement('div');
+    body.className = 'modal-body results-report';
+
+    const head = document.createElement('div');
+    head.className = 'results-score';
+    head.textContent = game._t('engine.report.summary', '{correct} / {answered} správně', sum);
+    body.appendChild(head);
+
+    if (!rows.length) {
+        const empty = document.createElement('div');
+        empty.className = 'results-empty';
+        empty.textContent = game._t('engine.report.empty', 'Zatím žádné odpovědi.');
+        body.appendChild(empty);
+    } else {
+        const table = document.createElement('table');
+        table.className = 'results-table results-report-table';
+        rows.forEach(r => {
+            const tr = document.createElement('tr');
+            tr.className = r.ok ? 'is-ok' : 'is-wrong';
+            tr.dataset.ref = r.ref;
+            [r.title, r.answer, r.ok ? '✓' : '✗'].forEach((text, i) => {
+                const cell = document.createElement(i === 0 ? 'th' : 'td');
+                cell.textContent = text;
+                tr.appendChild(cell);
+            });
+            table.appendChild(tr);
+        });
+        body.appendChild(table);
+
+        const io = document.createElement('div');
+        io.className = 'save-io';
+        ['csv', 'json'].forEach(fmt => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'btn results-export results-export--' + fmt;
+            btn.textContent = game._t('engine.report.export.' + fmt, 'Stáhnout ' + fmt.toUpperCase());
+            btn.addEventListener('click', () => game.downloadResults(fmt, query));
+            io.appendChild(btn);
+        });
+        body.appendChild(io);
+    }
+
+    await game.openModal({
+        title: opts.title ? game._text(opts.title) : game._t('engine.report.title', 'Přehled odpovědí'),
+        body,
+        okLabel: game._t('engine.modal.ok', 'OK'),
+        cancelLabel: game._t('engine.modal.cancel', 'Zavřít')
+    });
+}
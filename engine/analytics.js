@@ -0,0 +1,334 @@
+// engine/analytics.js
+// Structured analytics/telemetry: the engine emits events onto a bus, sinks consume them.
+//
+// Event envelope:
+//   { type, at, t, session, gameId, scene, hero, data }
+//   at = epoch ms, t = ms since the page session started, data = event specific fields
+//
+// Built-in event types:
+//   session.start  scene.enter  scene.exit  hotspot.click  hotspot.locked
+//   item.pickup    item.use     puzzle.open puzzle.attempt puzzle.resolve
+//   dialog.open    dialog.choice dialog.skip  dialog.close hint.reveal  timer.expired  game.end
+//
+// Sinks (objects with `handle(event)` and optional `flush()`):
+//   ConsoleSink, MemorySink, BeaconSink (navigator.sendBeacon), XapiSink (xAPI statements to an LRS)
+// Configure them in scenes.json:
+//   "analytics": { "sinks": [ "console", { "type": "beacon", "url": "https://example.org/collect" } ] }
+// or pass instances via `new Game({analyticsSinks: [...]})` / `game.analytics.addSink(sink)`.
+
+const _sinkTypes = new Map();
+
+/**
+ * Register a sink type usable from scenes.json (`{ "type": name, …cfg }`).
+ * @param {string} type
+ * @param {(cfg:object, game:import('./engine.js').Game) => {handle:Function, flush?:Function}} factory
+ */
+export function registerSink(type, factory) {
+    if (typeof factory !== 'function') throw new TypeError(`Sink factory for '${type}' must be a function`);
+    _sinkTypes.set(type, factory);
+}
+
+export function getSinkType(type) {
+    return _sinkTypes.get(type) || null;
+}
+
+function newSessionId() {
+    try {
+        if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+    } catch {
+        // insecure context
+    }
+    return 's-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+/** Event bus owned by a Game (`game.analytics`). */
+export class Analytics {
+    /**
+     * @param {import('./engine.js').Game} game
+     * @param {{sinks?:object[]}} [opts]
+     */
+    constructor(game, {sinks = []} = {}) {
+        this.game = game;
+        this.session = newSessionId();
+        this.startedAt = Date.now();
+        this.sinks = [];
+        sinks.forEach(s => this.addSink(s));
+
+        this._onPageHide = () => this.flush();
+        if (typeof window !== 'undefined') window.addEventListener('pagehide', this._onPageHide);
+    }
+
+    addSink(sink) {
+        if (!sink || typeof sink.handle !== 'function') throw new TypeError('Analytics sink needs a handle(event) method');
+        this.sinks.push(sink);
+        return sink;
+    }
+
+    removeSink(sink) {
+        this.sinks = this.sinks.filter(s => s !== sink);
+    }
+
+    /** Create sinks from the scenes.json `analytics.sinks` list (bad entries are warned about, not thrown). */
+    configure(cfg) {
+        for (const entry of cfg?.sinks || []) {
+            const spec = typeof entry === 'string' ? {type: entry} : entry;
+            const factory = getSinkType(spec?.type);
+            if (!factory) {
+                console.warn('[ANALYTICS] Unknown sink type:', spec?.type);
+                continue;
+            }
+            try {
+                this.addSink(factory(spec, this.game));
+            } catch (err) {
+                console.warn('[ANALYTICS] Sink not created:', spec.type, err.message);
+            }
+        }
+    }
+
+    /**
+     * Emit an event to all sinks. Sink errors are logged, never thrown into the game.
+     * @param {string} type
+     * @param {object} [data]
+     * @returns {object} the event envelope
+     */
+    emit(type, data = {}) {
+        const g = this.game;
+        const now = Date.now();
+        const event = {
+            type,
+            at: now,
+            t: now - this.startedAt,
+            session: this.session,
+            gameId: g.meta?.id || 'unknown',
+            scene: g.currentScene?.id ?? g.state?.scene ?? null,
+            hero: g.state?.hero?.id ?? null,
+            data
+        };
+        for (const sink of this.sinks) {
+            try {
+                sink.handle(event);
+            } catch (err) {
+                console.warn('[ANALYTICS] sink failed:', err);
+            }
+        }
+        return event;
+    }
+
+    /** Ask buffering sinks to send what they have (called on pagehide). */
+    flush() {
+        for (const sink of this.sinks) {
+            try {
+                sink.flush?.();
+            } catch (err) {
+                console.warn('[ANALYTICS] flush failed:', err);
+            }
+        }
+    }
+
+    destroy() {
+        this.flush();
+        if (typeof window !== 'undefined') window.removeEventListener('pagehide', this._onPageHide);
+    }
+}
+
+// --- sinks ------------------------------------------------------------------------
+
+/** Logs every event (optionally only types starting with one of `filter`). */
+export class ConsoleSink {
+    constructor({filter = null} = {}) {
+        this.filter = filter ? [].concat(filter) : null;
+    }
+
+    handle(e) {
+        if (this.filter && !this.filter.some(p => e.type.startsWith(p))) return;
+        console.info('[ANALYTICS]', e.type, e.data);
+    }
+}
+
+/** Keeps the last `limit` events in memory (tests, in-page dashboards). */
+export class MemorySink {
+    constructor({limit = 1000} = {}) {
+        this.limit = limit;
+        this.events = [];
+    }
+
+    handle(e) {
+        this.events.push(e);
+        if (this.events.length > this.limit) this.events.splice(0, this.events.length - this.limit);
+    }
+
+    /** @returns {object[]} events of one type (or all) */
+    list(type = null) {
+        return type ? this.events.filter(e => e.type === type) : this.events.slice();
+    }
+
+    clear() {
+        this.events = [];
+    }
+}
+
+/** POST a JSON payload: navigator.sendBeacon when no custom headers are needed, fetch keepalive otherwise. */
+function postJson(url, payload, headers = null) {
+    const body = JSON.stringify(payload);
+    if (!headers && typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+        if (navigator.sendBeacon(url, new Blob([body], {type: 'application/json'}))) return;
+    }
+    if (typeof fetch === 'function') {
+        fetch(url, {method: 'POST', body, keepalive: true, headers: {'Content-Type': 'application/json', ...(headers || {})}})
+            .catch(err => console.warn('[ANALYTICS] send failed:', err));
+    }
+}
+
+/**
+ * Sends batches of events to `url` (POST, JSON array). Sends when `batchSize` events are queued,
+ * `flushMs` after the first queued event, and on pagehide.
+ */
+export class BeaconSink {
+    constructor({url, batchSize = 20, flushMs = 10000} = {}) {
+        if (!url) throw new TypeError('BeaconSink needs a url');
+        this.url = url;
+        this.batchSize = batchSize;
+        this.flushMs = flushMs;
+        this.queue = [];
+        this._timer = null;
+    }
+
+    handle(e) {
+        this.queue.push(e);
+        if (this.queue.length >= this.batchSize) this.flush();
+        else if (!this._timer && this.flushMs > 0) this._timer = setTimeout(() => this.flush(), this.flushMs);
+    }
+
+    flush() {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        if (!this.queue.length) return;
+        const batch = this.queue.splice(0);
+        postJson(this.url, batch);
+    }
+}
+
+// --- xAPI -------------------------------------------------------------------------
+
+const ADL = 'http://adlnet.gov/expapi/verbs/';
+const XAPI_VERBS = {
+    'session.start': 'launched',
+    'scene.enter': 'experienced',
+    'scene.exit': 'exited',
+    'hotspot.click': 'interacted',
+    'hotspot.locked': 'interacted',
+    'item.pickup': 'interacted',
+    'item.use': 'interacted',
+    'puzzle.open': 'attempted',
+    'puzzle.attempt': 'answered',
+    'dialog.open': 'experienced',
+    'dialog.choice': 'responded',
+    'dialog.close': 'exited',
+    'hint.reveal': 'asked',
+    'timer.expired': 'failed',
+    'game.end': 'completed'
+};
+
+/** ISO 8601 duration (PT1M2.5S) from milliseconds. */
+export function isoDuration(ms) {
+    const total = Math.max(0, Number(ms) || 0) / 1000;
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = Math.round((total % 60) * 100) / 100;
+    return 'PT' + (h ? h + 'H' : '') + (m ? m + 'M' : '') + s + 'S';
+}
+
+/** Activity path of the thing an event is about, e.g. `puzzle/safe`, `scene/hall`. */
+function activityOf(e) {
+    const d = e.data || {};
+    if (d.puzzle) return 'puzzle/' + d.puzzle;
+    if (d.dialog) return 'dialog/' + d.dialog;
+    if (d.item && e.type.startsWith('item.')) return 'item/' + d.item;
+    if (d.hotspot) return 'hotspot/' + d.hotspot;
+    if (d.timer) return 'timer/' + d.timer;
+    if (d.ladder) return 'hint/' + d.ladder;
+    if (e.type.startsWith('scene.') && (d.scene || e.scene)) return 'scene/' + (d.scene || e.scene);
+    return '';
+}
+
+/**
+ * Map an analytics event to an xAPI statement.
+ * @param {object} e - event envelope
+ * @param {{actor?:object, activityBase?:string, registration?:string}} [opts]
+ * @returns {object} xAPI statement (1.0.3)
+ */
+export function toXapiStatement(e, {actor = null, activityBase = 'https://escape-game.local/xapi', registration = null} = {}) {
+    const base = activityBase.replace(/\/+$/, '');
+    const game = `${base}/games/${encodeURIComponent(e.gameId)}`;
+    const path = activityOf(e);
+    const d = e.data || {};
+
+    let verb = XAPI_VERBS[e.type] || 'interacted';
+    if (e.type === 'puzzle.resolve') verb = d.ok ? 'passed' : 'failed';
+
+    const stmt = {
+        actor: actor || {objectType: 'Agent', account: {homePage: base, name: e.session}},
+        verb: {id: ADL + verb, display: {'en-US': verb}},
+        object: {
+            objectType: 'Activity',
+            id: path ? `${game}/${path.split('/').map(encodeURIComponent).join('/')}` : game,
+            definition: {name: {'en-US': path || e.gameId}, type: `${base}/activities/${e.type.split('.')[0]}`}
+        },
+        timestamp: new Date(e.at).toISOString(),
+        context: {
+            contextActivities: {parent: [{id: game, objectType: 'Activity'}]},
+            extensions: {
+                [`${base}/extensions/event`]: e.type,
+                [`${base}/extensions/session`]: e.session,
+                [`${base}/extensions/scene`]: e.scene,
+                [`${base}/extensions/data`]: d
+            }
+        }
+    };
+
+    if (registration) stmt.context.registration = registration;
+    if ('ok' in d || d.durationMs != null || d.response != null || d.score != null) {
+        stmt.result = {};
+        if ('ok' in d) stmt.result.success = !!d.ok;
+        if (d.durationMs != null) stmt.result.duration = isoDuration(d.durationMs);
+        if (d.response != null) stmt.result.response = String(d.response);
+        if (d.score != null) stmt.result.score = {raw: d.score};
+        if (e.type === 'puzzle.resolve' || e.type === 'game.end') stmt.result.completion = true;
+    }
+    return stmt;
+}
+
+/**
+ * Sends events as xAPI statements to an LRS (`POST <endpoint>/statements`), batched like BeaconSink.
+ * `auth` is the Authorization header value (e.g. "Basic …").
+ */
+export class XapiSink {
+    constructor({endpoint, auth = null, actor = null, activityBase, registration = null, batchSize = 10, flushMs = 10000} = {}) {
+        if (!endpoint) throw new TypeError('XapiSink needs an endpoint');
+        this.url = endpoint.replace(/\/+$/, '') + '/statements';
+        this.headers = {'X-Experience-API-Version': '1.0.3', ...(auth ? {Authorization: auth} : {})};
+        this.opts = {actor, activityBase, registration};
+        this.batchSize = batchSize;
+        this.flushMs = flushMs;
+        this.queue = [];
+        this._timer = null;
+    }
+
+    handle(e) {
+        this.queue.push(toXapiStatement(e, this.opts));
+        if (this.queue.length >= this.batchSize) this.flush();
+        else if (!this._timer && this.flushMs > 0) this._timer = setTimeout(() => this.flush(), this.flushMs);
+    }
+
+    flush() {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        if (!this.queue.length) return;
+        postJson(this.url, this.queue.splice(0), this.headers);
+    }
+}
+
+registerSink('console', (cfg) => new ConsoleSink(cfg));
+registerSink('memory', (cfg) => new MemorySink(cfg));
+registerSink('beacon', (cfg) => new BeaconSink(cfg));
+registerSink('xapi', (cfg) => new XapiSink(cfg));
@@ -0,0 +1,123 @@
+// engine/backlog.js
+// Dialog backlog: every line the player got in a dialog and every choice they picked, so clues
+// hidden in conversations can be reread (from the dialog panel or the main UI).
+//
+//   state.dialogLog: { "<dialogId>": [ { at, visit, side, name, portrait, text } | { at, visit, choice } ] }
+// Lines are stored as shown: in the language and with the variable values of that moment.
+// `visit` is the play count of the dialog (state.dialogs), so replays list separately.
+// Each dialog keeps its last BACKLOG_LIMIT entries.
+
+export const BACKLOG_LIMIT = 100;
+
+/**
+ * Add an entry to a dialog's backlog and save.
+ * @param {import('./engine.js').Game} game
+ * @param {string} dialogId
+ * @param {{side?:string|null, name?:string, portrait?:string, text?:string}|{choice:string}} entry
+ */
+export function recordBacklog(game, dialogId, entry) {
+    const st = game.state;
+    if (!st || dialogId == null) return;
+    st.dialogLog = st.dialogLog || {};
+    const log = (st.dialogLog[dialogId] = st.dialogLog[dialogId] || []);
+    log.push({at: Date.now(), visit: Number(st.dialogs?.[dialogId]) || 0, ...entry});
+    if (log.length > BACKLOG_LIMIT) log.splice(0, log.length - BACKLOG_LIMIT);
+    game._saveState();
+}
+
+/**
+ * All backlog entries, oldest first, grouped into visits: [{dialog, visit, entries}].
+ * @returns {{dialog:string, visit:number, entries:object[]}[]}
+ */
+export function backlogVisits(game) {
+    const all = Object.entries(game.state?.dialogLog || {})
+        .flatMap(([dialog, list]) => (Array.isArray(list) ? list : []).map(e => ({dialog, ...e})))
+        .sort((a, b) => (a.at || 0) - (b.at || 0));
+    const visits = [];
+    for (const {dialog, ...e} of all) {
+        const last = visits[visits.length - 1];
+        if (last && last.dialog === dialog && last.visit === e.visit) last.entries.push(e);
+        else visits.push({dialog, visit: e.visit, entries: [e]});
+    }
+    return visits;
+}
+
+/** Heading of a visit: the dialog's title, else who spoke. */
+function visitTitle(game, visit) {
+    const dlg = game.dialogUI?.find?.(visit.dialog);
+    if (dlg?.title) return game._text(dlg.title);
+    return [...new Set(visit.entries.map(e => e.name).filter(Boolean))].join(', ');
+}
+
+function entryItem(game, e) {
+    const li = document.createElement('li');
+    if (e.choice != null) {
+        li.className = 'backlog-choice';
+        li.textContent = game._t('engine.backlog.choice', '» {text}', {text: e.choice});
+        return li;
+    }
+    li.className = 'backlog-line' + (e.side ? ` backlog-line--${e.side}` : '');
+    if (e.portrait) {
+        const img = document.createElement('img');
+        img.className = 'backlog-portrait';
+        img.src = game._resolveAsset(e.portrait);
+        img.alt = '';
+        li.appendChild(img);
+    }
+    const body = document.createElement('div');
+    if (e.name) {
+        const name = document.createElement('div');
+        name.className = 'backlog-name';
+        name.textContent = e.name;
+        body.appendChild(name);
+    }
+    const text = document.createElement('div');
+    text.className = 'backlog-text';
+    text.textContent = e.text || '';
+    body.appendChild(text);
+    li.appendChild(body);
+    return li;
+}
+
+/**
+ * Backlog modal. Over an open dialog the game pauses meanwhile (auto-advance and voice wait).
+ * @param {import('./engine.js').Game} game
+ */
+export async function openBacklog(game) {
+    const body = document.createElement('div');
+    body.className = 'modal-body backlog';
+    const visits = backlogVisits(game);
+    if (!visits.length) {
+        const empty = document.createElement('div');
+        empty.className = 'backlog-empty';
+        empty.textContent = game._t('engine.backlog.empty', 'Zatím jsi s nikým nemluvil(a).');
+        body.appendChild(empty);
+    }
+    const ol = document.createElement('ol');
+    ol.className = 'backlog-list';
+    visits.forEach(v => {
+        const head = document.createElement('li');
+        head.className = 'backlog-dialog';
+        head.textContent = visitTitle(game, v);
+        ol.appendChild(head);
+        v.entries.forEach(e => ol.appendChild(entryItem(game, e)));
+    });
+    if (visits.length) body.appendChild(ol);
+
+    const pause = !!game.dialogUI?.active && !game.paused;
+    if (pause) game.pause();
+    game.modalRoot.classList.add('modal--top');
+    try {
+        const shown = game.openModal({
+            title: game._t('engine.backlog.title', 'Historie rozhovorů'),
+            body,
+            okLabel: game._t('engine.modal.ok', 'OK'),
+            cancelLabel: game._t('engine.modal.cancel', 'Zavřít')
+        });
+        ol.scrollTop = ol.scrollHeight; // latest lines in view
+        await shown;
+    } finally {
+        game.modalRoot.classList.remove('modal--top');
+        if (pause) game.resume();
+    }
+}
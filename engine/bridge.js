@@ -0,0 +1,138 @@
+// engine/bridge.js
+// postMessage bridge for embedding pages: forwards public Game events to the parent window
+// and accepts commands from it (the game runs in an <iframe>).
+//
+// Messages are plain objects tagged with `channel: "escape-game"`:
+//   game → parent   { channel, kind: "event", type: "scenechange", detail: {…} }
+//                   { channel, kind: "response", id, ok: true, result } | { …, ok: false, error }
+//   parent → game   { channel, kind: "command", id?, command: "goto", args: { scene: "hall" } }
+//
+// Commands: goto {scene}, setFlag {flag, value}, setVar {name, value}, actions {…bundle},
+//           openDialog {id}, pause, resume, setVoiceVolume {volume}, getState.
+// Options (new Game({bridge})): "auto" (default, on when framed) | true | false |
+//   { origins: ["https://museum.example"], targetOrigin: "https://museum.example", target }
+// Without `origins` the bridge trusts only the origin of document.referrer (the framing page): commands from
+// anywhere else are refused and events go to that origin alone. `targetOrigin` defaults to the only origin in
+// `origins`, else to the referrer's; with neither known no events are posted. "*" has to be set explicitly.
+// Commands are taken only from `target` (default: window.parent), whatever their origin.
+
+import {runActions} from './actions.js';
+
+export const BRIDGE_CHANNEL = 'escape-game';
+
+/** Public Game events forwarded to the parent. */
+export const BRIDGE_EVENTS = [
+    'ready',
+    'scenechange',
+    'inventorychange',
+    'flagchange',
+    'varchange',
+    'puzzleresolved',
+    'dialogopen',
+    'dialogclose',
+    'pause',
+    'resume',
+    'gameend'
+];
+
+const COMMANDS = {
+    goto: (g, a) => g.goto(a?.scene ?? a),
+    setFlag: (g, a) => runActions(g, {setFlags: {[a.flag]: a.value ?? true}}),
+    setVar: (g, a) => runActions(g, {setVar: {[a.name]: a.value}}),
+    actions: (g, a) => runActions(g, a),
+    openDialog: (g, a) => g.openDialog(a?.id ?? a),
+    pause: (g) => g.pause(),
+    resume: (g) => g.resume(),
+    setVoiceVolume: (g, a) => g.setVoiceVolume(a?.volume ?? a),
+    getState: (g) => ({
+        scene: g.state.scene,
+        inventory: g.state.inventory.slice(),
+        flags: {...g.state.flags},
+        vars: {...g.state.vars},
+        paused: g.paused,
+        finished: !!g.state.finishedAt
+    })
+};
+
+/** structuredClone-safe copy (drops functions/DOM nodes). */
+const plain = (v) => (v === undefined ? null : JSON.parse(JSON.stringify(v)));
+
+/** Origin of the page that framed us (null when the referrer is hidden or opaque). */
+export function referrerOrigin(win = globalThis.window) {
+    try {
+        const origin = new URL(win.document.referrer).origin;
+        return origin && origin !== 'null' ? origin : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Connect a game to its parent window.
+ * @param {import('./engine.js').Game} game
+ * @param {{target?:Window, origins?:string[]|'*'|null, targetOrigin?:string|null, win?:Window}} [opts]
+ * @returns {() => void} disconnect
+ */
+export function connectBridge(game, {target, origins = null, targetOrigin = null, win = globalThis.window} = {}) {
+    target = target || win.parent;
+    const referrer = referrerOrigin(win);
+    if (origins == null) origins = referrer ? [referrer] : null;
+    else if (origins !== '*') origins = [].concat(origins);
+    targetOrigin = targetOrigin || (Array.isArray(origins) && origins.length === 1 ? origins[0] : referrer);
+    if (!targetOrigin) console.warn('[BRIDGE] no parent origin known (set bridge.targetOrigin): events are not posted');
+    if (!origins) console.warn('[BRIDGE] no parent origin known (set bridge.origins): commands are refused');
+
+    const post = (msg) => {
+        if (!targetOrigin) return;
+        try {
+            target.postMessage({channel: BRIDGE_CHANNEL, ...msg}, targetOrigin);
+        } catch (err) {
+            console.warn('[BRIDGE] postMessage failed:', err);
+        }
+    };
+
+    const forwarders = BRIDGE_EVENTS.map(type => {
+        const fn = (e) => post({kind: 'event', type, detail: plain(e.detail)});
+        game.addEventListener(type, fn);
+        return [type, fn];
+    });
+
+    const onMessage = async (e) => {
+        const msg = e.data;
+        if (!msg || msg.channel !== BRIDGE_CHANNEL || msg.kind !== 'command') return;
+        if (e.source !== target) {
+            console.warn('[BRIDGE] command from another window ignored:', e.origin);
+            return;
+        }
+        if (!origins || (origins !== '*' && !origins.includes(e.origin))) {
+            console.warn('[BRIDGE] command from unexpected origin ignored:', e.origin);
+            return;
+        }
+        const reply = (res) => {
+            if (msg.id != null) post({kind: 'response', id: msg.id, ...res});
+        };
+        const cmd = Object.hasOwn(COMMANDS, msg.command) ? COMMANDS[msg.command] : null;
+        if (!cmd) {
+            reply({ok: false, error: `Unknown command: ${msg.command}`});
+            return;
+        }
+        try {
+            reply({ok: true, result: plain(await cmd(game, msg.args ?? {}))});
+        } catch (err) {
+            reply({ok: false, error: String(err?.message || err)});
+        }
+    };
+    win.addEventListener('message', onMessage);
+
+    return () => {
+        win.removeEventListener('message', onMessage);
+        forwarders.forEach(([type, fn]) => game.removeEventListener(type, fn));
+    };
+}
+
+/** Should the bridge run for this `bridge` option? ("auto" = only inside an iframe) */
+export function bridgeWanted(opt, win = globalThis.window) {
+    if (opt === false || !win) return false;
+    if (opt != null && opt !== 'auto') return true;
+    return win.parent != null && win.parent !== win;
+}
@@ -0,0 +1,162 @@
+// engine/conditions.js
+// One condition language for hotspots, hotspot states, events and dialog steps and choices.
+//
+// Host objects (hotspot, state, event `when`, dialog choice) keep their legacy keys
+//   requireItems, requireFlags, missingItems, missingFlags
+// and may add `if` with a full expression:
+//   { "if": { "any": [ { "flags": ["door_unlocked"] }, { "items": ["crowbar"] } ] } }
+//
+// Expression keys (all present keys must hold → implicit AND):
+//   all: [expr…]            any: [expr…]            not: expr
+//   flags / requireFlags    missingFlags
+//   items / requireItems    missingItems
+//   visited: [sceneId…]     notVisited: [sceneId…]
+//   solved: [puzzleRef…]    notSolved: [puzzleRef…]
+//   seen: [dialogId…]       notSeen: [dialogId…]     (dialog played at least once; see dialogs.js)
+//   dialogs: { id: cmp, … } (how many times a dialog has been played)
+//   scene: sceneId | [sceneId…]                      (current scene)
+//   hero: heroId | [heroId…]     heroGender: 'm' | 'f'
+//   count: { of: 'items'|'flags'|'visited'|'solved'|'events'|'correct'|'hints'|'dialogs', …cmp }
+//   elapsed: cmp            (seconds since the run started)
+//   vars: { name: cmp, … }  (state.vars; see vars.js)
+//   timers: { id: cmp, … }  (remaining seconds of a countdown; see timers.js)
+//   results: { group?, refs?, answered?, correct?, wrong?, ratio? }  (aggregated puzzle
+//            results, latest answer per puzzle; each count a cmp; see aggregate.js)
+// where cmp is a value (==), [min, max] (inclusive range) or { eq, ne, gt, gte, lt, lte }
+// (operator aliases "==", "!=", ">", ">=", "<", "<=" work too).
+// An array expression is shorthand for `all`.
+
+const asList = (v) => (Array.isArray(v) ? v : (v == null ? [] : [v]));
+
+const OP_ALIASES = {'==': 'eq', '!=': 'ne', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte'};
+
+/**
+ * Compare a value against value | [min,max] | {eq,ne,gt,gte,lt,lte} (or "==", ">=", …).
+ * @returns {boolean}
+ */
+export function compareValue(value, spec) {
+    if (spec == null) return true;
+    if (Array.isArray(spec)) {
+        const [min, max] = spec;
+        return (min == null || value >= min) && (max == null || value <= max);
+    }
+    if (typeof spec !== 'object') return value === spec;
+    if (Object.keys(spec).some(k => k in OP_ALIASES)) {
+        spec = Object.fromEntries(Object.entries(spec).map(([k, v]) => [OP_ALIASES[k] || k, v]));
+    }
+    if ('eq' in spec && value !== spec.eq) return false;
+    if ('ne' in spec && value === spec.ne) return false;
+    if ('gt' in spec && !(value > spec.gt)) return false;
+    if ('gte' in spec && !(value >= spec.gte)) return false;
+    if ('lt' in spec && !(value < spec.lt)) return false;
+    if ('lte' in spec && !(value <= spec.lte)) return false;
+    return true;
+}
+
+function countOf(game, what) {
+    const st = game.state || {};
+    switch (what) {
+        case 'items':
+            return (st.inventory || []).length;
+        case 'flags':
+            return Object.values(st.flags || {}).filter(Boolean).length;
+        case 'visited':
+            return Object.keys(st.visited || {}).length;
+        case 'solved':
+            return Object.keys(st.solved || {}).filter(k => st.solved[k]).length;
+        case 'events':
+            return Object.keys(st.eventsFired || {}).length;
+        case 'correct':
+            return (st.puzzleResults || []).filter(r => r?.ok).length;
+        case 'hints':
+            return (st.hints?.log || []).length;
+        case 'dialogs':
+            return Object.values(st.dialogs || {}).filter(n => n > 0).length;
+        default:
+            return 0;
+    }
+}
+
+const isSolved = (game, ref) => !!game.state?.solved?.['solved:pz:' + ref];
+const plays = (game, id) => Number(game.state?.dialogs?.[id]) || 0;
+
+/** Expression key → predicate(game, value). */
+const OPS = {
+    all: (g, v) => asList(v).every(c => evaluateCondition(g, c)),
+    any: (g, v) => asList(v).some(c => evaluateCondition(g, c)),
+    not: (g, v) => !evaluateCondition(g, v),
+
+    flags: (g, v) => asList(v).every(f => !!g.state?.flags?.[f]),
+    requireFlags: (g, v) => OPS.flags(g, v),
+    missingFlags: (g, v) => asList(v).every(f => !g.state?.flags?.[f]),
+
+    items: (g, v) => asList(v).every(i => (g.state?.inventory || []).includes(i)),
+    requireItems: (g, v) => OPS.items(g, v),
+    missingItems: (g, v) => asList(v).every(i => !(g.state?.inventory || []).includes(i)),
+
+    visited: (g, v) => asList(v).every(s => !!g.state?.visited?.[s]),
+    notVisited: (g, v) => asList(v).every(s => !g.state?.visited?.[s]),
+
+    solved: (g, v) => asList(v).every(r => isSolved(g, r)),
+    notSolved: (g, v) => asList(v).every(r => !isSolved(g, r)),
+
+    seen: (g, v) => asList(v).every(id => plays(g, id) > 0),
+    notSeen: (g, v) => asList(v).every(id => plays(g, id) === 0),
+    dialogs: (g, v) => Object.entries(v || {}).every(([id, cmp]) => compareValue(plays(g, id), cmp)),
+
+    scene: (g, v) => asList(v).includes(g.state?.scene),
+
+    hero: (g, v) => asList(v).includes(g.getHero?.().id),
+    heroGender: (g, v) => asList(v).includes(g.getHero?.().gender),
+
+    count: (g, v) => compareValue(countOf(g, v?.of), v),
+    elapsed: (g, v) => {
+        const started = Number(g.state?.startedAt) || Date.now();
+        return compareValue(Math.floor((Date.now() - started) / 1000), v);
+    },
+    vars: (g, v) => Object.entries(v || {}).every(([k, cmp]) => compareValue(g.state?.vars?.[k], cmp)),
+    timers: (g, v) => Object.entries(v || {}).every(([id, cmp]) => {
+        const t = g.state?.timers?.[id];
+        return compareValue(t ? Math.ceil(t.remaining / 1000) : undefined, cmp);
+    }),
+    results: (g, v) => {
+        const sum = g.getResultsSummary?.({group: v?.group, refs: v?.refs});
+        if (!sum) return false;
+        return ['answered', 'correct', 'wrong', 'ratio'].every(k => compareValue(sum[k], v?.[k]));
+    }
+};
+
+/**
+ * Evaluate an expression. Unknown keys are ignored, so host objects can carry
+ * their own fields next to the condition keys. Empty/absent → true.
+ * @param {import('./engine.js').Game} game
+ * @param {object|object[]|null|undefined} cond
+ * @returns {boolean}
+ */
+export function evaluateCondition(game, cond) {
+    if (cond == null) return true;
+    if (Array.isArray(cond)) return cond.every(c => evaluateCondition(game, c));
+    if (typeof cond !== 'object') return !!cond;
+    for (const [k, v] of Object.entries(cond)) {
+        const op = OPS[k];
+        if (op && !op(game, v)) return false;
+    }
+    return true;
+}
+
+/** Legacy `require*`/`missing*` keys allowed directly on host objects. */
+const HOST_KEYS = ['requireItems', 'requireFlags', 'missingItems', 'missingFlags'];
+
+/**
+ * Check a host (hotspot, state, event `when`, dialog step or choice): legacy keys + `if`.
+ * @param {import('./engine.js').Game} game
+ * @param {object|null|undefined} host
+ * @returns {boolean}
+ */
+export function hostConditionsMet(game, host) {
+    if (!host) return true;
+    for (const k of HOST_KEYS) {
+        if (host[k] != null && !OPS[k](game, host[k])) return false;
+    }
+    return evaluateCondition(game, host.if);
+}
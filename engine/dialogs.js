@@ -1,13 +1,31 @@
 /**
  * engine/dialogs.js
  * Handles the Dialog UI, character portraits, typewriter text effects,
- * and branching conversation flow.
+ * voice-over (see voice.js) and branching conversation flow.
+ * Steps and choices take conditions (conditions.js): unmet steps are skipped, unmet choices are
+ * hidden or – with "unmet": "disable" – shown greyed out with the reason (`missingMessage`).
+ * Play counts live in state.dialogs: later visits play `repeatSequence`, then `shortSequence`;
+ * a `once` dialog without them does not open again.
+ * Steps advance on click, or on their own after an `autoAdvance` delay (step or `ui.autoAdvance`);
+ * `ui.cinematic` plays the dialog as a cutscene (no choices, no "tap to continue", clicks only
+ * finish the typewriter) and `ui.allowSkip` adds a button (and Escape) that skips to the end or
+ * the next choice.
  * * Architecture Note:
  * Portraits are anchored to the dialog panel via .dlg-stage (bottom: 0).
  * The open() method returns a Promise that resolves only when the dialog closes,
  * allowing the main Engine to await the conversation.
  */
 
+import {recordBacklog} from './backlog.js';
+
+/** Share of a voice clip the typewriter takes, and its per-character bounds (ms). */
+const VOICE_TYPE_SHARE = 0.85;
+const VOICE_TYPE_MIN_MS = 5;
+const VOICE_TYPE_MAX_MS = 120;
+
+/** `autoAdvance: true`: reading time = delay + perChar × text length, clamped to [min, max] (ms). */
+const AUTO_ADVANCE = {delay: 1200, perChar: 45, min: 800, max: 12000};
+
 export class DialogUI {
     /**
      * @param {import('./engine.js').Game} game
@@ -21,10 +39,19 @@ export class DialogUI {
 
         this._typewriterRunning = false;
         this._typewriterSkipped = false;
+        this._charDelay = null; // ms per character paced to the voice clip (null = typewriterConfig.speed)
+        this._stepSeq = 0;      // bumps on every rendered step; voice callbacks check they are still current
+        this._autoTimer = null; // pending auto-advance (see _scheduleAutoAdvance)
 
         /** @type {Function|null} Resolver for the Promise returned by open() */
         this._closeResolver = null;
 
+        /** @type {string|object|null} Dialog to hand over to once the running actions finish (see handOver) */
+        this._handoff = null;
+
+        /** @type {Function|null} Releases the keyboard focus trap (see a11y.js) */
+        this._releaseFocus = null;
+
         /** * Input lock to prevent race conditions during async transitions.
          * Prevents "double-click" skipping issues.
          * @type {boolean}
@@ -54,7 +81,7 @@ export class DialogUI {
      * @param {string} text
      */
     async _typewriterText(element, text) {
-        if (!element || !text || !this.typewriterConfig.enabled) {
+        if (!element || !text || !this.typewriterConfig.enabled || this.game.headless) {
             if (element) element.textContent = text;
             return;
         }
@@ -70,7 +97,7 @@ export class DialogUI {
                 break;
             }
             element.textContent += chars[i];
-            await this._sleep(this.typewriterConfig.speed);
+            await this._sleep(this._charDelay ?? this.typewriterConfig.speed);
         }
 
         this._typewriterRunning = false;
@@ -123,11 +150,16 @@ export class DialogUI {
                 <div class="dlg-char left"><img class="dlg-char-img" alt=""></div>
                 <div class="dlg-char right"><img class="dlg-char-img" alt=""></div>
             </div>
-            <div class="dlg-panel">
+            <div class="dlg-panel" tabindex="0">
                 <div class="dlg-nameplate"></div>
                 <div class="dlg-text"></div>
-                <div class="dlg-choices"></div>
+                <div class="dlg-choices" role="group"></div>
                 <div class="dlg-continue"></div>
+                <div class="dlg-tools">
+                    <button type="button" class="dlg-backlog"><span aria-hidden="true">📜</span></button>
+                    <button type="button" class="dlg-skip hidden"></button>
+                </div>
+                <label class="dlg-voice hidden"><span aria-hidden="true">🔊</span><input type="range" min="0" max="1" step="0.1"></label>
             </div>
         `;
 
@@ -153,9 +185,46 @@ export class DialogUI {
             });
         }
 
+        // Backlog of what was said so far (backlog.js)
+        const backlog = root.querySelector('.dlg-backlog');
+        if (backlog) {
+            const label = this.game._t('engine.backlog.title', 'Historie rozhovorů');
+            backlog.setAttribute('aria-label', label);
+            backlog.title = label;
+            backlog.addEventListener('click', (e) => {
+                e.stopPropagation();
+                void this.game.openBacklog();
+            });
+        }
+
+        // "Skip dialog" button (dialogs with ui.allowSkip)
+        const skip = root.querySelector('.dlg-skip');
+        if (skip) {
+            skip.textContent = this.game._t('engine.dialog.skip', 'Přeskočit');
+            skip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                void this.skip();
+            });
+        }
+
+        // Voice volume slider (shown for dialogs with voice-over)
+        const volume = root.querySelector('.dlg-voice input');
+        if (volume) {
+            volume.setAttribute('aria-label', this.game._t('engine.voice.volume', 'Hlasitost hlasu'));
+            volume.addEventListener('input', () => this.game.setVoiceVolume(Number(volume.value)));
+        }
+
         // Global click handler for advancement
         root.addEventListener('click', (e) => {
-            if (e.target?.closest('.dlg-choices')) return;
+            if (e.target?.closest('.dlg-choices, .dlg-voice, .dlg-tools')) return;
+            this._handleInput();
+        });
+
+        // Keyboard: Enter / Space on the panel = click (choices are buttons and handle their own keys)
+        const panel = root.querySelector('.dlg-panel');
+        panel?.addEventListener('keydown', (e) => {
+            if (e.target !== panel || (e.key !== 'Enter' && e.key !== ' ')) return;
+            e.preventDefault();
             this._handleInput();
         });
 
@@ -177,34 +246,88 @@ export class DialogUI {
 
     /**
      * Centralized input handler. Skips typewriter or advances dialog.
+     * With `ui.tapToNext: false` (the default in cinematic dialogs) a step that advances on its own
+     * ignores the click.
      */
     _handleInput() {
         if (this._busy) return;
 
         if (this._typewriterRunning && this.typewriterConfig.skipOnClick) {
             this._skipTypewriter();
-        } else {
+        } else if (this.active?.autoAdvance == null || this._tapToNext()) {
             void this.next();
         }
     }
 
+    _tapToNext() {
+        const ui = this.active?.dlg?.ui || {};
+        return ui.tapToNext ?? !ui.cinematic;
+    }
+
+    _skipAllowed() {
+        return this.active?.dlg?.ui?.allowSkip === true;
+    }
+
     _show() {
         if (!this.overlay) this._ensureMounted();
         this.overlay.classList.remove('hidden');
+        if (!this._releaseFocus) {
+            const title = this.game._text(this.active?.dlg?.title) || this.game._t('engine.a11y.dialog', 'Promluvit');
+            this._releaseFocus = this.game.a11y?.trapFocus(this.overlay, {
+                label: title,
+                onEscape: this._skipAllowed() ? () => void this.skip() : null,
+                initialFocus: this.overlay.querySelector('.dlg-panel')
+            }) || null;
+        }
     }
 
     _hide() {
         if (this.overlay) this.overlay.classList.add('hidden');
+        clearTimeout(this._autoTimer);
+        this._autoTimer = null;
+        this.game.voice?.stop();
+        this._releaseFocus?.();
+        this._releaseFocus = null;
     }
 
     // --- Core Lifecycle ---
 
     /**
-     * Opens a dialog sequence.
-     * Returns a Promise that resolves when the dialog is closed.
+     * Dialog config by id ("scene.dialog" ids fall back to the part after the last dot).
      * @param {string} dialogId
-     * @returns {Promise<void>}
+     * @returns {object|null}
      */
+    find(dialogId) {
+        const list = Array.isArray(this.game.dialogsData?.dialogs) ? this.game.dialogsData.dialogs : [];
+        let dlg = list.find(d => d?.id === dialogId);
+        if (!dlg && typeof dialogId === 'string' && dialogId.includes('.')) {
+            const tail = dialogId.split('.').pop();
+            dlg = list.find(d => d?.id === tail);
+        }
+        return dlg || null;
+    }
+
+    /** How many times a dialog has been played (state.dialogs). */
+    plays(id) {
+        return Number(this.game.state?.dialogs?.[id]) || 0;
+    }
+
+    /**
+     * Steps for the next visit: 1st `sequence`, 2nd `repeatSequence`, later `shortSequence`
+     * (a missing variant falls back to the one before). null = a `once` dialog already played
+     * that has no variants.
+     * @returns {object[]|null}
+     */
+    sequenceFor(dlg) {
+        const visit = this.plays(dlg?.id);
+        const variants = [dlg?.sequence, dlg?.repeatSequence, dlg?.shortSequence];
+        if (visit > 0 && dlg?.once && !dlg.repeatSequence && !dlg.shortSequence) return null;
+        for (let i = Math.min(visit, 2); i >= 0; i--) {
+            if (Array.isArray(variants[i]) && variants[i].length) return variants[i];
+        }
+        return [];
+    }
+
     /**
      * Opens a dialog sequence.
      * Preloads initial character assets to prevent "flash of old content".
@@ -215,18 +338,16 @@ export class DialogUI {
     async open(dialogId) {
         this._dbg('open() →', dialogId);
 
-        const list = Array.isArray(this.game.dialogsData?.dialogs) ? this.game.dialogsData.dialogs : [];
-
-        // Resolve ID
-        let dlg = list.find(d => d?.id === dialogId);
-        if (!dlg && typeof dialogId === 'string' && dialogId.includes('.')) {
-            const tail = dialogId.split('.').pop();
-            dlg = list.find(d => d?.id === tail);
-        }
+        const dlg = this.find(dialogId);
         if (!dlg) {
             this._dbg('open() abort: not found', dialogId);
             return;
         }
+        const sequence = this.sequenceFor(dlg);
+        if (!sequence) {
+            this._dbg('open() skipped: "once" dialog already played', dlg.id);
+            return;
+        }
 
         // --- PRELOAD PHASE START ---
         const leftCharDef = dlg.left;
@@ -249,7 +370,7 @@ export class DialogUI {
             }
         }
 
-        if (assetsToLoad.length > 0) {
+        if (assetsToLoad.length > 0 && !this.game.headless) {
             await Promise.all(assetsToLoad.map(src => {
                 return new Promise(resolve => {
                     const img = new Image();
@@ -262,7 +383,6 @@ export class DialogUI {
         // --- PRELOAD PHASE END ---
 
         this._ensureMounted();
-        this._show();
 
         const lImg = this.overlay.querySelector('.dlg-char.left .dlg-char-img');
         const rImg = this.overlay.querySelector('.dlg-char.right .dlg-char-img');
@@ -273,14 +393,20 @@ export class DialogUI {
         this.active = {
             id: dialogId,
             dlg,
+            sequence,             // steps of this visit (see sequenceFor)
             idx: 0,
             leftChar: dlg.left ? this._findCharacter(dlg.left.characterId) : null,
             rightChar: dlg.right ? this._findCharacter(dlg.right.characterId) : null,
             leftPose: dlg.left?.defaultPose || null,
             rightPose: dlg.right?.defaultPose || null,
             leftDefaultMirror: !!dlg.left?.mirror,
-            rightDefaultMirror: !!dlg.right?.mirror
+            rightDefaultMirror: !!dlg.right?.mirror,
+            voice: this.game.voice?.options(dlg) || {enabled: false},
+            autoAdvance: null     // ms the current step waits before advancing on its own (null = click)
         };
+        this.overlay.classList.toggle('dlg-cinematic', !!dlg.ui?.cinematic);
+        this._showVoiceControl(this.active.voice.enabled && sequence.some(st => st?.voice));
+        this._countPlay(dlg.id);
 
         if (dlg.typewriter !== undefined) {
             if (typeof dlg.typewriter === 'boolean') {
@@ -290,11 +416,52 @@ export class DialogUI {
             }
         }
 
-        this._renderStep();
-
-        return new Promise(resolve => {
+        this._show();
+        const closed = new Promise(resolve => {
             this._closeResolver = resolve;
         });
+        this.active.idx = this._seek(0);
+        if (this.active.idx >= sequence.length) {
+            await this._end(dlg.onEnd || null);
+            return closed;
+        }
+        this._renderStep();
+        if (this.game.headless) await this._autoplay();
+        return closed;
+    }
+
+    /** Record a play (state.dialogs); saved right away so a reload mid-dialog still counts it. */
+    _countPlay(id) {
+        const st = this.game.state;
+        if (!st || id == null) return;
+        st.dialogs = st.dialogs || {};
+        st.dialogs[id] = this.plays(id) + 1;
+        this.game._saveState();
+    }
+
+    /**
+     * Headless game: walk the dialog without a player. Steps advance as if clicked; at a step
+     * with choices the driver's onChoice({dialog, step, choices}) picks one (choice object or
+     * index; default the first visible choice).
+     */
+    async _autoplay() {
+        const driver = this.game.headless;
+        for (let guard = 0; this.active; guard++) {
+            if (guard >= 1000) {
+                console.warn('[DLG] headless: dialog did not end after 1000 steps:', this.active.id);
+                await this._end();
+                return;
+            }
+            const step = this.active.sequence[this.active.idx];
+            const choices = this._shownChoices(step).filter(({locked}) => !locked).map(({ch}) => ch);
+            if (!choices.length) {
+                await this.next();
+                continue;
+            }
+            const picked = await driver.onChoice?.({dialog: this.active.id, step, choices});
+            const ch = typeof picked === 'number' ? choices[picked] : (picked || choices[0]);
+            await this._applyChoice(step, ch || choices[0]);
+        }
     }
 
     /**
@@ -303,6 +470,7 @@ export class DialogUI {
      */
     async close() {
         this.active = null;
+        this._handoff = null;
         this._hide();
 
         if (this._closeResolver) {
@@ -313,7 +481,7 @@ export class DialogUI {
 
     refresh() {
         if (!this.active) return;
-        this._renderStep();
+        this._renderStep({refresh: true});
     }
 
     // --- Character & Asset Resolution ---
@@ -371,6 +539,15 @@ export class DialogUI {
         }
     }
 
+    /** Image path (unresolved) of the pose shown on `side`; '' without a character or poses. */
+    _poseSrc(side, poseOverride = null) {
+        const actor = (side === 'left') ? this.active?.leftChar : this.active?.rightChar;
+        const basePose = (side === 'left') ? this.active?.leftPose : this.active?.rightPose;
+        const pose = poseOverride || basePose;
+        const poses = actor?.poses || {};
+        return (pose && poses[pose]) || poses.neutral || Object.values(poses)[0] || '';
+    }
+
     /**
      * Updates character image.
      * @param {string} side - 'left' or 'right'
@@ -380,8 +557,6 @@ export class DialogUI {
     _applyPortrait(side, poseOverride = null, mirror = false) {
         const {img} = this._els(side);
         const actor = (side === 'left') ? this.active?.leftChar : this.active?.rightChar;
-        const basePose = (side === 'left') ? this.active?.leftPose : this.active?.rightPose;
-        const pose = poseOverride || basePose;
 
         if (!img) return;
 
@@ -391,8 +566,7 @@ export class DialogUI {
             return;
         }
 
-        const poses = actor.poses || {};
-        const src0 = (pose && poses[pose]) || poses.neutral || Object.values(poses)[0] || '';
+        const src0 = this._poseSrc(side, poseOverride);
 
         if (src0) {
             img.src = this.game._resolveAsset(src0);
@@ -413,8 +587,9 @@ export class DialogUI {
 
     // --- Rendering ---
 
-    _renderStep() {
-        const step = this.active?.dlg?.sequence?.[this.active?.idx ?? -1];
+    /** @param {{refresh?:boolean}} [opts] refresh – same step again (hero change): the voice keeps playing */
+    _renderStep({refresh = false} = {}) {
+        const step = this.active?.sequence?.[this.active?.idx ?? -1];
         if (!step) {
             // If index is out of bounds, we are done.
             void this._end();
@@ -465,29 +640,190 @@ export class DialogUI {
             if (step.speaker === 'right' && this.active.rightChar) speakerName = this.game._text(this.active.rightChar.name);
             nameEl.textContent = speakerName || '';
         }
-        if (textEl) {
-            const text = this.game._text(step.text || '');
-            void this._typewriterText(textEl, text);
-        }
+        const text = this.game._text(step.text || '');
+        let voiced = false;
+        if (!refresh) {
+            this._stepSeq++;
+            this._charDelay = null;
+            clearTimeout(this._autoTimer);
+            voiced = this._playVoice(step, text);
+            this._logLine(step, text);
+        }
+        const typed = textEl ? this._typewriterText(textEl, text) : Promise.resolve();
+        if (!refresh) {
+            // a voice clip that advances when it ends takes precedence over the timer
+            this.active.autoAdvance = voiced ? null : this._autoAdvanceDelay(step, text);
+            // headless runs are walked by _autoplay()
+            if (this.active.autoAdvance != null && !this.game.headless) this._scheduleAutoAdvance(typed, this.active.autoAdvance);
+        }
+        // screen readers get the whole line at once (the typewriter would be read letter by letter)
+        const spoken = [nameEl?.textContent, text].filter(Boolean).join(': ');
+        if (spoken) this.game.a11y?.announce(spoken);
 
         // Choices
+        const shown = this._shownChoices(step);
         if (choicesEl) {
             choicesEl.innerHTML = '';
-            if (Array.isArray(step.choices) && step.choices.length) {
-                step.choices.forEach(ch => {
-                    const b = document.createElement('button');
-                    b.type = 'button';
-                    b.className = 'dlg-choice';
-                    b.textContent = this.game._text(ch?.label || '');
-                    b.addEventListener('click', async (e) => {
-                        e.stopPropagation();
-                        await this._flashChoice(b);
-                        await this._applyChoice(step, ch || {});
-                    }, {passive: false});
-                    choicesEl.appendChild(b);
-                });
+            shown.forEach(({ch, locked}) => choicesEl.appendChild(this._choiceButton(step, ch, locked)));
+            // the first choice, else the panel itself (not the buttons in it)
+            this.game.a11y?.focusInto(this.overlay, choicesEl.firstElementChild || this.overlay.querySelector('.dlg-panel'));
+        }
+        const waitsForChoice = shown.some(({locked}) => !locked);
+        this.overlay?.querySelector('.dlg-continue')?.classList.toggle('hidden',
+            waitsForChoice || (this.active.autoAdvance != null && !this._tapToNext()));
+        // skipping stops at choices, so there is nothing to skip while one is open
+        this.overlay?.querySelector('.dlg-skip')?.classList.toggle('hidden', !this._skipAllowed() || waitsForChoice);
+    }
+
+    /**
+     * Step `autoAdvance` (else the dialog's `ui.autoAdvance`; cinematic dialogs default to `true`):
+     * ms, `true` (reading time from the text length) or {delay, perChar, min, max} (see AUTO_ADVANCE).
+     * Steps with choices wait for the player.
+     * @returns {number|null} ms to wait once the text is typed out; null = wait for a click
+     */
+    _autoAdvanceDelay(step, text) {
+        const ui = this.active?.dlg?.ui || {};
+        const spec = step.autoAdvance ?? ui.autoAdvance ?? (ui.cinematic ? true : null);
+        if (spec == null || spec === false) return null;
+        if (this._shownChoices(step).some(({locked}) => !locked)) return null;
+        if (typeof spec === 'number') return Math.max(0, spec);
+        const cfg = {...AUTO_ADVANCE, ...(typeof spec === 'object' ? spec : {})};
+        const ms = Number(cfg.delay) + Number(cfg.perChar) * text.length;
+        return Math.min(Number(cfg.max), Math.max(Number(cfg.min), ms));
+    }
+
+    /** Advance `ms` after the typewriter finishes. A game pause holds it; the wait starts over on resume. */
+    _scheduleAutoAdvance(typed, ms) {
+        const seq = this._stepSeq;
+        const current = () => this.active && this._stepSeq === seq;
+        const arm = () => {
+            if (current()) this._autoTimer = setTimeout(fire, ms);
+        };
+        const fire = () => {
+            this._autoTimer = null;
+            if (!current()) return;
+            if (this.game.paused) {
+                this.game.addEventListener('resume', arm, {once: true});
+                return;
             }
+            if (!this._busy) void this.next();
+        };
+        typed.then(arm);
+    }
+
+    /** Backlog entry for a step the player got (backlog.js). */
+    _logLine(step, text) {
+        const side = (step.speaker === 'left' || step.speaker === 'right') ? step.speaker : null;
+        const actor = side === 'left' ? this.active.leftChar : (side === 'right' ? this.active.rightChar : null);
+        recordBacklog(this.game, this.active.dlg.id, {
+            side,
+            name: actor ? this.game._text(actor.name) : '',
+            portrait: actor ? this._poseSrc(side, step.pose || null) : '',
+            text
+        });
+    }
+
+    /**
+     * Choices to show: met ones, plus unmet ones marked "unmet": "disable" (or `ui.unmet` of the dialog).
+     * @returns {{ch:object, locked:boolean}[]}
+     */
+    _shownChoices(step) {
+        if (this.active?.dlg?.ui?.cinematic) return []; // cutscenes play straight through
+        const fallback = this.active?.dlg?.ui?.unmet;
+        return (Array.isArray(step?.choices) ? step.choices : [])
+            .filter(ch => ch && typeof ch === 'object')
+            .map(ch => ({ch, locked: !this.game._conditionsMet(ch)}))
+            .filter(({ch, locked}) => !locked || (ch.unmet ?? fallback) === 'disable');
+    }
+
+    /** Why a choice is locked: its missingMessage, else the same fallbacks as locked hotspots. */
+    _lockReason(ch) {
+        const g = this.game;
+        if (ch.missingMessage) return g._text(ch.missingMessage);
+        return (ch.requireItems && !g._hasAll(ch.requireItems))
+            ? g._t('engine.missingItems', 'Něco ti chybí…')
+            : g._t('engine.needUnlock', 'Nejprve musíš něco odemknout…');
+    }
+
+    _choiceButton(step, ch, locked) {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.className = 'dlg-choice';
+        const label = document.createElement('span');
+        label.className = 'dlg-choice-label';
+        label.textContent = this.game._text(ch.label || '');
+        b.appendChild(label);
+
+        if (locked) {
+            // aria-disabled instead of disabled: stays focusable so the reason can be read out
+            const reason = this._lockReason(ch);
+            const note = document.createElement('span');
+            note.className = 'dlg-choice-reason';
+            note.id = `dlg-reason-${this._stepSeq}-${step.choices.indexOf(ch)}`;
+            note.textContent = reason;
+            b.appendChild(note);
+            b.classList.add('locked');
+            b.setAttribute('aria-disabled', 'true');
+            b.setAttribute('aria-describedby', note.id);
+            b.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.game.a11y?.announce(reason);
+            });
+            return b;
+        }
+        b.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await this._flashChoice(b);
+            await this._applyChoice(step, ch);
+        }, {passive: false});
+        return b;
+    }
+
+    // --- Voice-over ---
+
+    _showVoiceControl(show) {
+        const wrap = this.overlay?.querySelector('.dlg-voice');
+        if (!wrap) return;
+        wrap.classList.toggle('hidden', !show);
+        const input = wrap.querySelector('input');
+        if (input) input.value = String(this.game.voiceVolume ?? 1);
+    }
+
+    /**
+     * Play the step's `voice`: the typewriter is paced to the clip and the dialog advances when it
+     * ends (steps with choices wait). Without a clip the previous one ducks out.
+     * @returns {boolean} true when the clip's end advances the dialog
+     */
+    _playVoice(step, text) {
+        const voice = this.game.voice;
+        if (!voice) return false;
+        const opts = this.active.voice;
+        const src = opts.enabled ? voice.resolve(step.voice) : '';
+        const clip = src ? voice.play(src) : null;
+        if (!clip) {
+            voice.stop();
+            return false;
+        }
+        const seq = this._stepSeq;
+        const current = () => this.active && this._stepSeq === seq;
+
+        if (opts.syncTypewriter && text) {
+            clip.duration.then(sec => {
+                if (!sec || !current()) return;
+                const ms = (sec * 1000 * VOICE_TYPE_SHARE) / text.length;
+                this._charDelay = Math.min(VOICE_TYPE_MAX_MS, Math.max(VOICE_TYPE_MIN_MS, ms));
+            });
         }
+        clip.ended.then(ok => {
+            if (!ok || !opts.autoAdvance || !current()) return;
+            if (this._shownChoices(step).some(({locked}) => !locked)) return;
+            setTimeout(() => {
+                if (!current() || this._busy) return;
+                this._skipTypewriter();
+                void this.next();
+            }, Math.max(0, Number(opts.advanceDelay) || 0));
+        });
+        return !!opts.autoAdvance;
     }
 
     // --- Logic & Flow ---
@@ -498,13 +834,25 @@ export class DialogUI {
 
         try {
             const act = ch?.onChoose || {};
-            if (act.setFlags) await this._applyFlags(act.setFlags);
+            recordBacklog(this.game, this.active?.dlg.id, {choice: this.game._text(ch?.label || '')});
+            this.game.analytics?.emit('dialog.choice', {
+                dialog: this.active?.id ?? null,
+                step: step?.id ?? this.active?.idx ?? null,
+                choice: ch?.id ?? (step?.choices || []).indexOf(ch),
+                response: this.game._text(ch?.label || '')
+            });
+            // Regular actions first (shared registry); jump/end are dialog flow only.
+            await this.game._applyActions(act);
 
+            // `openDialog` among them hands the conversation over (ends like `end`, see handOver)
+            if (this._handoff != null) {
+                await this._takeHandoff(act.onEnd || null);
+                return;
+            }
             if (act.jump) {
-                const to = (this.active?.dlg?.sequence || []).findIndex(n => n?.id === act.jump);
+                const to = (this.active?.sequence || []).findIndex(n => n?.id === act.jump);
                 if (to >= 0) {
-                    this.active.idx = to;
-                    this._renderStep();
+                    await this._goToStep(to);
                     return;
                 }
             }
@@ -531,48 +879,106 @@ export class DialogUI {
         }
     }
 
+    /**
+     * Skip the rest of the dialog (`ui.allowSkip`). The skipped steps' onNext actions still run, so
+     * a skipped cutscene leaves the same state behind; a step with choices stops the skip there.
+     * @returns {Promise<boolean>} false when skipping is not allowed (or a choice is open)
+     */
+    async skip() {
+        if (!this.active || this._busy || !this._skipAllowed()) return false;
+        const hasChoice = (st) => this._shownChoices(st).some(({locked}) => !locked);
+        if (hasChoice(this.active.sequence[this.active.idx])) return false;
+        this._busy = true;
+        try {
+            const {id, idx} = this.active;
+            const from = this.active.sequence[idx];
+            this.game.analytics?.emit('dialog.skip', {dialog: id, step: from?.id ?? idx});
+            this._skipTypewriter();
+            for (;;) {
+                const step = this.active.sequence[this.active.idx];
+                if (step?.onNext) await this._applyOnNodeEnd(step.onNext);
+                if (this._handoff != null) {
+                    await this._takeHandoff();
+                    return true;
+                }
+                if (!this.active) return true;
+                this.active.idx = this._seek(this.active.idx + 1);
+                const next = this.active.sequence[this.active.idx];
+                if (!next) {
+                    await this._end(this.active.dlg.onEnd || null);
+                    return true;
+                }
+                if (hasChoice(next)) {
+                    this._renderStep();
+                    return true;
+                }
+                this._logLine(next, this.game._text(next.text || '')); // skipped lines can still be reread
+            }
+        } finally {
+            this._busy = false;
+        }
+    }
+
     async _nextInternal() {
-        const step = this.active?.dlg?.sequence?.[this.active?.idx ?? -1];
+        const step = this.active?.sequence?.[this.active?.idx ?? -1];
         if (!step) {
             await this._end();
             return;
         }
 
         if (step.onNext) await this._applyOnNodeEnd(step.onNext);
-
-        this.active.idx++;
-        const total = this.active?.dlg?.sequence?.length ?? 0;
-        if (this.active.idx >= total) {
-            await this._end(this.active.dlg.onEnd || null);
+        if (this._handoff != null) {
+            await this._takeHandoff();
             return;
         }
-        this._renderStep();
+        if (!this.active) return;
+        await this._goToStep(this.active.idx + 1);
     }
 
-    async _applyOnNodeEnd(act) {
-        if (act?.setFlags) await this._applyFlags(act.setFlags);
+    /**
+     * `openDialog` while this dialog is open (from onNext, onChoose or any action they run) hands the
+     * conversation over: once the running actions finish, this dialog ends and the other one starts.
+     * Whoever opened this dialog waits for both. Called by Game.openDialog.
+     * @param {string|{id:string}} arg
+     * @returns {Promise<void>} resolves right away inside actions, else once the other dialog closes
+     */
+    handOver(arg) {
+        this._handoff = arg;
+        return this._busy ? Promise.resolve() : this._takeHandoff();
     }
 
-    async _applyFlags(flags) {
-        const g = this.game;
-        let changed = false;
-        if (Array.isArray(flags)) {
-            for (const f of flags) if (!g.state.flags[f]) {
-                g.state.flags[f] = true;
-                changed = true;
-            }
-        } else if (flags && typeof flags === 'object') {
-            for (const [k, v] of Object.entries(flags)) {
-                if (!!g.state.flags[k] !== !!v) {
-                    g.state.flags[k] = !!v;
-                    changed = true;
-                }
-            }
-        }
+    /** End this dialog (running `onEnd`, if given) and play the pending hand-over; open() resolves after it. */
+    async _takeHandoff(onEnd = null) {
+        const arg = this._handoff;
+        this._handoff = null;
+        const resolve = this._closeResolver;
+        this._closeResolver = null;
+        await this._end(onEnd);
+        this._busy = false;
+        await this.game.openDialog(arg);
+        resolve?.();
+    }
+
+    /** First step at or after `from` whose conditions hold (sequence length when there is none). */
+    _seek(from) {
+        const seq = this.active?.sequence || [];
+        let i = Math.max(0, from);
+        while (i < seq.length && !this.game._conditionsMet(seq[i])) i++;
+        return i;
+    }
 
-        if (changed) {
-            await g._stateChanged();
+    /** Show step `idx` (or the next one whose conditions hold); past the last step the dialog ends. */
+    async _goToStep(idx) {
+        this.active.idx = this._seek(idx);
+        if (this.active.idx >= (this.active.sequence?.length ?? 0)) {
+            await this._end(this.active.dlg.onEnd || null);
+            return;
         }
+        this._renderStep();
+    }
+
+    async _applyOnNodeEnd(act) {
+        await this.game._applyActions(act);
     }
 
     /**
@@ -589,22 +995,15 @@ export class DialogUI {
         // We hide the overlay but do NOT resolve the promise yet.
         this._hide();
         this.active = null;
+        const resolve = this._closeResolver; // onEnd may open the next dialog, which brings its own
+        this._closeResolver = null;
 
-        // 2. Apply logic
-        if (onEnd) {
-            if (onEnd.message) g._msg(g._text(onEnd.message));
-
-            // Triggers engine events. Since UI is hidden, highlights will be visible.
-            if (onEnd.setFlags) await this._applyFlags(onEnd.setFlags);
-
-            if (onEnd.goTo) await g.goto(onEnd.goTo);
-        }
+        // 2. Apply logic (any registered action)
+        // Triggers engine events. Since UI is hidden, highlights will be visible.
+        if (onEnd) await g._applyActions(onEnd);
 
         // 3. Unblock Engine
         // Now we tell the engine "dialog is fully done".
-        if (this._closeResolver) {
-            this._closeResolver();
-            this._closeResolver = null;
-        }
+        resolve?.();
     }
 }
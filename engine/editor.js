@@ -1,7 +1,7 @@
 // engine/editor.js
 // Unified editor for Scenes and Puzzles 2.0 (AUTO vs MANUAL).
 // Scene mode:
-//   - Green selection rectangle over the hotspot layer (copy/show JSON).
+//   - Green selection rectangle over the hotspot layer (copy/show JSON), "Validate" content check.
 // Puzzle mode:
 //   - AUTO layout  : only the yellow work window (.pz__window) is draggable/resizable; no purple boxes.
 //   - MANUAL layout: yellow window is LOCKED to 0/0/100/100; purple overlays appear for ALL [data-id]
@@ -300,8 +300,10 @@ class SceneEditor {
         });
         const btnCopy = this._btn('📎 Copy JSON', () => this._copyJson());
         const btnShow = this._btn('📋 Show JSON', () => this._toggleJsonPanel());
+        const btnValidate = this._btn('✅ Validate', () => this.game.showValidationReport?.());
         tb.appendChild(btnCopy);
         tb.appendChild(btnShow);
+        tb.appendChild(btnValidate);
         this.toolbar = tb;
         this.container.appendChild(tb);
     }
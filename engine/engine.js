@@ -1,57 +1,151 @@
 // engine/engine.js
 // Game engine core: scenes, i18n, dialogs, hero profile, inventory, puzzles, events.
+// Game is an EventTarget: public events (scenechange, inventorychange, …) for embedding pages.
+// With `headless` (see headless.js) it runs without page markup: nothing is rendered or waited for.
 
-import {createPuzzleRunner, openListModal} from './puzzles/index.js';
+import {createPuzzleRunner, openListModal, hotspotPuzzleRef, withInlinePuzzles} from './puzzles/index.js';
 import {DialogUI} from './dialogs.js';
+import {SaveManager, SaveFileError, openSaveMenu, buildSaveFile, parseSaveFile} from './saves.js';
+import {STATE_SCHEMA, migrateState, parseSignature, formatSignature} from './migrations.js';
+import {LocalStorageAdapter} from './storage.js';
+import {evaluateCondition, hostConditionsMet} from './conditions.js';
+import {runActions, registerAction, listActions} from './actions.js';
+import {initialVars, clampVar} from './vars.js';
+import {TimerManager} from './timers.js';
+import {openHintMenu, revealNextHint} from './hints.js';
+import {openResultsScreen, computeResults, recordPuzzleAttempt} from './results.js';
+import {summarizeResults, latestResults, exportResults, openResultsReport, formatAnswer} from './aggregate.js';
+import {Analytics, ConsoleSink} from './analytics.js';
+import {setupLms} from './lms.js';
+import {connectBridge, bridgeWanted} from './bridge.js';
+import {loadGameContent, validateGame, formatReport} from './validator.js';
+import {loadSchemas} from './schema.js';
+import {A11y, readingOrder} from './a11y.js';
+import {VoicePlayer} from './voice.js';
+import {openBacklog, backlogVisits} from './backlog.js';
+import {registerHotspotType, registerTrigger, getHotspotType, listHotspotTypes, getTrigger, isKnownTrigger, loadPlugins} from './plugins.js';
+
+/** Stand-ins for the page elements a headless game is not given (detached, never shown). */
+function detachedDom(opts) {
+    const root = document.createElement('div');
+    const el = (key, tag) => opts[key] || root.appendChild(document.createElement(tag));
+    return {
+        sceneImage: el('sceneImage', 'img'),
+        hotspotLayer: el('hotspotLayer', 'div'),
+        inventoryRoot: el('inventoryRoot', 'div'),
+        messageBox: el('messageBox', 'div'),
+        modalRoot: el('modalRoot', 'div'),
+        modalTitle: el('modalTitle', 'div'),
+        modalBody: el('modalBody', 'div'),
+        modalCancel: el('modalCancel', 'button'),
+        modalOk: el('modalOk', 'button')
+    };
+}
+
+export class Game extends EventTarget {
+    // --- extension API (see actions.js / plugins.js) ----------------------------
+
+    static registerAction(name, handler) {
+        registerAction(name, handler);
+    }
+
+    static registerHotspotType(type, handler) {
+        registerHotspotType(type, handler);
+    }
+
+    static registerTrigger(name, opts) {
+        registerTrigger(name, opts);
+    }
 
-export class Game {
     constructor(opts) {
+        super();
+        // Headless driver (headless.js): answers puzzles, dialog choices and modals; `true` = defaults
+        this.headless = opts.headless === true ? {} : (opts.headless || null);
+
         // DOM refs
-        this.sceneImage = opts.sceneImage;
-        this.hotspotLayer = opts.hotspotLayer;
-        this.inventoryRoot = opts.inventoryRoot;
-        this.messageBox = opts.messageBox;
-        this.modalRoot = opts.modalRoot;
-        this.modalTitle = opts.modalTitle;
-        this.modalBody = opts.modalBody;
-        this.modalCancel = opts.modalCancel;
-        this.modalOk = opts.modalOk;
+        const dom = this.headless ? detachedDom(opts) : opts;
+        this.sceneImage = dom.sceneImage;
+        this.hotspotLayer = dom.hotspotLayer;
+        this.inventoryRoot = dom.inventoryRoot;
+        this.messageBox = dom.messageBox;
+        this.modalRoot = dom.modalRoot;
+        this.modalTitle = dom.modalTitle;
+        this.modalBody = dom.modalBody;
+        this.modalCancel = dom.modalCancel;
+        this.modalOk = dom.modalOk;
 
         // Data sources
         this.baseUrl = opts.baseUrl || './';
         this.scenesUrl = opts.scenesUrl;          // already prefixed by caller
         this.dialogsUrl = opts.dialogsUrl || null; // ./games/<id>/dialogs.json (optional)
+        this.pluginsUrl = opts.pluginsUrl || null; // ./games/<id>/plugins.js (optional)
+        this.schemasUrl = opts.schemasUrl || './schemas/'; // JSON schemas for content validation
+        this.plugins = opts.plugins || [];         // inline plugin setup functions: (game) => void
+        this._actions = new Map();                 // this game's plugin actions, hotspot types and triggers
+        this._hotspotTypes = new Map();
+        this._triggers = new Map();
         this.lang = (opts.lang || 'cs').toLowerCase();
         this.i18n = opts.i18n || {engine: {}, game: {}};
+        this.storage = opts.storage || new LocalStorageAdapter(); // async adapter, see storage.js
+        this._fetch = opts.fetch || ((...a) => globalThis.fetch(...a)); // JSON loader (scenes, puzzles, dialogs)
 
         // State
         this.data = null;
         this.meta = {};
         this.dialogsData = null;
         this.state = null;
+        this.saves = null; // SaveManager, keyed by meta.id (created lazily)
+        this._saveQueue = Promise.resolve(); // serializes async storage writes
         this.currentScene = null;
         this._modalResolve = null;
         this._pendingHighlights = {};
+        this._activePuzzleRef = null; // puzzle currently open (hint ladder context)
+        this._activePuzzle = null;    // its instance (puzzle hint highlights go into its window)
+        this._hotspotsScene = null;   // scene the hotspot buttons were rendered for (focus restore)
 
         // Toast container
         this.toastRoot = document.createElement('div');
         this.toastRoot.className = 'toast-container';
-        document.body.appendChild(this.toastRoot);
+        if (!this.headless) document.body.appendChild(this.toastRoot);
 
-        // Dialog UI
+        // Dialog UI + voice-over (opts.createAudio: audio factory for tests/custom players)
         this.dialogUI = new DialogUI(this);
+        this.voice = new VoicePlayer(this, {createAudio: opts.createAudio || null});
+
+        // Countdown timers (clock display lives in the topbar)
+        this.timers = new TimerManager(this, {root: opts.timerRoot || null});
+
+        // Analytics event bus (sinks from opts now, from scenes.json `analytics` in init)
+        this.analytics = new Analytics(this, {sinks: opts.analyticsSinks || []});
+        if (this._debugOn()) this.analytics.addSink(new ConsoleSink());
+        this._sceneEnteredAt = 0;
+        this._lmsWindow = opts.lmsWindow || globalThis.window; // where the SCORM API is looked up
+        this.lms = {scorm: null, xapi: null};
+        this.bridgeOpts = opts.bridge ?? 'auto';  // postMessage bridge to the parent page (bridge.js)
+        this._disconnectBridge = null;
+        this.paused = false;
+        this._listeners = new Map();               // on() callback → EventTarget listeners per type
 
         // Modal events
         this.modalCancel.addEventListener('click', () => this._closeModal(false));
         this.modalOk.addEventListener('click', () => this._closeModal(true));
+        this._releaseModalFocus = null;
 
-        // ESC = exit use-mode
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.state?.useItemId) {
-                this.exitUseMode();
-                e.preventDefault();
-            }
-        });
+        // Keyboard play + screen readers (live region, focus traps, shortcuts incl. ESC = exit use-mode)
+        this.a11y = new A11y(this);
+        if (!this.headless) this._setupAria();
+    }
+
+    /** Roles and names of the static page parts (see a11y.js). */
+    _setupAria() {
+        if (!this.modalTitle.id) this.modalTitle.id = 'modalTitle';
+        this.modalRoot.setAttribute('role', 'dialog');
+        this.modalRoot.setAttribute('aria-modal', 'true');
+        this.modalRoot.setAttribute('aria-labelledby', this.modalTitle.id);
+        this.hotspotLayer.setAttribute('role', 'group');
+        this.hotspotLayer.tabIndex = -1;
+        this.inventoryRoot.setAttribute('role', 'group');
+        this.inventoryRoot.setAttribute('aria-label', this._t('engine.a11y.inventory', 'Inventář'));
     }
 
     // --- debug toggles ----------------------------------------------------------
@@ -68,20 +162,82 @@ export class Game {
         if (this._debugOn()) console.debug('[GAME]', ...args);
     }
 
-    // --- version signature for safe restore ------------------------------------
+    // --- content validation (see validator.js) -----------------------------------
+
+    /**
+     * Re-read this game's JSON files and validate them (schemas, references, assets, unused content, i18n).
+     * @param {{assets?:boolean, schemas?:boolean}} [opts]
+     *   assets – HEAD-request every referenced asset; schemas – check fields against schemasUrl (skipped if missing)
+     * @returns {Promise<{ok:boolean, errors:object[], warnings:object[], issues:object[]}>}
+     */
+    async validateContent({assets = true, schemas = true} = {}) {
+        const content = await loadGameContent({baseUrl: this.baseUrl, fetch: this._fetch});
+        const assetExists = async (path) => {
+            try {
+                return (await this._fetch(this._resolveAsset(path), {method: 'HEAD', cache: 'no-cache'})).ok;
+            } catch {
+                return false;
+            }
+        };
+        return validateGame(content, {
+            actions: listActions(this._actions),
+            hotspotTypes: listHotspotTypes(this._hotspotTypes),
+            assetExists: assets ? assetExists : null,
+            schemas: schemas ? await loadSchemas({baseUrl: this.schemasUrl, fetch: this._fetch}) : null
+        });
+    }
+
+    /** Validation report in a modal (editor "Validate" button). */
+    async showValidationReport() {
+        const res = await this.validateContent();
+        const body = document.createElement('div');
+        body.className = 'modal-body validation-report';
+        const head = document.createElement('div');
+        head.textContent = res.issues.length
+            ? this._t('engine.validate.summary', 'Chyby: {errors}, varování: {warnings}', {errors: res.errors.length, warnings: res.warnings.length})
+            : this._t('engine.validate.clean', 'Obsah hry je v pořádku.');
+        body.appendChild(head);
+        if (res.issues.length) {
+            const list = document.createElement('ul');
+            res.issues.forEach(i => {
+                const li = document.createElement('li');
+                li.className = 'is-' + i.level;
+                li.textContent = `${i.file}${i.path ? ` (${i.path})` : ''}: ${i.message}`;
+                list.appendChild(li);
+            });
+            body.appendChild(list);
+        }
+        await this.openModal({title: this._t('engine.validate.title', 'Kontrola obsahu'), body});
+        return res;
+    }
+
+    /** Debug mode (?debug=1): validate (incl. JSON schemas) after start and log the report to the console. */
+    async _validateInDebug() {
+        try {
+            const res = await this.validateContent();
+            if (!res.issues.length) return;
+            console.groupCollapsed(`[VALIDATE] ${res.errors.length} error(s), ${res.warnings.length} warning(s)`);
+            console.log(formatReport(res));
+            console.groupEnd();
+            if (res.errors.length) this.toast(this._t('engine.validate.toast', 'Kontrola obsahu: chyby {errors} – podrobnosti v konzoli.', {errors: res.errors.length}), 6000);
+        } catch (err) {
+            console.warn('[VALIDATE] failed:', err);
+        }
+    }
+
+    // --- version signature (read back by the migration pipeline) ----------------
 
     _signature() {
-        const gid = this.meta?.id || 'unknown';
-        const gver = this.meta?.version || '0';
-        const lang = this.lang || 'cs';
-        return `${gid}|${gver}|${lang}`;
+        return formatSignature({id: this.meta?.id || 'unknown', version: this.meta?.version || '0', lang: this.lang || 'cs'});
     }
 
     // --- i18n helpers -----------------------------------------------------------
 
+    /** Replace `{name}` from params, then from state.vars; unknown placeholders stay as they are. */
     _fmt(str, params) {
-        if (!params) return str;
-        return String(str).replace(/\{(\w+)}/g, (_, k) => (params[k] ?? `{${k}}`));
+        const vars = this.state?.vars;
+        if (!params && !vars) return str;
+        return String(str).replace(/\{(\w+)}/g, (m, k) => (params?.[k] ?? vars?.[k] ?? m));
     }
 
     _t(key, fallback = '', params = null) {
@@ -101,7 +257,7 @@ export class Game {
         if (typeof val === 'string') {
             const m = val.match(/^@([^@]+)@(.*)$/s);
             if (m) return this._t(m[1].trim(), m[2]);
-            return val;
+            return this._fmt(val);
         }
         return (val != null ? String(val) : String(fallback));
     }
@@ -118,10 +274,15 @@ export class Game {
     // --- lifecycle --------------------------------------------------------------
 
     async init() {
-        this.data = await fetch(this.scenesUrl, {cache: 'no-cache'}).then(r => r.json());
+        this.data = await this._fetch(this.scenesUrl, {cache: 'no-cache'}).then(r => r.json());
+        this._puzzlesReady = false; // see _ensurePuzzlesLoaded
         this.modalRoot.classList.add('hidden');
 
         this.meta = this.data?.meta || {};
+        this.saves = new SaveManager({gameId: this.meta.id || 'unknown', storage: this.storage});
+        if (!this.headless) await this.voice.load();
+        this.analytics.configure(this.data?.analytics);
+        this.lms = setupLms(this, this.data?.lms, {win: this._lmsWindow});
 
         // Query flags
         let forceReset = false;
@@ -133,22 +294,37 @@ export class Game {
         } catch { /* noop */
         }
 
-        const saved = forceReset ? null : this._loadState();
-        const okSaved = !!saved && saved.signature === this._signature();
+        const saved = forceReset ? null : await this._loadState();
+        const restored = this._restoreState(saved);
 
-        // fresh state if signature changed or reset requested
-        this.state = okSaved ? saved : {
+        // fresh state if the save is unusable (other game, broken) or reset requested
+        this.state = restored || {
             signature: this._signature(),
+            schema: STATE_SCHEMA,
+            lang: this.lang,
             inventory: [],
             solved: {},
             flags: {},
+            vars: initialVars(this.data),
+            timers: {},
+            hints: {revealed: {}, log: []},
+            stats: {puzzles: {}, itemsFound: {}},
             visited: {},
             eventsFired: {},
+            dialogs: {},       // dialog id → times played
+            dialogLog: {},     // dialog id → backlog entries (backlog.js)
             scene: this.data.startScene || this.data.scenes[0]?.id,
             useItemId: null,
             hero: null,
-            puzzleResults: [] // aggregateOnly results bucket
+            puzzleResults: [], // aggregateOnly results bucket
+            startedAt: Date.now()
         };
+        if (!this.state.startedAt) this.state.startedAt = Date.now();
+
+        // hero name is localized at selection time → re-resolve after a language switch
+        if (restored && this.state.hero?.id && parseSignature(saved.signature).lang !== this.lang) {
+            this._setHeroInternal(this.state.hero.id);
+        }
 
         // initialize hero (default → then URL override if present)
         if (!this.state.hero) {
@@ -161,12 +337,113 @@ export class Game {
             this._dbg('[HERO] overridden from URL →', urlHero, this.state.hero);
         }
 
+        // per-game extensions (custom actions, hotspot types, triggers)
+        await loadPlugins(this, {url: this.pluginsUrl, setups: this.plugins});
+
+        this.analytics.emit('session.start', {resumed: !!restored, lang: this.lang});
+        this.timers.restore();
+        if (bridgeWanted(this.bridgeOpts)) {
+            this._disconnectBridge = connectBridge(this, typeof this.bridgeOpts === 'object' ? this.bridgeOpts : {});
+        }
         await this.goto(this.state.scene, {noSave: true});
         this._renderInventory();
+        this._emit('ready', {scene: this.state.scene});
+        if (this._debugOn() && !this.headless) void this._validateInDebug();
+    }
+
+    // --- public events ------------------------------------------------------------
+
+    /**
+     * Subscribe to a public event; the callback gets the event detail.
+     * Events: ready, scenechange, inventorychange, flagchange, varchange, puzzleresolved,
+     * dialogopen, dialogclose, pause, resume, gameend (see README › Embedding).
+     * @param {string} type
+     * @param {(detail:object, event:CustomEvent) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    on(type, fn) {
+        const listener = (e) => fn(e.detail, e);
+        if (!this._listeners.has(fn)) this._listeners.set(fn, new Map());
+        this.off(type, fn);
+        this._listeners.get(fn).set(type, listener);
+        this.addEventListener(type, listener);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        const listener = this._listeners.get(fn)?.get(type);
+        if (!listener) return;
+        this.removeEventListener(type, listener);
+        this._listeners.get(fn).delete(type);
+    }
+
+    _emit(type, detail = {}) {
+        this.dispatchEvent(new CustomEvent(type, {detail}));
+    }
+
+    /** Voice-over volume 0–1 (stored for all games; see voice.js). */
+    get voiceVolume() {
+        return this.voice.volume;
     }
 
-    restart() {
-        localStorage.removeItem('leeuwenhoek_escape_state');
+    /** Set the voice-over volume 0–1 (0 = no voice); applies to the line playing now. */
+    setVoiceVolume(v) {
+        return this.voice.setVolume(v);
+    }
+
+    /** Freeze the game for a while (timers stop, hotspots ignore clicks) until resume(). */
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.timers.pause('all');
+        this.voice.pause();
+        this.hotspotLayer.classList.add('is-paused');
+        this._emit('pause', {});
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.timers.resume('all');
+        this.voice.resume();
+        this.hotspotLayer.classList.remove('is-paused');
+        this._emit('resume', {});
+    }
+
+    /** Tear down a game that is thrown away (headless runs, tests): ticker, pagehide listeners, bridge. */
+    destroy() {
+        this.timers.destroy();
+        this.analytics.destroy();
+        this._disconnectBridge?.();
+        this._disconnectBridge = null;
+    }
+
+    // per game (plugins): looked up before the shared registries of the statics above
+    registerAction(name, handler) {
+        registerAction(name, handler, this._actions);
+    }
+
+    registerHotspotType(type, handler) {
+        registerHotspotType(type, handler, this._hotspotTypes);
+    }
+
+    registerTrigger(name, opts) {
+        registerTrigger(name, opts, this._triggers);
+    }
+
+    /**
+     * Fire a custom trigger registered via registerTrigger(); runs matching events.
+     * @param {string} name
+     * @param {object} [detail] - extra fields passed to the trigger's `match` (and `scene`)
+     */
+    async fireTrigger(name, detail = {}) {
+        if (!isKnownTrigger(name, this._triggers)) console.warn('[EVENTS] Unknown trigger:', name);
+        await this._processEvents({...detail, on: name});
+    }
+
+    async restart() {
+        await this.flushSaves();
+        await this._ensureSaves().removeAuto();
         location.reload();
     }
 
@@ -174,26 +451,113 @@ export class Game {
         const scene = this.data.scenes.find(s => s.id === sceneId);
         if (!scene) return this._msg(this._t('engine.sceneNotFound', 'Scéna nebyla nalezena: {id}', {id: sceneId}));
 
+        const from = this.currentScene?.id ?? null;
+        if (this.currentScene) {
+            this.analytics.emit('scene.exit', {scene: this.currentScene.id, to: sceneId, durationMs: Date.now() - this._sceneEnteredAt});
+        }
+        const firstVisit = !this.state.visited[sceneId];
         this.currentScene = scene;
         this.state.scene = sceneId;
         this.state.visited[sceneId] = true;
+        this._sceneEnteredAt = Date.now();
+        this.analytics.emit('scene.enter', {scene: sceneId, first: firstVisit});
+        this.timers.enterScene(scene);
         if (!opts.noSave) this._saveState();
 
-        this.sceneImage.src = this._resolveAsset(scene.image);
-        await new Promise(res => {
-            if (this.sceneImage.complete && this.sceneImage.naturalWidth) res();
-            else this.sceneImage.onload = () => res();
-        });
+        if (!this.headless) {
+            this.sceneImage.src = this._resolveAsset(scene.image);
+            await new Promise(res => {
+                if (this.sceneImage.complete && this.sceneImage.naturalWidth) res();
+                else this.sceneImage.onload = () => res();
+            });
+        }
 
         this._renderHotspots();
         this._msg(this._text(scene.title) || '');
+        if (!this.headless) {
+            this.sceneImage.alt = this.a11y.sceneText(scene);
+            this.hotspotLayer.setAttribute('aria-label', this._text(scene.title) || scene.id);
+            if (scene.description) this.a11y.announce(this._text(scene.description));
+        }
+        this._emit('scenechange', {scene: sceneId, from});
 
         // queued highlights for this scene
         this._drainHighlightsForScene(sceneId);
         // events: enterScene
         await this._processEvents({on: 'enterScene', scene: sceneId});
 
-        if (scene.end) this._msg(this._t('engine.endCongrats', '🎉 Gratulujeme! Našel si cestu ven!'));
+        if (scene.end) {
+            this._msg(this._t('engine.endCongrats', '🎉 Gratulujeme! Našel si cestu ven!'));
+            this._finishRun();
+        }
+    }
+
+    /** End scene reached: stop the clock once, then show the results screen (when configured). */
+    _finishRun() {
+        if (!this.state.finishedAt) {
+            this.state.finishedAt = Date.now();
+            this.timers.freeze();
+            this._saveState();
+            const r = this.getResults();
+            this.analytics.emit('game.end', {scene: this.state.scene, durationMs: r.elapsedMs, score: r.score, hintsUsed: r.hintsUsed});
+            this._emit('gameend', {scene: this.state.scene, results: r});
+        }
+        if (!this.headless && this.data?.results && this.data.results.show !== false) this.showResults();
+    }
+
+    /** @returns {object} run summary + score (see results.js) */
+    getResults() {
+        return computeResults(this);
+    }
+
+    /** Open the results screen (statistics, score, optional leaderboard). */
+    showResults() {
+        return openResultsScreen(this);
+    }
+
+    // --- aggregated puzzle results (aggregate.js) ---------------------------------
+
+    /**
+     * Counts over aggregateOnly results (latest answer per puzzle).
+     * @param {{group?:string|string[], refs?:string[]}} [query]
+     * @returns {{answered:number, correct:number, wrong:number, ratio:number}}
+     */
+    getResultsSummary(query = {}) {
+        return summarizeResults(this, query);
+    }
+
+    /** Latest aggregateOnly result per puzzle (with attempt counts). */
+    getPuzzleResults(query = {}) {
+        return latestResults(this, query);
+    }
+
+    /** Per-puzzle report of aggregated results with the player's answers and export buttons. */
+    showResultsReport(opts = {}) {
+        return openResultsReport(this, opts);
+    }
+
+    /**
+     * Aggregated results as CSV or JSON text.
+     * @param {'csv'|'json'} [format]
+     * @param {{group?:string|string[], refs?:string[]}} [query]
+     * @returns {string}
+     */
+    exportResults(format = 'json', query = {}) {
+        return exportResults(this, format, query);
+    }
+
+    /** Offer exportResults() as a downloadable file. */
+    downloadResults(format = 'json', query = {}) {
+        const csv = format === 'csv';
+        const blob = new Blob([this.exportResults(format, query)], {type: csv ? 'text/csv' : 'application/json'});
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${this.meta?.id || 'game'}-results-${new Date().toISOString().replace(/[:.]/g, '-')}.${csv ? 'csv' : 'json'}`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
     // --- hero profile -----------------------------------------------------------
@@ -258,12 +622,26 @@ export class Game {
         this._renderInventory();
     }
 
+    /** @returns {boolean} true when the item was not in the inventory yet */
+    _addItemToInventory(id) {
+        if (this.state.inventory.includes(id)) return false;
+        this.state.inventory.push(id);
+        this.state.stats = this.state.stats || {};
+        this.state.stats.itemsFound = this.state.stats.itemsFound || {};
+        this.state.stats.itemsFound[id] = true;
+        this.analytics.emit('item.pickup', {item: id});
+        this._emit('inventorychange', {added: id, removed: null, inventory: this.state.inventory.slice()});
+        return true;
+    }
+
+    /** @returns {boolean} true when the item was in the inventory */
     _removeItemFromInventory(id) {
         const i = this.state.inventory.indexOf(id);
-        if (i >= 0) {
-            this.state.inventory.splice(i, 1);
-            this._renderInventory();
-        }
+        if (i < 0) return false;
+        this.state.inventory.splice(i, 1);
+        this._renderInventory();
+        this._emit('inventorychange', {added: null, removed: id, inventory: this.state.inventory.slice()});
+        return true;
     }
 
     _getUseGuardPolicy() {
@@ -299,36 +677,39 @@ export class Game {
             const accepts = h.acceptItems.map(x => typeof x === 'string' ? { id: x } : x);
             if (!accepts.some(a => a?.id === itemId)) return false;
 
-            if (h.requireItems && !this._hasAll(h.requireItems)) return false;
-            if (h.requireFlags && !this._hasAllFlags(h.requireFlags)) return false;
-
-            return true;
+            return this._conditionsMet(h);
         });
     }
 
     // --- renderers --------------------------------------------------------------
 
     _renderHotspots() {
+        if (this.headless) return;
+        // keep keyboard focus on the same hotspot across re-renders (or on the layer when it is gone)
+        const active = document.activeElement;
+        const focused = (active === this.hotspotLayer || (active?.parentElement === this.hotspotLayer && active.classList.contains('hotspot'))) ? active : null;
+        const focusedIndex = this._hotspotsScene === this.currentScene ? focused?.dataset?.index ?? null : null;
+        this._hotspotsScene = this.currentScene;
         this.hotspotLayer.innerHTML = '';
         const hotspots = this.currentScene.hotspots || [];
 
-        hotspots.forEach((h, idx) => {
+        // Tab order = reading order; z-index keeps the content order for stacking (later is on top)
+        readingOrder(hotspots).forEach((idx, pos) => {
+            const h = hotspots[idx];
             const el = document.createElement('button');
+            el.type = 'button';
             el.className = 'hotspot';
+            el.style.zIndex = String(idx + 1);
 
             // Default render rectangle (can be overridden by state)
             let visualRect = h.rect;
 
             // STATE LOGIC: Find the first matching state (Priority List)
-            // The engine checks states from top to bottom. The first one with satisfied requireFlags wins.
+            // The engine checks states from top to bottom. The first one whose conditions hold wins
+            // (a state without conditions is a default/fallback state).
             let activeState = null;
             if (h.states && Array.isArray(h.states)) {
-                activeState = h.states.find(s => {
-                    // If no flags required, it's a default/fallback state
-                    if (!s.requireFlags) return true;
-                    // Otherwise check if all flags are present
-                    return this._hasAllFlags(s.requireFlags);
-                });
+                activeState = h.states.find(s => this._conditionsMet(s));
             }
 
             // APPLY ACTIVE STATE
@@ -363,6 +744,7 @@ export class Game {
                 if (activeState.clickable === false) {
                     el.style.pointerEvents = 'none';
                     el.tabIndex = -1;
+                    el.setAttribute('aria-hidden', 'true');
                 }
             }
 
@@ -379,6 +761,7 @@ export class Game {
                 // Tooltip: prefer state label, fallback to hotspot label
                 const label = (activeState && activeState.label) || h.label;
                 if (label) el.title = this._text(label);
+                el.setAttribute('aria-label', this.a11y.hotspotLabel(h, activeState, pos + 1));
 
                 el.addEventListener('click', (e) => {
                     // Editor guard
@@ -397,6 +780,11 @@ export class Game {
 
             this.hotspotLayer.appendChild(el);
         });
+
+        if (focused) {
+            const again = focusedIndex != null && this.hotspotLayer.querySelector(`.hotspot[data-index="${focusedIndex}"]`);
+            (again || this.hotspotLayer).focus({preventScroll: true});
+        }
     }
 
     /**
@@ -434,24 +822,26 @@ export class Game {
 
     async _activateHotspot(h) {
         console.log('[HOTSPOT] Activation triggered:', h.type, h);
+        if (this.paused) return;
+        this.analytics.emit('hotspot.click', {hotspot: h.id ?? null, type: h.type ?? null, item: this.state.useItemId || null});
 
         // 1. Use-mode guard (pokud držíme předmět a hotspot ho neumí přijmout)
         // Pokud hráč drží předmět, ale klikne na něco, co předměty nebere -> chyba.
         if (this.state.useItemId && !h.acceptItems) {
+            this.analytics.emit('item.use', {item: this.state.useItemId, hotspot: h.id ?? null, ok: false});
             this.toast(this._t('engine.use.notApplicable', 'Tento předmět tady nelze použít.'), 2500);
             this.exitUseMode();
             return;
         }
 
         // 2. Requirements check (Prerekvizity)
-        // Kontrola, zda má hráč potřebné předměty v inventáři (pokud jsou vyžadovány)
-        if (h.requireItems && !this._hasAll(h.requireItems)) {
-            this._msg(this._t('engine.missingItems', 'Něco ti chybí…'));
-            return;
-        }
-        // Kontrola, zda jsou splněny herní flagy (např. odemčeno)
-        if (h.requireFlags && !this._hasAllFlags(h.requireFlags)) {
-            this._msg(this._t('engine.needUnlock', 'Nejprve musíš něco odemknout…'));
+        // Kontrola podmínek (requireItems/requireFlags/missing*/if); vlastní hláška přes missingMessage.
+        if (!this._conditionsMet(h)) {
+            this.analytics.emit('hotspot.locked', {hotspot: h.id ?? null, type: h.type ?? null});
+            const fallback = (h.requireItems && !this._hasAll(h.requireItems))
+                ? this._t('engine.missingItems', 'Něco ti chybí…')
+                : this._t('engine.needUnlock', 'Nejprve musíš něco odemknout…');
+            this._msg(h.missingMessage ? this._text(h.missingMessage) : fallback);
             return;
         }
 
@@ -467,6 +857,7 @@ export class Game {
             if (!match) {
                 // Hráč drží předmět, ale ten sem nepatří
                 if (selected) {
+                    this.analytics.emit('item.use', {item: selected, hotspot: h.id ?? null, ok: false});
                     this.toast(this._t('engine.use.notApplicable', 'Tento předmět tady nelze použít.'), 2500);
                     this.exitUseMode();
                     return;
@@ -481,6 +872,7 @@ export class Game {
             }
 
             // SHODA: Hráč použil správný předmět
+            this.analytics.emit('item.use', {item: match.id, hotspot: h.id ?? null, ok: true, consumed: !!match.consume});
             if (match.consume) this._removeItemFromInventory(match.id);
             this.exitUseMode();
 
@@ -508,8 +900,7 @@ export class Game {
         }
 
         if (h.type === 'pickup') {
-            if (!this.state.inventory.includes(h.itemId)) {
-                this.state.inventory.push(h.itemId);
+            if (this._addItemToInventory(h.itemId)) {
                 this._renderInventory();
                 this._msg(this._t('engine.pickedUp', 'Sebráno: {name}', {name: this._itemLabel(h.itemId)}));
                 await this._stateChanged();
@@ -520,7 +911,8 @@ export class Game {
         }
 
         if (h.type === 'puzzle') {
-            const ref = h.puzzleRef || h.puzzle?.ref;
+            await this._ensurePuzzlesLoaded();
+            const ref = hotspotPuzzleRef(h, this.currentScene?.id, this.currentScene?.hotspots?.indexOf(h));
             if (!ref) {
                 console.error('Puzzle hotspot missing puzzleRef');
                 return;
@@ -543,7 +935,7 @@ export class Game {
             });
 
             if (options.aggregateOnly) {
-                this._appendPuzzleResult({ref, ok: !!res?.ok, detail: res?.detail || null});
+                this._appendPuzzleResult({ref, ok: !!res?.ok, detail: res?.detail || null, group: options.group});
                 if (res?.ok && h.onSuccess) await this._applyActions(h.onSuccess);
                 if (!res?.ok && h.onFail) await this._applyActions(h.onFail);
                 return;
@@ -568,6 +960,7 @@ export class Game {
                 background: h.puzzleList?.background || h.background,
                 aggregateOnly: !!(h.options?.aggregateOnly),
                 blockUntilSolved: !!(h.options?.blockUntilSolved),
+                group: h.options?.group,
                 puzzlesById: this.data.puzzles
             });
             if (ok) {
@@ -583,6 +976,13 @@ export class Game {
             return;
         }
 
+        // Vlastní typy z pluginů (registerHotspotType)
+        const custom = getHotspotType(h.type, this._hotspotTypes);
+        if (custom) {
+            await custom(this, h);
+            return;
+        }
+
         // Fallback pro neznámé typy
         this._msg('Unknown hotspot type: ' + h.type);
         console.warn('Unknown hotspot type:', h);
@@ -591,15 +991,22 @@ export class Game {
     // --- puzzles 2.0 helpers ----------------------------------------------------
 
     async _ensurePuzzlesLoaded() {
-        // pokud už jsou v this.data.puzzles ve formátu mapy, hotovo
-        if (this.data?.puzzles && typeof this.data.puzzles === 'object' && !Array.isArray(this.data.puzzles)) {
-            return;
+        if (this._puzzlesReady) return;
+        // pokud už jsou v this.data.puzzles ve formátu mapy, stačí přidat inline puzzly
+        if (!(this.data?.puzzles && typeof this.data.puzzles === 'object' && !Array.isArray(this.data.puzzles))) {
+            this.data.puzzles = await this._loadPuzzlesJson();
         }
+        // puzzles configured right on a hotspot (older scenes.json) join the map
+        this.data.puzzles = withInlinePuzzles(this.data, this.data.puzzles);
+        this._puzzlesReady = true;
+    }
 
+    /** puzzles.json as a map by id (any supported shape; missing file = empty map). */
+    async _loadPuzzlesJson() {
         const url = this._resolveAsset('puzzles.json');
         let json = {};
         try {
-            const r = await fetch(url, {cache: 'no-cache'});
+            const r = await this._fetch(url, {cache: 'no-cache'});
             if (r.ok) json = await r.json();
         } catch {
             // ignore
@@ -607,22 +1014,19 @@ export class Game {
 
         // 1) { byId: { ... } }
         if (json && typeof json === 'object' && json.byId && typeof json.byId === 'object') {
-            this.data.puzzles = json.byId;
-            return;
+            return json.byId;
         }
         // 2) [ { id, kind, ... }, ... ]
         if (Array.isArray(json)) {
-            this.data.puzzles = Object.fromEntries(json.filter(p => p?.id).map(p => [p.id, p]));
-            return;
+            return Object.fromEntries(json.filter(p => p?.id).map(p => [p.id, p]));
         }
         // 3) { id1:{...}, id2:{...} }
         if (json && typeof json === 'object') {
-            this.data.puzzles = json;
-            return;
+            return json;
         }
 
         // fallback, empty map
-        this.data.puzzles = {};
+        return {};
     }
 
     async _openPuzzleByRef({ref, rect, options = {}, background = null}) {
@@ -636,7 +1040,41 @@ export class Game {
             }
         }
 
+        // Optional countdown (hotspot/openPuzzle options.timer or puzzles.json timer); expiry fails the puzzle
+        const timerCfg = options.timer || this.data.puzzles?.[ref]?.timer || null;
+        const timerId = 'puzzle:' + ref;
+
+        const openedAt = Date.now();
+        let attempts = 0;
+        this.analytics.emit('puzzle.open', {puzzle: ref, kind: this.data.puzzles?.[ref]?.kind ?? null});
+
         return await new Promise((resolve) => {
+            let done = false;
+            const finish = (result) => {
+                if (done) return;
+                done = true;
+                this._activePuzzleRef = null;
+                this._activePuzzle = null;
+                if (timerCfg) this.timers.stop(timerId);
+                // aggregateOnly answers are counted from state.puzzleResults instead
+                if (!options.aggregateOnly) recordPuzzleAttempt(this, ref, !!result?.ok);
+                this._emit('puzzleresolved', {puzzle: ref, ok: !!result?.ok, detail: result?.detail ?? null, aggregateOnly: !!options.aggregateOnly});
+                this.analytics.emit('puzzle.resolve', {
+                    puzzle: ref,
+                    kind: this.data.puzzles?.[ref]?.kind ?? null,
+                    ok: !!result?.ok,
+                    attempts,
+                    durationMs: Date.now() - openedAt,
+                    reason: result?.detail?.reason ?? null,
+                    response: result?.detail ? formatAnswer(this, ref, result.detail) || null : null
+                });
+                try {
+                    runner?.unmount?.();
+                } catch (_) {
+                }
+                resolve(result || {ok: false});
+            };
+
             const runner = createPuzzleRunner({
                 ref,
                 rect,
@@ -645,21 +1083,34 @@ export class Game {
                 puzzlesById: this.data.puzzles || {},
                 i18n: (k) => this._t(k, k),
                 engine: this,
-                onResolve: (result) => {
-                    try {
-                        runner?.unmount?.();
-                    } catch (_) {
-                    }
-                    resolve(result || {ok: false});
-                }
+                onAttempt: ({ok}) => {
+                    attempts++;
+                    this.analytics.emit('puzzle.attempt', {puzzle: ref, ok, attempt: attempts, durationMs: Date.now() - openedAt});
+                },
+                onResolve: finish
             });
 
             runner.mountInto(this.hotspotLayer);
+            this._activePuzzleRef = ref;
+            this._activePuzzle = runner.puzzle;
+            if (timerCfg) {
+                this.timers.start(timerId, timerCfg, {
+                    scope: 'puzzle',
+                    onExpire: () => finish({ok: false, detail: {reason: 'timeout'}})
+                });
+            }
         });
     }
 
+    /** Record an aggregateOnly result ({ref, ok, detail, group?}); group falls back to the puzzle config. */
     _appendPuzzleResult(obj) {
-        this.state.puzzleResults.push(obj);
+        this.state.puzzleResults.push({
+            ref: obj.ref,
+            ok: !!obj.ok,
+            detail: obj.detail ?? null,
+            group: obj.group ?? this.data?.puzzles?.[obj.ref]?.group ?? null,
+            at: Date.now()
+        });
         if (this.state.puzzleResults.length > 500) {
             this.state.puzzleResults.splice(0, this.state.puzzleResults.length - 500);
         }
@@ -669,100 +1120,13 @@ export class Game {
     // --- apply action bundles (success/fail/shared) -----------------------------
 
     /**
-     * Executes a bundle of actions (used by Hotspots, Puzzles onSuccess/onFail, Video onEnd).
-     * Supports: toast, message, openDialog, highlightHotspot, playVideo, giveItem, setFlags, clearFlags, goTo.
+     * Executes actions through the shared registry (see actions.js). Used by hotspots,
+     * puzzles onSuccess/onFail, event `then`, video onEnd and dialogs.
+     * @param {object|object[]} actions - bundle or sequence of bundles
+     * @param {{scene?:string, event?:object}} [ctx]
      */
-    async _applyActions(actions) {
-        if (!actions) return;
-
-        // 1. Visual Feedback
-        if (actions.toast?.text) {
-            this.toast(this._text(actions.toast.text), actions.toast.ms ?? 5000);
-        }
-        if (actions.message) {
-            this._msg(this._text(actions.message));
-        }
-
-        // 2. Dialogs (Blocking)
-        if (actions.openDialog) {
-            await this.openDialog(actions.openDialog);
-        }
-
-        // 3. Highlight Hotspot
-        if (actions.highlightHotspot?.rect) {
-            const h = actions.highlightHotspot;
-            this._enqueueOrShowHighlight({
-                sceneId: h.sceneId || this.currentScene?.id,
-                rect: h.rect,
-                ms: h.ms ?? 3500,
-                outline: !!h.outline
-            });
-        }
-
-        // 4. Play Video (Blocking)
-        if (actions.playVideo?.src) {
-            await this._playVideo(actions.playVideo);
-
-            if (actions.playVideo.onEnd) {
-                await this._applyActions(actions.playVideo.onEnd);
-            }
-        }
-
-        // 5. Logic (Items / Flags)
-        let changed = false;
-
-        if (actions.giveItem) {
-            const give = Array.isArray(actions.giveItem) ? actions.giveItem : [actions.giveItem];
-            let added = 0;
-            for (const id of give) {
-                if (!this.state.inventory.includes(id)) {
-                    this.state.inventory.push(id);
-                    added++;
-                    changed = true;
-                }
-            }
-            if (added) this._renderInventory();
-        }
-
-        if (actions.setFlags) {
-            if (Array.isArray(actions.setFlags)) {
-                for (const f of actions.setFlags) {
-                    if (!this.state.flags[f]) {
-                        this.state.flags[f] = true;
-                        changed = true;
-                    }
-                }
-            } else {
-                for (const [k, v] of Object.entries(actions.setFlags)) {
-                    if (!!this.state.flags[k] !== !!v) {
-                        this.state.flags[k] = !!v;
-                        changed = true;
-                    }
-                }
-            }
-        }
-
-        if (actions.clearFlags && Array.isArray(actions.clearFlags)) {
-            for (const f of actions.clearFlags) {
-                if (this.state.flags[f]) {
-                    delete this.state.flags[f];
-                    changed = true;
-                }
-            }
-        }
-
-        // 6. State & Navigation
-        if (changed) {
-            this._renderHotspots();
-            await this._stateChanged();
-            if (this.currentScene) {
-                this._drainHighlightsForScene(this.currentScene.id);
-            }
-        }
-
-        if (actions.goTo) {
-            await this.goto(actions.goTo);
-        }
+    async _applyActions(actions, ctx = {}) {
+        await runActions(this, actions, ctx);
     }
 
     // backward compatibility
@@ -780,8 +1144,10 @@ export class Game {
     // --- inventory UI -----------------------------------------------------------
 
     _renderInventory() {
+        if (this.headless) return;
+        const focusedId = this.inventoryRoot.contains(document.activeElement) ? document.activeElement.dataset?.itemId : null;
         this.inventoryRoot.innerHTML = '';
-        (this.state.inventory || []).forEach(id => {
+        (this.state.inventory || []).forEach((id, i) => {
             const item = this._itemById(id);
             if (!item) return;
 
@@ -792,6 +1158,9 @@ export class Game {
             wrap.dataset.itemId = id;
             if (this.state.useItemId === id) wrap.classList.add('selected');
             wrap.title = this._t('engine.item.hint', 'Klikni pro náhled, táhni pro použití');
+            wrap.setAttribute('aria-label', this._text(item.label) || id);
+            wrap.setAttribute('aria-pressed', String(this.state.useItemId === id));
+            if (i < 9 && this.data?.settings?.accessibility?.shortcuts !== false) wrap.setAttribute('aria-keyshortcuts', String(i + 1));
 
             if (item.icon) {
                 const img = document.createElement('img');
@@ -821,25 +1190,30 @@ export class Game {
                 pointerMoved = true;
             });
 
-            wrap.addEventListener('pointerup', (e) => {
-                // Ignore if this was a drag operation
-                if (pointerMoved && Date.now() - pointerDownTime > 150) return;
-
+            const activate = () => {
                 // Toggle use mode if already selected
                 if (this.state.useItemId === id) {
                     this.exitUseMode();
                     return;
                 }
                 this._inspectItem(item);
+            };
+
+            wrap.addEventListener('pointerup', (e) => {
+                // Ignore if this was a drag operation
+                if (pointerMoved && Date.now() - pointerDownTime > 150) return;
+                activate();
             });
 
-            // Prevent default click to avoid double-firing
+            // Pointer clicks are handled on pointerup; a click with detail 0 comes from the keyboard (Enter/Space)
             wrap.addEventListener('click', (e) => {
                 e.preventDefault();
+                if (e.detail === 0) activate();
             });
 
             this.inventoryRoot.appendChild(wrap);
         });
+        if (focusedId) [...this.inventoryRoot.children].find(el => el.dataset.itemId === focusedId)?.focus({preventScroll: true});
     }
 
     /**
@@ -1042,9 +1416,7 @@ export class Game {
         if (!hs || !Array.isArray(hs.acceptItems)) return false;
         const accepts = hs.acceptItems.map(x => typeof x === 'string' ? { id: x } : x);
         if (!accepts.some(a => a?.id === itemId)) return false;
-        if (hs.requireItems && !this._hasAll(hs.requireItems)) return false;
-        if (hs.requireFlags && !this._hasAllFlags(hs.requireFlags)) return false;
-        return true;
+        return this._conditionsMet(hs);
     }
 
     /**
@@ -1054,6 +1426,7 @@ export class Game {
      */
     async _handleItemDropOnHotspot(itemId, hs) {
         if (!this._hotspotAcceptsItem(hs, itemId)) {
+            this.analytics.emit('item.use', {item: itemId, hotspot: hs.id ?? null, ok: false});
             this.toast(this._t('engine.use.notApplicable', 'Tento předmět tady nelze použít.'), 2500);
             return;
         }
@@ -1062,6 +1435,7 @@ export class Game {
         const match = accepts.find(a => a.id === itemId);
 
         if (match) {
+            this.analytics.emit('item.use', {item: itemId, hotspot: hs.id ?? null, ok: true, consumed: !!match.consume});
             if (match.consume) this._removeItemFromInventory(itemId);
 
             if (hs.onApply) {
@@ -1235,19 +1609,98 @@ export class Game {
         return (list || []).every(f => !!this.state.flags[f]);
     }
 
+    /**
+     * Shared condition check for hotspots, states, events and dialog choices
+     * (legacy requireItems/requireFlags/missingItems/missingFlags + `if` expression).
+     */
+    _conditionsMet(host) {
+        return hostConditionsMet(this, host);
+    }
+
+    /** Evaluate a bare condition expression (see conditions.js). */
+    checkCondition(cond) {
+        return evaluateCondition(this, cond);
+    }
+
     _msg(t) {
         this.messageBox.textContent = t;
+        this.a11y.announce(t);
+        this.headless?.onMessage?.(t, 'message');
+    }
+
+    // --- variables (see vars.js) ------------------------------------------------
+
+    getVar(name) {
+        return this.state?.vars?.[name];
+    }
+
+    /**
+     * Set a variable (numbers are clamped to the declared min/max).
+     * Does not save or fire events; use the setVar/incVar actions for that.
+     * @returns {boolean} true when the value changed
+     */
+    setVar(name, value) {
+        this.state.vars = this.state.vars || {};
+        const next = clampVar(this.data, name, value);
+        const previous = this.state.vars[name];
+        if (previous === next) return false;
+        this.state.vars[name] = next;
+        this._emit('varchange', {name, value: next, previous: previous ?? null});
+        return true;
+    }
+
+    // --- flags ----------------------------------------------------------------------
+
+    /**
+     * Set (truthy) or clear (falsy) a flag. Like setVar it only changes state;
+     * callers re-render/save (actions do that per bundle).
+     * @returns {boolean} true when the flag changed
+     */
+    setFlag(name, value = true) {
+        const on = !!value;
+        if (!!this.state.flags[name] === on) return false;
+        if (on) this.state.flags[name] = true;
+        else delete this.state.flags[name];
+        this._emit('flagchange', {flag: name, value: on});
+        return true;
+    }
+
+    // --- hints (see hints.js) ----------------------------------------------------
+
+    /** Open the hint modal for the open puzzle or the current scene. */
+    openHints() {
+        return openHintMenu(this);
+    }
+
+    /** Reveal the next hint without UI (facilitator tools, plugins). */
+    revealHint() {
+        return revealNextHint(this);
+    }
+
+    // --- dialog backlog (see backlog.js) ----------------------------------------
+
+    /** Reread what was said in dialogs (also from the dialog panel). */
+    openBacklog() {
+        return openBacklog(this);
+    }
+
+    /** @returns {{dialog:string, visit:number, entries:object[]}[]} backlog, oldest first */
+    getBacklog() {
+        return backlogVisits(this);
     }
 
     // --- modal ------------------------------------------------------------------
 
     openModal({title, body, okLabel = 'OK', cancelLabel = 'Zrušit'}) {
+        if (this.headless) return Promise.resolve(this.headless.onModal?.({title, body}) ?? true);
         this.modalTitle.textContent = title || '';
         this.modalBody.innerHTML = '';
         this.modalBody.appendChild(body);
         this.modalRoot.classList.remove('hidden');
         this.modalOk.textContent = okLabel;
         this.modalCancel.textContent = cancelLabel;
+        this._releaseModalFocus?.();
+        this._releaseModalFocus = this.a11y.trapFocus(this.modalRoot, {onEscape: () => this._closeModal(false)});
         return new Promise(res => {
             this._modalResolve = res;
         });
@@ -1255,6 +1708,8 @@ export class Game {
 
     _closeModal(ok) {
         this.modalRoot.classList.add('hidden');
+        this._releaseModalFocus?.();
+        this._releaseModalFocus = null;
         const r = this._modalResolve;
         this._modalResolve = null;
         if (r) r(ok);
@@ -1281,7 +1736,22 @@ export class Game {
         setTimeout(() => el.remove(), Math.max(500, ms | 0));
     }
 
+    /** Highlight inside the open puzzle's window (rect in % of the window, like its layout rects). */
+    _showPuzzleHighlightRect(rectPct, ms = 3500, {outline = false} = {}) {
+        const win = this._activePuzzle?.windowEl;
+        if (!win) return;
+        const el = document.createElement('div');
+        el.className = 'hs-glow' + (outline ? ' outline' : '');
+        el.style.left = rectPct.x + '%';
+        el.style.top = rectPct.y + '%';
+        el.style.width = rectPct.w + '%';
+        el.style.height = rectPct.h + '%';
+        win.appendChild(el);
+        setTimeout(() => el.remove(), Math.max(500, ms | 0));
+    }
+
     _enqueueOrShowHighlight({sceneId, rect, ms = 3500, outline = false}) {
+        if (this.headless) return;
         if (!sceneId || sceneId === this.currentScene?.id) {
             this._showHighlightRect(rect, ms, {outline});
         } else {
@@ -1304,11 +1774,15 @@ export class Game {
     // --- toasts -----------------------------------------------------------------
 
     toast(text, ms = 5000) {
+        if (this.headless) {
+            this.headless.onMessage?.(text, 'toast');
+            return;
+        }
         const wrap = document.createElement('div');
         wrap.className = 'toast';
-        wrap.setAttribute('role', 'status');
-        wrap.setAttribute('aria-live', 'polite');
+        wrap.setAttribute('aria-hidden', 'true'); // read out through the live region instead
         wrap.textContent = text;
+        this.a11y.announce(text);
         this.toastRoot.appendChild(wrap);
         setTimeout(() => {
             wrap.classList.add('hide');
@@ -1339,14 +1813,13 @@ export class Game {
             // b) Scene match (current scene or specified scene)
             if (w.scene && w.scene !== (trigger.scene || this.state.scene)) continue;
 
-            // c) Inventory requirements
-            if (w.requireItems && !this._hasAll(w.requireItems)) continue;
+            // c) Timer match (timerExpired) + custom trigger filter (registerTrigger(name, {match}))
+            if (trigger.on === 'timerExpired' && w.timer && w.timer !== trigger.timer) continue;
+            const match = getTrigger(trigger.on, this._triggers)?.match;
+            if (match && !match(w, trigger, this)) continue;
 
-            // d) Flag requirements
-            if (w.requireFlags && !this._hasAllFlags(w.requireFlags)) continue;
-
-            // e) Missing items check
-            if (w.missingItems && (w.missingItems.some(x => this.state.inventory.includes(x)))) continue;
+            // d) Conditions (requireItems, requireFlags, missingItems, missingFlags, if)
+            if (!this._conditionsMet(w)) continue;
 
             // --- MATCH FOUND ---
 
@@ -1360,117 +1833,8 @@ export class Game {
                 this._saveState();
             }
 
-            const act = ev.then || {};
-
-            // 3. Execute Actions
-
-            // Show Toast
-            if (act.toast?.text) {
-                this.toast(this._text(act.toast.text), act.toast.ms ?? 5000);
-            }
-
-            // Change Scene Image
-            if (act.setSceneImage?.sceneId && act.setSceneImage?.image) {
-                const sc = this.data.scenes.find(s => s.id === act.setSceneImage.sceneId);
-                if (sc) {
-                    sc.image = this._resolveAsset(act.setSceneImage.image);
-                    // If we are currently in this scene, update the DOM immediately
-                    if (this.currentScene?.id === sc.id) {
-                        this.sceneImage.src = sc.image;
-                        await new Promise(res => {
-                            if (this.sceneImage.complete && this.sceneImage.naturalWidth) res();
-                            else this.sceneImage.onload = () => res();
-                        });
-                    }
-                }
-            }
-
-            // Open Dialog (Blocking)
-            // The engine waits here until the dialog is fully closed by the user.
-            if (act.openDialog) {
-                await this.openDialog(act.openDialog);
-            }
-
-            // Highlight Hotspot
-            // Executed after the dialog closes (if any).
-            if (act.highlightHotspot?.rect) {
-                const h = act.highlightHotspot;
-                this._enqueueOrShowHighlight({
-                    sceneId: h.sceneId || (w.scene || this.state.scene),
-                    rect: h.rect,
-                    ms: h.ms ?? 3500,
-                    outline: !!h.outline
-                });
-            }
-
-            // Play Video (Blocking)
-            // Engine waits until the video ends or is skipped
-            if (act.playVideo?.src) {
-                await this._playVideo(act.playVideo);
-                if (act.playVideo.onEnd) {
-                    await this._applyActions(act.playVideo.onEnd);
-                }
-            }
-
-            // Open Puzzle
-            if (act.openPuzzle) {
-                const ap = act.openPuzzle;
-                const res = await this._openPuzzleByRef({
-                    ref: ap.ref,
-                    rect: ap.rect || {x: 0, y: 0, w: 100, h: 100},
-                    options: ap.options || {},
-                    background: ap.background || null
-                });
-
-                if (ap.options?.aggregateOnly) {
-                    this._appendPuzzleResult({ref: ap.ref, ok: !!res?.ok, detail: res?.detail || null});
-                } else {
-                    if (res?.ok) {
-                        if (ap.onSuccess) await this._applyActions(ap.onSuccess);
-                    } else {
-                        if (ap.onFail) await this._applyActions(ap.onFail);
-                    }
-                }
-            }
-
-            // Open Puzzle List
-            if (act.openPuzzleList) {
-                const apl = act.openPuzzleList;
-                const ok = await openListModal(this, {
-                    items: apl.items || [],
-                    rect: apl.rect || {x: 0, y: 0, w: 100, h: 100},
-                    background: apl.background || null,
-                    aggregateOnly: !!apl.aggregateOnly,
-                    blockUntilSolved: !!apl.blockUntilSolved,
-                    puzzlesById: this.data.puzzles
-                });
-                if (ok) {
-                    if (apl.onSuccess) await this._applyActions(apl.onSuccess);
-                } else {
-                    if (apl.onFail) await this._applyActions(apl.onFail);
-                }
-            }
-
-            // Set Flags
-            if (act.setFlags) {
-                let changed = false;
-                if (Array.isArray(act.setFlags)) {
-                    for (const f of act.setFlags) {
-                        if (!this.state.flags[f]) {
-                            this.state.flags[f] = true;
-                            changed = true;
-                        }
-                    }
-                } else {
-                    for (const [k, v] of Object.entries(act.setFlags)) {
-                        if (!!this.state.flags[k] !== !!v) {
-                            this.state.flags[k] = !!v;
-                            changed = true;
-                        }
-                    }
-                }
-                if (changed) this._saveState();
-            }
+            // 3. Execute Actions (shared registry; highlights default to the event scene)
+            await this._applyActions(ev.then, {event: ev, scene: w.scene || this.state.scene});
         }
     }
 
@@ -1482,6 +1846,7 @@ export class Game {
      * @param {object} cfg - { src, mode, rect, delay, allowSkip, onEnd }
      */
     async _playVideo(cfg) {
+        if (this.headless) return;
         const src = this._resolveAsset(cfg.src);
 
         // 1. Delay logic (optional wait before showing video)
@@ -1489,6 +1854,9 @@ export class Game {
             await new Promise(resolve => setTimeout(resolve, cfg.delay));
         }
 
+        this.timers.pause('video');
+        const resumeTimers = () => this.timers.resume('video');
+
         return new Promise((resolve) => {
             // Container setup
             const wrapper = document.createElement('div');
@@ -1547,6 +1915,7 @@ export class Game {
 
                 video.pause();
                 if (wrapper.parentNode) wrapper.parentNode.removeChild(wrapper);
+                resumeTimers();
 
                 // Execute follow-up actions (onEnd) if defined
                 // Note: We resolve first to unblock the engine, logic happens outside
@@ -1576,7 +1945,7 @@ export class Game {
         if (this.dialogsData || !this.dialogsUrl) return;
         try {
             this._dbg('_ensureDialogsLoaded(): fetching', this.dialogsUrl);
-            const r = await fetch(this.dialogsUrl, {cache: 'no-cache'});
+            const r = await this._fetch(this.dialogsUrl, {cache: 'no-cache'});
             const json = await r.json();
             this.dialogsData = json || {dialogs: [], characters: []};
             this._dbg('_ensureDialogsLoaded(): fetched OK', {dialogs: this.dialogsData.dialogs?.length ?? 0});
@@ -1598,22 +1967,195 @@ export class Game {
             this._msg('Dialogy nejsou k dispozici.');
             return;
         }
-        return await this.dialogUI.open(id);
+        // inside a running dialog (onNext, onChoose…) the other one takes over instead of nesting
+        if (this.dialogUI.active && this.dialogUI.handOver) return this.dialogUI.handOver(arg);
+        // a replaced dialogUI may only implement open()
+        const dlg = this.dialogUI.find?.(id);
+        if (dlg && this.dialogUI.sequenceFor?.(dlg) === null) {
+            this._dbg('openDialog() skipped: "once" dialog already played →', dlg.id);
+            return;
+        }
+        this.timers.pause('dialog');
+        const openedAt = Date.now();
+        this.analytics.emit('dialog.open', {dialog: id});
+        this._emit('dialogopen', {dialog: id});
+        try {
+            return await this.dialogUI.open(id);
+        } finally {
+            this.timers.resume('dialog');
+            if (this.currentScene) this._renderHotspots(); // `seen` conditions
+            this.analytics.emit('dialog.close', {dialog: id, durationMs: Date.now() - openedAt});
+            this._emit('dialogclose', {dialog: id});
+        }
     }
 
     // --- persistence ------------------------------------------------------------
 
+    _ensureSaves() {
+        if (!this.saves) this.saves = new SaveManager({gameId: this.meta?.id || 'unknown', storage: this.storage});
+        return this.saves;
+    }
+
+    /** Queue a storage operation behind the previous ones; failures are logged, not thrown. */
+    _enqueueStorage(fn) {
+        const p = this._saveQueue.then(fn);
+        this._saveQueue = p.catch(err => console.error('[GAME] storage operation failed:', err));
+        return p;
+    }
+
+    /** Resolves once every queued write has reached the storage adapter. */
+    flushSaves() {
+        return this._saveQueue;
+    }
+
+    /** Slot header extras: scene title + scene image as thumbnail. */
+    _slotInfo() {
+        const sc = this.currentScene || this.data?.scenes?.find(s => s.id === this.state?.scene);
+        return {
+            sceneTitle: sc ? this._text(sc.title) : '',
+            thumbnail: sc?.image ? this._resolveAsset(sc.image) : null
+        };
+    }
+
+    /** Autosave. Fire-and-forget for callers; the snapshot is taken synchronously. */
     _saveState() {
         this.state.signature = this._signature();
-        localStorage.setItem('leeuwenhoek_escape_state', JSON.stringify(this.state));
+        const snapshot = JSON.parse(JSON.stringify(this.state));
+        const info = this._slotInfo();
+        void this._enqueueStorage(() => this._ensureSaves().saveAuto(snapshot, info));
     }
 
+    /** @returns {Promise<object|null>} */
     _loadState() {
-        try {
-            const raw = localStorage.getItem('leeuwenhoek_escape_state');
-            return raw ? JSON.parse(raw) : null;
-        } catch {
-            return null;
+        return this._ensureSaves().loadAuto();
+    }
+
+    /**
+     * Run a restored state through the migration pipeline (engine schema + game version).
+     * @returns {object|null} up-to-date state, or null when it cannot be used
+     */
+    _restoreState(saved) {
+        return migrateState(saved, {
+            gameId: this.meta?.id || 'unknown',
+            version: this.meta?.version || '0',
+            lang: this.lang,
+            data: this.data,
+            log: (...a) => this._dbg(...a)
+        });
+    }
+
+    /**
+     * Save current state into a manual slot.
+     * @param {string|null} slotId - existing slot to overwrite, or null for a new slot
+     * @param {string} [name]
+     * @returns {Promise<object>} slot header
+     */
+    saveToSlot(slotId, name) {
+        const saves = this._ensureSaves();
+        const id = slotId || saves.newSlotId();
+        this.state.signature = this._signature();
+        const snapshot = JSON.parse(JSON.stringify(this.state));
+        const info = {...this._slotInfo(), name: name || id, kind: 'manual'};
+        return this._enqueueStorage(() => saves.save(id, snapshot, info));
+    }
+
+    /**
+     * Delete a saved slot (queued behind pending writes, which update the same slot index).
+     * @param {string} slotId
+     * @returns {Promise<void>}
+     */
+    deleteSlot(slotId) {
+        const saves = this._ensureSaves();
+        return this._enqueueStorage(() => saves.remove(slotId));
+    }
+
+    /**
+     * Replace current state with a saved slot and re-render.
+     * @param {string} slotId
+     * @returns {Promise<boolean>} false when the slot is missing or belongs to another game
+     */
+    async loadFromSlot(slotId) {
+        await this.flushSaves();
+        const rec = await this._ensureSaves().load(slotId);
+        const restored = this._restoreState(rec?.state);
+        if (!restored) {
+            this.toast(this._t('engine.saves.incompatible', 'Tuto uloženou hru nelze načíst.'), 3000);
+            return false;
         }
+        await this._applyRestoredState(restored, rec.state.signature);
+        return true;
+    }
+
+    /** Swap in a migrated state, persist it as the autosave and re-render. */
+    async _applyRestoredState(restored, prevSignature) {
+        this.state = restored;
+        if (!this.state.startedAt) this.state.startedAt = Date.now();
+        document.body.classList.remove('use-on');
+        if (this.state.hero?.id && parseSignature(prevSignature).lang !== this.lang) {
+            this._setHeroInternal(this.state.hero.id);
+        }
+        this._saveState();
+
+        this.timers.restore();
+        await this.goto(this.state.scene, {noSave: true});
+        this._renderInventory();
+    }
+
+    // --- portable save files ----------------------------------------------------
+
+    /** @returns {object} save file (format, signature, checksum, state) */
+    exportSave() {
+        return buildSaveFile(this.state, {
+            signature: this._signature(),
+            gameId: this.meta?.id || 'unknown',
+            version: this.meta?.version || '0'
+        });
+    }
+
+    /** Offer the current state as a downloadable .json file. */
+    downloadSave() {
+        const file = this.exportSave();
+        const blob = new Blob([JSON.stringify(file, null, 2)], {type: 'application/json'});
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${file.gameId}-save-${file.exportedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Validate and load a save file produced by exportSave().
+     * @param {string|object} input - file contents or parsed object
+     * @throws {SaveFileError}
+     */
+    async importSave(input) {
+        const saved = parseSaveFile(input, {gameId: this.meta?.id || 'unknown'});
+        const restored = this._restoreState(saved);
+        if (!restored) {
+            throw new SaveFileError('game', 'Save file cannot be used with this game');
+        }
+        await this._applyRestoredState(restored, saved.signature);
+    }
+
+    /** Localized message for a failed import. */
+    _saveFileErrorText(err) {
+        switch (err?.code) {
+            case 'parse':
+            case 'format':
+                return this._t('engine.saves.err.format', 'Soubor není uložená hra.');
+            case 'checksum':
+                return this._t('engine.saves.err.checksum', 'Soubor je poškozený nebo upravený (nesedí kontrolní součet).');
+            case 'game':
+                return this._t('engine.saves.err.game', 'Uložená hra patří ke hře „{id}“, ne k této.', {id: err.fileGameId || '?'});
+            default:
+                return String(err?.message || err);
+        }
+    }
+
+    openSaveMenu() {
+        return openSaveMenu(this);
     }
 }
@@ -0,0 +1,381 @@
+// engine/headless.js
+// Headless play: run a game's logic (state, conditions, actions, events, puzzles, dialogs)
+// without rendering it, for automated playthroughs in CI and quick logic tests.
+//
+//   const hg = await loadHeadlessGame({gameId: 'leeuwenhoek', fetch: fileFetch(repoRoot)});
+//   await hg.click({target: 'main-room'});                  // hotspot selector, see findHotspot()
+//   await hg.click('safe', {answer: '1234'});               // answer for the puzzle it opens
+//   await hg.use('golden_key', {target: 'exit'});
+//   hg.scene === 'exit'
+//
+//   await hg.play(walkthrough.steps);                       // games/<id>/walkthrough.json
+//   hg.destroy();                                           // stops the timer ticker, drops pagehide listeners
+//
+// The Game gets `headless: driver` – no page markup, no image/video loading, no results screen;
+// puzzles, dialog choices and modals are answered by the HeadlessDriver instead of a player.
+// Puzzle kinds still build their widgets (detached), so a DOM implementation is needed
+// (a browser or jsdom, as in the test suite).
+
+import {Game} from './engine.js';
+import {MemoryStorageAdapter} from './storage.js';
+import {ENGINE_I18N} from './i18n.js';
+
+export class PlaythroughError extends Error {
+    constructor(code, message, extra = {}) {
+        super(message);
+        this.name = 'PlaythroughError';
+        this.code = code;
+        Object.assign(this, extra);
+    }
+}
+
+const SOLUTION = true; // answer value: use the puzzle's own solution
+
+/**
+ * Answers what a player would: puzzles, dialog choices, modals. Collects messages and toasts.
+ *
+ * Puzzle answers have the shape of the kind's result detail: text (phrase, code), token ids
+ * (quiz, order), `{tokenId: value}` (choice), `{tokenId: groupId}` (group), `[[a, b], …]` (match),
+ * `{gapId: tokenId}` (cloze). `true` = the puzzle's own solution, `null` = cancel.
+ */
+export class HeadlessDriver {
+    /**
+     * @param {{answers?:Object<string, *>, autoSolve?:boolean, choose?:Array<string|number>}} [opts]
+     *   answers – per puzzle ref, used whenever that puzzle opens;
+     *   autoSolve – solve puzzles without an answer (otherwise they are cancelled);
+     *   choose – picks for the next dialog choice points
+     */
+    constructor({answers = {}, autoSolve = false, choose = []} = {}) {
+        this.game = null;
+        this.answers = {...answers};
+        this.autoSolve = autoSolve;
+        this.queue = [];            // answers for the next puzzles to open, in order
+        this.choices = [...choose]; // picks for the next choice points: choice id, label or index
+        this.messages = [];         // {kind: 'message'|'toast', text}
+        this.issues = [];           // what a playthrough must not ignore (unanswered puzzles…)
+    }
+
+    _nextAnswer(ref, first) {
+        if (this.queue.length) return {value: this.queue.shift()};
+        if (first && Object.hasOwn(this.answers, ref)) return {value: this.answers[ref]};
+        if (first && this.autoSolve) return {value: SOLUTION};
+        return null;
+    }
+
+    async onPuzzle({puzzle, ref, isResolved}) {
+        await Promise.resolve(); // let the runner finish mounting
+        for (let attempt = 0; !isResolved(); attempt++) {
+            const next = this._nextAnswer(ref, attempt === 0);
+            if (!next) {
+                if (attempt === 0) this.issues.push(`puzzle "${ref}" opened without an answer`);
+                else this.issues.push(`puzzle "${ref}" rejected the answer and nothing else was given`);
+                puzzle.onCancel();
+                return;
+            }
+            if (next.value === null) {
+                puzzle.onCancel();
+                return;
+            }
+            const answer = next.value === SOLUTION ? puzzle.solutionAnswer() : next.value;
+            if (answer == null) {
+                this.issues.push(`puzzle "${ref}" (${puzzle.kind}) cannot be auto-solved`);
+                puzzle.onCancel();
+                return;
+            }
+            puzzle.setAnswer(answer);
+            await puzzle.onOk(); // blockUntilSolved keeps a wrong answer open → next attempt
+        }
+    }
+
+    onChoice({dialog, choices}) {
+        if (!this.choices.length) return choices[0];
+        const pick = this.choices.shift();
+        if (typeof pick === 'number') {
+            if (choices[pick]) return choices[pick];
+        } else {
+            const found = choices.find(ch => ch.id === pick || ch.label === pick ||
+                this.game?._text(ch.label) === pick);
+            if (found) return found;
+        }
+        this.issues.push(`dialog "${dialog}" has no choice ${JSON.stringify(pick)} here`);
+        return choices[0];
+    }
+
+    onModal() {
+        return true;
+    }
+
+    onMessage(text, kind) {
+        this.messages.push({kind, text: String(text ?? '')});
+    }
+}
+
+/**
+ * A loaded headless game with player-level controls and state accessors.
+ */
+export class HeadlessGame {
+    /**
+     * @param {Game} game - created with `headless: driver` and initialized
+     * @param {HeadlessDriver} driver
+     */
+    constructor(game, driver) {
+        this.game = game;
+        this.driver = driver;
+    }
+
+    get state() {
+        return this.game.state;
+    }
+
+    /** Done with the game: see Game#destroy. */
+    destroy() {
+        this.game.destroy();
+    }
+
+    get scene() {
+        return this.game.state.scene;
+    }
+
+    get inventory() {
+        return this.game.state.inventory.slice();
+    }
+
+    get messages() {
+        return this.driver.messages.map(m => m.text);
+    }
+
+    has(itemId) {
+        return this.game.state.inventory.includes(itemId);
+    }
+
+    flag(name) {
+        return !!this.game.state.flags[name];
+    }
+
+    solved(ref) {
+        return !!this.game.state.solved['solved:pz:' + ref];
+    }
+
+    /**
+     * Hotspot of the current scene. Selector: `"#2"` (index), a hotspot id, else the first hotspot
+     * whose target / puzzleRef / itemId / dialogId equals the string, or an object whose fields
+     * must all match (`{type: 'goTo', target: 'lab'}`).
+     * @param {string|object} selector
+     * @returns {object}
+     */
+    findHotspot(selector) {
+        const list = this.game.currentScene?.hotspots || [];
+        let h = null;
+        if (typeof selector === 'string' && /^#\d+$/.test(selector)) {
+            h = list[Number(selector.slice(1))];
+        } else if (typeof selector === 'string') {
+            h = list.find(x => x.id === selector) ||
+                ['target', 'puzzleRef', 'itemId', 'dialogId'].map(k => list.find(x => x[k] === selector)).find(Boolean);
+        } else if (selector && typeof selector === 'object') {
+            h = list.find(x => Object.entries(selector).every(([k, v]) => String(x[k]) === String(v)));
+        }
+        if (!h) {
+            throw new PlaythroughError('no-hotspot', `No hotspot ${JSON.stringify(selector)} in scene "${this.scene}"`, {selector});
+        }
+        return h;
+    }
+
+    /** Is the hotspot clickable now (conditions met, no passive state)? */
+    canClick(selector) {
+        const h = this.findHotspot(selector);
+        const state = (h.states || []).find(s => this.game._conditionsMet(s));
+        return state?.clickable !== false && this.game._conditionsMet(h);
+    }
+
+    /**
+     * Click a hotspot of the current scene and wait until everything it started is over.
+     * @param {string|object} selector
+     * @param {{answer?:*, answers?:Object<string, *>, choose?:Array<string|number>, locked?:boolean}} [opts]
+     *   answer – for the next puzzle that opens; answers – per ref for this click;
+     *   choose – dialog picks; locked – expect the hotspot to be locked (nothing happens)
+     * @returns {Promise<{locked:boolean}>}
+     */
+    async click(selector, {answer, answers, choose, locked} = {}) {
+        const h = this.findHotspot(selector);
+        const isLocked = !this.canClick(selector);
+        if (locked != null && locked !== isLocked) {
+            throw new PlaythroughError('locked', `Hotspot ${JSON.stringify(selector)} in scene "${this.scene}" is ${isLocked ? 'locked' : 'not locked'}`, {selector});
+        }
+        if (isLocked) {
+            if (locked) return {locked: true};
+            throw new PlaythroughError('locked', `Hotspot ${JSON.stringify(selector)} in scene "${this.scene}" is locked`, {selector});
+        }
+        await this._run(() => this.game._activateHotspot(h), {answer, answers, choose});
+        return {locked: false};
+    }
+
+    /** Select an inventory item and click a hotspot with it. */
+    async use(itemId, selector, opts = {}) {
+        if (!this.has(itemId)) {
+            throw new PlaythroughError('missing-item', `Cannot use "${itemId}": not in the inventory`, {item: itemId});
+        }
+        this.game.enterUseMode(itemId);
+        return this.click(selector, opts);
+    }
+
+    async goto(sceneId, opts = {}) {
+        if (!this.game.data.scenes.some(s => s.id === sceneId)) {
+            throw new PlaythroughError('no-scene', `No scene "${sceneId}"`, {scene: sceneId});
+        }
+        await this._run(() => this.game.goto(sceneId), opts);
+    }
+
+    async openDialog(id, opts = {}) {
+        await this._run(() => this.game.openDialog(id), opts);
+    }
+
+    /** Run an action bundle (actions.js), e.g. to set up state for a test. */
+    async actions(bundle, opts = {}) {
+        await this._run(() => this.game._applyActions(bundle), opts);
+    }
+
+    async _run(fn, {answer, answers, choose} = {}) {
+        const d = this.driver;
+        const savedAnswers = d.answers;
+        if (answer !== undefined) d.queue.push(answer);
+        if (answers) d.answers = {...d.answers, ...answers};
+        if (choose) d.choices.push(...choose);
+        d.issues = [];
+        try {
+            await fn();
+            if (d.queue.length) d.issues.push(`answer not used: ${JSON.stringify(d.queue)}`);
+            if (d.choices.length) d.issues.push(`dialog choice not used: ${JSON.stringify(d.choices)}`);
+        } finally {
+            d.answers = savedAnswers;
+            d.queue = [];
+            d.choices = [];
+        }
+        if (d.issues.length) {
+            const issues = d.issues;
+            d.issues = [];
+            throw new PlaythroughError('issues', issues.join('; '), {issues});
+        }
+    }
+
+    /**
+     * Check the game state; throws PlaythroughError('expect') listing every mismatch.
+     * @param {{scene?:string, items?:string[], missingItems?:string[], flags?:string[]|Object<string, boolean>,
+     *   vars?:Object<string, *>, solved?:string[], finished?:boolean, message?:string}} exp
+     * @param {number} [messagesFrom] - `message` is looked up in messages from this index on
+     */
+    expect(exp, messagesFrom = 0) {
+        const s = this.game.state;
+        const fails = [];
+        if (exp.scene != null && s.scene !== exp.scene) fails.push(`scene "${s.scene}" instead of "${exp.scene}"`);
+        for (const id of exp.items || []) if (!this.has(id)) fails.push(`item "${id}" missing`);
+        for (const id of exp.missingItems || []) if (this.has(id)) fails.push(`item "${id}" should not be in the inventory`);
+        const flags = Array.isArray(exp.flags) ? Object.fromEntries(exp.flags.map(f => [f, true])) : (exp.flags || {});
+        for (const [f, v] of Object.entries(flags)) if (this.flag(f) !== !!v) fails.push(`flag "${f}" is ${this.flag(f)}`);
+        for (const [k, v] of Object.entries(exp.vars || {})) {
+            if (s.vars?.[k] !== v) fails.push(`var "${k}" is ${JSON.stringify(s.vars?.[k])}, expected ${JSON.stringify(v)}`);
+        }
+        for (const ref of exp.solved || []) if (!this.solved(ref)) fails.push(`puzzle "${ref}" not solved`);
+        if (exp.finished != null && !!s.finishedAt !== exp.finished) fails.push(exp.finished ? 'game not finished' : 'game already finished');
+        if (exp.message != null && !this.messages.slice(messagesFrom).some(m => m.includes(exp.message))) {
+            fails.push(`no message containing "${exp.message}"`);
+        }
+        if (fails.length) throw new PlaythroughError('expect', fails.join('; '), {fails});
+    }
+
+    /**
+     * Play a walkthrough. Steps (each may add `expect`, checked afterwards):
+     *   {click: selector, answer?, answers?, choose?, locked?}   {use: itemId, on: selector, …}
+     *   {goto: sceneId}   {dialog: id, choose?}   {actions: {…}}   {expect: {…}}
+     * Errors are re-thrown as PlaythroughError with the failing step (`step`, `index`).
+     * @param {object[]} steps
+     */
+    async play(steps) {
+        for (const [index, step] of (steps || []).entries()) {
+            const from = this.driver.messages.length;
+            const opts = {answer: step.answer, answers: step.answers, choose: step.choose, locked: step.locked};
+            try {
+                if (step.click !== undefined) await this.click(step.click, opts);
+                else if (step.use !== undefined) await this.use(step.use, step.on, opts);
+                else if (step.goto !== undefined) await this.goto(step.goto, opts);
+                else if (step.dialog !== undefined) await this.openDialog(step.dialog, opts);
+                else if (step.actions !== undefined) await this.actions(step.actions, opts);
+                if (step.expect) this.expect(step.expect, from);
+            } catch (err) {
+                const where = `Step ${index + 1} ${JSON.stringify(step)}`;
+                if (err instanceof PlaythroughError) {
+                    err.message = `${where}: ${err.message}`;
+                    Object.assign(err, {step, index});
+                    throw err;
+                }
+                throw new PlaythroughError('error', `${where}: ${err?.message || err}`, {step, index, cause: err});
+            }
+        }
+    }
+}
+
+/**
+ * Create and init a headless game. Defaults follow index.html: games/<gameId>/scenes.json,
+ * dialogs.json, i18n/<lang>.json; saves go to memory.
+ * @param {object} opts - Game options plus:
+ *   gameId, fetch (e.g. fileFetch(root) in Node), driver or its options (answers, autoSolve, choose)
+ * @returns {Promise<HeadlessGame>}
+ */
+export async function loadHeadlessGame({
+    gameId = null,
+    baseUrl = gameId ? `./games/${gameId}/` : './',
+    lang = 'cs',
+    fetch: fetchFn = (...a) => globalThis.fetch(...a),
+    driver = null,
+    answers,
+    autoSolve,
+    choose,
+    ...opts
+} = {}) {
+    driver = driver || new HeadlessDriver({answers, autoSolve, choose});
+    let i18n = opts.i18n;
+    if (!i18n) {
+        let game = {};
+        try {
+            const r = await fetchFn(`${baseUrl}i18n/${lang}.json`);
+            if (r.ok) game = await r.json();
+        } catch {
+            // no per-game strings
+        }
+        i18n = {engine: ENGINE_I18N[lang] || ENGINE_I18N.cs, game};
+    }
+    const game = new Game({
+        baseUrl,
+        scenesUrl: `${baseUrl}scenes.json`,
+        dialogsUrl: `${baseUrl}dialogs.json`,
+        storage: new MemoryStorageAdapter(),
+        bridge: false,
+        ...opts,
+        lang,
+        i18n,
+        fetch: fetchFn,
+        headless: driver
+    });
+    driver.game = game;
+    await game.init();
+    return new HeadlessGame(game, driver);
+}
+
+/**
+ * fetch() stand-in for Node that reads relative URLs from a directory (`./games/x/…` → <root>/games/x/…).
+ * @param {string} root
+ */
+export function fileFetch(root) {
+    return async (url) => {
+        const [{readFile}, {join}] = await Promise.all([import('node:fs/promises'), import('node:path')]);
+        const path = join(root, String(url).split(/[?#]/)[0]);
+        try {
+            const text = await readFile(path, 'utf8');
+            return {ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text)};
+        } catch {
+            const fail = async () => {
+                throw new Error(`Not found: ${url}`);
+            };
+            return {ok: false, status: 404, text: fail, json: fail};
+        }
+    };
+}
@@ -0,0 +1,192 @@
+// engine/hints.js
+// Progressive hints: per-scene and per-puzzle ladders revealed one at a time.
+//
+//   scene / puzzle:  "hints": [ { "text": "…", "rect": {x,y,w,h}, "image": "assets/hint1.png", "cost": 10 } ]
+// `rect` flashes a highlight: in % of the scene for scene hints, in % of the puzzle window for puzzle hints.
+//   scenes.json:     "hintSettings": { "cooldown": 30, "cost": 5, "costVar": "score",
+//                                      "timePenalty": 60, "timer": "game" }
+// While a puzzle is open its ladder is used, otherwise the current scene's.
+// `cost` is subtracted from the var `costVar`, `timePenalty` seconds from the timer `timer`;
+// both can be overridden per hint. Usage is recorded in state.hints:
+//   { revealed: { "scene:hall": 2 }, log: [ { ladder, index, at, cost, timePenalty } ], lastAt }
+
+/** @returns {{id:string, hints:object[]}|null} ladder for the current context */
+export function currentLadder(game) {
+    const ref = game._activePuzzleRef;
+    if (ref) {
+        const hints = game.data?.puzzles?.[ref]?.hints;
+        if (Array.isArray(hints) && hints.length) return {id: 'puzzle:' + ref, hints};
+    }
+    const scene = game.currentScene;
+    if (scene && Array.isArray(scene.hints) && scene.hints.length) return {id: 'scene:' + scene.id, hints: scene.hints};
+    return null;
+}
+
+function record(game) {
+    const st = game.state;
+    st.hints = st.hints || {};
+    st.hints.revealed = st.hints.revealed || {};
+    st.hints.log = st.hints.log || [];
+    return st.hints;
+}
+
+/** Number of hints already revealed in a ladder. */
+export function revealedCount(game, ladderId) {
+    return record(game).revealed[ladderId] || 0;
+}
+
+/** Seconds left until the next hint may be revealed (0 = ready). */
+export function cooldownLeft(game) {
+    const cooldown = Number(game.data?.hintSettings?.cooldown) || 0;
+    const last = record(game).lastAt;
+    if (!cooldown || !last) return 0;
+    return Math.max(0, Math.ceil((last + cooldown * 1000 - Date.now()) / 1000));
+}
+
+/** Effective cost / time penalty of a hint (per-hint value wins over hintSettings). */
+export function hintPrice(game, hint) {
+    const s = game.data?.hintSettings || {};
+    return {
+        cost: Number(hint?.cost ?? s.cost) || 0,
+        timePenalty: Number(hint?.timePenalty ?? s.timePenalty) || 0
+    };
+}
+
+/**
+ * Reveal the next hint of the current ladder, pay its price and show its highlight.
+ * @param {import('./engine.js').Game} game
+ * @returns {Promise<{ok:true, hint:object, index:number} | {ok:false, reason:'none'|'exhausted'|'cooldown', wait?:number}>}
+ */
+export async function revealNextHint(game) {
+    const ladder = currentLadder(game);
+    if (!ladder) return {ok: false, reason: 'none'};
+
+    const rec = record(game);
+    const index = rec.revealed[ladder.id] || 0;
+    if (index >= ladder.hints.length) return {ok: false, reason: 'exhausted'};
+
+    const wait = cooldownLeft(game);
+    if (wait) return {ok: false, reason: 'cooldown', wait};
+
+    const hint = ladder.hints[index];
+    const {cost, timePenalty} = hintPrice(game, hint);
+    const settings = game.data?.hintSettings || {};
+
+    rec.revealed[ladder.id] = index + 1;
+    rec.lastAt = Date.now();
+    rec.log.push({ladder: ladder.id, index, at: rec.lastAt, cost, timePenalty});
+
+    if (cost) {
+        const costVar = settings.costVar || 'score';
+        game.setVar(costVar, (Number(game.getVar(costVar)) || 0) - cost);
+    }
+    if (timePenalty) game.timers.addTime(settings.timer || 'game', -timePenalty);
+
+    game._dbg('[HINTS] revealed', ladder.id, index);
+    game.analytics?.emit('hint.reveal', {ladder: ladder.id, index, cost, timePenalty});
+    await game._stateChanged();
+
+    // after _stateChanged (it re-renders the hotspot layer)
+    if (hint.rect) {
+        const show = ladder.id.startsWith('scene:') ? '_showHighlightRect' : '_showPuzzleHighlightRect';
+        game[show](hint.rect, hint.ms ?? 4000, {outline: true});
+    }
+    return {ok: true, hint, index};
+}
+
+/**
+ * Hint modal: already revealed hints of the current ladder + "next hint" button
+ * (with its price and a live cooldown countdown).
+ * @param {import('./engine.js').Game} game
+ * @returns {Promise<void>}
+ */
+export async function openHintMenu(game) {
+    const body = document.createElement('div');
+    body.className = 'modal-body hint-menu';
+    let ticker = null;
+    let waiting = false;
+
+    const render = () => {
+        body.innerHTML = '';
+        const ladder = currentLadder(game);
+        if (!ladder) {
+            const empty = document.createElement('div');
+            empty.className = 'hint-empty';
+            empty.textContent = game._t('engine.hints.none', 'Tady žádná nápověda není.');
+            body.appendChild(empty);
+            return;
+        }
+
+        const count = revealedCount(game, ladder.id);
+        const ol = document.createElement('ol');
+        ol.className = 'hint-list';
+        ladder.hints.slice(0, count).forEach(h => {
+            const li = document.createElement('li');
+            li.className = 'hint';
+            const text = document.createElement('div');
+            text.className = 'hint-text';
+            text.textContent = game._text(h.text);
+            li.appendChild(text);
+            if (h.image) {
+                const img = document.createElement('img');
+                img.className = 'hint-image';
+                img.src = game._resolveAsset(h.image);
+                img.alt = '';
+                li.appendChild(img);
+            }
+            ol.appendChild(li);
+        });
+        if (count) body.appendChild(ol);
+
+        if (count >= ladder.hints.length) {
+            const done = document.createElement('div');
+            done.className = 'hint-empty';
+            done.textContent = game._t('engine.hints.allUsed', 'Všechny nápovědy už máš.');
+            body.appendChild(done);
+            return;
+        }
+
+        const {cost, timePenalty} = hintPrice(game, ladder.hints[count]);
+        const price = [
+            cost ? game._t('engine.hints.cost', '−{n} b.', {n: cost}) : '',
+            timePenalty ? game._t('engine.hints.penalty', '−{n} s', {n: timePenalty}) : ''
+        ].filter(Boolean).join(', ');
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn--action hint-next';
+        const wait = cooldownLeft(game);
+        waiting = wait > 0;
+        btn.disabled = waiting;
+        btn.textContent = wait
+            ? game._t('engine.hints.cooldown', 'Další nápověda za {s} s', {s: wait})
+            : game._t('engine.hints.next', 'Ukázat nápovědu {n}/{total}', {n: count + 1, total: ladder.hints.length})
+                + (price ? ` (${price})` : '');
+        btn.addEventListener('click', async () => {
+            await revealNextHint(game);
+            render();
+        });
+        body.appendChild(btn);
+    };
+
+    render();
+    if (Number(game.data?.hintSettings?.cooldown) > 0) {
+        ticker = setInterval(() => {
+            if (waiting) render();
+        }, 1000);
+    }
+
+    // above an open puzzle overlay
+    game.modalRoot.classList.add('modal--top');
+    try {
+        await game.openModal({
+            title: game._t('engine.hints.title', 'Nápověda'),
+            body,
+            okLabel: game._t('engine.modal.ok', 'OK'),
+            cancelLabel: game._t('engine.modal.cancel', 'Zavřít')
+        });
+    } finally {
+        if (ticker) clearInterval(ticker);
+        game.modalRoot.classList.remove('modal--top');
+    }
+}
@@ -17,6 +17,66 @@ export const ENGINE_I18N = {
         'engine.use.applied': 'Předmět byl použit.',
         'engine.use.button': 'Použít',
         'engine.use.notApplicable': 'Tento předmět tady nelze použít.',
+        'engine.saves.title': 'Uložené hry',
+        'engine.saves.save': 'Uložit',
+        'engine.saves.load': 'Načíst',
+        'engine.saves.delete': 'Smazat',
+        'engine.saves.saved': 'Uloženo: {name}',
+        'engine.saves.autosave': 'Automatické uložení',
+        'engine.saves.empty': 'Zatím žádné uložené hry.',
+        'engine.saves.namePlaceholder': 'Název uložené hry',
+        'engine.saves.incompatible': 'Tuto uloženou hru nelze načíst.',
+        'engine.saves.export': 'Exportovat',
+        'engine.saves.import': 'Importovat',
+        'engine.saves.imported': 'Uložená hra byla načtena.',
+        'engine.saves.err.format': 'Soubor není uložená hra.',
+        'engine.saves.err.checksum': 'Soubor je poškozený nebo upravený (nesedí kontrolní součet).',
+        'engine.saves.err.game': 'Uložená hra patří ke hře „{id}“, ne k této.',
+        'engine.timer.expired': 'Čas vypršel!',
+        'engine.hints.title': 'Nápověda',
+        'engine.hints.none': 'Tady žádná nápověda není.',
+        'engine.hints.allUsed': 'Všechny nápovědy už máš.',
+        'engine.hints.next': 'Ukázat nápovědu {n}/{total}',
+        'engine.hints.cooldown': 'Další nápověda za {s} s',
+        'engine.hints.cost': '−{n} b.',
+        'engine.hints.penalty': '−{n} s',
+        'engine.results.title': 'Výsledky',
+        'engine.results.score': 'Skóre: {score}',
+        'engine.results.time': 'Čas',
+        'engine.results.hints': 'Použité nápovědy',
+        'engine.results.puzzles': 'Úlohy',
+        'engine.results.puzzlesValue': '{correct} správně, {wrong} chybně ({attempts} pokusů)',
+        'engine.results.scenes': 'Navštívené scény',
+        'engine.results.items': 'Nalezené předměty',
+        'engine.results.leaderboard': 'Žebříček',
+        'engine.results.boardEmpty': 'Zatím žádné výsledky.',
+        'engine.results.teamName': 'Jméno týmu',
+        'engine.results.submit': 'Zapsat do žebříčku',
+        'engine.report.title': 'Přehled odpovědí',
+        'engine.report.summary': '{correct} / {answered} správně',
+        'engine.report.empty': 'Zatím žádné odpovědi.',
+        'engine.report.export.csv': 'Stáhnout CSV',
+        'engine.report.export.json': 'Stáhnout JSON',
+        'engine.validate.title': 'Kontrola obsahu',
+        'engine.validate.summary': 'Chyby: {errors}, varování: {warnings}',
+        'engine.validate.clean': 'Obsah hry je v pořádku.',
+        'engine.validate.toast': 'Kontrola obsahu: chyby {errors} – podrobnosti v konzoli.',
+        'engine.a11y.inventory': 'Inventář',
+        'engine.a11y.inventoryEmpty': 'Inventář je prázdný.',
+        'engine.a11y.useOff': 'Předmět odložen.',
+        'engine.a11y.hotspotCount': 'Aktivní místa: {n}.',
+        'engine.a11y.hotspot': 'Místo {n}',
+        'engine.a11y.goTo': 'Jít: {name}',
+        'engine.a11y.pickup': 'Sebrat: {name}',
+        'engine.a11y.dialog': 'Promluvit',
+        'engine.a11y.dialogNamed': 'Promluvit: {name}',
+        'engine.a11y.puzzle': 'Úloha',
+        'engine.a11y.puzzleNamed': 'Úloha: {name}',
+        'engine.voice.volume': 'Hlasitost hlasu',
+        'engine.dialog.skip': 'Přeskočit',
+        'engine.backlog.title': 'Historie rozhovorů',
+        'engine.backlog.empty': 'Zatím jsi s nikým nemluvil(a).',
+        'engine.backlog.choice': '» {text}',
     },
     en: {
         'engine.sceneNotFound': 'Scene not found: {id}',
@@ -35,5 +95,65 @@ export const ENGINE_I18N = {
         'engine.use.applied': 'Item applied.',
         'engine.use.button': 'Use',
         'engine.use.notApplicable': 'You cannot use this item here.',
+        'engine.saves.title': 'Saved games',
+        'engine.saves.save': 'Save',
+        'engine.saves.load': 'Load',
+        'engine.saves.delete': 'Delete',
+        'engine.saves.saved': 'Saved: {name}',
+        'engine.saves.autosave': 'Autosave',
+        'engine.saves.empty': 'No saved games yet.',
+        'engine.saves.namePlaceholder': 'Save name',
+        'engine.saves.incompatible': 'This save cannot be loaded.',
+        'engine.saves.export': 'Export',
+        'engine.saves.import': 'Import',
+        'engine.saves.imported': 'Save file loaded.',
+        'engine.saves.err.format': 'This file is not a saved game.',
+        'engine.saves.err.checksum': 'The file is damaged or was edited (checksum mismatch).',
+        'engine.saves.err.game': 'This save belongs to the game "{id}", not this one.',
+        'engine.timer.expired': 'Time is up!',
+        'engine.hints.title': 'Hints',
+        'engine.hints.none': 'No hints here.',
+        'engine.hints.allUsed': 'You have seen all hints.',
+        'engine.hints.next': 'Show hint {n}/{total}',
+        'engine.hints.cooldown': 'Next hint in {s} s',
+        'engine.hints.cost': '−{n} pts',
+        'engine.hints.penalty': '−{n} s',
+        'engine.results.title': 'Results',
+        'engine.results.score': 'Score: {score}',
+        'engine.results.time': 'Time',
+        'engine.results.hints': 'Hints used',
+        'engine.results.puzzles': 'Puzzles',
+        'engine.results.puzzlesValue': '{correct} correct, {wrong} wrong ({attempts} attempts)',
+        'engine.results.scenes': 'Scenes visited',
+        'engine.results.items': 'Items found',
+        'engine.results.leaderboard': 'Leaderboard',
+        'engine.results.boardEmpty': 'No results yet.',
+        'engine.results.teamName': 'Team name',
+        'engine.results.submit': 'Add to leaderboard',
+        'engine.report.title': 'Answer report',
+        'engine.report.summary': '{correct} / {answered} correct',
+        'engine.report.empty': 'No answers yet.',
+        'engine.report.export.csv': 'Download CSV',
+        'engine.report.export.json': 'Download JSON',
+        'engine.validate.title': 'Content check',
+        'engine.validate.summary': 'Errors: {errors}, warnings: {warnings}',
+        'engine.validate.clean': 'The game content looks fine.',
+        'engine.validate.toast': 'Content check: {errors} error(s) – details in the console.',
+        'engine.a11y.inventory': 'Inventory',
+        'engine.a11y.inventoryEmpty': 'The inventory is empty.',
+        'engine.a11y.useOff': 'Item put away.',
+        'engine.a11y.hotspotCount': 'Places to explore: {n}.',
+        'engine.a11y.hotspot': 'Place {n}',
+        'engine.a11y.goTo': 'Go to: {name}',
+        'engine.a11y.pickup': 'Pick up: {name}',
+        'engine.a11y.dialog': 'Talk',
+        'engine.a11y.dialogNamed': 'Talk: {name}',
+        'engine.a11y.puzzle': 'Puzzle',
+        'engine.a11y.puzzleNamed': 'Puzzle: {name}',
+        'engine.voice.volume': 'Voice volume',
+        'engine.dialog.skip': 'Skip',
+        'engine.backlog.title': 'Conversation history',
+        'engine.backlog.empty': 'You have not talked to anyone yet.',
+        'engine.backlog.choice': '» {text}',
     }
 };
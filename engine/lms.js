@@ -0,0 +1,271 @@
+// engine/lms.js
+// LMS integration: SCORM 1.2 / 2004 runtime reporting and xAPI statements.
+//
+// Both ride on the analytics bus (analytics.js): the SCORM adapter is a sink that turns
+//   scene.enter → bookmark (lesson_location / location)
+//   puzzle.resolve → cmi.interactions.n (id, type, result, response, latency)
+//   game.end → score + completion / pass-fail
+// and finishes the session (session time, exit, Terminate/LMSFinish) on pagehide.
+//
+// scenes.json (optional, everything defaults to "auto"):
+//   "lms": {
+//     "scorm": "auto" | "1.2" | "2004" | false,   // auto = use whichever API the LMS window exposes
+//     "scoreMax": 1000,                            // raw score range (default results.score.max or 100)
+//     "passingScore": 0.7,                         // scaled 0..1 → passed/failed instead of completed
+//     "xapi": { "endpoint": "…", "auth": "Basic …", "actor": {…} }   // or xAPI launch parameters in the URL
+//   }
+// The SCORM package itself is built by tools/scorm-export.mjs.
+
+import {XapiSink, isoDuration} from './analytics.js';
+import {computeResults} from './results.js';
+
+/** Interaction type per puzzle kind (SCORM vocabulary). */
+const INTERACTION_TYPES = {
+    quiz: 'choice',
+    choice: 'choice',
+    code: 'fill-in',
+    phrase: 'fill-in',
+    cloze: 'fill-in',
+    match: 'matching',
+    group: 'matching',
+    order: 'sequencing'
+};
+
+/**
+ * Find the SCORM runtime object in this window, its parents or opener (2004 wins over 1.2).
+ * @param {Window} [win]
+ * @returns {{api:object, version:'1.2'|'2004'}|null}
+ */
+export function findScormApi(win = globalThis.window) {
+    const seen = new Set();
+    const candidates = [];
+    let w = win;
+    for (let depth = 0; w && depth < 10 && !seen.has(w); depth++) {
+        seen.add(w);
+        candidates.push(w);
+        try {
+            w = w.parent !== w ? w.parent : null;
+        } catch {
+            w = null;
+        }
+    }
+    try {
+        if (win?.opener) candidates.push(win.opener);
+    } catch {
+        // cross-origin opener
+    }
+    for (const c of candidates) {
+        try {
+            if (c.API_1484_11) return {api: c.API_1484_11, version: '2004'};
+            if (c.API) return {api: c.API, version: '1.2'};
+        } catch {
+            // cross-origin frame
+        }
+    }
+    return null;
+}
+
+/** SCORM 1.2 CMITimespan (HHHH:MM:SS.SS). */
+export function scorm12Duration(ms) {
+    const total = Math.max(0, Number(ms) || 0) / 1000;
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = (total % 60).toFixed(2);
+    const pad = (n, w) => String(n).padStart(w, '0');
+    return `${pad(h, 4)}:${pad(m, 2)}:${s.padStart(5, '0')}`;
+}
+
+/** SCORM runtime reporting; an analytics sink (handle/flush) created by setupLms(). */
+export class ScormAdapter {
+    /**
+     * @param {import('./engine.js').Game} game
+     * @param {{api:object, version:'1.2'|'2004', scoreMax?:number, passingScore?:number}} opts
+     */
+    constructor(game, {api, version, scoreMax = null, passingScore = null}) {
+        this.game = game;
+        this.api = api;
+        this.v2004 = version === '2004';
+        this.version = version;
+        this.scoreMax = scoreMax;
+        this.passingScore = passingScore;
+        this.started = false;
+        this.finished = false;
+        this.completed = false;
+        this.startedAt = 0;
+    }
+
+    _call(name12, name2004, ...args) {
+        const fn = this.api[this.v2004 ? name2004 : name12];
+        if (typeof fn !== 'function') return '';
+        return fn.call(this.api, ...args);
+    }
+
+    get(key) {
+        return String(this._call('LMSGetValue', 'GetValue', key) ?? '');
+    }
+
+    set(key, value) {
+        const ok = String(this._call('LMSSetValue', 'SetValue', key, String(value))) === 'true';
+        if (!ok) this.game._dbg('[LMS] SetValue failed', key, value, this._call('LMSGetLastError', 'GetLastError'));
+        return ok;
+    }
+
+    commit() {
+        return String(this._call('LMSCommit', 'Commit', '')) === 'true';
+    }
+
+    /** Initialize the session and mark the attempt as started. @returns {boolean} */
+    start() {
+        if (this.started) return true;
+        if (String(this._call('LMSInitialize', 'Initialize', '')) !== 'true') {
+            console.warn('[LMS] SCORM Initialize failed');
+            return false;
+        }
+        this.started = true;
+        this.startedAt = Date.now();
+        if (this.v2004) {
+            const status = this.get('cmi.completion_status');
+            this.completed = status === 'completed';
+            if (!this.completed) this.set('cmi.completion_status', 'incomplete');
+        } else {
+            const status = this.get('cmi.core.lesson_status');
+            this.completed = ['completed', 'passed', 'failed'].includes(status);
+            if (!status || status === 'not attempted') this.set('cmi.core.lesson_status', 'incomplete');
+        }
+        this.commit();
+        return true;
+    }
+
+    handle(e) {
+        if (!this.started || this.finished) return;
+        const d = e.data || {};
+        if (e.type === 'scene.enter') {
+            this.set(this.v2004 ? 'cmi.location' : 'cmi.core.lesson_location', d.scene);
+        } else if (e.type === 'puzzle.resolve') {
+            this.recordInteraction(d, e.at);
+        } else if (e.type === 'game.end') {
+            this.complete();
+        }
+    }
+
+    /** Append a cmi.interactions entry for a resolved puzzle. */
+    recordInteraction({puzzle, kind, ok, response, durationMs}, at = Date.now()) {
+        const n = Number(this.get('cmi.interactions._count')) || 0;
+        const p = `cmi.interactions.${n}.`;
+        const id = 'puzzle_' + String(puzzle).replace(/[^\w.-]/g, '_');
+        this.set(p + 'id', id);
+        this.set(p + 'type', INTERACTION_TYPES[kind] || (this.v2004 ? 'other' : 'performance'));
+        if (this.v2004) {
+            this.set(p + 'timestamp', new Date(at - (durationMs || 0)).toISOString().slice(0, 19));
+            this.set(p + 'result', ok ? 'correct' : 'incorrect');
+            if (response) this.set(p + 'learner_response', String(response).slice(0, 4000));
+            if (durationMs != null) this.set(p + 'latency', isoDuration(durationMs));
+        } else {
+            this.set(p + 'time', new Date(at - (durationMs || 0)).toTimeString().slice(0, 8));
+            this.set(p + 'result', ok ? 'correct' : 'wrong');
+            if (response) this.set(p + 'student_response', String(response).slice(0, 255));
+            if (durationMs != null) this.set(p + 'latency', scorm12Duration(durationMs));
+        }
+        this.commit();
+    }
+
+    /** Report score and completion (passed/failed when a passingScore is set). */
+    complete() {
+        const r = computeResults(this.game);
+        const max = Number(this.scoreMax ?? this.game.data?.results?.score?.max) || 100;
+        const raw = Math.max(0, Math.min(max, r.score));
+        const scaled = Math.round((raw / max) * 1000) / 1000;
+        const passed = this.passingScore == null ? null : scaled >= Number(this.passingScore);
+
+        if (this.v2004) {
+            this.set('cmi.score.min', 0);
+            this.set('cmi.score.max', max);
+            this.set('cmi.score.raw', raw);
+            this.set('cmi.score.scaled', scaled);
+            this.set('cmi.completion_status', 'completed');
+            if (passed != null) this.set('cmi.success_status', passed ? 'passed' : 'failed');
+        } else {
+            this.set('cmi.core.score.min', 0);
+            this.set('cmi.core.score.max', max);
+            this.set('cmi.core.score.raw', raw);
+            this.set('cmi.core.lesson_status', passed == null ? 'completed' : (passed ? 'passed' : 'failed'));
+        }
+        this.completed = true;
+        this.commit();
+    }
+
+    /** Session time + exit mode, then Terminate/LMSFinish (once). */
+    finish() {
+        if (!this.started || this.finished) return;
+        this.finished = true;
+        const ms = Date.now() - this.startedAt;
+        if (this.v2004) {
+            this.set('cmi.session_time', isoDuration(ms));
+            this.set('cmi.exit', this.completed ? 'normal' : 'suspend');
+        } else {
+            this.set('cmi.core.session_time', scorm12Duration(ms));
+            this.set('cmi.core.exit', this.completed ? '' : 'suspend');
+        }
+        this.commit();
+        this._call('LMSFinish', 'Terminate', '');
+    }
+
+    flush() {
+        if (this.started && !this.finished) this.commit();
+    }
+}
+
+/**
+ * xAPI launch parameters (`?endpoint=…&auth=…&actor={…}&registration=…`) as XapiSink options.
+ * @param {string} [search]
+ * @returns {{endpoint:string, auth:string|null, actor:object|null, registration:string|null}|null}
+ */
+export function xapiLaunchParams(search = globalThis.location?.search || '') {
+    const p = new URLSearchParams(search);
+    const endpoint = p.get('endpoint');
+    if (!endpoint) return null;
+    let actor = null;
+    try {
+        actor = p.get('actor') ? JSON.parse(p.get('actor')) : null;
+    } catch {
+        console.warn('[LMS] xAPI actor parameter is not valid JSON');
+    }
+    if (Array.isArray(actor?.name)) actor.name = actor.name[0];
+    if (Array.isArray(actor?.mbox)) actor.mbox = actor.mbox[0];
+    if (Array.isArray(actor?.account)) actor.account = actor.account[0];
+    return {endpoint, auth: p.get('auth'), actor, registration: p.get('registration')};
+}
+
+/**
+ * Connect the game to an LMS (called from Game.init). SCORM when the runtime API is found,
+ * xAPI when configured or launched with xAPI parameters.
+ * @param {import('./engine.js').Game} game
+ * @param {object} [cfg] - scenes.json `lms`
+ * @param {{win?:Window, search?:string}} [env]
+ * @returns {{scorm:ScormAdapter|null, xapi:XapiSink|null}}
+ */
+export function setupLms(game, cfg = {}, {win = globalThis.window, search} = {}) {
+    const out = {scorm: null, xapi: null};
+    cfg = cfg || {};
+
+    if (cfg.scorm !== false) {
+        const found = findScormApi(win);
+        const wanted = cfg.scorm && cfg.scorm !== 'auto' ? String(cfg.scorm) : null;
+        if (found && (!wanted || wanted === found.version)) {
+            const adapter = new ScormAdapter(game, {...found, scoreMax: cfg.scoreMax, passingScore: cfg.passingScore});
+            if (adapter.start()) {
+                game.analytics.addSink(adapter);
+                win?.addEventListener?.('pagehide', () => adapter.finish());
+                out.scorm = adapter;
+                game._dbg('[LMS] SCORM', found.version, 'connected');
+            }
+        }
+    }
+
+    const xapi = cfg.xapi || xapiLaunchParams(search);
+    if (xapi?.endpoint) {
+        out.xapi = game.analytics.addSink(new XapiSink({activityBase: cfg.activityBase, ...xapi}));
+        game._dbg('[LMS] xAPI →', xapi.endpoint);
+    }
+    return out;
+}
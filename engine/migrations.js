@@ -0,0 +1,252 @@
+// engine/migrations.js
+// Versioned save-state schema + migration pipeline.
+// Two independent chains run on every restored state:
+//   1) engine steps  – keyed by STATE_SCHEMA (shape of Game.state itself)
+//   2) game steps    – keyed by meta.version (content changes: renamed flags, removed scenes…)
+// Game steps come from `scenes.json > migrations[]` (declarative) and from
+// registerGameMigration() (code). Language is NOT part of compatibility anymore.
+
+import {initialVars} from './vars.js';
+
+export const STATE_SCHEMA = 8;
+
+/** @type {{from:number, to:number, migrate:(state:object)=>object|void}[]} */
+const _engineSteps = [];
+
+/** @type {Map<string, {from:string, to:string, migrate:(state:object)=>object|void}[]>} */
+const _gameSteps = new Map();
+
+export function registerEngineMigration(step) {
+    _engineSteps.push(step);
+}
+
+/**
+ * Register a code migration for one game.
+ * @param {string} gameId
+ * @param {{from:string, to:string, migrate:(state:object, data:object)=>object|void}} step
+ */
+export function registerGameMigration(gameId, step) {
+    if (!_gameSteps.has(gameId)) _gameSteps.set(gameId, []);
+    _gameSteps.get(gameId).push(step);
+}
+
+/** "id|version|lang" → parts (missing parts are null). */
+export function parseSignature(sig) {
+    const [id = null, version = null, lang = null] = String(sig || '').split('|');
+    return {id: id || null, version: version || null, lang: lang || null};
+}
+
+/** Parts → "id|version|lang" (the inverse of parseSignature). */
+export function formatSignature({id, version, lang}) {
+    return `${id || ''}|${version || ''}|${lang || ''}`;
+}
+
+// --- built-in engine steps ----------------------------------------------------
+
+// 1 → 2: pre-schema saves; make sure every bucket exists and remember the language.
+registerEngineMigration({
+    from: 1,
+    to: 2,
+    migrate(state) {
+        state.inventory = Array.isArray(state.inventory) ? state.inventory : [];
+        state.solved = state.solved || {};
+        state.flags = state.flags || {};
+        state.visited = state.visited || {};
+        state.eventsFired = state.eventsFired || {};
+        state.puzzleResults = Array.isArray(state.puzzleResults) ? state.puzzleResults : [];
+        state.lang = state.lang || parseSignature(state.signature).lang;
+    }
+});
+
+// 2 → 3: numeric/string variables bucket.
+registerEngineMigration({
+    from: 2,
+    to: 3,
+    migrate(state) {
+        state.vars = (state.vars && typeof state.vars === 'object') ? state.vars : {};
+    }
+});
+
+// 3 → 4: countdown timers bucket.
+registerEngineMigration({
+    from: 3,
+    to: 4,
+    migrate(state) {
+        state.timers = (state.timers && typeof state.timers === 'object') ? state.timers : {};
+    }
+});
+
+// 4 → 5: hint usage record.
+registerEngineMigration({
+    from: 4,
+    to: 5,
+    migrate(state) {
+        state.hints = {revealed: {}, log: [], ...(state.hints || {})};
+    }
+});
+
+// 5 → 6: run statistics (puzzle attempts, items ever found) for the results screen.
+registerEngineMigration({
+    from: 5,
+    to: 6,
+    migrate(state) {
+        const found = Object.fromEntries((state.inventory || []).map(id => [id, true]));
+        state.stats = {puzzles: {}, itemsFound: found, ...(state.stats || {})};
+    }
+});
+
+// 6 → 7: dialog play counts (once, repeatSequence/shortSequence, `seen` conditions).
+registerEngineMigration({
+    from: 6,
+    to: 7,
+    migrate(state) {
+        state.dialogs = (state.dialogs && typeof state.dialogs === 'object') ? state.dialogs : {};
+    }
+});
+
+// 7 → 8: dialog backlog (lines and choices per dialog, see backlog.js).
+registerEngineMigration({
+    from: 7,
+    to: 8,
+    migrate(state) {
+        state.dialogLog = (state.dialogLog && typeof state.dialogLog === 'object') ? state.dialogLog : {};
+    }
+});
+
+// --- declarative game steps ---------------------------------------------------
+
+function renameKeys(obj, map, keyFn = k => k) {
+    if (!obj || !map) return;
+    for (const [from, to] of Object.entries(map)) {
+        const a = keyFn(from);
+        if (!(a in obj)) continue;
+        const v = obj[a];
+        delete obj[a];
+        if (to) obj[keyFn(to)] = v;
+    }
+}
+
+/**
+ * Apply one declarative step from scenes.json:
+ * { from, to, renameFlags, removeFlags, renameItems, removeItems, remapScenes, renamePuzzles, setFlags,
+ *   renameVars, removeVars, setVars }
+ */
+export function applyDeclarativeStep(state, step) {
+    renameKeys(state.flags, step.renameFlags);
+    (step.removeFlags || []).forEach(f => delete state.flags[f]);
+    if (Array.isArray(step.setFlags)) step.setFlags.forEach(f => { state.flags[f] = true; });
+
+    renameKeys(state.vars, step.renameVars);
+    (step.removeVars || []).forEach(v => delete state.vars[v]);
+    if (step.setVars) Object.assign(state.vars, step.setVars);
+
+    if (step.renameItems) {
+        // an item renamed to null is dropped
+        const rename = id => (Object.hasOwn(step.renameItems, id) ? step.renameItems[id] : id);
+        state.inventory = state.inventory.map(rename).filter(Boolean);
+        if (state.useItemId) state.useItemId = rename(state.useItemId) || null;
+    }
+    if (step.removeItems) {
+        state.inventory = state.inventory.filter(id => !step.removeItems.includes(id));
+    }
+    state.inventory = Array.from(new Set(state.inventory));
+
+    if (step.remapScenes) {
+        if (state.scene in step.remapScenes) state.scene = step.remapScenes[state.scene];
+        renameKeys(state.visited, step.remapScenes);
+    }
+
+    if (step.renamePuzzles) {
+        renameKeys(state.solved, step.renamePuzzles, k => 'solved:pz:' + k);
+        state.puzzleResults.forEach(r => {
+            if (r && r.ref in step.renamePuzzles) r.ref = step.renamePuzzles[r.ref];
+        });
+    }
+}
+
+// --- pipeline -----------------------------------------------------------------
+
+function runEngineSteps(state, log) {
+    let guard = 0;
+    while ((state.schema || 1) < STATE_SCHEMA && guard++ < 100) {
+        const cur = state.schema || 1;
+        const step = _engineSteps.find(s => s.from === cur);
+        if (!step) {
+            log('[MIGRATE] no engine step from schema', cur);
+            return false;
+        }
+        state = step.migrate(state) || state;
+        state.schema = step.to;
+        log('[MIGRATE] engine schema', cur, '→', step.to);
+    }
+    return state;
+}
+
+function runGameSteps(state, {gameId, fromVersion, toVersion, data, log}) {
+    const declared = (Array.isArray(data?.migrations) ? data.migrations : [])
+        .map(s => ({...s, migrate: (st) => applyDeclarativeStep(st, s)}));
+    const steps = [...declared, ...(_gameSteps.get(gameId) || [])];
+
+    let ver = fromVersion;
+    let guard = 0;
+    while (ver !== toVersion && guard++ < 100) {
+        const step = steps.find(s => String(s.from) === String(ver));
+        if (!step) {
+            // No registered path: keep progress, sanitize() drops what no longer exists.
+            log('[MIGRATE] no game step from version', ver, '(keeping state)');
+            break;
+        }
+        state = step.migrate(state, data) || state;
+        log('[MIGRATE] game version', ver, '→', step.to);
+        ver = String(step.to);
+    }
+    return state;
+}
+
+/** Drop references the current content does not know about. */
+function sanitize(state, data) {
+    const scenes = Array.isArray(data?.scenes) ? data.scenes : [];
+    if (!scenes.some(s => s.id === state.scene)) {
+        state.scene = data?.startScene || scenes[0]?.id;
+    }
+    const items = Array.isArray(data?.items) ? data.items : null;
+    if (items && items.length) {
+        state.inventory = state.inventory.filter(id => items.some(i => i.id === id));
+    }
+    state.useItemId = null;
+    // vars declared by newer content start at their initial value
+    state.vars = {...initialVars(data), ...state.vars};
+    return state;
+}
+
+/**
+ * Bring a restored state up to date, or return null when it cannot be used
+ * (different game, malformed, or an engine step is missing).
+ * @param {object|null} saved
+ * @param {{gameId:string, version:string, lang:string, data:object, log?:Function}} ctx
+ * @returns {object|null}
+ */
+export function migrateState(saved, {gameId, version, lang, data, log = () => {}}) {
+    if (!saved || typeof saved !== 'object') return null;
+
+    const sig = parseSignature(saved.signature);
+    if (sig.id && sig.id !== gameId) {
+        log('[MIGRATE] different game, discarding', sig.id, '≠', gameId);
+        return null;
+    }
+
+    let state = JSON.parse(JSON.stringify(saved));
+    state = runEngineSteps(state, log);
+    if (!state) return null;
+
+    const fromVersion = sig.version || '0';
+    const toVersion = String(version || '0');
+    if (fromVersion !== toVersion) {
+        state = runGameSteps(state, {gameId, fromVersion, toVersion, data, log});
+    }
+
+    state.lang = lang;
+    state.schema = STATE_SCHEMA;
+    state.signature = formatSignature({id: gameId, version: toVersion, lang});
+    return sanitize(state, data);
+}
@@ -0,0 +1,91 @@
+// engine/plugins.js
+// Extension points for per-game code: custom hotspot types, custom event triggers and
+// loading of the optional plugin module (games/<id>/plugins.js). Custom actions live in actions.js.
+//
+// The module-level registries are shared by every game on the page (Game.registerHotspotType…);
+// game.registerHotspotType… pass the game's own maps, which are looked up first.
+//
+// Plugin module:
+//   export default function setup(game) {
+//       game.registerAction('shake', async (g, arg, ctx) => { … });     // { "shake": { "ms": 300 } }
+//       game.registerHotspotType('lever', async (g, hotspot) => { … }); // { "type": "lever", … }
+//       game.registerTrigger('leverPulled');                            // { "when": { "on": "leverPulled" } }
+//       // later: game.fireTrigger('leverPulled', { lever: 'red' });
+//   }
+
+/** Hotspot types handled by the engine itself (cannot be replaced). */
+export const BUILTIN_HOTSPOT_TYPES = ['apply', 'goTo', 'pickup', 'puzzle', 'puzzleList', 'dialog'];
+
+/** Event triggers fired by the engine itself. */
+export const BUILTIN_TRIGGERS = ['enterScene', 'stateChange', 'timerExpired'];
+
+const _hotspotTypes = new Map();
+const _triggers = new Map();
+
+/**
+ * Register a custom hotspot type.
+ * @param {string} type
+ * @param {(game: import('./engine.js').Game, hotspot: object) => (void|Promise<void>)} handler
+ * @param {Map<string, Function>} [registry] - a game's own registry (default: shared)
+ */
+export function registerHotspotType(type, handler, registry = _hotspotTypes) {
+    if (BUILTIN_HOTSPOT_TYPES.includes(type)) throw new Error(`Hotspot type '${type}' is built in`);
+    if (typeof handler !== 'function') throw new Error(`Hotspot type '${type}' needs a handler function`);
+    registry.set(type, handler);
+}
+
+export function getHotspotType(type, registry = null) {
+    return registry?.get(type) || _hotspotTypes.get(type) || null;
+}
+
+/** Built-in and registered hotspot types (shared plus, if given, a game's own). */
+export function listHotspotTypes(registry = null) {
+    return Array.from(new Set([...BUILTIN_HOTSPOT_TYPES, ..._hotspotTypes.keys(), ...(registry?.keys() || [])]));
+}
+
+/**
+ * Declare a custom event trigger. `match(when, trigger, game)` may filter events by
+ * extra `when` keys (e.g. `when.lever` vs. the fired `{lever}`); without it only `on`/`scene`/conditions apply.
+ * @param {string} name
+ * @param {{match?: (when: object, trigger: object, game: import('./engine.js').Game) => boolean}} [opts]
+ * @param {Map<string, object>} [registry] - a game's own registry (default: shared)
+ */
+export function registerTrigger(name, opts = {}, registry = _triggers) {
+    if (BUILTIN_TRIGGERS.includes(name)) throw new Error(`Trigger '${name}' is built in`);
+    registry.set(name, {match: typeof opts?.match === 'function' ? opts.match : null});
+}
+
+export function getTrigger(name, registry = null) {
+    return registry?.get(name) || _triggers.get(name) || null;
+}
+
+export function isKnownTrigger(name, registry = null) {
+    return BUILTIN_TRIGGERS.includes(name) || !!getTrigger(name, registry);
+}
+
+/**
+ * Run plugin setup functions and/or import a plugin module.
+ * A missing module file (checked with a HEAD request through game._fetch) is skipped silently;
+ * errors inside an existing plugin are reported.
+ * @param {import('./engine.js').Game} game
+ * @param {{url?: string|null, setups?: Function[]}} src
+ */
+export async function loadPlugins(game, {url = null, setups = []} = {}) {
+    for (const setup of setups) await setup(game);
+    if (!url) return;
+
+    const href = new URL(url, document.baseURI).href;
+    try {
+        const head = await game._fetch(href, {method: 'HEAD', cache: 'no-cache'});
+        if (!head.ok) return;
+    } catch {
+        return;
+    }
+    try {
+        const mod = await import(/* @vite-ignore */ href);
+        const setup = mod.default || mod.setup;
+        if (typeof setup === 'function') await setup(game);
+    } catch (err) {
+        console.warn('[PLUGINS] Failed to load', href, err);
+    }
+}
@@ -391,6 +391,22 @@ export class BasePuzzle {
         return {ok: false};
     }
 
+    // --- headless play (engine/headless.js) ---
+
+    /**
+     * Put the puzzle into the state a player would leave it in before pressing OK.
+     * The answer has the shape of the kind's result detail (text, token ids, pairs…).
+     * @param {*} answer
+     */
+    setAnswer(answer) {
+        // Override in subclasses
+    }
+
+    /** A correct answer for setAnswer() (headless auto-solve), or null when the kind cannot tell. */
+    solutionAnswer() {
+        return null;
+    }
+
     unmount() {
         if (this._bgOverlay?.parentNode) this._bgOverlay.parentNode.removeChild(this._bgOverlay);
         if (this.root?.parentNode) this.root.parentNode.removeChild(this.root);
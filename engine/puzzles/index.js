@@ -39,6 +39,35 @@ export function getKind(kind) {
     return _registry.get(kind) || BasePuzzle;
 }
 
+export function listKinds() {
+    return Array.from(_registry.keys());
+}
+
+// ============================================================================
+// INLINE HOTSPOT PUZZLES
+// ============================================================================
+// Older scenes.json files configure a puzzle right on the hotspot ("puzzle": {kind, …} without `ref`).
+// Such a puzzle is filed under the hotspot's id, else "<sceneId>#<hotspot index>".
+
+/** Puzzle ref of a puzzle hotspot (puzzleRef, puzzle.ref or the inline puzzle's id); null when it has none. */
+export function hotspotPuzzleRef(h, sceneId, index) {
+    if (h?.puzzleRef || h?.puzzle?.ref) return h.puzzleRef || h.puzzle.ref;
+    return h?.puzzle?.kind ? (h.id || `${sceneId}#${index}`) : null;
+}
+
+/** The puzzle map plus the inline hotspot puzzles of a scenes.json (a puzzle of the map wins). */
+export function withInlinePuzzles(data, puzzles = {}) {
+    const out = {...puzzles};
+    for (const sc of Array.isArray(data?.scenes) ? data.scenes : []) {
+        (Array.isArray(sc?.hotspots) ? sc.hotspots : []).forEach((h, i) => {
+            if (h?.type !== 'puzzle' || h.puzzleRef || h.puzzle?.ref || !h.puzzle?.kind) return;
+            const ref = hotspotPuzzleRef(h, sc.id, i);
+            if (!Object.hasOwn(out, ref)) out[ref] = {...h.puzzle, id: ref};
+        });
+    }
+    return out;
+}
+
 // Automatická registrace všech puzzle kinds z mapy
 for (const [kind, clazz] of Object.entries(PUZZLE_KINDS)) {
     registerKind(kind, clazz);
@@ -86,7 +115,9 @@ export function createPuzzleRunner(args) {
         const res = _origOnOk ? _origOnOk() : puzzle.evaluate?.();
         return Promise.resolve(res).then((r) => {
             if (__resolved) return;
-            if (r && (r.hold === true || r === 'hold')) return; // keep open
+            const hold = !!(r && (r.hold === true || r === 'hold'));
+            args.onAttempt?.({ok: !!(r && r.ok), hold});
+            if (hold) return; // keep open
             const ok = !!(r && r.ok);
             __resolved = true;
             args.onResolve?.({ok, detail: r?.detail});
@@ -152,13 +183,29 @@ export function createPuzzleRunner(args) {
 
         puzzle.mount(container, workRect, resolvedBackground);
         puzzle.render?.();
+        // keyboard: focus stays in the puzzle, Escape = the cancel button (when the puzzle has one)
+        releaseFocus = args.engine?.a11y?.trapFocus(container, {
+            label: puzzle.t(cfg.title, '') || puzzle.tKey('engine.a11y.puzzle', 'Úloha'),
+            onEscape: () => puzzle.cancelBtn && puzzle.onCancel()
+        });
+
+        // Headless game: the driver answers instead of a player (a list only sequences its steps)
+        const headless = args.engine?.headless;
+        if (headless && cfg.kind !== 'list') {
+            const ctx = {puzzle, ref: puzzle.id, config: cfg, isResolved: () => __resolved};
+            if (headless.onPuzzle) void headless.onPuzzle(ctx);
+            else puzzle.onCancel();
+        }
     }
 
+    let releaseFocus = null;
+
     function unmount() {
         try {
             puzzle.unmount();
         } catch {
         }
+        releaseFocus?.();
         if (container.parentNode) container.parentNode.removeChild(container);
         if (hostModal) hostModal.style.display = prevDisplay || '';
     }
@@ -172,7 +219,25 @@ export function createPuzzleRunner(args) {
     return {puzzle, mountInto, unmount};
 }
 
-/** Open list/sequence of puzzles. */
+/** Run a `list` puzzle over the given steps ({ref, config, rect, background, options}). */
+function runPuzzleList({items, rect, background, aggregateOnly, blockUntilSolved, summary, puzzlesById, i18n, engine, mountRoot, onDone}) {
+    const runner = createPuzzleRunner({
+        config: {kind: 'list', steps: items, summary},
+        rect,
+        background,
+        instanceOptions: {aggregateOnly, blockUntilSolved},
+        puzzlesById,
+        i18n,
+        engine,
+        onResolve: (res) => {
+            runner.unmount();
+            onDone(res);
+        }
+    });
+    runner.mountInto(mountRoot);
+}
+
+/** Open list/sequence of puzzles. With aggregateOnly each step lands in state.puzzleResults. */
 export function openListModal(engine, cfg) {
     const mountRoot = engine.hotspotLayer;
     const i18n = (k, def = '') => engine._t?.(k, def) || def;
@@ -183,7 +248,7 @@ export function openListModal(engine, cfg) {
         puzzlesById = Array.isArray(raw) ? Object.fromEntries(raw.map(p => [p.id, p])) : raw;
     }
 
-    const listItems = (cfg.items || []).map(it => ({
+    const listItems = (cfg.items || []).map(it => (typeof it === 'string' ? {ref: it} : it)).map(it => ({
         ...it,
         background: it.background ? engine._resolveAsset(it.background) : undefined
     }));
@@ -200,7 +265,17 @@ export function openListModal(engine, cfg) {
             i18n,
             engine,
             mountRoot,
-            onDone: (res) => resolve(!!res.ok)
+            onDone: (res) => {
+                if (cfg.aggregateOnly) {
+                    (res.detail?.results || []).forEach(r => engine._appendPuzzleResult({
+                        ref: r.ref,
+                        ok: r.ok,
+                        detail: r.detail || null,
+                        group: cfg.group
+                    }));
+                }
+                resolve(!!res.ok);
+            }
         });
     });
 }
@@ -295,4 +295,14 @@ export default class ChoicePuzzle extends BasePuzzle {
             detail: {values: detail}
         };
     }
+
+    setAnswer(answer) {
+        for (const [id, val] of Object.entries(answer || {})) {
+            this._valueMap.set(String(id), String(val));
+        }
+    }
+
+    solutionAnswer() {
+        return Object.fromEntries(Object.entries(this._solutions()).map(([id, values]) => [id, values[0]]));
+    }
 }
@@ -416,4 +416,15 @@ export default class ClozePuzzle extends BasePuzzle {
 
         return { ok: allCorrect, detail: { placements: Object.fromEntries(this._placements) } };
     }
+
+    setAnswer(answer) {
+        this._placements.clear();
+        for (const [gapId, tokenId] of Object.entries(answer || {})) {
+            this._placements.set(String(gapId), String(tokenId));
+        }
+    }
+
+    solutionAnswer() {
+        return Object.fromEntries(Object.entries(this.config.solution || {}).map(([gapId, tokenId]) => [gapId, String(tokenId)]));
+    }
 }
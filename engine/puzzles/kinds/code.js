@@ -101,4 +101,14 @@ export default class CodePuzzle extends BasePuzzle {
 
         return {ok, detail: {value: v}};
     }
+
+    setAnswer(answer) {
+        if (this._els.input) this._els.input.value = String(answer ?? '');
+    }
+
+    solutionAnswer() {
+        const target = this.config.solution || this.config.solutions || '';
+        const first = Array.isArray(target) ? target[0] : target;
+        return this.t(first, first);
+    }
 }
@@ -324,4 +324,15 @@ export default class GroupPuzzle extends BasePuzzle {
             detail: {groups: detail}
         };
     }
-}
\ No newline at end of file
+
+    setAnswer(answer) {
+        this._inGroup.clear();
+        for (const [id, gid] of Object.entries(answer || {})) {
+            this._inGroup.set(String(id), String(gid));
+        }
+    }
+
+    solutionAnswer() {
+        return {...this._solutions()};
+    }
+}
@@ -138,8 +138,8 @@ export default class ListPuzzle extends BasePuzzle {
 
         const summary = this.config.summary || {};
 
-        if (summary.show === false) {
-            // No summary - resolve immediately
+        if (summary.show === false || this.engine?.headless) {
+            // No summary (or nobody to read it) - resolve immediately
             this._finish(allOk);
             return;
         }
@@ -268,8 +268,8 @@ export default class MatchPuzzle extends BasePuzzle {
             this._createSvgContainer(flow);
         }
 
-        // Add resize listener to update connection lines
-        if (this._mode === 'columns') {
+        // Add resize listener to update connection lines (not available in every DOM, e.g. jsdom)
+        if (this._mode === 'columns' && typeof ResizeObserver !== 'undefined') {
             this._resizeObserver = new ResizeObserver(() => {
                 // Debounce resize updates to prevent excessive calls
                 if (this._resizeTimeout) {
@@ -285,7 +285,7 @@ export default class MatchPuzzle extends BasePuzzle {
         if (DBG()) {
             console.debug('[PZ.match] mounted', {
                 mode: this._mode,
-                tokenCount: this.config.tokens?.length || 0
+                tokenCount: this._tokens().length
             });
         }
     }
@@ -328,7 +328,7 @@ export default class MatchPuzzle extends BasePuzzle {
         const leftTokens = [];
         const rightTokens = [];
 
-        (this.config.tokens || []).forEach((t, idx) => {
+        this._tokens().forEach((t, idx) => {
             const id = String(t.id ?? idx);
             const side = (t.side || '').toLowerCase();
             if (side === 'right') {
@@ -388,7 +388,7 @@ export default class MatchPuzzle extends BasePuzzle {
             minHeight: '220px'
         });
 
-        const tokens = this.config.tokens || [];
+        const tokens = this._tokens();
         const positions = this._generateScatteredPositions(tokens.length);
 
         // Separate tokens by side for color differentiation
@@ -733,6 +733,19 @@ export default class MatchPuzzle extends BasePuzzle {
         document.addEventListener('touchend', onUp);
     }
 
+    /**
+     * Tokens of the puzzle. Without config.tokens they come from the pairs,
+     * whose texts then serve as ids: left of each pair on the left side.
+     */
+    _tokens() {
+        if (this.config.tokens) return this.config.tokens;
+        const pairs = this.config.pairs || this.config.solutionPairs || [];
+        return [
+            ...pairs.map(([a]) => ({id: String(a), text: String(a), side: 'left'})),
+            ...pairs.map(([, b]) => ({id: String(b), text: String(b), side: 'right'}))
+        ];
+    }
+
     _solutionPairs() {
         const raw = this.config.pairs || this.config.solutionPairs || [];
         const pairMap = new Map();
@@ -856,4 +869,18 @@ export default class MatchPuzzle extends BasePuzzle {
         // Call parent unmount
         super.unmount?.();
     }
-}
\ No newline at end of file
+
+    /** @param {Array<[string, string]>|Object<string, string>} answer - pairs */
+    setAnswer(answer) {
+        this._pairs.clear();
+        const pairs = Array.isArray(answer) ? answer : Object.entries(answer || {});
+        for (const [a, b] of pairs) {
+            this._pairs.set(String(a), String(b));
+            this._pairs.set(String(b), String(a));
+        }
+    }
+
+    solutionAnswer() {
+        return (this.config.pairs || this.config.solutionPairs || []).map(([a, b]) => [String(a), String(b)]);
+    }
+}
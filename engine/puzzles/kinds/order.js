@@ -71,8 +71,8 @@ export default class OrderPuzzle extends BasePuzzle {
         container2.appendChild(shuffledArea);
         container2.appendChild(orderedArea);
 
-        // Create and shuffle tokens
-        const tokens = (this.config.tokens || []).map((t, idx) => ({
+        // Create and shuffle tokens (a plain string is both the text and the id)
+        const tokens = (this.config.tokens || []).map((t, idx) => (typeof t === 'string' ? {id: t, text: t} : {
             id: String(t.id ?? idx),
             ...t
         }));
@@ -141,7 +141,7 @@ export default class OrderPuzzle extends BasePuzzle {
             return this.config.solutionIds.map(String);
         }
         // Fallback: order equals tokens order in config
-        return (this.config.tokens || []).map((t, idx) => String(t.id ?? idx));
+        return (this.config.tokens || []).map((t, idx) => (typeof t === 'string' ? t : String(t.id ?? idx)));
     }
 
     _markCorrectness(showHints = false) {
@@ -217,4 +217,12 @@ export default class OrderPuzzle extends BasePuzzle {
         }
         return a;
     }
-}
\ No newline at end of file
+
+    setAnswer(answer) {
+        this._ordered = (Array.isArray(answer) ? answer : [answer]).map(String);
+    }
+
+    solutionAnswer() {
+        return this._solution();
+    }
+}
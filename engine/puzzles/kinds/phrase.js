@@ -103,4 +103,14 @@ export default class PhrasePuzzle extends BasePuzzle {
 
         return {ok, detail: {value: v}};
     }
+
+    setAnswer(answer) {
+        if (this._els.input) this._els.input.value = String(answer ?? '');
+    }
+
+    solutionAnswer() {
+        const pool = this.config.solutions ?? this.config.solution ?? '';
+        const first = Array.isArray(pool) ? pool[0] : pool;
+        return this.t(first, first);
+    }
 }
\ No newline at end of file
@@ -193,4 +193,12 @@ export default class QuizPuzzle extends BasePuzzle {
             }
         };
     }
+
+    setAnswer(answer) {
+        this._selected = this.toIdSet(answer ?? []);
+    }
+
+    solutionAnswer() {
+        return Array.from(this._solutionIds());
+    }
 }
@@ -0,0 +1,710 @@
+// engine/reachability.js
+// Reachability + softlock analysis of a game (no DOM): is the game winnable, what can never be reached,
+// and where can a player get stuck?
+//
+// The analyzer plays the game breadth-first over abstract states
+//   {scene, inventory, flags, solved puzzles, fired once-events[, visited scenes]}
+// trying every move a player has: clicking each unlocked hotspot, using each accepted item, solving *and*
+// failing/cancelling each puzzle, every visible dialog choice. Actions, events (`enterScene`/`stateChange`,
+// `once`), conditions and end scenes follow the engine. Not modelled: conditions on time, vars, timers, hero,
+// dialog play counts and aggregated results (assumed to hold), custom hotspot types and plugin actions (no effect);
+// any of a dialog's sequences (sequence/repeatSequence/shortSequence) may play on any visit.
+//
+//   softlock – a reachable state from which no end scene (`"end": true`) can be reached any more
+//              (e.g. an item consumed by one hotspot but needed by another, a one-time event missed)
+//   neverSet – flags/items that conditions need but no action ever sets/gives (static check)
+//
+// Output: analyzeGame() → report object; formatAnalysis() → text; toDot()/toMermaid() → scene graph.
+
+import {ACTION_ORDER, splitHandoff} from './actions.js';
+import {hostConditionsMet} from './conditions.js';
+import {normalizePuzzles} from './validator.js';
+import {hotspotPuzzleRef, withInlinePuzzles} from './puzzles/index.js';
+
+const asList = (v) => (Array.isArray(v) ? v : (v == null ? [] : [v]));
+const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+/** Condition keys the analyzer cannot predict; they are treated as satisfied. */
+const UNMODELLED = new Set(['hero', 'heroGender', 'count', 'elapsed', 'vars', 'timers', 'results', 'seen', 'notSeen', 'dialogs']);
+
+/** Drop unmodelled keys so an expression only depends on scene/items/flags/visited/solved. */
+function relax(cond) {
+    if (Array.isArray(cond)) return cond.map(relax);
+    if (!isObj(cond)) return cond;
+    const out = {};
+    for (const [k, v] of Object.entries(cond)) {
+        if (UNMODELLED.has(k)) continue;
+        if (k === 'all' || k === 'any') {
+            out[k] = asList(v).map(relax);
+        } else if (k === 'not' || k === 'if') {
+            const r = relax(v);
+            if (k === 'not' && isObj(r) && !Object.keys(r).length) continue;
+            out[k] = r;
+        } else {
+            out[k] = v;
+        }
+    }
+    return out;
+}
+
+/** The steps of every sequence of a dialog (first visit, repeat, short). */
+const dialogSequences = (d) => ['sequence', 'repeatSequence', 'shortSequence'].map(k => asList(d?.[k])).filter(seq => seq.length);
+const allSteps = (d) => dialogSequences(d).flat();
+
+const add = (list, id) => (list.includes(id) ? list : [...list, id].sort());
+const remove = (list, id) => (list.includes(id) ? list.filter(x => x !== id) : list);
+
+/** Logic actions that report a state change (the engine then saves and fires `stateChange`). */
+const LOGIC = new Set(['giveItem', 'takeItem', 'setFlags', 'clearFlags']);
+
+class Simulator {
+    constructor(data, puzzles, dialogs, {trackVisited, trackSolved}) {
+        this.data = data;
+        this.puzzles = puzzles;
+        this.sceneById = new Map(asList(data.scenes).filter(s => s?.id).map(s => [s.id, s]));
+        this.dialogById = new Map(asList(dialogs?.dialogs).filter(d => d?.id).map(d => [d.id, d]));
+        this.events = asList(data.events).filter(ev => ev?.id);
+        this.trackVisited = trackVisited;
+        this.trackSolved = trackSolved;
+        this.openedDialogs = new Set();
+        this.solvedPuzzles = new Set();
+        this._relaxed = new WeakMap();
+    }
+
+    key(st) {
+        return JSON.stringify([st.scene, st.inv, st.flags, st.solved, st.fired, this.trackVisited ? st.visited : 0, st.ended]);
+    }
+
+    met(st, host) {
+        if (!host) return true;
+        let r = this._relaxed.get(host);
+        if (!r) {
+            r = relax(host);
+            this._relaxed.set(host, r);
+        }
+        const game = {
+            state: {
+                scene: st.scene,
+                inventory: st.inv,
+                flags: Object.fromEntries(st.flags.map(f => [f, true])),
+                visited: Object.fromEntries(st.visited.map(s => [s, true])),
+                solved: Object.fromEntries(st.solved.map(p => ['solved:pz:' + p, true]))
+            }
+        };
+        return hostConditionsMet(game, r);
+    }
+
+    dedupe(states) {
+        const seen = new Map();
+        states.forEach(s => seen.set(this.key(s), s));
+        return [...seen.values()];
+    }
+
+    // --- navigation + events -----------------------------------------------------
+
+    goto(st, sceneId) {
+        const scene = this.sceneById.get(sceneId);
+        if (!scene) return [st];
+        const entered = {...st, scene: sceneId, visited: add(st.visited, sceneId)};
+        const after = this.events_(entered, {on: 'enterScene', scene: sceneId});
+        return scene.end ? after.map(s => ({...s, ended: true})) : after;
+    }
+
+    events_(st, trigger) {
+        let states = [st];
+        for (const ev of this.events) {
+            const w = ev.when || {};
+            const next = [];
+            for (const s of states) {
+                const fires = !(ev.once && s.fired.includes(ev.id))
+                    && !(w.on && w.on !== trigger.on)
+                    && !(w.scene && w.scene !== (trigger.scene || s.scene))
+                    && this.met(s, w);
+                if (!fires) {
+                    next.push(s);
+                    continue;
+                }
+                const fired = ev.once ? {...s, fired: add(s.fired, ev.id)} : s;
+                next.push(...this.run(fired, ev.then, {event: true}));
+            }
+            states = this.dedupe(next);
+        }
+        return states;
+    }
+
+    // --- actions -------------------------------------------------------------------
+
+    run(st, actions, ctx = {}) {
+        if (!actions) return [st];
+        if (Array.isArray(actions)) {
+            let states = [st];
+            for (const bundle of actions) states = this.dedupe(states.flatMap(s => this.runBundle(s, bundle, ctx)));
+            return states;
+        }
+        return this.runBundle(st, actions, ctx);
+    }
+
+    runBundle(st, bundle, ctx) {
+        if (!isObj(bundle)) return [st];
+        const keys = ACTION_ORDER.filter(k => k !== 'goTo' && Object.hasOwn(bundle, k));
+        let branches = [{st, changed: false}];
+        for (const key of keys) {
+            branches = branches.flatMap(({st: s, changed}) => this.action(s, key, bundle[key], ctx)
+                .map(n => ({st: n, changed: changed || (LOGIC.has(key) && this.key(n) !== this.key(s))})));
+        }
+        const commit = ({st: s, changed}) => (changed && !ctx.event ? this.events_(s, {on: 'stateChange'}) : [s]);
+        let states = this.dedupe(branches.flatMap(commit));
+        if (Object.hasOwn(bundle, 'goTo')) {
+            const target = isObj(bundle.goTo) ? bundle.goTo.scene : bundle.goTo;
+            if (target) states = this.dedupe(states.flatMap(s => this.goto(s, target)));
+        }
+        return states;
+    }
+
+    action(st, key, a, ctx) {
+        switch (key) {
+            case 'giveItem':
+                return [asList(a).reduce((s, id) => ({...s, inv: add(s.inv, id)}), st)];
+            case 'takeItem':
+                return [asList(a).reduce((s, id) => ({...s, inv: remove(s.inv, id)}), st)];
+            case 'setFlags': {
+                const entries = Array.isArray(a) ? a.map(f => [f, true]) : Object.entries(isObj(a) ? a : {});
+                return [entries.reduce((s, [f, v]) => ({...s, flags: v ? add(s.flags, f) : remove(s.flags, f)}), st)];
+            }
+            case 'clearFlags':
+                return [asList(a).reduce((s, f) => ({...s, flags: remove(s.flags, f)}), st)];
+            case 'openDialog':
+                return this.dialog(st, isObj(a) ? a.id : a);
+            case 'playVideo':
+                return a?.src ? this.run(st, a.onEnd, ctx) : [st];
+            case 'openPuzzle': {
+                const ref = isObj(a) ? a.ref : a;
+                const cfg = isObj(a) ? a : {};
+                return this.puzzle(st, ref, cfg.options || {}, cfg.onSuccess, cfg.onFail, ctx).flatMap(o => o.states);
+            }
+            case 'openPuzzleList':
+                return [...this.run(st, a?.onSuccess, ctx), ...this.run(st, a?.onFail, ctx)];
+            default:
+                return [st];
+        }
+    }
+
+    /**
+     * Both outcomes of a puzzle: solved and failed/cancelled. Only puzzles that some condition asks about
+     * are kept in the state – a room of practice puzzles would otherwise multiply it by 2^n.
+     */
+    puzzle(st, ref, options, onSuccess, onFail, ctx = {}) {
+        if (!ref || !Object.hasOwn(this.puzzles, ref)) return [{outcome: 'missing', states: [st]}];
+        this.solvedPuzzles.add(ref);
+        const solvedSt = options.aggregateOnly || !this.trackSolved.has(ref) ? st : {...st, solved: add(st.solved, ref)};
+        return [
+            {outcome: 'solved', states: this.run(solvedSt, onSuccess, ctx)},
+            {outcome: 'failed', states: this.run(st, onFail, ctx)}
+        ];
+    }
+
+    /** Every path through a dialog (each of its sequences): all visible choices, jumps, onNext/onEnd; unmet steps are skipped. */
+    dialog(st, id) {
+        const dlg = this.dialogById.get(id);
+        if (!dlg) return [st];
+        this.openedDialogs.add(id);
+        const sequences = dialogSequences(dlg);
+        if (!sequences.length) return this.run(st, dlg.onEnd);
+        return this.dedupe(sequences.flatMap(seq => this.sequence(st, dlg, seq)));
+    }
+
+    sequence(st, dlg, seq) {
+        const results = [];
+        const stack = [];
+        const seen = new Set();
+        const advance = (s, i) => {
+            if (i >= seq.length) results.push(...this.run(s, dlg.onEnd));
+            else stack.push([s, i]);
+        };
+        // openDialog in onNext or a choice hands over: this dialog ends, then the other one runs
+        const handOver = (states, handoff, onEnd) => states.flatMap(n => this.run(n, onEnd))
+            .forEach(n => results.push(...this.dialog(n, isObj(handoff) ? handoff.id : handoff)));
+        const onNext = (s, step, idx) => {
+            const {handoff, own} = splitHandoff(step.onNext);
+            if (handoff != null) handOver(this.run(s, own), handoff);
+            else this.run(s, step.onNext).forEach(n => advance(n, idx + 1));
+        };
+        stack.push([st, 0]);
+        while (stack.length) {
+            const [s, idx] = stack.pop();
+            const k = idx + '|' + this.key(s);
+            if (seen.has(k)) continue;
+            seen.add(k);
+            const step = seq[idx];
+            if (!step) {
+                results.push(...this.run(s, dlg.onEnd));
+                continue;
+            }
+            if (!this.met(s, step)) {
+                advance(s, idx + 1);
+                continue;
+            }
+            // cinematic dialogs never show choices (a skip runs the same onNext actions as clicking through)
+            const choices = dlg.ui?.cinematic ? [] : asList(step.choices).filter(ch => this.met(s, ch));
+            if (!choices.length) {
+                onNext(s, step, idx);
+                continue;
+            }
+            for (const ch of choices) {
+                const act = ch?.onChoose || {};
+                const {handoff, own} = splitHandoff(act);
+                if (handoff != null) {
+                    handOver(this.run(s, own), handoff, act.onEnd);
+                    continue;
+                }
+                for (const n of this.run(s, act)) {
+                    const to = act.jump != null ? seq.findIndex(x => x?.id === act.jump) : -1;
+                    if (to >= 0) stack.push([n, to]);
+                    else if (act.end) results.push(...this.run(n, act.onEnd));
+                    else onNext(n, step, idx);
+                }
+            }
+        }
+        return this.dedupe(results);
+    }
+
+    // --- player moves ----------------------------------------------------------------
+
+    /** @returns {{label:string, hotspot:number, states:object[], consumed?:string}[]} */
+    moves(st) {
+        const scene = this.sceneById.get(st.scene);
+        const out = [];
+        asList(scene?.hotspots).forEach((h, i) => {
+            if (!isObj(h)) return;
+            const active = Array.isArray(h.states) ? h.states.find(s => this.met(st, s)) : null;
+            if (active?.clickable === false || !this.met(st, h)) return;
+            const what = describeHotspot(h, i);
+
+            if (Array.isArray(h.acceptItems)) {
+                h.acceptItems.map(x => (typeof x === 'string' ? {id: x, consume: false} : x)).forEach(acc => {
+                    if (!st.inv.includes(acc.id)) return;
+                    const held = acc.consume ? {...st, inv: remove(st.inv, acc.id)} : st;
+                    out.push({
+                        label: `use ${acc.id} on ${what}`,
+                        hotspot: i,
+                        states: h.onApply ? this.run(held, h.onApply) : [held],
+                        consumed: acc.consume ? acc.id : undefined
+                    });
+                });
+                return;
+            }
+            const move = (label, states) => out.push({label, hotspot: i, states});
+            switch (h.type) {
+                case 'apply':
+                    move(what, this.run(st, h.onApply));
+                    break;
+                case 'goTo':
+                    move(what, this.goto(st, h.target));
+                    break;
+                case 'pickup':
+                    if (!st.inv.includes(h.itemId)) move(what, this.events_({...st, inv: add(st.inv, h.itemId)}, {on: 'stateChange'}));
+                    break;
+                case 'puzzle': {
+                    const ref = hotspotPuzzleRef(h, st.scene, i);
+                    const options = h.options || h.puzzle?.options || {};
+                    if (!options.aggregateOnly && st.solved.includes(ref)) {
+                        move(what, this.run(st, h.onSuccess));
+                        break;
+                    }
+                    const outcomes = this.puzzle(st, ref, options, h.onSuccess, h.onFail);
+                    outcomes.forEach(o => move(`${what} (${o.outcome})`, o.states));
+                    break;
+                }
+                case 'puzzleList':
+                    move(`${what} (solved)`, this.run(st, h.onSuccess));
+                    move(`${what} (failed)`, this.run(st, h.onFail));
+                    break;
+                case 'dialog':
+                    move(what, this.dialog(st, h.dialogId));
+                    break;
+                default:
+                    break;
+            }
+        });
+        return out;
+    }
+}
+
+function describeHotspot(h, i) {
+    const detail = h.type === 'goTo' ? ` → ${h.target}`
+        : h.type === 'pickup' ? ` ${h.itemId}`
+            : h.type === 'puzzle' ? ` ${h.puzzleRef || h.puzzle?.ref || ''}`
+                : h.type === 'dialog' ? ` ${h.dialogId}` : '';
+    return `#${i} ${h.type}${detail}`;
+}
+
+// --- static checks ----------------------------------------------------------------
+
+/** Walk every action bundle in the content: fn(key, arg). */
+function eachAction(data, puzzles, dialogs, fn) {
+    const walk = (acts) => {
+        if (Array.isArray(acts)) return acts.forEach(walk);
+        if (!isObj(acts)) return;
+        for (const [k, a] of Object.entries(acts)) {
+            fn(k, a);
+            if (isObj(a)) ['onSuccess', 'onFail', 'onEnd'].forEach(x => walk(a[x]));
+            if (k === 'onEnd') walk(a);
+        }
+    };
+    asList(data.scenes).forEach(sc => asList(sc?.hotspots).forEach(h => ['onApply', 'onSuccess', 'onFail'].forEach(k => walk(h?.[k]))));
+    asList(data.events).forEach(ev => walk(ev?.then));
+    Object.values(puzzles).forEach(p => ['onSuccess', 'onFail'].forEach(k => walk(p?.[k])));
+    asList(dialogs?.dialogs).forEach(d => {
+        walk(d?.onEnd);
+        allSteps(d).forEach(s => {
+            walk(s?.onNext);
+            asList(s?.choices).forEach(c => walk(c?.onChoose));
+        });
+    });
+}
+
+/** Where conditions ask for flags/items: [{kind, id, where}]. */
+function requirements(data, dialogs) {
+    const out = [];
+    const visit = (c, where) => {
+        if (Array.isArray(c)) return c.forEach(x => visit(x, where));
+        if (!isObj(c)) return;
+        ['requireFlags', 'flags'].forEach(k => asList(c[k]).forEach(id => out.push({kind: 'flag', id, where})));
+        ['requireItems', 'items'].forEach(k => asList(c[k]).forEach(id => out.push({kind: 'item', id, where})));
+        ['all', 'any'].forEach(k => c[k] != null && visit(asList(c[k]), where));
+        if (c.if != null) visit(c.if, where);
+    };
+    asList(data.scenes).forEach(sc => asList(sc?.hotspots).forEach((h, i) => {
+        const where = `scene "${sc.id}" › hotspot #${i}`;
+        visit(h, where);
+        asList(h?.acceptItems).forEach(a => out.push({kind: 'item', id: isObj(a) ? a.id : a, where}));
+    }));
+    asList(data.events).forEach(ev => visit(ev?.when, `event "${ev?.id}"`));
+    asList(dialogs?.dialogs).forEach(d => allSteps(d).forEach(s => {
+        visit(s, `dialog "${d.id}"`);
+        asList(s?.choices).forEach(c => visit(c, `dialog "${d.id}"`));
+    }));
+    return out;
+}
+
+const usesVisited = (data, dialogs) => /"(?:visited|notVisited)"\s*:/.test(JSON.stringify([data.scenes, data.events, dialogs]));
+
+/** Puzzle refs named by `solved`/`notSolved` conditions. */
+function solvedRefs(data, dialogs) {
+    const out = new Set();
+    const walk = (v) => {
+        if (Array.isArray(v)) return v.forEach(walk);
+        if (!isObj(v)) return;
+        for (const [k, x] of Object.entries(v)) {
+            if (k === 'solved' || k === 'notSolved') asList(x).forEach(r => typeof r === 'string' && out.add(r));
+            else walk(x);
+        }
+    };
+    walk([data.scenes, data.events, dialogs]);
+    return out;
+}
+
+// --- analysis ---------------------------------------------------------------------
+
+/**
+ * Analyze a game's content.
+ * @param {{scenes:object, puzzles?:object, dialogs?:object|null}} content - as from loadGameContent()
+ * @param {{maxStates?:number, goals?:string[], maxSoftlocks?:number}} [opts]
+ *   goals – scene ids that count as winning (default: scenes with `"end": true`)
+ * @returns {object} report (see README "Reachability & Softlocks")
+ */
+export function analyzeGame(content, {maxStates = 50000, goals = null, maxSoftlocks = 3} = {}) {
+    const data = content.scenes || {};
+    const puzzles = withInlinePuzzles(data, isObj(data.puzzles) ? data.puzzles : normalizePuzzles(content.puzzles));
+    const dialogs = content.dialogs || null;
+    const scenes = asList(data.scenes).filter(s => s?.id);
+    const start = data.startScene || scenes[0]?.id || null;
+    const endScenes = goals?.length ? goals : scenes.filter(s => s.end).map(s => s.id);
+    const sim = new Simulator(data, puzzles, dialogs, {
+        trackVisited: usesVisited(data, dialogs),
+        trackSolved: solvedRefs(data, dialogs)
+    });
+    if (goals?.length) goals.forEach(g => sim.sceneById.has(g) && (sim.sceneById.set(g, {...sim.sceneById.get(g), end: true})));
+
+    // breadth-first over states; node = {st, parent, label, consumed}
+    const nodes = [];
+    const index = new Map();
+    const edges = [];        // [from, to]
+    const transitions = new Map(); // "from→to" → label
+    let truncated = false;
+
+    const visit = (st, parent, label, consumed) => {
+        const k = sim.key(st);
+        let id = index.get(k);
+        if (id == null) {
+            if (nodes.length >= maxStates) {
+                truncated = true;
+                return;
+            }
+            id = nodes.length;
+            index.set(k, id);
+            nodes.push({st, parent, label, consumed});
+        }
+        if (parent != null) edges.push([parent, id]);
+    };
+
+    const blank = {scene: null, inv: [], flags: [], solved: [], fired: [], visited: [], ended: false};
+    if (start) sim.goto(blank, start).forEach(st => visit(st, null, `start in ${start}`));
+
+    for (let i = 0; i < nodes.length && !truncated; i++) {
+        const {st} = nodes[i];
+        if (st.ended) continue;
+        for (const m of sim.moves(st)) {
+            for (const next of m.states) {
+                if (next.scene !== st.scene && !transitions.has(`${st.scene}→${next.scene}`)) {
+                    transitions.set(`${st.scene}→${next.scene}`, m.label);
+                }
+                visit(next, i, m.label, m.consumed);
+            }
+        }
+    }
+
+    // which states can still reach an end scene?
+    const back = nodes.map(() => []);
+    edges.forEach(([a, b]) => back[b].push(a));
+    const canWin = new Set();
+    const queue = nodes.map((n, i) => (n.st.ended ? i : -1)).filter(i => i >= 0);
+    queue.forEach(i => canWin.add(i));
+    while (queue.length) {
+        for (const p of back[queue.pop()]) {
+            if (!canWin.has(p)) {
+                canWin.add(p);
+                queue.push(p);
+            }
+        }
+    }
+
+    const pathTo = (i) => {
+        const steps = [];
+        for (let n = nodes[i]; n && n.parent != null; n = nodes[n.parent]) steps.unshift(n.label);
+        return steps;
+    };
+    const consumedOn = (i) => {
+        const out = [];
+        for (let n = nodes[i]; n; n = n.parent != null ? nodes[n.parent] : null) if (n.consumed) out.unshift(n.consumed);
+        return out;
+    };
+
+    const reach = {scenes: new Set(), items: new Set(), flags: new Set(), puzzles: sim.solvedPuzzles};
+    nodes.forEach(({st}) => {
+        reach.scenes.add(st.scene);
+        st.inv.forEach(x => reach.items.add(x));
+        st.flags.forEach(x => reach.flags.add(x));
+    });
+    const won = nodes.findIndex(n => n.st.ended);
+    const checked = !truncated && endScenes.length > 0;
+
+    const reqs = requirements(data, dialogs);
+    const settable = {flag: new Set(), item: new Set(asList(data.scenes).flatMap(sc => asList(sc?.hotspots).filter(h => h?.type === 'pickup').map(h => h.itemId)))};
+    eachAction(data, puzzles, dialogs, (k, a) => {
+        if (k === 'setFlags') (Array.isArray(a) ? a : Object.keys(isObj(a) ? a : {}).filter(f => a[f])).forEach(f => settable.flag.add(f));
+        if (k === 'giveItem') asList(a).forEach(id => settable.item.add(id));
+    });
+    const neverSet = {flags: [], items: []};
+    reqs.forEach(r => {
+        const list = r.kind === 'flag' ? neverSet.flags : neverSet.items;
+        if (!settable[r.kind].has(r.id) && !list.some(x => x.id === r.id && x.where === r.where)) list.push({id: r.id, where: r.where});
+    });
+
+    const required = new Set(reqs.filter(r => r.kind === 'item').map(r => r.id));
+    const stuck = checked ? nodes.map((n, i) => i).filter(i => !canWin.has(i)) : [];
+    const softlocks = stuck.slice(0, maxSoftlocks).map(i => {
+        const {st} = nodes[i];
+        return {
+            scene: st.scene,
+            inventory: st.inv,
+            flags: st.flags,
+            path: pathTo(i),
+            lostItems: consumedOn(i).filter(id => required.has(id) && !st.inv.includes(id))
+        };
+    });
+
+    return {
+        game: data.meta?.id || null,
+        start,
+        endScenes,
+        winnable: won >= 0 ? true : (checked ? false : null),
+        winPath: won >= 0 ? pathTo(won) : null,
+        states: nodes.length,
+        truncated,
+        reachable: {
+            scenes: scenes.map(s => s.id).filter(id => reach.scenes.has(id)),
+            items: [...reach.items].sort(),
+            flags: [...reach.flags].sort(),
+            puzzles: [...reach.puzzles].sort(),
+            dialogs: [...sim.openedDialogs].sort()
+        },
+        unreachable: {
+            scenes: truncated ? [] : scenes.map(s => s.id).filter(id => !reach.scenes.has(id)),
+            endScenes: truncated ? [] : endScenes.filter(id => !reach.scenes.has(id)),
+            items: truncated ? [] : asList(data.items).map(it => it?.id).filter(id => id && !reach.items.has(id))
+        },
+        neverSet,
+        softlockCount: stuck.length,
+        softlocks,
+        graph: sceneGraph(data, sim, transitions, reach.scenes, start, endScenes)
+    };
+}
+
+// --- scene graph ------------------------------------------------------------------
+
+/** goTo targets inside actions (following dialogs, puzzle outcomes, video onEnd). */
+function gotoTargets(acts, sim, seen = new Set()) {
+    const out = [];
+    const walk = (a) => {
+        if (Array.isArray(a)) return a.forEach(walk);
+        if (!isObj(a)) return;
+        if (a.goTo != null) out.push(isObj(a.goTo) ? a.goTo.scene : a.goTo);
+        if (isObj(a.openPuzzle)) [a.openPuzzle.onSuccess, a.openPuzzle.onFail].forEach(walk);
+        if (isObj(a.openPuzzleList)) [a.openPuzzleList.onSuccess, a.openPuzzleList.onFail].forEach(walk);
+        if (isObj(a.playVideo)) walk(a.playVideo.onEnd);
+        if (a.onEnd) walk(a.onEnd);
+        if (a.openDialog != null) {
+            const id = isObj(a.openDialog) ? a.openDialog.id : a.openDialog;
+            const dlg = sim.dialogById.get(id);
+            if (dlg && !seen.has(id)) {
+                seen.add(id);
+                walk(dlg.onEnd);
+                allSteps(dlg).forEach(s => {
+                    walk(s?.onNext);
+                    asList(s?.choices).forEach(c => walk(c?.onChoose));
+                });
+            }
+        }
+    };
+    walk(acts);
+    return out.filter(Boolean);
+}
+
+function edgeLabel(h) {
+    const needs = [...asList(h.requireItems), ...asList(h.acceptItems).map(a => (isObj(a) ? a.id : a))];
+    const flags = asList(h.requireFlags);
+    const parts = [];
+    if (h.type === 'puzzle') parts.push(`puzzle ${h.puzzleRef || h.puzzle?.ref || ''}`.trim());
+    if (h.type === 'dialog') parts.push(`dialog ${h.dialogId}`);
+    if (needs.length) parts.push(`needs ${needs.join(', ')}`);
+    if (flags.length) parts.push(`flags ${flags.join(', ')}`);
+    return parts.join('; ');
+}
+
+function sceneGraph(data, sim, transitions, reached, start, endScenes) {
+    const nodes = asList(data.scenes).filter(s => s?.id).map(s => ({
+        id: s.id,
+        start: s.id === start,
+        end: endScenes.includes(s.id),
+        reachable: reached.has(s.id)
+    }));
+    const edges = [];
+    const seen = new Set();
+    const push = (from, to, label, kind) => {
+        const k = `${from}→${to}`;
+        if (!sim.sceneById.has(to) || seen.has(k)) return;
+        seen.add(k);
+        edges.push({from, to, label, kind, taken: transitions.has(k)});
+    };
+    asList(data.scenes).forEach(sc => asList(sc?.hotspots).forEach(h => {
+        if (!isObj(h)) return;
+        const targets = [...(h.type === 'goTo' && !h.acceptItems ? [h.target] : []), ...gotoTargets([h.onApply, h.onSuccess, h.onFail], sim)];
+        targets.forEach(t => push(sc.id, t, edgeLabel(h), 'hotspot'));
+    }));
+    asList(data.events).forEach(ev => {
+        if (ev?.when?.on === 'enterScene' && ev.when.scene) gotoTargets(ev.then, sim).forEach(t => push(ev.when.scene, t, `event ${ev.id}`, 'event'));
+    });
+    for (const [k, label] of transitions) {
+        const [from, to] = k.split('→');
+        if (from !== 'null') push(from, to, label, 'observed');
+    }
+    return {nodes, edges};
+}
+
+const dotId = (s) => `"${String(s).replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Graphviz DOT of the scene graph (start bold, end double, unreachable grey; dashed edges were never taken).
+ * @param {object} analysis - analyzeGame() result
+ * @returns {string}
+ */
+export function toDot(analysis) {
+    const {nodes, edges} = analysis.graph;
+    const lines = [`digraph ${dotId(analysis.game || 'game')} {`, '    rankdir=LR;', '    node [shape=box, style=rounded, fontname="sans-serif"];'];
+    nodes.forEach(n => {
+        const attrs = [];
+        if (n.start) attrs.push('penwidth=2');
+        if (n.end) attrs.push('peripheries=2');
+        if (!n.reachable) attrs.push('color=grey', 'fontcolor=grey', 'style="rounded,dashed"');
+        lines.push(`    ${dotId(n.id)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+    });
+    edges.forEach(e => {
+        const attrs = [];
+        if (e.label) attrs.push(`label=${dotId(e.label)}`);
+        if (!e.taken) attrs.push('style=dashed', 'color=grey');
+        lines.push(`    ${dotId(e.from)} -> ${dotId(e.to)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Mermaid flowchart of the scene graph (same conventions as toDot).
+ * @param {object} analysis - analyzeGame() result
+ * @returns {string}
+ */
+export function toMermaid(analysis) {
+    const {nodes, edges} = analysis.graph;
+    const ids = new Map(nodes.map((n, i) => [n.id, `s${i}`]));
+    const text = (s) => String(s).replace(/"/g, '#quot;');
+    const lines = ['flowchart LR'];
+    nodes.forEach(n => {
+        const shape = n.end ? [`(["`, `"])`] : [`["`, `"]`];
+        const cls = !n.reachable ? ':::unreachable' : (n.start ? ':::start' : (n.end ? ':::end' : ''));
+        lines.push(`    ${ids.get(n.id)}${shape[0]}${text(n.id)}${shape[1]}${cls}`);
+    });
+    edges.forEach(e => {
+        const arrow = e.taken ? '-->' : '-.->';
+        lines.push(`    ${ids.get(e.from)} ${arrow}${e.label ? `|"${text(e.label)}"|` : ''} ${ids.get(e.to)}`);
+    });
+    lines.push('    classDef start stroke-width:3px;');
+    lines.push('    classDef end fill:#d8f3dc,stroke:#2d6a4f;');
+    lines.push('    classDef unreachable fill:#eee,stroke:#999,color:#999,stroke-dasharray:4;');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Text report.
+ * @param {object} a - analyzeGame() result
+ * @returns {string}
+ */
+export function formatAnalysis(a) {
+    const out = [];
+    const list = (xs) => (xs.length ? xs.join(', ') : '–');
+    out.push(`Start: ${a.start ?? '–'}   End scenes: ${list(a.endScenes)}`);
+    out.push(`States explored: ${a.states}${a.truncated ? ' (limit reached – results are partial)' : ''}`);
+    if (!a.endScenes.length) out.push('Winnable: unknown – no scene has "end": true (use --goal <sceneId>)');
+    else if (a.winnable == null) out.push('Winnable: unknown (state limit reached before an end scene)');
+    else out.push(a.winnable ? `Winnable: yes (${a.winPath.length} moves at best)` : 'Winnable: NO – no end scene can be reached');
+    if (a.unreachable.scenes.length) out.push(`Unreachable scenes: ${list(a.unreachable.scenes)}`);
+    if (a.unreachable.endScenes.length) out.push(`Unreachable end scenes: ${list(a.unreachable.endScenes)}`);
+    if (a.unreachable.items.length) out.push(`Items never obtained: ${list(a.unreachable.items)}`);
+    a.neverSet.flags.forEach(f => out.push(`Flag "${f.id}" is required (${f.where}) but never set`));
+    a.neverSet.items.forEach(f => out.push(`Item "${f.id}" is required (${f.where}) but never given`));
+    if (a.softlockCount) {
+        out.push(`Softlocks: ${a.softlockCount} state(s) from which no end scene can be reached, e.g.`);
+        a.softlocks.forEach(s => {
+            out.push(`  in "${s.scene}" holding [${s.inventory.join(', ')}] with flags [${s.flags.join(', ')}]` +
+                (s.lostItems.length ? ` – used up: ${s.lostItems.join(', ')}` : ''));
+            out.push(`    after: ${s.path.join(' › ')}`);
+        });
+    }
+    return out.join('\n');
+}
+
+/** Does the report show a problem (not winnable, softlocks, never-set requirements, unreachable end scenes)? */
+export function hasProblems(a) {
+    return a.winnable === false || a.softlockCount > 0 || a.neverSet.flags.length > 0 || a.neverSet.items.length > 0
+        || a.unreachable.endScenes.length > 0;
+}
@@ -0,0 +1,203 @@
+// engine/results.js
+// End-of-game results: statistics, score formula, results screen and a local leaderboard.
+//
+// scenes.json (opt-in):
+//   "results": {
+//     "leaderboard": true,
+//     "score": { "base": 1000, "perCorrect": 100, "perWrong": -20, "perAttempt": 0, "perHint": -50,
+//                "perMinute": -5, "perItem": 10, "perScene": 0, "var": "score", "min": 0 }
+//   }
+// The results screen opens when an `end: true` scene is reached (or via Game.showResults()).
+// `var` adds the value of a state variable (see vars.js), e.g. points collected by actions.
+
+import {formatClock} from './timers.js';
+import {latestResults} from './aggregate.js';
+
+const LEADERBOARD_LIMIT = 50;
+
+/** Per-puzzle attempt record (state.stats.puzzles[ref]). */
+export function recordPuzzleAttempt(game, ref, ok) {
+    const stats = game.state.stats = game.state.stats || {};
+    stats.puzzles = stats.puzzles || {};
+    const rec = stats.puzzles[ref] = stats.puzzles[ref] || {attempts: 0, ok: false};
+    rec.attempts++;
+    if (ok) rec.ok = true;
+}
+
+/** Score from the linear formula in results.score (0 weights when missing). */
+export function computeScore(game, r) {
+    const f = game.data?.results?.score || {};
+    const w = (k) => Number(f[k]) || 0;
+    let score = w('base')
+        + w('perCorrect') * r.correct
+        + w('perWrong') * r.wrong
+        + w('perAttempt') * r.attempts
+        + w('perHint') * r.hintsUsed
+        + w('perMinute') * Math.floor(r.elapsedMs / 60000)
+        + w('perItem') * r.itemsFound
+        + w('perScene') * r.scenesVisited;
+    if (f.var) score += Number(game.getVar(f.var)) || 0;
+    if (f.min != null) score = Math.max(Number(f.min), score);
+    if (f.max != null) score = Math.min(Number(f.max), score);
+    return Math.round(score);
+}
+
+/**
+ * Summary of the run. `correct`/`wrong` combine puzzle attempts (first success per puzzle)
+ * with aggregate results in state.puzzleResults (latest answer per puzzle).
+ * `attempts` counts puzzle attempts only.
+ * @param {import('./engine.js').Game} game
+ */
+export function computeResults(game) {
+    const st = game.state || {};
+    const end = st.finishedAt || Date.now();
+    const puzzles = Object.entries(st.stats?.puzzles || {}).map(([ref, p]) => ({ref, attempts: p.attempts, ok: !!p.ok}));
+    const aggregate = latestResults(game);
+
+    const r = {
+        elapsedMs: Math.max(0, end - (st.startedAt || end)),
+        finished: !!st.finishedAt,
+        hintsUsed: (st.hints?.log || []).length,
+        puzzles,
+        attempts: puzzles.reduce((n, p) => n + p.attempts, 0),
+        correct: puzzles.filter(p => p.ok).length + aggregate.filter(x => x.ok).length,
+        wrong: puzzles.reduce((n, p) => n + p.attempts - (p.ok ? 1 : 0), 0) + aggregate.filter(x => !x.ok).length,
+        scenesVisited: Object.keys(st.visited || {}).length,
+        scenesTotal: (game.data?.scenes || []).length,
+        itemsFound: Object.keys(st.stats?.itemsFound || {}).length,
+        itemsTotal: (game.data?.items || []).length
+    };
+    r.score = computeScore(game, r);
+    return r;
+}
+
+// --- leaderboard --------------------------------------------------------------
+
+const boardKey = (game) => `escape:${game.meta?.id || 'unknown'}:leaderboard`;
+
+/** @returns {Promise<{name:string, score:number, elapsedMs:number, hintsUsed:number, at:number}[]>} best first */
+export async function loadLeaderboard(game) {
+    try {
+        const raw = await game.storage.getItem(boardKey(game));
+        const list = raw ? JSON.parse(raw) : [];
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
+    }
+}
+
+/** Add an entry (best score first, faster time wins ties). @returns {Promise<number>} 1-based rank */
+export async function addLeaderboardEntry(game, name, results) {
+    const entry = {
+        name: String(name || '').trim() || '—',
+        score: results.score,
+        elapsedMs: results.elapsedMs,
+        hintsUsed: results.hintsUsed,
+        at: Date.now()
+    };
+    const list = await loadLeaderboard(game);
+    list.push(entry);
+    list.sort((a, b) => (b.score - a.score) || (a.elapsedMs - b.elapsedMs));
+    const kept = list.slice(0, LEADERBOARD_LIMIT);
+    await game.storage.setItem(boardKey(game), JSON.stringify(kept));
+    return kept.indexOf(entry) + 1;
+}
+
+// --- UI -------------------------------------------------------------------------
+
+/**
+ * Results modal: summary table, score and (optionally) the leaderboard with a "save team" row.
+ * @param {import('./engine.js').Game} game
+ * @returns {Promise<void>}
+ */
+export async function openResultsScreen(game) {
+    const cfg = game.data?.results || {};
+    const r = computeResults(game);
+    const body = document.createElement('div');
+    body.className = 'modal-body results';
+
+    const score = document.createElement('div');
+    score.className = 'results-score';
+    score.textContent = game._t('engine.results.score', 'Skóre: {score}', {score: r.score});
+    body.appendChild(score);
+
+    const rows = [
+        ['engine.results.time', 'Čas', formatClock(r.elapsedMs)],
+        ['engine.results.hints', 'Použité nápovědy', String(r.hintsUsed)],
+        ['engine.results.puzzles', 'Úlohy', game._t('engine.results.puzzlesValue', '{correct} správně, {wrong} chybně ({attempts} pokusů)', r)],
+        ['engine.results.scenes', 'Navštívené scény', `${r.scenesVisited}/${r.scenesTotal}`],
+        ['engine.results.items', 'Nalezené předměty', r.itemsTotal ? `${r.itemsFound}/${r.itemsTotal}` : String(r.itemsFound)]
+    ];
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    rows.forEach(([key, def, value]) => {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.textContent = game._t(key, def);
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(th);
+        tr.appendChild(td);
+        table.appendChild(tr);
+    });
+    body.appendChild(table);
+
+    if (cfg.leaderboard) {
+        const board = document.createElement('div');
+        board.className = 'results-board';
+
+        const renderBoard = async (highlightRank = 0) => {
+            const list = await loadLeaderboard(game);
+            board.innerHTML = '';
+            const h = document.createElement('div');
+            h.className = 'results-board-title';
+            h.textContent = game._t('engine.results.leaderboard', 'Žebříček');
+            board.appendChild(h);
+            if (!list.length) {
+                const empty = document.createElement('div');
+                empty.className = 'results-empty';
+                empty.textContent = game._t('engine.results.boardEmpty', 'Zatím žádné výsledky.');
+                board.appendChild(empty);
+                return;
+            }
+            const ol = document.createElement('ol');
+            ol.className = 'results-board-list';
+            list.slice(0, 10).forEach((e, i) => {
+                const li = document.createElement('li');
+                if (i + 1 === highlightRank) li.classList.add('is-current');
+                li.textContent = `${e.name} · ${e.score} · ${formatClock(e.elapsedMs)}`;
+                ol.appendChild(li);
+            });
+            board.appendChild(ol);
+        };
+
+        const row = document.createElement('div');
+        row.className = 'results-save';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'results-name';
+        input.placeholder = game._t('engine.results.teamName', 'Jméno týmu');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn--action results-submit';
+        btn.textContent = game._t('engine.results.submit', 'Zapsat do žebříčku');
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            input.disabled = true;
+            const rank = await addLeaderboardEntry(game, input.value, r);
+            await renderBoard(rank);
+        });
+        row.appendChild(input);
+        row.appendChild(btn);
+        body.appendChild(row);
+        body.appendChild(board);
+        await renderBoard();
+    }
+
+    await game.openModal({
+        title: game._t('engine.results.title', 'Výsledky'),
+        body,
+        okLabel: game._t('engine.modal.ok', 'OK'),
+        cancelLabel: game._t('engine.modal.cancel', 'Zavřít')
+    });
+}
@@ -0,0 +1,396 @@
+// engine/saves.js
+// Save games per game id: one autosave plus any number of named manual slots.
+// Storage keys are namespaced by `meta.id`, so several games on one origin never collide:
+//   escape:<gameId>:slots        → index (array of slot headers)
+//   escape:<gameId>:slot:<id>    → full slot record { ...header, state }
+// All reads/writes go through an async storage adapter (see storage.js).
+
+import {LocalStorageAdapter} from './storage.js';
+
+const KEY_PREFIX = 'escape:';
+export const AUTOSAVE_ID = 'autosave';
+const LEGACY_KEY = 'leeuwenhoek_escape_state';
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   kind: 'auto'|'manual',
+ *   savedAt: number,
+ *   sceneId: string|null,
+ *   sceneTitle: string,
+ *   thumbnail: string|null
+ * }} SlotHeader
+ */
+
+export class SaveManager {
+    /**
+     * @param {{gameId:string, storage?:object}} opts - storage: async adapter from storage.js
+     */
+    constructor({gameId, storage} = {}) {
+        this.gameId = gameId || 'unknown';
+        this.storage = storage || new LocalStorageAdapter();
+    }
+
+    _key(suffix) {
+        return `${KEY_PREFIX}${this.gameId}:${suffix}`;
+    }
+
+    async _readJson(key) {
+        try {
+            const raw = await this.storage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    async _readIndex() {
+        const list = await this._readJson(this._key('slots'));
+        return Array.isArray(list) ? list : [];
+    }
+
+    async _writeIndex(list) {
+        await this.storage.setItem(this._key('slots'), JSON.stringify(list));
+    }
+
+    /** @returns {Promise<SlotHeader[]>} autosave first, then manual slots newest first. */
+    async list() {
+        const list = await this._readIndex();
+        return list.slice().sort((a, b) => {
+            if (a.kind !== b.kind) return a.kind === 'auto' ? -1 : 1;
+            return (b.savedAt || 0) - (a.savedAt || 0);
+        });
+    }
+
+    /**
+     * Write a slot (creates or overwrites).
+     * @param {string} id
+     * @param {object} state
+     * @param {{name?:string, kind?:'auto'|'manual', sceneTitle?:string, thumbnail?:string|null}} [info]
+     * @returns {Promise<SlotHeader>}
+     */
+    async save(id, state, info = {}) {
+        const header = {
+            id,
+            name: info.name || id,
+            kind: info.kind || (id === AUTOSAVE_ID ? 'auto' : 'manual'),
+            savedAt: Date.now(),
+            sceneId: state?.scene ?? null,
+            sceneTitle: info.sceneTitle || '',
+            thumbnail: info.thumbnail || null
+        };
+        await this.storage.setItem(this._key('slot:' + id), JSON.stringify({...header, state}));
+
+        const index = (await this._readIndex()).filter(s => s?.id !== id);
+        index.push(header);
+        await this._writeIndex(index);
+        return header;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<(SlotHeader & {state:object})|null>}
+     */
+    async load(id) {
+        const rec = await this._readJson(this._key('slot:' + id));
+        return rec && rec.state ? rec : null;
+    }
+
+    async remove(id) {
+        await this.storage.removeItem(this._key('slot:' + id));
+        const index = (await this._readIndex()).filter(s => s?.id !== id);
+        await this._writeIndex(index);
+    }
+
+    saveAuto(state, info = {}) {
+        return this.save(AUTOSAVE_ID, state, {...info, kind: 'auto', name: info.name || AUTOSAVE_ID});
+    }
+
+    async loadAuto() {
+        const rec = await this.load(AUTOSAVE_ID);
+        if (rec) return rec.state;
+        return this._takeLegacy();
+    }
+
+    removeAuto() {
+        return this.remove(AUTOSAVE_ID);
+    }
+
+    /** Create a new manual slot id (stable, sortable, unique enough for a key/value store). */
+    newSlotId() {
+        return 'm' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    /**
+     * One-time pickup of the pre-slots single key. Only adopted when it belongs
+     * to this game (signature starts with "<gameId>|"), then removed.
+     */
+    async _takeLegacy() {
+        const legacy = await this._readJson(LEGACY_KEY);
+        if (!legacy || typeof legacy.signature !== 'string') return null;
+        if (!legacy.signature.startsWith(this.gameId + '|')) return null;
+        try {
+            await this.storage.removeItem(LEGACY_KEY);
+        } catch { /* noop */
+        }
+        return legacy;
+    }
+}
+
+// --- portable save files -----------------------------------------------------
+
+export const SAVE_FILE_FORMAT = 'escape-save';
+export const SAVE_FILE_VERSION = 1;
+
+/** State buckets that travel in a save file (runtime-only fields like useItemId stay local). */
+const PORTABLE_KEYS = ['schema', 'lang', 'scene', 'inventory', 'flags', 'vars', 'timers', 'hints', 'stats', 'solved', 'visited', 'eventsFired', 'dialogs', 'dialogLog', 'puzzleResults', 'hero', 'startedAt', 'finishedAt'];
+
+/**
+ * Import failure with a machine-readable code:
+ * 'parse' | 'format' | 'checksum' | 'game'
+ */
+export class SaveFileError extends Error {
+    constructor(code, message, extra = {}) {
+        super(message);
+        this.name = 'SaveFileError';
+        this.code = code;
+        Object.assign(this, extra);
+    }
+}
+
+/** JSON with sorted object keys, so the checksum does not depend on key order. */
+function stableStringify(v) {
+    if (Array.isArray(v)) return '[' + v.map(stableStringify).join(',') + ']';
+    if (v && typeof v === 'object') {
+        return '{' + Object.keys(v).sort().map(k => JSON.stringify(k) + ':' + stableStringify(v[k])).join(',') + '}';
+    }
+    return JSON.stringify(v ?? null);
+}
+
+/** FNV-1a 32-bit → 8 hex chars. Detects accidental edits/corruption, not tampering. */
+export function checksum(value) {
+    const str = stableStringify(value);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build a portable save file object.
+ * @param {object} state
+ * @param {{signature:string, gameId:string, version:string}} info
+ */
+export function buildSaveFile(state, {signature, gameId, version}) {
+    const portable = {};
+    PORTABLE_KEYS.forEach(k => {
+        if (state?.[k] !== undefined) portable[k] = JSON.parse(JSON.stringify(state[k]));
+    });
+    portable.signature = signature;
+    return {
+        format: SAVE_FILE_FORMAT,
+        formatVersion: SAVE_FILE_VERSION,
+        gameId,
+        version,
+        signature,
+        exportedAt: new Date().toISOString(),
+        checksum: checksum(portable),
+        state: portable
+    };
+}
+
+/**
+ * Parse + validate a save file (string or already parsed object).
+ * @param {string|object} input
+ * @param {{gameId:string}} expect
+ * @returns {object} the contained state (signature included)
+ * @throws {SaveFileError}
+ */
+export function parseSaveFile(input, {gameId}) {
+    let file = input;
+    if (typeof input === 'string') {
+        try {
+            file = JSON.parse(input);
+        } catch (err) {
+            throw new SaveFileError('parse', 'Save file is not valid JSON: ' + err.message);
+        }
+    }
+
+    if (!file || typeof file !== 'object' || file.format !== SAVE_FILE_FORMAT || !file.state || typeof file.state !== 'object') {
+        throw new SaveFileError('format', 'Not an escape-game save file');
+    }
+    if (Number(file.formatVersion) > SAVE_FILE_VERSION) {
+        throw new SaveFileError('format', `Unsupported save file version ${file.formatVersion}`);
+    }
+    if (file.checksum !== checksum(file.state)) {
+        throw new SaveFileError('checksum', 'Save file checksum mismatch (file was modified or damaged)');
+    }
+    if (file.gameId !== gameId) {
+        throw new SaveFileError('game', `Save file belongs to game '${file.gameId}', not '${gameId}'`, {
+            fileGameId: file.gameId
+        });
+    }
+    return file.state;
+}
+
+// --- UI ---------------------------------------------------------------------
+
+/**
+ * Open the save/load modal (list of slots with Load/Delete + "save as" row).
+ * Resolves when the modal closes.
+ * @param {import('./engine.js').Game} game
+ * @returns {Promise<void>}
+ */
+export async function openSaveMenu(game) {
+    const body = document.createElement('div');
+    body.className = 'modal-body save-menu';
+
+    const fmtTime = (ts) => {
+        try {
+            return new Date(ts).toLocaleString(game.lang || undefined);
+        } catch {
+            return String(ts);
+        }
+    };
+
+    const render = async () => {
+        const slots = await game._ensureSaves().list();
+        body.innerHTML = '';
+
+        // "Save as" row
+        const row = document.createElement('div');
+        row.className = 'save-new';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'save-name';
+        input.placeholder = game._t('engine.saves.namePlaceholder', 'Název uložené hry');
+        const btnSave = document.createElement('button');
+        btnSave.type = 'button';
+        btnSave.className = 'btn btn--action';
+        btnSave.textContent = game._t('engine.saves.save', 'Uložit');
+        btnSave.addEventListener('click', async () => {
+            const name = input.value.trim() || fmtTime(Date.now());
+            await game.saveToSlot(null, name);
+            game.toast(game._t('engine.saves.saved', 'Uloženo: {name}', {name}), 1800);
+            await render();
+        });
+        row.appendChild(input);
+        row.appendChild(btnSave);
+        body.appendChild(row);
+
+        // Export / import row
+        const io = document.createElement('div');
+        io.className = 'save-io';
+
+        const btnExport = document.createElement('button');
+        btnExport.type = 'button';
+        btnExport.className = 'btn save-export';
+        btnExport.textContent = game._t('engine.saves.export', 'Exportovat');
+        btnExport.addEventListener('click', () => game.downloadSave());
+
+        const file = document.createElement('input');
+        file.type = 'file';
+        file.accept = 'application/json,.json';
+        file.hidden = true;
+        file.addEventListener('change', async () => {
+            const f = file.files?.[0];
+            if (!f) return;
+            try {
+                await game.importSave(await f.text());
+                game._closeModal(true);
+                game.toast(game._t('engine.saves.imported', 'Uložená hra byla načtena.'), 1800);
+            } catch (err) {
+                game.toast(game._saveFileErrorText(err), 4000);
+            }
+        });
+
+        const btnImport = document.createElement('button');
+        btnImport.type = 'button';
+        btnImport.className = 'btn save-import';
+        btnImport.textContent = game._t('engine.saves.import', 'Importovat');
+        btnImport.addEventListener('click', () => file.click());
+
+        io.appendChild(btnExport);
+        io.appendChild(btnImport);
+        io.appendChild(file);
+        body.appendChild(io);
+
+        // Slot list
+        if (!slots.length) {
+            const empty = document.createElement('div');
+            empty.className = 'save-empty';
+            empty.textContent = game._t('engine.saves.empty', 'Zatím žádné uložené hry.');
+            body.appendChild(empty);
+            return;
+        }
+
+        const ul = document.createElement('ul');
+        ul.className = 'save-list';
+        slots.forEach(s => {
+            const li = document.createElement('li');
+            li.className = 'save-slot save-slot--' + s.kind;
+            li.dataset.slotId = s.id;
+
+            if (s.thumbnail) {
+                const img = document.createElement('img');
+                img.className = 'save-thumb';
+                img.src = s.thumbnail;
+                img.alt = '';
+                li.appendChild(img);
+            }
+
+            const info = document.createElement('div');
+            info.className = 'save-info';
+            const title = document.createElement('div');
+            title.className = 'save-title';
+            title.textContent = s.kind === 'auto' ? game._t('engine.saves.autosave', 'Automatické uložení') : s.name;
+            const meta = document.createElement('div');
+            meta.className = 'save-meta';
+            meta.textContent = [s.sceneTitle, fmtTime(s.savedAt)].filter(Boolean).join(' · ');
+            info.appendChild(title);
+            info.appendChild(meta);
+            li.appendChild(info);
+
+            const ops = document.createElement('div');
+            ops.className = 'save-ops';
+
+            const btnLoad = document.createElement('button');
+            btnLoad.type = 'button';
+            btnLoad.className = 'btn btn--action save-load';
+            btnLoad.textContent = game._t('engine.saves.load', 'Načíst');
+            btnLoad.addEventListener('click', async () => {
+                game._closeModal(true);
+                await game.loadFromSlot(s.id);
+            });
+            ops.appendChild(btnLoad);
+
+            if (s.kind !== 'auto') {
+                const btnDel = document.createElement('button');
+                btnDel.type = 'button';
+                btnDel.className = 'btn save-delete';
+                btnDel.textContent = game._t('engine.saves.delete', 'Smazat');
+                btnDel.addEventListener('click', async () => {
+                    await game.deleteSlot(s.id);
+                    await render();
+                });
+                ops.appendChild(btnDel);
+            }
+
+            li.appendChild(ops);
+            ul.appendChild(li);
+        });
+        body.appendChild(ul);
+    };
+
+    await render();
+
+    await game.openModal({
+        title: game._t('engine.saves.title', 'Uložené hry'),
+        body,
+        okLabel: game._t('engine.modal.ok', 'OK'),
+        cancelLabel: game._t('engine.modal.cancel', 'Zavřít')
+    });
+}
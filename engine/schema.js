@@ -0,0 +1,191 @@
+// engine/schema.js
+// JSON Schema checks for game files against schemas/*.schema.json (also used by editors for autocomplete).
+//
+// A small draft-07 subset, enough for our schemas and free of dependencies (runs in the browser and Node):
+//   $ref ("#/definitions/x" or "common.schema.json#/definitions/x"), type, enum, const, required, properties,
+//   additionalProperties, propertyNames, minProperties, items, minItems, maxItems, minLength, minimum, maximum,
+//   exclusiveMinimum, allOf, anyOf, oneOf, not, if/then/else. Annotations (title, description, examples) are ignored.
+//
+// Errors carry the exact path of the invalid field: {path: 'scenes[2].hotspots[0].rect.w', message: 'must be number'}.
+// When no branch of an anyOf/oneOf matches, the branch that fits the value's type best is reported.
+
+/** Game file → its schema. */
+export const SCHEMA_FILES = {
+    'scenes.json': 'scenes.schema.json',
+    'puzzles.json': 'puzzles.schema.json',
+    'dialogs.json': 'dialogs.schema.json'
+};
+
+/** Schemas referenced by the file schemas. */
+const SHARED_SCHEMAS = ['common.schema.json'];
+
+const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Fetch all schemas.
+ * @param {{baseUrl?:string, fetch?:Function}} [opts] baseUrl – folder with the *.schema.json files
+ * @returns {Promise<Object<string, object>|null>} name → schema, null when the schemas are not there
+ */
+export async function loadSchemas({baseUrl = 'schemas/', fetch: fetchFn = (...a) => globalThis.fetch(...a)} = {}) {
+    const base = baseUrl.replace(/\/*$/, '/');
+    const out = {};
+    for (const name of [...Object.values(SCHEMA_FILES), ...SHARED_SCHEMAS]) {
+        try {
+            const r = await fetchFn(base + name, {cache: 'no-cache'});
+            if (!r.ok) return null;
+            out[name] = await r.json();
+        } catch (err) {
+            if (err instanceof SyntaxError) throw new SyntaxError(`${name}: ${err.message}`);
+            return null;
+        }
+    }
+    return out;
+}
+
+/**
+ * Validate a value against a loaded schema.
+ * @param {*} value
+ * @param {string} name - schema file name, e.g. 'scenes.schema.json'
+ * @param {Object<string, object>} schemas - from loadSchemas()
+ * @returns {{path:string, message:string}[]}
+ */
+export function validateJson(value, name, schemas) {
+    if (!schemas?.[name]) throw new Error(`schema "${name}" is not loaded`);
+    const errors = [];
+    check(value, schemas[name], '', {file: name, schemas}, errors);
+    return errors.map(({path, message}) => ({path, message}));
+}
+
+const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+function typeMatches(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+function resolveRef(ref, ctx) {
+    const [file, pointer = ''] = ref.split('#');
+    const docName = file || ctx.file;
+    let node = ctx.schemas[docName];
+    if (!node) throw new Error(`schema "${docName}" is not loaded ($ref "${ref}")`);
+    for (const part of pointer.split('/').filter(Boolean)) {
+        node = node?.[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    if (node === undefined) throw new Error(`$ref "${ref}" in ${ctx.file} does not resolve`);
+    return {schema: node, ctx: {...ctx, file: docName}};
+}
+
+const show = (v) => JSON.stringify(v);
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+/** Push errors of `value` against `schema` onto `errors` ({path, message, type?}). */
+function check(value, schema, path, ctx, errors) {
+    if (schema === true || schema == null) return;
+    const err = (message, extra = {}) => errors.push({path, message, ...extra});
+    if (schema === false) {
+        err('is not allowed');
+        return;
+    }
+    if (schema.$ref) {
+        const r = resolveRef(schema.$ref, ctx);
+        check(value, r.schema, path, r.ctx, errors);
+        return;
+    }
+
+    if (schema.type != null) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => typeMatches(value, t))) {
+            err(`must be ${types.join(' or ')}`, {expected: types});
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.some(x => x === value)) err(`must be one of ${schema.enum.map(show).join(', ')}`);
+    if (Object.hasOwn(schema, 'const') && schema.const !== value) err(`must be ${show(schema.const)}`);
+
+    if (isObj(value)) {
+        (schema.required || []).forEach(k => {
+            if (!Object.hasOwn(value, k)) err(`must have property "${k}"`, {missing: k});
+        });
+        if (schema.minProperties != null && Object.keys(value).length < schema.minProperties) {
+            err(`must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+        const props = schema.properties || {};
+        for (const [k, v] of Object.entries(value)) {
+            if (schema.propertyNames) {
+                const nameErrors = [];
+                check(k, schema.propertyNames, path, ctx, nameErrors);
+                if (nameErrors.length) err(`property name "${k}" is not allowed`);
+            }
+            if (Object.hasOwn(props, k)) check(v, props[k], join(path, k), ctx, errors);
+            else if (schema.additionalProperties === false) errors.push({path: join(path, k), message: 'is not an allowed property'});
+            else if (isObj(schema.additionalProperties)) check(v, schema.additionalProperties, join(path, k), ctx, errors);
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) err(`must have at least ${schema.minItems} item(s)`);
+        if (schema.maxItems != null && value.length > schema.maxItems) err(`must have at most ${schema.maxItems} item(s)`);
+        if (schema.items) value.forEach((x, i) => check(x, schema.items, join(path, i), ctx, errors));
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength != null && value.length < schema.minLength) err(value ? `must have at least ${schema.minLength} characters` : 'must not be empty');
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) err(`must match ${schema.pattern}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum != null && value < schema.minimum) err(`must be ≥ ${schema.minimum}`);
+        if (schema.maximum != null && value > schema.maximum) err(`must be ≤ ${schema.maximum}`);
+        if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) err(`must be > ${schema.exclusiveMinimum}`);
+    }
+
+    (schema.allOf || []).forEach(s => check(value, s, path, ctx, errors));
+    if (schema.anyOf) branches(value, schema.anyOf, path, ctx, errors, false);
+    if (schema.oneOf) branches(value, schema.oneOf, path, ctx, errors, true);
+    if (schema.not && valid(value, schema.not, path, ctx)) err('must not match the excluded shape');
+    if (schema.if) {
+        const next = valid(value, schema.if, path, ctx) ? schema.then : schema.else;
+        if (next != null) check(value, next, path, ctx, errors);
+    }
+}
+
+function valid(value, schema, path, ctx) {
+    const errors = [];
+    check(value, schema, path, ctx, errors);
+    return errors.length === 0;
+}
+
+/** anyOf / oneOf: pass if a branch matches; otherwise report the closest branch. */
+function branches(value, list, path, ctx, errors, exactlyOne) {
+    const results = list.map(s => {
+        const errs = [];
+        check(value, s, path, ctx, errs);
+        return errs;
+    });
+    const passing = results.filter(r => !r.length).length;
+    if (passing && (!exactlyOne || passing === 1)) return;
+    if (passing) {
+        errors.push({path, message: 'must match exactly one of the allowed shapes'});
+        return;
+    }
+    // A branch whose own type check failed does not describe this value; prefer the others.
+    const typeMiss = (r) => r.some(e => e.path === path && e.expected);
+    const candidates = results.filter(r => !typeMiss(r));
+    if (!candidates.length) {
+        const types = [...new Set(results.flatMap(r => r.filter(e => e.path === path && e.expected).flatMap(e => e.expected)))];
+        errors.push({path, message: `must be ${types.join(' or ')}`, expected: types});
+        return;
+    }
+    const fewest = Math.min(...candidates.map(r => r.length));
+    const best = candidates.filter(r => r.length === fewest);
+    // Equally close shapes that only disagree about this very value: name them all ("… or …").
+    if (best.length > 1 && best.every(r => r.every(e => e.path === path))) {
+        const messages = [...new Set(best.flatMap(r => r.map(e => e.message)))];
+        errors.push({path, message: messages.join(' or ')});
+        return;
+    }
+    errors.push(...best[0]);
+}
@@ -0,0 +1,204 @@
+// engine/storage.js
+// Async key/value storage adapters for game state (used by SaveManager).
+// Every adapter implements the same tiny interface, all methods return Promises:
+//   getItem(key)        → string|null
+//   setItem(key, value) → void        (value is a string)
+//   removeItem(key)     → void
+// Pass one as `new Game({storage})`; default is LocalStorageAdapter.
+
+/** Plain in-memory store (tests, kiosks, private browsing fallback). */
+export class MemoryStorageAdapter {
+    constructor() {
+        this._m = new Map();
+    }
+
+    async getItem(key) {
+        key = String(key);
+        return this._m.has(key) ? this._m.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this._m.set(String(key), String(value));
+    }
+
+    async removeItem(key) {
+        this._m.delete(String(key));
+    }
+}
+
+/**
+ * window.localStorage wrapper. Falls back to memory when localStorage is
+ * missing or throws (Safari private mode, disabled storage, quota).
+ */
+export class LocalStorageAdapter {
+    /** @param {Storage} [ls] */
+    constructor(ls) {
+        this._ls = ls || LocalStorageAdapter._probe();
+        this._mem = this._ls ? null : new MemoryStorageAdapter();
+    }
+
+    static _probe() {
+        try {
+            const ls = globalThis.localStorage;
+            if (!ls) return null;
+            const k = '__escape_probe__';
+            ls.setItem(k, '1');
+            ls.removeItem(k);
+            return ls;
+        } catch {
+            return null;
+        }
+    }
+
+    async getItem(key) {
+        if (this._mem) return this._mem.getItem(key);
+        return this._ls.getItem(key);
+    }
+
+    async setItem(key, value) {
+        if (this._mem) return this._mem.setItem(key, value);
+        try {
+            this._ls.setItem(key, value);
+        } catch (err) {
+            // quota exceeded or storage revoked mid-session → keep playing in memory
+            console.warn('[STORAGE] localStorage write failed, switching to memory:', err);
+            this._mem = new MemoryStorageAdapter();
+            await this._mem.setItem(key, value);
+        }
+    }
+
+    async removeItem(key) {
+        if (this._mem) return this._mem.removeItem(key);
+        this._ls.removeItem(key);
+    }
+}
+
+/**
+ * IndexedDB store: one object store, string keys → string values.
+ * Falls back to memory when IndexedDB is missing (old browsers, some private modes, Node).
+ */
+export class IndexedDBAdapter {
+    /**
+     * @param {{dbName?:string, storeName?:string, indexedDB?:IDBFactory}} [opts]
+     */
+    constructor({dbName = 'escape-game', storeName = 'kv', indexedDB} = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this._idb = indexedDB || globalThis.indexedDB;
+        this._dbPromise = null;
+        this._mem = this._idb ? null : new MemoryStorageAdapter();
+        if (this._mem) console.warn('[STORAGE] IndexedDB is not available, keeping saves in memory');
+    }
+
+    _db() {
+        if (this._dbPromise) return this._dbPromise;
+        this._dbPromise = new Promise((resolve, reject) => {
+            const req = this._idb.open(this.dbName, 1);
+            req.onupgradeneeded = () => {
+                if (!req.result.objectStoreNames.contains(this.storeName)) {
+                    req.result.createObjectStore(this.storeName);
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        return this._dbPromise;
+    }
+
+    async _tx(mode, fn) {
+        const db = await this._db();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const req = fn(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async getItem(key) {
+        if (this._mem) return this._mem.getItem(key);
+        const v = await this._tx('readonly', s => s.get(String(key)));
+        return v == null ? null : String(v);
+    }
+
+    async setItem(key, value) {
+        if (this._mem) return this._mem.setItem(key, value);
+        await this._tx('readwrite', s => s.put(String(value), String(key)));
+    }
+
+    async removeItem(key) {
+        if (this._mem) return this._mem.removeItem(key);
+        await this._tx('readwrite', s => s.delete(String(key)));
+    }
+}
+
+/**
+ * Server-side storage over plain HTTP:
+ *   GET    <baseUrl>/<key>  → 200 body | 404
+ *   PUT    <baseUrl>/<key>  ← body (text/plain)
+ *   DELETE <baseUrl>/<key>
+ * Keys are URI-encoded. Put the student/session id into baseUrl.
+ */
+export class RestStorageAdapter {
+    /**
+     * @param {{baseUrl:string, headers?:object, credentials?:RequestCredentials, fetch?:typeof fetch}} opts
+     */
+    constructor({baseUrl, headers = {}, credentials = 'same-origin', fetch: fetchFn} = {}) {
+        if (!baseUrl) throw new Error('RestStorageAdapter: baseUrl is required');
+        this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+        this.headers = headers;
+        this.credentials = credentials;
+        this._fetch = fetchFn || ((...a) => globalThis.fetch(...a));
+    }
+
+    _url(key) {
+        return `${this.baseUrl}/${encodeURIComponent(String(key))}`;
+    }
+
+    async _request(method, key, body) {
+        const r = await this._fetch(this._url(key), {
+            method,
+            headers: body != null ? {'Content-Type': 'text/plain;charset=utf-8', ...this.headers} : this.headers,
+            credentials: this.credentials,
+            body
+        });
+        if (method === 'GET' && r.status === 404) return null;
+        if (!r.ok) throw new Error(`RestStorageAdapter: ${method} ${key} failed (${r.status})`);
+        return r;
+    }
+
+    async getItem(key) {
+        const r = await this._request('GET', key);
+        return r ? await r.text() : null;
+    }
+
+    async setItem(key, value) {
+        await this._request('PUT', key, String(value));
+    }
+
+    async removeItem(key) {
+        const r = await this._fetch(this._url(key), {method: 'DELETE', headers: this.headers, credentials: this.credentials});
+        if (!r.ok && r.status !== 404) throw new Error(`RestStorageAdapter: DELETE ${key} failed (${r.status})`);
+    }
+}
+
+/**
+ * Build an adapter from a short spec (e.g. `?storage=` query value):
+ * 'local' | 'indexeddb' | 'memory' | {type:'rest', baseUrl, headers}
+ */
+export function createStorage(spec) {
+    const type = typeof spec === 'string' ? spec : spec?.type;
+    switch (type) {
+        case 'memory':
+            return new MemoryStorageAdapter();
+        case 'indexeddb':
+        case 'idb':
+            return new IndexedDBAdapter(typeof spec === 'object' ? spec : {});
+        case 'rest':
+            return new RestStorageAdapter(spec);
+        case 'local':
+        default:
+            return new LocalStorageAdapter();
+    }
+}
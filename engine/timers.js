@@ -0,0 +1,252 @@
+// engine/timers.js
+// Countdown timers: game-wide, per scene and per puzzle. Live in `state.timers` so they survive reloads.
+//
+// Declarations (durations in seconds):
+//   scenes.json  "timers": { "game": { "duration": 3600, "label": "⏱", "onExpire": { "goTo": "fail" } } }
+//   scene        "timer":  { "duration": 90, "onExpire": { "message": "Too slow!" } }    → id "scene:<sceneId>"
+//   puzzle       "timer":  { "duration": 30 }  (puzzles.json or hotspot/openPuzzle options) → id "puzzle:<ref>"
+// Common keys: autoStart (game timers, default true), show (default true), warnAt (s, default 60),
+//   pauseDuring (default ["dialog", "video"]), onExpire (actions).
+// On expiry: onExpire runs, then events with { "when": { "on": "timerExpired", "timer": "<id>" } }.
+
+import {runActions} from './actions.js';
+
+const TICK_MS = 250;
+const SAVE_EVERY_MS = 5000;
+const DEFAULT_PAUSE_DURING = ['dialog', 'video'];
+
+/** "mm:ss" or "h:mm:ss". */
+export function formatClock(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return h ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+export class TimerManager {
+    /**
+     * @param {import('./engine.js').Game} game
+     * @param {{root?: HTMLElement|null}} [opts] - topbar container for the clock display
+     */
+    constructor(game, {root = null} = {}) {
+        this.game = game;
+        this.root = root;
+        this._holds = new Set();   // active pause reasons ('dialog', 'video', 'manual'…)
+        this._hooks = new Map();   // id → in-memory expiry callback (puzzle timers close their puzzle)
+        this._interval = null;
+        this._last = 0;
+        this._sinceSave = 0;
+
+        this._onPageHide = () => this._persist();
+        if (typeof window !== 'undefined') window.addEventListener('pagehide', this._onPageHide);
+    }
+
+    get _all() {
+        const st = this.game.state;
+        if (!st) return {};
+        st.timers = st.timers || {};
+        return st.timers;
+    }
+
+    get(id) {
+        return this._all[id] || null;
+    }
+
+    /** Remaining seconds (0 when expired, undefined when the timer does not exist). */
+    remaining(id) {
+        const t = this.get(id);
+        return t ? Math.ceil(t.remaining / 1000) : undefined;
+    }
+
+    /**
+     * Start (or restart) a timer.
+     * @param {string} id
+     * @param {{duration:number, label?:*, onExpire?:*, show?:boolean, warnAt?:number, pauseDuring?:string[]}} cfg
+     * @param {{scope?:'game'|'scene'|'puzzle', scene?:string, onExpire?:Function}} [meta]
+     */
+    start(id, cfg, {scope = 'game', scene = null, onExpire = null} = {}) {
+        const duration = Math.max(0, Number(cfg?.duration) || 0) * 1000;
+        this._all[id] = {
+            duration,
+            remaining: duration,
+            running: true,
+            expired: false,
+            scope,
+            scene,
+            label: cfg.label ?? null,
+            show: cfg.show !== false,
+            warnAt: cfg.warnAt ?? 60,
+            pauseDuring: cfg.pauseDuring || DEFAULT_PAUSE_DURING,
+            onExpire: cfg.onExpire || null
+        };
+        if (onExpire) this._hooks.set(id, onExpire);
+        else this._hooks.delete(id);
+        this._persist();
+        this.sync();
+    }
+
+    stop(id) {
+        if (!(id in this._all)) return false;
+        delete this._all[id];
+        this._hooks.delete(id);
+        this._persist();
+        this.sync();
+        return true;
+    }
+
+    setRunning(id, running) {
+        const t = this.get(id);
+        if (!t || t.expired || t.running === running) return false;
+        t.running = running;
+        this._persist();
+        this.sync();
+        return true;
+    }
+
+    /** Add (or with a negative value remove) seconds. */
+    addTime(id, seconds) {
+        const t = this.get(id);
+        if (!t || t.expired) return false;
+        t.remaining = Math.max(0, t.remaining + (Number(seconds) || 0) * 1000);
+        this._persist();
+        this.sync();
+        return true;
+    }
+
+    /** Stop every countdown where it is (end of the run). */
+    freeze() {
+        Object.values(this._all).forEach(t => { t.running = false; });
+        this.sync();
+    }
+
+    /** Pause timers that honour `reason` (see pauseDuring) until resume(reason). */
+    pause(reason) {
+        this._holds.add(reason);
+        this.render();
+    }
+
+    resume(reason) {
+        this._holds.delete(reason);
+        this._last = Date.now();
+        this.render();
+    }
+
+    /** After a (re)load: drop puzzle timers (their puzzle is closed), start declared timers, tick. */
+    restore() {
+        for (const [id, t] of Object.entries(this._all)) {
+            if (t.scope === 'puzzle') delete this._all[id];
+        }
+        this._hooks.clear();
+        this.startDeclared();
+        this.sync();
+    }
+
+    /** Start game timers declared in scenes.json that are not in the state yet. */
+    startDeclared() {
+        for (const [id, cfg] of Object.entries(this.game.data?.timers || {})) {
+            if (cfg?.autoStart === false || this.get(id)) continue;
+            this.start(id, cfg);
+        }
+    }
+
+    /** Scene switch: drop timers of other scenes, start this scene's timer unless it already runs. */
+    enterScene(scene) {
+        for (const [id, t] of Object.entries(this._all)) {
+            if (t.scope === 'scene' && t.scene !== scene.id) this.stop(id);
+        }
+        const id = 'scene:' + scene.id;
+        if (scene.timer && !this.get(id)) this.start(id, scene.timer, {scope: 'scene', scene: scene.id});
+    }
+
+    /** Start/stop the ticker to match the state (call after the state was replaced). */
+    sync() {
+        const anyRunning = Object.values(this._all).some(t => t.running && !t.expired);
+        if (anyRunning && !this._interval) {
+            this._last = Date.now();
+            this._interval = setInterval(() => this._tick(), TICK_MS);
+        } else if (!anyRunning && this._interval) {
+            clearInterval(this._interval);
+            this._interval = null;
+        }
+        this.render();
+    }
+
+    /** Stop ticking for good: saves the remaining times (as on pagehide) and drops the pagehide listener. */
+    destroy() {
+        if (this._interval) {
+            clearInterval(this._interval);
+            this._persist();
+        }
+        this._interval = null;
+        if (typeof window !== 'undefined') window.removeEventListener('pagehide', this._onPageHide);
+    }
+
+    _isHeld(t) {
+        return t.pauseDuring.some(r => this._holds.has(r)) || this._holds.has('all');
+    }
+
+    _tick() {
+        const now = Date.now();
+        const dt = now - this._last;
+        this._last = now;
+
+        const expired = [];
+        for (const [id, t] of Object.entries(this._all)) {
+            if (!t.running || t.expired || this._isHeld(t)) continue;
+            t.remaining = Math.max(0, t.remaining - dt);
+            if (t.remaining === 0) {
+                t.expired = true;
+                t.running = false;
+                expired.push(id);
+            }
+        }
+
+        this._sinceSave += dt;
+        if (expired.length || this._sinceSave >= SAVE_EVERY_MS) this._persist();
+        this.sync();
+        for (const id of expired) {
+            this._expire(id).catch(err => console.warn('[TIMERS] onExpire failed:', id, err));
+        }
+    }
+
+    async _expire(id) {
+        const t = this.get(id);
+        const g = this.game;
+        g._dbg('[TIMER] expired', id);
+        g.analytics?.emit('timer.expired', {timer: id, scope: t?.scope ?? null});
+
+        const hook = this._hooks.get(id);
+        this._hooks.delete(id);
+        if (hook) await hook();
+
+        if (t?.onExpire) await runActions(g, t.onExpire, {source: 'timer', timer: id});
+        else if (t?.scope === 'game') g.toast(g._t('engine.timer.expired', 'Čas vypršel!'), 4000);
+        await g._processEvents({on: 'timerExpired', timer: id});
+    }
+
+    _persist() {
+        this._sinceSave = 0;
+        if (this.game.state) this.game._saveState();
+    }
+
+    render() {
+        if (!this.root) return;
+        this.root.innerHTML = '';
+        for (const [id, t] of Object.entries(this._all)) {
+            if (!t.show) continue;
+            const el = document.createElement('span');
+            el.className = 'timer';
+            el.dataset.timer = id;
+            el.setAttribute('role', 'timer');
+            if (t.expired) el.classList.add('timer--expired');
+            else if (t.remaining <= t.warnAt * 1000) el.classList.add('timer--warn');
+            if (!t.running || this._isHeld(t)) el.classList.add('timer--paused');
+
+            const label = t.label != null ? this.game._text(t.label) : '⏱';
+            el.textContent = `${label} ${formatClock(t.remaining)}`;
+            this.root.appendChild(el);
+        }
+    }
+}
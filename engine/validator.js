@@ -0,0 +1,562 @@
+// engine/validator.js
+// Content validator for games/<id>: catches typos in scenes.json / puzzles.json / dialogs.json
+// before they show up at runtime ("Scéna nebyla nalezena", "Puzzle config not found"…).
+//
+// Checks:
+//   schema      – shape of the files (ids, hotspot types, rects, puzzle kinds, dialog sequences); with
+//                 `schemas` also every field against schemas/*.schema.json, reported by exact path
+//   references  – goTo targets, itemIds, puzzleRefs, dialogIds, dialog `jump` ids, characterIds and poses
+//                 (hotspots, states, event `when`/`then`, action bundles, conditions, puzzle lists)
+//   assets      – scene images, item icons, character poses, puzzle backgrounds, videos, voice clips
+//                 (every language of a step `voice`; needs assetExists)
+//   unused      – items nobody gives, puzzles nobody opens
+//   cinematic   – choices in `ui.cinematic` dialogs (never shown)
+//   overlap     – hotspot rects covering each other within a scene
+//   i18n        – "@key@" strings missing from i18n/<lang>.json for every meta.languages entry
+//                 (the first language is the one the inline fallbacks are written in)
+//
+// The same module runs in the browser (Game#validateContent, editor "Validate" button) and in Node
+// (tools/validate.mjs). Errors break the game at runtime; warnings are worth a look.
+
+import {BUILTIN_HOTSPOT_TYPES, getHotspotType} from './plugins.js';
+import {listActions} from './actions.js';
+import {listKinds, hotspotPuzzleRef, withInlinePuzzles} from './puzzles/index.js';
+import {ENGINE_I18N} from './i18n.js';
+import {SCHEMA_FILES, validateJson} from './schema.js';
+
+/** Dialog-flow keys allowed next to actions in onChoose/onNext. */
+const DIALOG_FLOW_KEYS = ['jump', 'end', 'onEnd'];
+
+const asList = (v) => (Array.isArray(v) ? v : (v == null ? [] : [v]));
+const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isAbsoluteUrl = (s) => /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(s);
+
+/**
+ * Puzzle map from any supported puzzles.json shape ({byId}, array of {id}, plain map).
+ * @param {*} json
+ * @returns {Object<string, object>}
+ */
+export function normalizePuzzles(json) {
+    if (isObj(json) && isObj(json.byId)) return json.byId;
+    if (Array.isArray(json)) return Object.fromEntries(json.filter(p => p?.id).map(p => [p.id, p]));
+    return isObj(json) ? json : {};
+}
+
+/**
+ * Fetch a game's files the way the engine does (puzzles from scenes.json win over puzzles.json).
+ * @param {{baseUrl:string, fetch?:Function}} opts
+ * @returns {Promise<{scenes:object, puzzles:object, dialogs:object|null, i18n:Object<string, object>, missing:string[],
+ *          files:Object<string, *>}>} files – the JSON files as read (puzzles.json in its original shape)
+ */
+export async function loadGameContent({baseUrl, fetch: fetchFn = (...a) => globalThis.fetch(...a)}) {
+    const base = baseUrl.replace(/\/*$/, '/');
+    const missing = [];
+    const load = async (name) => {
+        try {
+            const r = await fetchFn(base + name, {cache: 'no-cache'});
+            if (r.ok) return await r.json();
+        } catch (err) {
+            if (err instanceof SyntaxError) throw new SyntaxError(`${name}: ${err.message}`);
+        }
+        missing.push(name);
+        return null;
+    };
+
+    const scenes = await load('scenes.json');
+    if (!scenes) throw new Error(`scenes.json not found in ${base}`);
+    const puzzlesJson = isObj(scenes.puzzles) ? null : await load('puzzles.json');
+    const puzzles = isObj(scenes.puzzles) ? scenes.puzzles : normalizePuzzles(puzzlesJson);
+    const dialogs = await load('dialogs.json');
+    const i18n = {};
+    for (const lang of asList(scenes.meta?.languages)) {
+        const json = await load(`i18n/${lang}.json`);
+        if (json) i18n[lang] = json;
+    }
+    const files = {'scenes.json': scenes, 'puzzles.json': puzzlesJson, 'dialogs.json': dialogs};
+    return {scenes, puzzles, dialogs, i18n, missing, files};
+}
+
+/**
+ * Validate a game's content.
+ * @param {{scenes:object, puzzles?:object, dialogs?:object|null, i18n?:Object<string, object>}} content
+ * @param {{assetExists?:(path:string) => (boolean|Promise<boolean>), engineI18n?:object, knownMissing?:string[],
+ *          actions?:string[], hotspotTypes?:string[], kinds?:string[], schemas?:Object<string, object>|null}} [opts]
+ *   assetExists – checks a path as the engine loads it (without it assets are not checked)
+ *   knownMissing – asset paths known to be missing: reported as warnings instead of errors
+ *   schemas     – from loadSchemas(); checks content.files (or the content itself) field by field
+ * @returns {Promise<{ok:boolean, errors:object[], warnings:object[], issues:object[]}>}
+ *   issue: {level:'error'|'warning', code, file, path, message}
+ */
+export async function validateGame(content, opts = {}) {
+    const {
+        assetExists = null,
+        knownMissing = [],
+        engineI18n = ENGINE_I18N,
+        actions = listActions(),
+        hotspotTypes = null,
+        kinds = listKinds(),
+        schemas = null
+    } = opts;
+    const knownActions = new Set(actions);
+    const issues = [];
+    const report = (level, code, file, path, message, extra = {}) => issues.push({level, code, file, path, message, ...extra});
+    const error = (...a) => report('error', ...a);
+    const warn = (...a) => report('warning', ...a);
+
+    const data = content.scenes;
+    if (!isObj(data)) {
+        error('schema', 'scenes.json', '', 'scenes.json must be an object');
+        return finish(issues);
+    }
+    const ownPuzzles = isObj(data.puzzles) ? data.puzzles : normalizePuzzles(content.puzzles);
+    const puzzles = withInlinePuzzles(data, ownPuzzles);
+    const puzzlesFile = isObj(data.puzzles) ? 'scenes.json' : 'puzzles.json';
+    const puzzleFile = (ref) => (Object.hasOwn(ownPuzzles, ref) ? puzzlesFile : 'scenes.json'); // inline = scenes.json
+    const dialogs = content.dialogs || null;
+
+    // --- JSON schemas --------------------------------------------------------
+
+    if (schemas) {
+        const files = content.files || {'scenes.json': data, 'puzzles.json': isObj(data.puzzles) ? null : content.puzzles, 'dialogs.json': dialogs};
+        for (const [file, schema] of Object.entries(SCHEMA_FILES)) {
+            if (files[file] == null || !schemas[schema]) continue;
+            validateJson(files[file], schema, schemas).forEach(e => error('schema', file, e.path, `${e.path || file} ${e.message}`));
+        }
+    }
+
+    // --- indexes -------------------------------------------------------------
+
+    const scenes = Array.isArray(data.scenes) ? data.scenes : [];
+    const sceneIds = new Set();
+    const itemIds = new Set();
+    const dialogById = new Map();
+    const charById = new Map();
+    const givenItems = new Set();
+    const usedPuzzles = new Set();
+    const assets = new Map(); // path → first place it is used
+
+    if (!Array.isArray(data.scenes) || !scenes.length) error('schema', 'scenes.json', 'scenes', 'scenes must be a non-empty array');
+    const uniqueIds = (list, file, label, into) => list.forEach((x, i) => {
+        if (!isObj(x) || typeof x.id !== 'string' || !x.id) {
+            error('schema', file, `${label}[${i}]`, `${label}[${i}] needs a string id`);
+            return;
+        }
+        if (into.has(x.id)) error('duplicate-id', file, `${label}[${i}]`, `duplicate ${label.replace(/s$/, '')} id "${x.id}"`);
+        into.add(x.id);
+    });
+    uniqueIds(scenes, 'scenes.json', 'scenes', sceneIds);
+    uniqueIds(asList(data.items), 'scenes.json', 'items', itemIds);
+    if (dialogs) {
+        if (!Array.isArray(dialogs.dialogs)) error('schema', 'dialogs.json', 'dialogs', 'dialogs must be an array');
+        const ids = new Set();
+        uniqueIds(asList(dialogs.dialogs), 'dialogs.json', 'dialogs', ids);
+        asList(dialogs.dialogs).forEach(d => d?.id && dialogById.set(d.id, d));
+        const cids = new Set();
+        uniqueIds(asList(dialogs.characters), 'dialogs.json', 'characters', cids);
+        asList(dialogs.characters).forEach(c => c?.id && charById.set(c.id, c));
+    }
+
+    // --- reference helpers ---------------------------------------------------
+
+    const asset = (path, file, where) => {
+        if (typeof path !== 'string' || !path || isAbsoluteUrl(path)) return;
+        if (!assets.has(path)) assets.set(path, {file, where});
+    };
+    const sceneRef = (id, file, where, what = 'scene') => {
+        if (id != null && !sceneIds.has(id)) error('missing-scene', file, where, `${what} "${id}" does not exist`);
+    };
+    const itemRef = (id, file, where) => {
+        const itemId = isObj(id) ? id.id : id;
+        if (itemId != null && !itemIds.has(itemId)) error('missing-item', file, where, `item "${itemId}" does not exist`);
+    };
+    const puzzleRef = (ref, file, where) => {
+        if (ref == null) return;
+        usedPuzzles.add(ref);
+        if (!Object.hasOwn(puzzles, ref)) error('missing-puzzle', file, where, `puzzle "${ref}" does not exist`);
+    };
+    const dialogRef = (id, file, where) => {
+        if (id == null) return;
+        if (!dialogs) error('missing-dialog', file, where, `dialog "${id}" is used but there is no dialogs.json`);
+        else if (!dialogById.has(id)) error('missing-dialog', file, where, `dialog "${id}" does not exist`);
+    };
+
+    /** Condition keys on hosts (hotspot, state, event `when`, dialog choice) and inside `if` expressions. */
+    const conditions = (c, file, where) => {
+        if (Array.isArray(c)) {
+            c.forEach((x, i) => conditions(x, file, `${where}[${i}]`));
+            return;
+        }
+        if (!isObj(c)) return;
+        ['requireItems', 'missingItems', 'items'].forEach(k => asList(c[k]).forEach(id => itemRef(id, file, `${where}.${k}`)));
+        ['visited', 'notVisited'].forEach(k => asList(c[k]).forEach(id => sceneRef(id, file, `${where}.${k}`)));
+        if (c.scene != null) asList(c.scene).forEach(id => sceneRef(id, file, `${where}.scene`));
+        ['seen', 'notSeen'].forEach(k => asList(c[k]).forEach(id => dialogRef(id, file, `${where}.${k}`)));
+        if (isObj(c.dialogs)) Object.keys(c.dialogs).forEach(id => dialogRef(id, file, `${where}.dialogs`));
+        ['solved', 'notSolved'].forEach(k => asList(c[k]).forEach(ref => {
+            if (!Object.hasOwn(puzzles, ref)) error('missing-puzzle', file, `${where}.${k}`, `puzzle "${ref}" does not exist`);
+        }));
+        ['all', 'any'].forEach(k => c[k] != null && conditions(asList(c[k]), file, `${where}.${k}`));
+        if (c.not != null) conditions(c.not, file, `${where}.not`);
+        if (c.if != null) conditions(c.if, file, `${where}.if`);
+    };
+
+    /** Action bundle or sequence; `dialog` = {dlg} allows jump/end. */
+    const actionsIn = (acts, file, where, dialog = null) => {
+        if (Array.isArray(acts)) {
+            acts.forEach((a, i) => actionsIn(a, file, `${where}[${i}]`, dialog));
+            return;
+        }
+        if (!isObj(acts)) return;
+        for (const [key, a] of Object.entries(acts)) {
+            const at = `${where}.${key}`;
+            switch (key) {
+                case 'goTo':
+                    sceneRef(isObj(a) ? a.scene : a, file, at);
+                    break;
+                case 'giveItem':
+                    asList(a).forEach(id => {
+                        itemRef(id, file, at);
+                        givenItems.add(id);
+                    });
+                    break;
+                case 'takeItem':
+                    asList(a).forEach(id => itemRef(id, file, at));
+                    break;
+                case 'openDialog':
+                    dialogRef(isObj(a) ? a.id : a, file, at);
+                    break;
+                case 'openPuzzle':
+                    puzzleRef(isObj(a) ? a.ref : a, file, at);
+                    if (isObj(a)) {
+                        asset(a.background, file, at);
+                        actionsIn(a.onSuccess, file, `${at}.onSuccess`, dialog);
+                        actionsIn(a.onFail, file, `${at}.onFail`, dialog);
+                    }
+                    break;
+                case 'openPuzzleList':
+                    asList(a?.items).forEach((it, i) => puzzleRef(isObj(it) ? it.ref : it, file, `${at}.items[${i}]`));
+                    asset(a?.background, file, at);
+                    actionsIn(a?.onSuccess, file, `${at}.onSuccess`, dialog);
+                    actionsIn(a?.onFail, file, `${at}.onFail`, dialog);
+                    break;
+                case 'setSceneImage':
+                    if (a?.sceneId != null) sceneRef(a.sceneId, file, at);
+                    asset(a?.image, file, at);
+                    break;
+                case 'highlightHotspot':
+                    if (a?.sceneId != null) sceneRef(a.sceneId, file, at);
+                    break;
+                case 'playVideo':
+                    asset(a?.src, file, at);
+                    asset(a?.poster, file, at);
+                    actionsIn(a?.onEnd, file, `${at}.onEnd`, dialog);
+                    break;
+                case 'jump':
+                    if (!dialog) warn('unknown-action', file, at, '"jump" only works inside dialogs');
+                    else if (!asList(dialog.sequence).some(s => s?.id === a)) {
+                        error('missing-step', file, at, `dialog "${dialog.id}" has no step "${a}" to jump to`);
+                    }
+                    break;
+                case 'end':
+                    if (!dialog) warn('unknown-action', file, at, '"end" only works inside dialogs');
+                    break;
+                case 'onEnd':
+                    if (!dialog) warn('unknown-action', file, at, '"onEnd" only works inside dialogs');
+                    actionsIn(a, file, at, null);
+                    break;
+                default:
+                    if (!knownActions.has(key) && !DIALOG_FLOW_KEYS.includes(key)) {
+                        warn('unknown-action', file, at, `unknown action "${key}" (ignored unless a plugin registers it)`);
+                    }
+            }
+        }
+    };
+
+    // --- scenes.json ---------------------------------------------------------
+
+    if (data.startScene != null) sceneRef(data.startScene, 'scenes.json', 'startScene', 'startScene');
+
+    asList(data.items).forEach((it, i) => asset(it?.icon, 'scenes.json', `items[${i}] "${it?.id}"`));
+
+    const knownTypes = hotspotTypes || BUILTIN_HOTSPOT_TYPES;
+    scenes.forEach((sc, si) => {
+        if (!isObj(sc)) return;
+        const sw = `scene "${sc.id ?? si}"`;
+        if (typeof sc.image !== 'string' || !sc.image) error('schema', 'scenes.json', sw, `${sw} has no image`);
+        asset(sc.image, 'scenes.json', sw);
+        if (sc.hotspots != null && !Array.isArray(sc.hotspots)) error('schema', 'scenes.json', sw, `${sw}: hotspots must be an array`);
+        asList(sc.hotspots).forEach((h, hi) => {
+            const hw = `${sw} › hotspot #${hi}`;
+            if (!isObj(h)) {
+                error('schema', 'scenes.json', hw, `${hw} must be an object`);
+                return;
+            }
+            if (!knownTypes.includes(h.type) && !(hotspotTypes == null && getHotspotType(h.type))) {
+                if (typeof h.type !== 'string') error('schema', 'scenes.json', hw, `${hw} has no type`);
+                else warn('unknown-hotspot-type', 'scenes.json', hw, `${hw}: unknown hotspot type "${h.type}" (needs a plugin)`);
+            }
+            if (!rectOk(h.rect)) error('schema', 'scenes.json', `${hw}.rect`, `${hw}: rect needs numeric x, y, w, h`);
+            else if (!rectInBounds(h.rect)) warn('rect-bounds', 'scenes.json', `${hw}.rect`, `${hw}: rect reaches outside the scene (0–100 %)`);
+
+            if (h.type === 'goTo') {
+                const target = h.target ?? h.scene;
+                if (target == null && !h.onApply) error('schema', 'scenes.json', hw, `${hw}: goTo hotspot has no target`);
+                sceneRef(target, 'scenes.json', `${hw}.target`);
+            }
+            if (h.type === 'pickup') {
+                if (h.itemId == null) error('schema', 'scenes.json', hw, `${hw}: pickup hotspot has no itemId`);
+                itemRef(h.itemId, 'scenes.json', `${hw}.itemId`);
+                if (h.itemId != null) givenItems.add(h.itemId);
+            }
+            if (h.type === 'puzzle') {
+                const ref = hotspotPuzzleRef(h, sc.id, hi);
+                if (!ref) error('schema', 'scenes.json', hw, `${hw}: puzzle hotspot has no puzzleRef`);
+                puzzleRef(ref, 'scenes.json', `${hw}.puzzleRef`);
+                asset(h.puzzleBackground || h.puzzle?.background, 'scenes.json', hw);
+            }
+            if (h.type === 'puzzleList') {
+                asList(h.items || h.puzzleList?.items).forEach((it, i) => puzzleRef(isObj(it) ? it.ref : it, 'scenes.json', `${hw}.items[${i}]`));
+                asset(h.puzzleList?.background || h.background, 'scenes.json', hw);
+            }
+            if (h.type === 'dialog') {
+                if (h.dialogId == null) error('schema', 'scenes.json', hw, `${hw}: dialog hotspot has no dialogId`);
+                dialogRef(h.dialogId, 'scenes.json', `${hw}.dialogId`);
+            }
+            asList(h.acceptItems).forEach((a, i) => itemRef(a, 'scenes.json', `${hw}.acceptItems[${i}]`));
+            conditions(h, 'scenes.json', hw);
+            asList(h.states).forEach((st, i) => {
+                conditions(st, 'scenes.json', `${hw}.states[${i}]`);
+                asset(st?.image, 'scenes.json', `${hw}.states[${i}]`);
+            });
+            ['onApply', 'onSuccess', 'onFail'].forEach(k => actionsIn(h[k], 'scenes.json', `${hw}.${k}`));
+        });
+        overlaps(sc, sw, warn);
+    });
+
+    asList(data.events).forEach((ev, i) => {
+        const ew = `event "${ev?.id ?? i}"`;
+        if (!isObj(ev?.when)) {
+            error('schema', 'scenes.json', ew, `${ew} has no "when"`);
+        } else {
+            if (ev.when.scene != null) sceneRef(ev.when.scene, 'scenes.json', `${ew}.when.scene`);
+            conditions(ev.when, 'scenes.json', `${ew}.when`);
+        }
+        actionsIn(ev?.then, 'scenes.json', `${ew}.then`);
+    });
+
+    // --- puzzles -------------------------------------------------------------
+
+    for (const [ref, cfg] of Object.entries(puzzles)) {
+        const pw = `puzzle "${ref}"`;
+        const file = puzzleFile(ref);
+        if (!isObj(cfg)) {
+            error('schema', file, pw, `${pw} must be an object`);
+            continue;
+        }
+        if (!kinds.includes(cfg.kind)) error('schema', file, `${pw}.kind`, `${pw}: unknown kind "${cfg.kind}"`);
+        asset(cfg.background, file, pw);
+        asList(cfg.tokens).forEach((t, i) => asset(t?.image, file, `${pw}.tokens[${i}]`));
+        if (cfg.kind === 'list') {
+            const steps = cfg.steps || cfg.items;
+            if (!Array.isArray(steps) || !steps.length) error('schema', file, pw, `${pw}: list puzzle has no steps`);
+            asList(steps).forEach((s, i) => {
+                const r = isObj(s) ? s.ref : s;
+                if (r === ref) error('schema', file, `${pw}.steps[${i}]`, `${pw}: list contains itself`);
+                else puzzleRef(r, file, `${pw}.steps[${i}]`);
+            });
+        }
+        ['onSuccess', 'onFail'].forEach(k => actionsIn(cfg[k], file, `${pw}.${k}`));
+    }
+
+    // --- dialogs.json --------------------------------------------------------
+
+    // the "hero" character's poses load per hero – without heroes, for the engine's default one
+    const heroList = Object.values(isObj(data.heroes) ? data.heroes : {});
+    const heroes = heroList.length ? heroList : [DEFAULT_HERO];
+    asList(dialogs?.characters).forEach(ch => {
+        for (const [pose, src] of Object.entries(isObj(ch?.poses) ? ch.poses : {})) {
+            const where = `character "${ch.id}" › pose "${pose}"`;
+            if (ch.id === 'hero') heroes.forEach(h => asset(heroPose(src, h), 'dialogs.json', where));
+            else asset(src, 'dialogs.json', where);
+        }
+    });
+
+    const poseRef = (charDef, pose, where) => {
+        if (!pose || !charDef) return;
+        const ch = charById.get(charDef.characterId);
+        if (ch && isObj(ch.poses) && !Object.hasOwn(ch.poses, pose)) {
+            error('missing-pose', 'dialogs.json', where, `character "${ch.id}" has no pose "${pose}"`);
+        }
+    };
+
+    /** Voice clip paths of a step for every language: "@key@fallback" via i18n/<lang>.json, {lang} filled in. */
+    const voicePaths = (voice) => {
+        const langs = asList(data.meta?.languages);
+        const m = typeof voice === 'string' ? voice.match(/^@([^@]+)@(.*)$/s) : null;
+        const key = m ? m[1].trim() : (isObj(voice) ? voice.key : null);
+        const paths = new Set();
+        for (const lang of langs.length ? langs : [null]) {
+            let path = key != null ? content.i18n?.[lang]?.[key] ?? (m ? m[2] : null) : voice;
+            if (typeof path !== 'string' || !path) continue;
+            if (lang) path = path.replaceAll('{lang}', lang);
+            if (!path.includes('{lang}')) paths.add(path);
+        }
+        return [...paths];
+    };
+
+    /** Steps of one sequence; `jump` targets are looked up in the sequence the step belongs to. */
+    const dialogSteps = (dlg, key, dw, sides) => {
+        const flow = {id: dlg.id, sequence: asList(dlg[key])};
+        const stepIds = new Set();
+        flow.sequence.forEach((step, si) => {
+            const sw = `${dw} › ${key === 'sequence' ? '' : `${key} `}step ${step?.id ? `"${step.id}"` : `#${si}`}`;
+            if (!isObj(step)) return;
+            if (step.id != null) {
+                if (stepIds.has(step.id)) error('duplicate-id', 'dialogs.json', sw, `${dw}: duplicate step id "${step.id}"`);
+                stepIds.add(step.id);
+            }
+            if (step.speaker != null && !['left', 'right'].includes(step.speaker)) {
+                error('schema', 'dialogs.json', `${sw}.speaker`, `${sw}: speaker must be "left" or "right"`);
+            } else if (step.speaker && !sides[step.speaker]) {
+                error('schema', 'dialogs.json', `${sw}.speaker`, `${sw}: ${dw} has no ${step.speaker} character`);
+            }
+            conditions(step, 'dialogs.json', sw);
+            poseRef(sides[step.speaker], step.pose, `${sw}.pose`);
+            poseRef(sides.left, step.leftPose, `${sw}.leftPose`);
+            poseRef(sides.right, step.rightPose, `${sw}.rightPose`);
+            if (step.voice) voicePaths(step.voice).forEach(path => asset(path, 'dialogs.json', `${sw}.voice`));
+            actionsIn(step.onNext, 'dialogs.json', `${sw}.onNext`, flow);
+            if (dlg.ui?.cinematic && asList(step.choices).length) {
+                warn('cinematic-choices', 'dialogs.json', `${sw}.choices`, `${sw}: choices are hidden in a cinematic dialog (the step just goes on)`);
+            }
+            asList(step.choices).forEach((ch, ci) => {
+                const cw = `${sw} › choice ${ch?.id ? `"${ch.id}"` : `#${ci}`}`;
+                conditions(ch, 'dialogs.json', cw);
+                actionsIn(ch?.onChoose, 'dialogs.json', `${cw}.onChoose`, flow);
+            });
+        });
+    };
+
+    asList(dialogs?.dialogs).forEach((dlg, di) => {
+        if (!isObj(dlg)) return;
+        const dw = `dialog "${dlg.id ?? di}"`;
+        if (!Array.isArray(dlg.sequence) || !dlg.sequence.length) error('schema', 'dialogs.json', dw, `${dw} has no sequence`);
+        const sides = {left: dlg.left, right: dlg.right};
+        for (const [side, def] of Object.entries(sides)) {
+            if (!def) continue;
+            const heroChars = def.characterId === 'hero' && heroes.length && heroes.every(h => charById.has(h.id));
+            if (!charById.has(def.characterId) && !heroChars) {
+                error('missing-character', 'dialogs.json', `${dw}.${side}`, `character "${def.characterId}" does not exist`);
+            }
+            poseRef(def, def.defaultPose, `${dw}.${side}.defaultPose`);
+        }
+        ['sequence', 'repeatSequence', 'shortSequence'].forEach(key => dialogSteps(dlg, key, dw, sides));
+        actionsIn(dlg.onEnd, 'dialogs.json', `${dw}.onEnd`);
+    });
+
+    // --- unused --------------------------------------------------------------
+
+    itemIds.forEach(id => {
+        if (!givenItems.has(id)) warn('unused-item', 'scenes.json', `item "${id}"`, `item "${id}" is never picked up or given`);
+    });
+    Object.keys(puzzles).forEach(ref => {
+        if (!usedPuzzles.has(ref)) warn('unused-puzzle', puzzlesFile, `puzzle "${ref}"`, `puzzle "${ref}" is never opened`);
+    });
+
+    // --- assets --------------------------------------------------------------
+
+    if (assetExists) {
+        for (const [path, {file, where}] of assets) {
+            if (await assetExists(path)) continue;
+            if (knownMissing.includes(path)) warn('missing-asset', file, where, `asset "${path}" not found (known missing)`);
+            else error('missing-asset', file, where, `asset "${path}" not found`);
+        }
+    }
+
+    // --- i18n ----------------------------------------------------------------
+
+    const languages = asList(data.meta?.languages);
+    if (languages.length) {
+        const keys = new Map(); // key → [file, where]
+        const collect = (v, file, where) => {
+            if (typeof v === 'string') {
+                const m = v.match(/^@([^@]+)@/s);
+                if (m && !keys.has(m[1].trim())) keys.set(m[1].trim(), [file, where]);
+            } else if (Array.isArray(v)) {
+                v.forEach((x, i) => collect(x, file, `${where}[${i}]`));
+            } else if (isObj(v)) {
+                if (typeof v.key === 'string' && Object.keys(v).length === 1 && !keys.has(v.key)) keys.set(v.key, [file, where]);
+                else Object.entries(v).forEach(([k, x]) => collect(x, file, where ? `${where}.${k}` : k));
+            }
+        };
+        collect(data, 'scenes.json', '');
+        if (puzzlesFile === 'puzzles.json') collect(puzzles, 'puzzles.json', '');
+        if (dialogs) collect(dialogs, 'dialogs.json', '');
+
+        const source = languages[0];
+        languages.forEach(lang => {
+            const table = content.i18n?.[lang];
+            if (lang === source && !table) return;
+            if (!table) {
+                warn('missing-i18n-file', `i18n/${lang}.json`, '', `i18n/${lang}.json is missing (meta.languages lists "${lang}")`);
+                return;
+            }
+            const engineTable = engineI18n?.[lang] || {};
+            const missing = [...keys.keys()].filter(k => !Object.hasOwn(table, k) && !Object.hasOwn(engineTable, k));
+            // The source language falls back to the inline "@key@text"; only report it for other languages.
+            if (lang === source || !missing.length) return;
+            warn('missing-i18n', `i18n/${lang}.json`, '', `${missing.length} key(s) missing: ${missing.join(', ')}`, {lang, keys: missing});
+        });
+    }
+
+    return finish(issues);
+}
+
+function finish(issues) {
+    const errors = issues.filter(i => i.level === 'error');
+    const warnings = issues.filter(i => i.level === 'warning');
+    return {ok: errors.length === 0, errors, warnings, issues};
+}
+
+const rectOk = (r) => isObj(r) && ['x', 'y', 'w', 'h'].every(k => typeof r[k] === 'number' && Number.isFinite(r[k]));
+const rectInBounds = (r) => r.x >= 0 && r.y >= 0 && r.w > 0 && r.h > 0 && r.x + r.w <= 100.5 && r.y + r.h <= 100.5;
+
+/** Hotspots whose rects overlap cover each other's clicks (the later one wins). */
+function overlaps(sc, sw, warn) {
+    const hs = asList(sc.hotspots).map((h, i) => [h, i]).filter(([h]) => rectOk(h?.rect));
+    for (let a = 0; a < hs.length; a++) {
+        for (let b = a + 1; b < hs.length; b++) {
+            const [ha, ia] = hs[a];
+            const [hb, ib] = hs[b];
+            const w = Math.min(ha.rect.x + ha.rect.w, hb.rect.x + hb.rect.w) - Math.max(ha.rect.x, hb.rect.x);
+            const h = Math.min(ha.rect.y + ha.rect.h, hb.rect.y + hb.rect.h) - Math.max(ha.rect.y, hb.rect.y);
+            if (w > 0.01 && h > 0.01) {
+                warn('overlap', 'scenes.json', `${sw} › hotspot #${ia}`, `${sw}: hotspots #${ia} and #${ib} overlap (#${ib} is on top)`);
+            }
+        }
+    }
+}
+
+/** Hero of a game without `heroes` (see Game#getHero). */
+const DEFAULT_HERO = {id: 'adam', assetsBase: 'assets/npc/adam/'};
+
+/** Pose path of the 'hero' template for one hero (same substitutions as the dialog UI). */
+function heroPose(src, hero) {
+    return String(src || '')
+        .replaceAll('{heroId}', hero.id)
+        .replaceAll('{heroBase}', hero.assetsBase || '')
+        .replace(/\/hero\//g, `/${hero.id}/`)
+        .replace(/\/hero(?=\/|$)/g, `/${hero.id}`);
+}
+
+/**
+ * Human-readable report, one issue per line.
+ * @param {{errors:object[], warnings:object[]}} result
+ * @returns {string}
+ */
+export function formatReport(result) {
+    const line = (i) => `  ${i.level === 'error' ? '✗' : '!'} ${i.file}${i.path ? ` (${i.path})` : ''}: ${i.message}`;
+    const out = [...result.errors.map(line), ...result.warnings.map(line)];
+    out.push(`${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    return out.join('\n');
+}
@@ -0,0 +1,31 @@
+// engine/vars.js
+// Numeric/string variables kept in `state.vars` (score, attempts, money, lives, gauges…).
+//
+// Declared in scenes.json (optional; undeclared vars start at 0 for inc/dec):
+//   "vars": { "lives": 3, "mode": "idle", "pressure": { "value": 40, "min": 0, "max": 100 } }
+// Changed by actions setVar / incVar / decVar, tested by the `vars` condition,
+// and shown in texts as `{pressure}` (see Game._fmt).
+
+/** @returns {{value:*, min?:number, max?:number}} normalized declaration (or null) */
+export function varSpec(data, name) {
+    const raw = data?.vars?.[name];
+    if (raw === undefined) return null;
+    if (raw && typeof raw === 'object' && !Array.isArray(raw)) return {value: raw.value ?? 0, min: raw.min, max: raw.max};
+    return {value: raw};
+}
+
+/** Initial values of all declared vars. */
+export function initialVars(data) {
+    const out = {};
+    for (const name of Object.keys(data?.vars || {})) out[name] = varSpec(data, name).value;
+    return out;
+}
+
+/** Clamp numeric values into the declared [min, max]. Strings pass through. */
+export function clampVar(data, name, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return value;
+    const spec = varSpec(data, name);
+    if (spec?.min != null && value < spec.min) return spec.min;
+    if (spec?.max != null && value > spec.max) return spec.max;
+    return value;
+}
@@ -0,0 +1,183 @@
+// engine/voice.js
+// Voice-over for dialog steps: one clip at a time, a global volume and a short duck before stopping.
+//
+// dialogs.json   step   "voice": "assets/voice/{lang}/w1.mp3"        ({lang} = current language)
+//                       "voice": "@voice.intro.w1@assets/voice/cs/w1.mp3"   (path per language via i18n/<lang>.json)
+//                dialog "voice": { "autoAdvance": true, "advanceDelay": 400, "syncTypewriter": true } | false
+// scenes.json    "settings": { "voice": { "volume": 0.8, …same keys as the dialog… } }   (defaults for every dialog)
+//
+// The player's volume (game.setVoiceVolume, the slider in the dialog panel) is stored in game.storage for all
+// games and wins over settings.voice.volume; volume 0 plays nothing (dialogs then wait for clicks as without voice).
+
+/** Storage key of the player's volume (shared by all games). */
+export const VOICE_VOLUME_KEY = 'escape:voice:volume';
+
+/** Defaults of the per-dialog voice options. */
+export const VOICE_DEFAULTS = {
+    autoAdvance: true,      // go on when the clip ends (steps with choices wait)
+    advanceDelay: 400,      // ms between the end of the clip and the next step
+    syncTypewriter: true    // typewriter finishes with the clip instead of its own speed
+};
+
+const DUCK_MS = 150;
+const clamp01 = (v) => Math.min(1, Math.max(0, Number(v)));
+
+export class VoicePlayer {
+    /**
+     * @param {import('./engine.js').Game} game
+     * @param {{createAudio?:(src:string) => HTMLAudioElement}} [opts] - audio factory (tests, custom players)
+     */
+    constructor(game, {createAudio = null} = {}) {
+        this.game = game;
+        this._createAudio = createAudio || ((src) => new Audio(src));
+        this._volume = null;  // player's choice; null = settings.voice.volume
+        this.clip = null;     // {audio, src, ended, duration, stop}
+        this._paused = false;
+    }
+
+    /** Read the stored volume (Game.init). */
+    async load() {
+        try {
+            const raw = await this.game.storage?.getItem(VOICE_VOLUME_KEY);
+            if (raw != null && raw !== '' && Number.isFinite(Number(raw))) this._volume = clamp01(raw);
+        } catch { /* default volume */
+        }
+    }
+
+    /** Current volume 0–1. */
+    get volume() {
+        if (this._volume != null) return this._volume;
+        const v = this.game.data?.settings?.voice?.volume;
+        return Number.isFinite(Number(v)) && v !== null ? clamp01(v) : 1;
+    }
+
+    /**
+     * Set and store the volume; applies to the clip playing now.
+     * @returns {number} the clamped volume
+     */
+    setVolume(v) {
+        this._volume = clamp01(Number.isFinite(Number(v)) ? v : 1);
+        if (this.clip) {
+            this.clip.audio.volume = this._volume;
+            if (!this._volume) this.stop({fade: 0});
+        }
+        void Promise.resolve(this.game.storage?.setItem(VOICE_VOLUME_KEY, String(this._volume))).catch(() => {});
+        return this._volume;
+    }
+
+    /** Voice options for a dialog: defaults < settings.voice < dialog.voice. */
+    options(dlg) {
+        const own = dlg?.voice;
+        return {
+            ...VOICE_DEFAULTS,
+            ...(this.game.data?.settings?.voice || {}),
+            ...(own && typeof own === 'object' ? own : {}),
+            enabled: own !== false
+        };
+    }
+
+    /** Resolve a step's `voice` (i18n, {lang}, baseUrl) to a URL; '' when there is none. */
+    resolve(voice) {
+        if (!voice) return '';
+        const g = this.game;
+        const path = g._fmt(g._text(voice), {lang: g.lang});
+        return path ? g._resolveAsset(path) : '';
+    }
+
+    /**
+     * Play a clip (the previous one ducks out).
+     * @param {string} src - resolved URL
+     * @returns {{audio:HTMLAudioElement, src:string, ended:Promise<boolean>, duration:Promise<number|null>}|null}
+     *   ended → true when the clip played to its end, false when stopped or failed;
+     *   duration → seconds once known (null if unknown). null when nothing plays (headless, volume 0, no src).
+     */
+    play(src) {
+        this.stop();
+        if (this.game.headless || !src || !this.volume) return null;
+
+        let audio;
+        try {
+            audio = this._createAudio(src);
+        } catch (err) {
+            console.warn('[VOICE] cannot create audio:', src, err);
+            return null;
+        }
+        audio.volume = this.volume;
+
+        let settle;
+        const ended = new Promise(res => (settle = res));
+        let known;
+        const duration = new Promise(res => (known = res));
+        const finish = (ok) => {
+            settle(ok);
+            known(null);
+            if (this.clip === clip) this.clip = null;
+        };
+        const clip = {audio, src, ended, duration, finish};
+
+        const onMeta = () => known(Number.isFinite(audio.duration) && audio.duration > 0 ? audio.duration : null);
+        if (audio.readyState >= 1) onMeta();
+        else audio.addEventListener('loadedmetadata', onMeta, {once: true});
+        audio.addEventListener('ended', () => finish(true), {once: true});
+        audio.addEventListener('error', () => {
+            console.warn('[VOICE] cannot play:', src);
+            finish(false);
+        }, {once: true});
+
+        this.clip = clip;
+        if (this._paused) return clip;
+        try {
+            Promise.resolve(audio.play()).catch(err => {
+                console.warn('[VOICE] playback blocked or failed:', src, err);
+                finish(false);
+            });
+        } catch (err) {
+            finish(false);
+        }
+        return clip;
+    }
+
+    /**
+     * Stop the clip: the volume ducks to 0 over `fade` ms, then it pauses (skip, dialog close).
+     * @param {{fade?:number}} [opts]
+     */
+    stop({fade = DUCK_MS} = {}) {
+        const clip = this.clip;
+        if (!clip) return;
+        this.clip = null;
+        clip.finish(false);
+        const {audio} = clip;
+        const halt = () => {
+            try {
+                audio.pause();
+            } catch { /* noop */
+            }
+        };
+        if (!fade || audio.paused) return halt();
+        const from = audio.volume;
+        const start = Date.now();
+        const step = () => {
+            const k = Math.min(1, (Date.now() - start) / fade);
+            audio.volume = from * (1 - k);
+            if (k < 1) setTimeout(step, 16);
+            else halt();
+        };
+        step();
+    }
+
+    /** Game pause/resume. */
+    pause() {
+        this._paused = true;
+        try {
+            this.clip?.audio.pause();
+        } catch { /* noop */
+        }
+    }
+
+    resume() {
+        this._paused = false;
+        const clip = this.clip;
+        if (!clip) return;
+        Promise.resolve(clip.audio.play()).catch(() => clip.finish(false));
+    }
+}
@@ -0,0 +1,236 @@
+// games/tests/a11y.test.js
+// Keyboard play and screen reader support (Vitest + JSDOM)
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { readingOrder } from '../../engine/a11y.js';
+
+function buildDom() {
+    document.body.innerHTML = `
+    <img id="sceneImage">
+    <div id="hotspotLayer"></div>
+    <div id="inventory"></div>
+    <div id="msg"></div>
+    <div id="modal" class="hidden">
+      <div class="modal-content">
+        <div id="modalTitle"></div>
+        <div id="modalBody"></div>
+        <button id="modalCancel">Zrušit</button>
+        <button id="modalOk">OK</button>
+      </div>
+    </div>`;
+    const img = document.getElementById('sceneImage');
+    Object.defineProperty(img, 'naturalWidth', { value: 1600, configurable: true });
+    Object.defineProperty(img, 'complete', { value: true, configurable: true });
+    const $ = (id) => document.getElementById(id);
+    return {
+        sceneImage: img, hotspotLayer: $('hotspotLayer'), inventoryRoot: $('inventory'), messageBox: $('msg'),
+        modalRoot: $('modal'), modalTitle: $('modalTitle'), modalBody: $('modalBody'), modalCancel: $('modalCancel'), modalOk: $('modalOk')
+    };
+}
+
+const SCENES = {
+    meta: { id: 'a11y' },
+    startScene: 'hall',
+    items: [{ id: 'key', label: 'Mosazný klíč' }, { id: 'map', label: 'Mapa' }],
+    puzzles: { lock: { kind: 'code', title: 'Zámek', solution: '1234' } },
+    scenes: [
+        {
+            id: 'hall', title: 'Hala', description: 'Vysoká hala s dveřmi vpravo a stolem uprostřed.', image: 'hall.jpg',
+            hotspots: [
+                { type: 'goTo', target: 'lab', rect: { x: 80, y: 40, w: 10, h: 30 } },
+                { type: 'pickup', itemId: 'key', rect: { x: 10, y: 60, w: 10, h: 10 } },
+                { type: 'puzzle', puzzleRef: 'lock', label: 'Trezor', rect: { x: 40, y: 5, w: 10, h: 10 } },
+                { type: 'dialog', dialogId: 'guide', rect: { x: 10, y: 42, w: 10, h: 10 } },
+                { type: 'apply', rect: { x: 60, y: 5, w: 5, h: 5 }, states: [{ clickable: false }] }
+            ]
+        },
+        { id: 'lab', title: 'Laboratoř', image: 'lab.jpg', hotspots: [] }
+    ]
+};
+
+const DIALOGS = {
+    characters: [{ id: 'guide', name: 'Průvodce', poses: {} }],
+    dialogs: [{
+        id: 'guide', left: { characterId: 'guide' }, typewriter: false,
+        sequence: [
+            { speaker: 'left', text: 'Vítej.' },
+            { speaker: 'left', text: 'Kam dál?', choices: [{ label: 'Do laboratoře', onChoose: { end: true } }, { label: 'Zůstanu' }] }
+        ]
+    }]
+};
+
+const fetchJson = async (url) => ({
+    ok: true,
+    json: async () => (String(url).endsWith('dialogs.json') ? DIALOGS : JSON.parse(JSON.stringify(SCENES)))
+});
+
+async function startGame() {
+    localStorage.clear();
+    const game = new Game({
+        ...buildDom(),
+        baseUrl: './games/a11y/',
+        scenesUrl: './games/a11y/scenes.json',
+        dialogsUrl: './games/a11y/dialogs.json',
+        lang: 'cs',
+        fetch: fetchJson,
+        bridge: false
+    });
+    await game.init();
+    return game;
+}
+
+const key = (k, opts = {}) => document.dispatchEvent(new KeyboardEvent('keydown', { key: k, bubbles: true, cancelable: true, ...opts }));
+const announced = () => Array.from(document.querySelectorAll('.sr-live div')).map(d => d.textContent);
+const hotspots = () => Array.from(document.querySelectorAll('#hotspotLayer .hotspot'));
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+describe('readingOrder', () => {
+    it('reads rows top to bottom and each row left to right', () => {
+        const r = (x, y, h = 10) => ({ rect: { x, y, w: 5, h } });
+        expect(readingOrder([r(50, 52), r(10, 50), r(30, 10), r(5, 80), r(70, 12)])).toEqual([2, 4, 1, 0, 3]);
+        expect(readingOrder([])).toEqual([]);
+    });
+});
+
+describe('Accessibility', () => {
+    let game;
+    beforeEach(async () => {
+        game = await startGame();
+    });
+
+    it('renders hotspots in reading order with accessible names, keeping the stacking order', () => {
+        const list = hotspots();
+        expect(list.map(el => el.dataset.index ?? 'passive')).toEqual(['2', 'passive', '3', '0', '1']);
+        expect(list.map(el => el.getAttribute('aria-label'))).toEqual(['Trezor', null, 'Promluvit', 'Jít: Laboratoř', 'Sebrat: Mosazný klíč']);
+        expect(list.map(el => el.style.zIndex)).toEqual(['3', '5', '4', '1', '2']);
+        expect(list[1].getAttribute('aria-hidden')).toBe('true');
+        expect(list[1].tabIndex).toBe(-1);
+        expect(document.getElementById('hotspotLayer').getAttribute('aria-label')).toBe('Hala');
+    });
+
+    it('describes the scene in the image alt text, on entering and with the D key', async () => {
+        expect(document.getElementById('sceneImage').alt).toBe(SCENES.scenes[0].description);
+        expect(announced()).toEqual(expect.arrayContaining(['Hala', SCENES.scenes[0].description]));
+        key('d');
+        expect(announced().at(-1)).toBe(`${SCENES.scenes[0].description} Aktivní místa: 4.`);
+
+        await game.goto('lab');
+        expect(document.getElementById('sceneImage').alt).toBe('Laboratoř');
+    });
+
+    it('reads messages and toasts through the live region', () => {
+        game._msg('Nejprve musíš něco odemknout…');
+        game.toast('Předmět byl použit.', 1000);
+        const region = document.querySelector('.sr-live[aria-live="polite"]');
+        expect(region.getAttribute('role')).toBe('status');
+        expect(announced().slice(-2)).toEqual(['Nejprve musíš něco odemknout…', 'Předmět byl použit.']);
+        expect(document.querySelector('.toast').getAttribute('aria-hidden')).toBe('true');
+    });
+
+    it('names inventory items and selects them with number keys', () => {
+        game._addItemToInventory('key');
+        game._addItemToInventory('map');
+        game._renderInventory();
+        const items = () => Array.from(document.querySelectorAll('#inventory .item'));
+        expect(items().map(el => [el.getAttribute('aria-label'), el.getAttribute('aria-pressed'), el.getAttribute('aria-keyshortcuts')]))
+            .toEqual([['Mosazný klíč', 'false', '1'], ['Mapa', 'false', '2']]);
+
+        key('2');
+        expect(game.state.useItemId).toBe('map');
+        expect(items()[1].getAttribute('aria-pressed')).toBe('true');
+        key('2');
+        expect(game.state.useItemId).toBe(null);
+        key('1');
+        key('Escape');
+        expect(game.state.useItemId).toBe(null);
+
+        key('i');
+        expect(document.activeElement).toBe(items()[0]);
+        // typing into a field never triggers shortcuts
+        const input = document.body.appendChild(document.createElement('input'));
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: '1', bubbles: true }));
+        expect(game.state.useItemId).toBe(null);
+    });
+
+    it('opens the item preview from the keyboard (click without pointer)', async () => {
+        game._addItemToInventory('key');
+        game._renderInventory();
+        document.querySelector('#inventory .item').click();
+        await tick();
+        expect(document.getElementById('modal').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('modalTitle').textContent).toBe('Mosazný klíč');
+    });
+
+    it('traps focus in modals, closes them with Escape and returns focus', async () => {
+        const trigger = hotspots()[0];
+        trigger.focus();
+        const body = document.createElement('div');
+        body.innerHTML = '<button id="first">A</button><button id="second">B</button>';
+        const closed = game.openModal({ title: 'Nápověda', body });
+
+        const modal = document.getElementById('modal');
+        expect(modal.getAttribute('role')).toBe('dialog');
+        expect(modal.getAttribute('aria-modal')).toBe('true');
+        expect(modal.getAttribute('aria-labelledby')).toBe('modalTitle');
+        expect(document.activeElement.id).toBe('first');
+
+        document.getElementById('modalOk').focus();
+        key('Tab');
+        expect(document.activeElement.id).toBe('first');
+        key('Tab', { shiftKey: true });
+        expect(document.activeElement.id).toBe('modalOk');
+        // shortcuts are off while a modal is open
+        const before = announced().length;
+        key('d');
+        expect(announced().length).toBe(before);
+
+        key('Escape');
+        await expect(closed).resolves.toBe(false);
+        expect(modal.classList.contains('hidden')).toBe(true);
+        expect(document.activeElement).toBe(trigger);
+    });
+
+    it('plays dialogs from the keyboard and reads each line with the speaker', async () => {
+        const done = game.openDialog('guide');
+        await tick();
+        const overlay = document.querySelector('.dlg-overlay');
+        const panel = overlay.querySelector('.dlg-panel');
+        expect(overlay.getAttribute('role')).toBe('dialog');
+        expect(document.activeElement).toBe(panel);
+        expect(announced().at(-1)).toBe('Průvodce: Vítej.');
+
+        panel.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        await tick();
+        expect(announced().at(-1)).toBe('Průvodce: Kam dál?');
+        expect(document.activeElement.textContent).toBe('Do laboratoře');
+
+        document.activeElement.click();
+        await done;
+        expect(overlay.classList.contains('hidden')).toBe(true);
+    });
+
+    it('traps focus in puzzles and cancels them with Escape', async () => {
+        const lock = hotspots()[0];
+        lock.focus();
+        const run = game._activateHotspot(SCENES.scenes[0].hotspots[2]);
+        await tick();
+        const container = document.querySelector('.pz-container');
+        expect(container.getAttribute('role')).toBe('dialog');
+        expect(container.getAttribute('aria-label')).toBe('Zámek');
+        expect(container.contains(document.activeElement)).toBe(true);
+
+        key('Escape');
+        await run;
+        expect(document.querySelector('.pz-container')).toBeNull();
+        expect(game.state.solved['solved:pz:lock']).toBeFalsy();
+        expect(document.activeElement).toBe(lock);
+    });
+
+    it('can switch the shortcuts off (settings.accessibility.shortcuts)', () => {
+        game.data.settings = { accessibility: { shortcuts: false } };
+        game._addItemToInventory('key');
+        key('1');
+        expect(game.state.useItemId).toBe(null);
+    });
+});
@@ -0,0 +1,232 @@
+// games/tests/dialogs.autoadvance.test.js
+// Dialog auto-advance, cinematic mode and "skip dialog" (Vitest + JSDOM)
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { loadHeadlessGame } from '../../engine/headless.js';
+import { analyzeGame } from '../../engine/reachability.js';
+import { validateGame } from '../../engine/validator.js';
+
+function buildDom() {
+    document.body.innerHTML = `
+    <img id="sceneImage">
+    <div id="hotspotLayer"></div>
+    <div id="inventory"></div>
+    <div id="msg"></div>
+    <div id="modal" class="hidden">
+      <div class="modal-content">
+        <div id="modalTitle"></div>
+        <div id="modalBody"></div>
+        <button id="modalCancel">Zrušit</button>
+        <button id="modalOk">OK</button>
+      </div>
+    </div>`;
+    const img = document.getElementById('sceneImage');
+    Object.defineProperty(img, 'naturalWidth', { value: 1600, configurable: true });
+    Object.defineProperty(img, 'complete', { value: true, configurable: true });
+    const $ = (id) => document.getElementById(id);
+    return {
+        sceneImage: img, hotspotLayer: $('hotspotLayer'), inventoryRoot: $('inventory'), messageBox: $('msg'),
+        modalRoot: $('modal'), modalTitle: $('modalTitle'), modalBody: $('modalBody'), modalCancel: $('modalCancel'), modalOk: $('modalOk')
+    };
+}
+
+const SCENES = {
+    meta: { id: 'cutscenes' },
+    startScene: 'platform',
+    items: [{ id: 'ticket', label: 'Jízdenka' }],
+    scenes: [
+        { id: 'platform', title: 'Nástupiště', image: 'platform.jpg', hotspots: [{ type: 'goTo', target: 'train', requireItems: ['ticket'], rect: { x: 0, y: 0, w: 10, h: 10 } }] },
+        { id: 'train', title: 'Vlak', image: 'train.jpg', end: true, hotspots: [] }
+    ]
+};
+
+const DIALOGS = {
+    characters: [],
+    dialogs: [
+        {
+            id: 'timed', typewriter: false, ui: { autoAdvance: 30 },
+            sequence: [
+                { text: 'Jedna.' },
+                { text: 'Dvě.', autoAdvance: false },
+                { text: 'Tři.', autoAdvance: 10 },
+                { text: 'Kam?', choices: [{ label: 'Pryč', onChoose: { end: true } }] }
+            ]
+        },
+        {
+            id: 'intro', typewriter: false, ui: { cinematic: true, autoAdvance: 100, allowSkip: true },
+            sequence: [
+                { text: 'Nádraží, půlnoc.' },
+                { text: 'Vlak má zpoždění.', onNext: { giveItem: 'ticket' }, choices: [{ label: 'Nikdy neuvidíš', onChoose: { end: true } }] },
+                { text: 'Konec úvodu.' }
+            ],
+            onEnd: { setFlags: ['intro_done'] }
+        },
+        {
+            id: 'briefing', typewriter: false, ui: { allowSkip: true },
+            sequence: [
+                { text: 'Poslouchej.' },
+                { text: 'Tady máš jízdenku.', onNext: { giveItem: 'ticket' } },
+                { text: 'Něco nejasného?', choices: [{ label: 'Ne', onChoose: { end: true } }] },
+                { text: 'Hodně štěstí.', onNext: { setFlags: ['briefed'] } }
+            ]
+        },
+        { id: 'plain', typewriter: false, sequence: [{ text: 'Dobrý den.' }, { text: 'Nashle.' }] }
+    ]
+};
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+const memoryFetch = async (url) => ({
+    ok: true, status: 200,
+    json: async () => clone(String(url).endsWith('dialogs.json') ? DIALOGS : SCENES)
+});
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+const stepText = () => document.querySelector('.dlg-text')?.textContent;
+const $ = (sel) => document.querySelector(sel);
+
+describe('Dialog auto-advance', () => {
+    let game;
+    beforeEach(async () => {
+        localStorage.clear();
+        game = new Game({ ...buildDom(), baseUrl: './', scenesUrl: './scenes.json', dialogsUrl: './dialogs.json', lang: 'cs', fetch: memoryFetch, bridge: false });
+        await game.init();
+        await game._ensureDialogsLoaded();
+    });
+
+    it('advances after the dialog or step delay; `false` and choices wait for the player', async () => {
+        void game.openDialog('timed');
+        await tick();
+        expect(stepText()).toBe('Jedna.');
+        await tick(60);
+        expect(stepText()).toBe('Dvě.');
+        await tick(60);
+        expect(stepText()).toBe('Dvě.');
+
+        $('.dlg-panel').click();
+        await tick(40);
+        expect(stepText()).toBe('Kam?');
+        await tick(60);
+        expect(stepText()).toBe('Kam?');
+        game.dialogUI.close();
+    });
+
+    it('derives the delay from the text length', () => {
+        const ui = game.dialogUI;
+        ui.active = { dlg: { ui: { autoAdvance: { delay: 100, perChar: 10, min: 0 } } } };
+        expect(ui._autoAdvanceDelay({ text: 'abcde' }, 'abcde')).toBe(150);
+        expect(ui._autoAdvanceDelay({ autoAdvance: 500 }, 'abcde')).toBe(500);
+        expect(ui._autoAdvanceDelay({ autoAdvance: true }, 'x'.repeat(1000))).toBe(12000);
+        expect(ui._autoAdvanceDelay({ autoAdvance: true }, '')).toBe(1200);
+        expect(ui._autoAdvanceDelay({ autoAdvance: false }, 'abc')).toBe(null);
+        ui.active = { dlg: {} };
+        expect(ui._autoAdvanceDelay({ text: 'abc' }, 'abc')).toBe(null);
+        ui.active = null;
+    });
+
+    it('holds while the game is paused', async () => {
+        void game.openDialog('timed');
+        await tick();
+        game.pause();
+        await tick(60);
+        expect(stepText()).toBe('Jedna.');
+        game.resume();
+        await tick(60);
+        expect(stepText()).toBe('Dvě.');
+        game.dialogUI.close();
+    });
+
+    it('ignores clicks on timed steps with tapToNext: false', async () => {
+        game.dialogsData.dialogs[0].ui = { autoAdvance: 80, tapToNext: false };
+        void game.openDialog('timed');
+        await tick();
+        expect($('.dlg-continue').classList.contains('hidden')).toBe(true);
+        $('.dlg-panel').click();
+        await tick(10);
+        expect(stepText()).toBe('Jedna.');
+        await tick(120);
+        expect(stepText()).toBe('Dvě.');
+
+        // a step that waits for the player still takes the click
+        expect($('.dlg-continue').classList.contains('hidden')).toBe(false);
+        $('.dlg-panel').click();
+        await tick(10);
+        expect(stepText()).toBe('Tři.');
+        game.dialogUI.close();
+    });
+});
+
+describe('Cinematic dialogs and skipping', () => {
+    let game;
+    beforeEach(async () => {
+        localStorage.clear();
+        game = new Game({ ...buildDom(), baseUrl: './', scenesUrl: './scenes.json', dialogsUrl: './dialogs.json', lang: 'cs', fetch: memoryFetch, bridge: false });
+        await game.init();
+        await game._ensureDialogsLoaded();
+    });
+
+    it('plays a cutscene straight through without choices', async () => {
+        const done = game.openDialog('intro');
+        await tick();
+        expect($('.dlg-overlay').classList.contains('dlg-cinematic')).toBe(true);
+        await tick(150);
+        expect(stepText()).toBe('Vlak má zpoždění.');
+        expect(document.querySelectorAll('.dlg-choices button')).toHaveLength(0);
+        await done;
+        expect(game.state.inventory).toEqual(['ticket']);
+        expect(game.state.flags.intro_done).toBe(true);
+    });
+
+    it('skips to the end, running the skipped steps\' actions', async () => {
+        const done = game.openDialog('intro');
+        await tick();
+        const skip = $('.dlg-skip');
+        expect(skip.classList.contains('hidden')).toBe(false);
+        expect(skip.textContent).toBe('Přeskočit');
+        skip.click();
+        await done;
+        expect(game.state.inventory).toEqual(['ticket']);
+        expect(game.state.flags.intro_done).toBe(true);
+    });
+
+    it('stops the skip at a choice, and offers none while it is open', async () => {
+        void game.openDialog('briefing');
+        await tick();
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        await tick();
+        expect(stepText()).toBe('Něco nejasného?');
+        expect(game.state.inventory).toEqual(['ticket']);
+        expect($('.dlg-skip').classList.contains('hidden')).toBe(true);
+        expect(await game.dialogUI.skip()).toBe(false);
+        expect(stepText()).toBe('Něco nejasného?');
+        game.dialogUI.close();
+    });
+
+    it('has no skip button unless allowSkip is true', async () => {
+        void game.openDialog('plain');
+        await tick();
+        expect($('.dlg-skip').classList.contains('hidden')).toBe(true);
+        expect(await game.dialogUI.skip()).toBe(false);
+        expect(stepText()).toBe('Dobrý den.');
+        game.dialogUI.close();
+    });
+});
+
+describe('Cinematic dialogs in tools', () => {
+    it('play through headless and in the reachability analyzer without choices', async () => {
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch: memoryFetch });
+        await hg.openDialog('intro');
+        expect(hg.flag('intro_done')).toBe(true);
+        expect(hg.has('ticket')).toBe(true);
+
+        const scenes = clone(SCENES);
+        scenes.events = [{ id: 'intro', once: true, when: { on: 'enterScene', scene: 'platform' }, then: { openDialog: 'intro' } }];
+        const report = analyzeGame({ scenes, puzzles: {}, dialogs: clone(DIALOGS) });
+        expect(report.winnable).toBe(true);
+    });
+
+    it('are checked for choices nobody will see', async () => {
+        const report = await validateGame({ scenes: clone(SCENES), puzzles: {}, dialogs: clone(DIALOGS) });
+        expect(report.warnings.filter(w => w.code === 'cinematic-choices').map(w => w.path)).toEqual(['dialog "intro" › step #1.choices']);
+    });
+});
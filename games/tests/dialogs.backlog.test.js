@@ -0,0 +1,168 @@
+// games/tests/dialogs.backlog.test.js
+// Dialog backlog: lines and choices per dialog in state, the history modal (Vitest + JSDOM)
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { loadHeadlessGame } from '../../engine/headless.js';
+import { recordBacklog, BACKLOG_LIMIT } from '../../engine/backlog.js';
+import { migrateState, STATE_SCHEMA } from '../../engine/migrations.js';
+
+function buildDom() {
+    document.body.innerHTML = `
+    <img id="sceneImage">
+    <div id="hotspotLayer"></div>
+    <div id="inventory"></div>
+    <div id="msg"></div>
+    <div id="modal" class="hidden">
+      <div class="modal-content">
+        <div id="modalTitle"></div>
+        <div id="modalBody"></div>
+        <button id="modalCancel">Zrušit</button>
+        <button id="modalOk">OK</button>
+      </div>
+    </div>`;
+    const img = document.getElementById('sceneImage');
+    Object.defineProperty(img, 'naturalWidth', { value: 1600, configurable: true });
+    Object.defineProperty(img, 'complete', { value: true, configurable: true });
+    const $ = (id) => document.getElementById(id);
+    return {
+        sceneImage: img, hotspotLayer: $('hotspotLayer'), inventoryRoot: $('inventory'), messageBox: $('msg'),
+        modalRoot: $('modal'), modalTitle: $('modalTitle'), modalBody: $('modalBody'), modalCancel: $('modalCancel'), modalOk: $('modalOk')
+    };
+}
+
+const SCENES = {
+    meta: { id: 'backlog' },
+    startScene: 'office',
+    vars: { safe: 4711 },
+    scenes: [{ id: 'office', title: 'Kancelář', image: 'office.jpg', hotspots: [] }]
+};
+
+const DIALOGS = {
+    characters: [{ id: 'janitor', name: 'Školník', poses: { neutral: 'assets/npc/janitor.png', wink: 'assets/npc/janitor-wink.png' } }],
+    dialogs: [
+        {
+            id: 'janitor', title: 'U školníka', right: { characterId: 'janitor' }, typewriter: false, ui: { allowSkip: true },
+            sequence: [
+                { speaker: 'right', text: 'Kód od trezoru? To ti neřeknu.' },
+                { speaker: 'right', pose: 'wink', text: 'Ale začíná na {safe}.' },
+                { text: '(Školník se odvrátí.)' },
+                { speaker: 'right', text: 'Ještě něco?', choices: [{ id: 'bye', label: 'Nic, díky.', onChoose: { end: true } }] }
+            ]
+        },
+        { id: 'note', typewriter: false, sequence: [{ text: 'Na lístku stojí: sklep.' }] }
+    ]
+};
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+const memoryFetch = async (url) => ({
+    ok: true, status: 200,
+    json: async () => clone(String(url).endsWith('dialogs.json') ? DIALOGS : SCENES)
+});
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+const texts = (visit) => visit.entries.map(e => e.choice ?? e.text);
+
+describe('Backlog records', () => {
+    it('keeps every line with speaker and portrait, and the picked choices, per visit', async () => {
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch: memoryFetch });
+        await hg.openDialog('janitor', { choose: ['bye'] });
+        await hg.openDialog('note');
+        await hg.openDialog('janitor', { choose: ['bye'] });
+
+        const visits = hg.game.getBacklog();
+        expect(visits.map(v => [v.dialog, v.visit])).toEqual([['janitor', 1], ['note', 1], ['janitor', 2]]);
+        expect(texts(visits[0])).toEqual([
+            'Kód od trezoru? To ti neřeknu.', 'Ale začíná na 4711.', '(Školník se odvrátí.)', 'Ještě něco?', 'Nic, díky.'
+        ]);
+        expect(visits[0].entries[1]).toMatchObject({ side: 'right', name: 'Školník', portrait: 'assets/npc/janitor-wink.png' });
+        expect(visits[0].entries[2]).toMatchObject({ side: null, name: '', portrait: '' });
+        expect(hg.state.dialogLog.janitor).toHaveLength(10);
+    });
+
+    it('keeps the last BACKLOG_LIMIT entries of a dialog', async () => {
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch: memoryFetch });
+        for (let i = 0; i < BACKLOG_LIMIT + 5; i++) recordBacklog(hg.game, 'note', { text: `#${i}` });
+        const log = hg.state.dialogLog.note;
+        expect(log).toHaveLength(BACKLOG_LIMIT);
+        expect(log[0].text).toBe('#5');
+    });
+
+    it('adds an empty backlog to older saves', () => {
+        const st = migrateState(
+            { signature: 'backlog|1|cs', schema: 7, scene: 'office', inventory: [], flags: {}, solved: {}, visited: {}, dialogs: { janitor: 1 } },
+            { data: SCENES, signature: 'backlog|1|cs', gameId: 'backlog', version: '1' }
+        );
+        expect(st.schema).toBe(STATE_SCHEMA);
+        expect(st.dialogLog).toEqual({});
+        expect(st.dialogs).toEqual({ janitor: 1 });
+    });
+});
+
+describe('Backlog viewer', () => {
+    let game;
+    const newGame = async () => {
+        const g = new Game({ ...buildDom(), baseUrl: './', scenesUrl: './scenes.json', dialogsUrl: './dialogs.json', lang: 'cs', fetch: memoryFetch, bridge: false });
+        await g.init();
+        await g._ensureDialogsLoaded();
+        return g;
+    };
+    beforeEach(async () => {
+        localStorage.clear();
+        game = await newGame();
+    });
+
+    it('opens from the dialog panel and pauses the dialog meanwhile', async () => {
+        void game.openDialog('janitor');
+        await tick();
+        document.querySelector('.dlg-panel').click();
+        await tick();
+
+        const btn = document.querySelector('.dlg-backlog');
+        expect(btn.getAttribute('aria-label')).toBe('Historie rozhovorů');
+        btn.click();
+        await tick();
+        expect(game.paused).toBe(true);
+        expect(document.getElementById('modal').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('modalTitle').textContent).toBe('Historie rozhovorů');
+        const items = Array.from(document.querySelectorAll('#modalBody .backlog-list > li'));
+        expect(items.map(li => li.className)).toEqual(['backlog-dialog', 'backlog-line backlog-line--right', 'backlog-line backlog-line--right']);
+        expect(items[0].textContent).toBe('U školníka');
+        expect(items[2].querySelector('.backlog-name').textContent).toBe('Školník');
+        expect(items[2].querySelector('.backlog-text').textContent).toBe('Ale začíná na 4711.');
+        expect(items[2].querySelector('.backlog-portrait').getAttribute('src')).toBe('./assets/npc/janitor-wink.png');
+
+        document.getElementById('modalOk').click();
+        await tick();
+        expect(game.paused).toBe(false);
+        expect(document.querySelector('.dlg-text').textContent).toBe('Ale začíná na 4711.');
+        game.dialogUI.close();
+    });
+
+    it('opens from the main UI, also after a reload, with skipped lines and choices', async () => {
+        void game.openBacklog();
+        await tick();
+        expect(document.querySelector('#modalBody .backlog-empty').textContent).toBe('Zatím jsi s nikým nemluvil(a).');
+        document.getElementById('modalOk').click();
+        await tick();
+
+        const done = game.openDialog('janitor');
+        await tick();
+        document.querySelector('.dlg-skip').click();
+        await tick();
+        document.querySelector('.dlg-choices button').click();
+        await done;
+        await tick();
+
+        game = await newGame();
+        void game.openBacklog();
+        await tick();
+        const items = Array.from(document.querySelectorAll('#modalBody .backlog-list > li'));
+        expect(items.map(li => li.textContent)).toEqual([
+            'U školníka', 'ŠkolníkKód od trezoru? To ti neřeknu.', 'ŠkolníkAle začíná na 4711.', '(Školník se odvrátí.)',
+            'ŠkolníkJeště něco?', '» Nic, díky.'
+        ]);
+        expect(game.paused).toBe(false);
+        document.getElementById('modalOk').click();
+    });
+});
@@ -0,0 +1,261 @@
+// games/tests/dialogs.conditions.test.js
+// Conditional dialog steps and choices, choice actions and dialog hand-over (Vitest + JSDOM)
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { loadHeadlessGame } from '../../engine/headless.js';
+import { analyzeGame } from '../../engine/reachability.js';
+
+const rect = { x: 0, y: 0, w: 10, h: 10 };
+
+const SCENES = {
+    meta: { id: 'talk' },
+    startScene: 'hall',
+    items: [{ id: 'coin', label: 'Mince' }, { id: 'ticket', label: 'Lístek' }],
+    heroes: { anna: { id: 'anna', name: 'Anna' }, ben: { id: 'ben', name: 'Ben' } },
+    puzzles: { riddle: { kind: 'phrase', solution: 'mlha' } },
+    scenes: [
+        {
+            id: 'hall', title: 'Hala', image: 'hall.jpg', hotspots: [
+                { type: 'pickup', itemId: 'coin', rect: { ...rect } },
+                { type: 'dialog', dialogId: 'clerk', rect: { ...rect, x: 20 } },
+                { type: 'goTo', target: 'train', requireItems: ['ticket'], rect: { ...rect, x: 40 } }
+            ]
+        },
+        { id: 'train', title: 'Vlak', image: 'train.jpg', end: true, hotspots: [] }
+    ]
+};
+
+const DIALOGS = {
+    characters: [{ id: 'clerk', name: 'Úředník', poses: {} }],
+    dialogs: [
+        {
+            id: 'clerk', left: { characterId: 'clerk' }, typewriter: false,
+            sequence: [
+                { speaker: 'left', text: 'Dobrý den.' },
+                { speaker: 'left', text: 'Vidím, že jste tu poprvé.', missingFlags: ['met_clerk'] },
+                { speaker: 'left', text: 'Zase vy?', requireFlags: ['met_clerk'] },
+                { speaker: 'left', text: 'Dobrý den, pane Bene.', if: { hero: 'ben' } },
+                {
+                    id: 'ask', speaker: 'left', text: 'Co si přejete?', onNext: { setFlags: ['met_clerk'] },
+                    choices: [
+                        { id: 'buy', label: 'Lístek, prosím.', requireItems: ['coin'], unmet: 'disable', onChoose: { takeItem: 'coin', giveItem: 'ticket', setFlags: ['met_clerk'], end: true } },
+                        { id: 'riddle', label: 'Máte pro mě hádanku?', missingItems: ['coin'], unmet: 'disable', missingMessage: 'Už máte minci.', onChoose: { openPuzzle: { ref: 'riddle', onSuccess: { giveItem: 'coin' } }, jump: 'ask' } },
+                        { id: 'vip', label: 'Jsem tu jako host.', requireFlags: ['vip'] },
+                        { id: 'boss', label: 'Chci mluvit s vedoucím.', onChoose: { setFlags: ['met_clerk'], openDialog: 'boss', onEnd: { setFlags: ['escalated'] } } },
+                        { id: 'bye', label: 'Nic, děkuji.', onChoose: { end: true } }
+                    ]
+                }
+            ],
+            onEnd: { setFlags: ['clerk_done'] }
+        },
+        {
+            id: 'boss', left: { characterId: 'clerk' }, typewriter: false,
+            sequence: [{ speaker: 'left', text: 'Vedoucí: Tady máte lístek.', onNext: { giveItem: 'ticket' } }]
+        },
+        {
+            id: 'nobody', typewriter: false,
+            sequence: [{ text: 'Nikdo tu není.', requireFlags: ['never'] }],
+            onEnd: { setFlags: ['empty_dialog'] }
+        }
+    ]
+};
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+const memoryFetch = async (url) => ({
+    ok: true, status: 200,
+    json: async () => clone(String(url).endsWith('dialogs.json') ? DIALOGS : SCENES)
+});
+
+describe('Conditional dialog steps', () => {
+    it('skips steps whose conditions do not hold, also when the dialog starts or ends on one', async () => {
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch: memoryFetch, choose: ['bye'] });
+        const lines = [];
+        const render = hg.game.dialogUI._renderStep.bind(hg.game.dialogUI);
+        hg.game.dialogUI._renderStep = (opts) => {
+            lines.push(hg.game.dialogUI.active?.dlg.sequence[hg.game.dialogUI.active.idx]?.text);
+            return render(opts);
+        };
+        await hg.openDialog('clerk');
+        expect(lines).toEqual(['Dobrý den.', 'Vidím, že jste tu poprvé.', 'Co si přejete?']);
+
+        lines.length = 0;
+        hg.game.setHero('ben');
+        hg.game.setFlag('met_clerk', true);
+        hg.driver.choices = ['bye'];
+        await hg.openDialog('clerk');
+        expect(lines).toEqual(['Dobrý den.', 'Zase vy?', 'Dobrý den, pane Bene.', 'Co si přejete?']);
+
+        await hg.openDialog('nobody');
+        expect(hg.flag('empty_dialog')).toBe(true);
+    });
+});
+
+describe('Choice actions', () => {
+    it('gives and takes items, opens puzzles and jumps back', async () => {
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch: memoryFetch, answers: { riddle: 'mlha' }, choose: ['riddle', 'buy'] });
+        await hg.openDialog('clerk');
+        expect(hg.solved('riddle')).toBe(true);
+        expect(hg.inventory).toEqual(['ticket']);
+        expect(hg.flag('met_clerk')).toBe(true);
+        expect(hg.flag('clerk_done')).toBeFalsy(); // `end` runs the choice's onEnd, not the dialog's
+        expect(hg.driver.issues).toEqual([]);
+    });
+
+    it('hands the conversation over to another dialog with openDialog', async () => {
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch: memoryFetch, choose: ['boss'] });
+        const events = [];
+        ['dialogopen', 'dialogclose'].forEach(t => hg.game.on(t, (d) => events.push(`${t}:${d.dialog}`)));
+        await hg.openDialog('clerk');
+        expect(events).toEqual(['dialogopen:clerk', 'dialogopen:boss', 'dialogclose:boss', 'dialogclose:clerk']);
+        expect(hg.flag('escalated')).toBe(true);
+        expect(hg.has('ticket')).toBe(true);
+        expect(hg.game.dialogUI.active).toBe(null);
+    });
+
+    it('hands over from a sequence of actions as well', async () => {
+        const dialogs = clone(DIALOGS);
+        dialogs.dialogs[0].sequence[4].choices[3].onChoose = [{ setFlags: ['met_clerk'] }, { openDialog: 'boss' }, { setFlags: ['escalated'] }];
+        const fetch = async (url) => ({ ok: true, status: 200, json: async () => clone(String(url).endsWith('dialogs.json') ? dialogs : SCENES) });
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch, choose: ['boss'] });
+        const events = [];
+        ['dialogopen', 'dialogclose'].forEach(t => hg.game.on(t, (d) => events.push(`${t}:${d.dialog}`)));
+        await hg.openDialog('clerk');
+        expect(events).toEqual(['dialogopen:clerk', 'dialogopen:boss', 'dialogclose:boss', 'dialogclose:clerk']);
+        expect(hg.flag('escalated')).toBe(true);
+        expect(hg.flag('clerk_done')).toBeFalsy();
+        expect(hg.has('ticket')).toBe(true);
+
+        const report = analyzeGame({ scenes: clone(SCENES), puzzles: SCENES.puzzles, dialogs });
+        expect(report.reachable.dialogs).toEqual(['boss', 'clerk']);
+    });
+
+    it('hands over from onNext, and opens the next dialog after onEnd', async () => {
+        const dialogs = clone(DIALOGS);
+        dialogs.dialogs.push(
+            { id: 'queue', typewriter: false, sequence: [{ text: 'Fronta.', onNext: [{ setFlags: ['queued'] }, { openDialog: 'boss' }] }, { text: 'Nikdy.' }], onEnd: { setFlags: ['never'] } },
+            { id: 'door', typewriter: false, sequence: [{ text: 'Ťuk ťuk.' }], onEnd: { openDialog: 'boss', setFlags: ['knocked'] } }
+        );
+        const fetch = async (url) => ({ ok: true, status: 200, json: async () => clone(String(url).endsWith('dialogs.json') ? dialogs : SCENES) });
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch });
+        const lines = [];
+        const render = hg.game.dialogUI._renderStep.bind(hg.game.dialogUI);
+        hg.game.dialogUI._renderStep = (opts) => {
+            lines.push(hg.game.dialogUI.active.sequence[hg.game.dialogUI.active.idx]?.text);
+            return render(opts);
+        };
+        const events = [];
+        ['dialogopen', 'dialogclose'].forEach(t => hg.game.on(t, (d) => events.push(`${t}:${d.dialog}`)));
+
+        await hg.openDialog('queue');
+        expect(lines).toEqual(['Fronta.', 'Vedoucí: Tady máte lístek.']);
+        expect(events).toEqual(['dialogopen:queue', 'dialogopen:boss', 'dialogclose:boss', 'dialogclose:queue']);
+        expect(hg.flag('queued')).toBe(true);
+        expect(hg.flag('never')).toBeFalsy();
+        expect(hg.has('ticket')).toBe(true);
+
+        events.length = 0;
+        await hg.openDialog('door');
+        expect(events).toEqual(['dialogopen:door', 'dialogopen:boss', 'dialogclose:boss', 'dialogclose:door']);
+        expect(hg.flag('knocked')).toBe(true);
+        expect(hg.game.dialogUI.active).toBe(null);
+
+        const scenes = clone(SCENES);
+        scenes.scenes[0].hotspots[1].dialogId = 'queue';
+        const report = analyzeGame({ scenes, puzzles: SCENES.puzzles, dialogs });
+        expect(report.winnable).toBe(true);
+        expect(report.reachable.flags).not.toContain('never');
+    });
+
+    it('is followed by the reachability analyzer (hand-over, skipped steps)', () => {
+        const report = analyzeGame({ scenes: clone(SCENES), puzzles: SCENES.puzzles, dialogs: clone(DIALOGS) });
+        expect(report.winnable).toBe(true);
+        expect(report.reachable.dialogs).toEqual(['boss', 'clerk']);
+    });
+});
+
+// --- rendering -----------------------------------------------------------------
+
+function buildDom() {
+    document.body.innerHTML = `
+    <img id="sceneImage">
+    <div id="hotspotLayer"></div>
+    <div id="inventory"></div>
+    <div id="msg"></div>
+    <div id="modal" class="hidden">
+      <div class="modal-content">
+        <div id="modalTitle"></div>
+        <div id="modalBody"></div>
+        <button id="modalCancel">Zrušit</button>
+        <button id="modalOk">OK</button>
+      </div>
+    </div>`;
+    const img = document.getElementById('sceneImage');
+    Object.defineProperty(img, 'naturalWidth', { value: 1600, configurable: true });
+    Object.defineProperty(img, 'complete', { value: true, configurable: true });
+    const $ = (id) => document.getElementById(id);
+    return {
+        sceneImage: img, hotspotLayer: $('hotspotLayer'), inventoryRoot: $('inventory'), messageBox: $('msg'),
+        modalRoot: $('modal'), modalTitle: $('modalTitle'), modalBody: $('modalBody'), modalCancel: $('modalCancel'), modalOk: $('modalOk')
+    };
+}
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+const buttons = () => Array.from(document.querySelectorAll('.dlg-choices .dlg-choice'));
+
+describe('Choice rendering', () => {
+    let game;
+    beforeEach(async () => {
+        localStorage.clear();
+        game = new Game({ ...buildDom(), baseUrl: './', scenesUrl: './scenes.json', dialogsUrl: './dialogs.json', lang: 'cs', fetch: memoryFetch, bridge: false });
+        await game.init();
+        await game._ensureDialogsLoaded();
+    });
+
+    const openAtChoices = async () => {
+        void game.openDialog('clerk');
+        await tick();
+        document.querySelector('.dlg-panel').click();
+        await tick();
+        document.querySelector('.dlg-panel').click();
+        await tick();
+    };
+
+    it('hides unmet choices or shows them disabled with the reason', async () => {
+        await openAtChoices();
+        expect(buttons().map(b => [b.querySelector('.dlg-choice-label').textContent, b.getAttribute('aria-disabled')])).toEqual([
+            ['Lístek, prosím.', 'true'],
+            ['Máte pro mě hádanku?', null],
+            ['Chci mluvit s vedoucím.', null],
+            ['Nic, děkuji.', null]
+        ]);
+        const locked = buttons()[0];
+        expect(locked.classList.contains('locked')).toBe(true);
+        expect(locked.querySelector('.dlg-choice-reason').textContent).toBe('Něco ti chybí…');
+        expect(document.getElementById(locked.getAttribute('aria-describedby'))).toBe(locked.querySelector('.dlg-choice-reason'));
+
+        // clicking a locked choice only reads the reason out
+        locked.click();
+        await tick(300);
+        expect(game.state.inventory).toEqual([]);
+        expect(buttons()).toHaveLength(4);
+        expect(Array.from(document.querySelectorAll('.sr-live div')).at(-1).textContent).toBe('Něco ti chybí…');
+        game.dialogUI.close();
+    });
+
+    it('re-evaluates choices with the state (missingMessage as the reason)', async () => {
+        game._addItemToInventory('coin');
+        await openAtChoices();
+        expect(buttons().map(b => b.getAttribute('aria-disabled'))).toEqual([null, 'true', null, null]);
+        expect(buttons()[1].querySelector('.dlg-choice-reason').textContent).toBe('Už máte minci.');
+        game.dialogUI.close();
+    });
+
+    it('takes the default from the dialog (ui.unmet)', async () => {
+        game.dialogsData.dialogs[0].ui = { unmet: 'disable' };
+        game.dialogsData.dialogs[0].sequence[4].choices.forEach(ch => delete ch.unmet);
+        await openAtChoices();
+        expect(buttons().map(b => b.getAttribute('aria-disabled'))).toEqual(['true', null, 'true', null, null]);
+        game.dialogUI.close();
+    });
+});
@@ -0,0 +1,138 @@
+// games/tests/dialogs.repeat.test.js
+// Dialog play counts: `once`, repeatSequence/shortSequence, `seen` conditions (Vitest + JSDOM)
+
+import { describe, it, expect } from 'vitest';
+import { loadHeadlessGame } from '../../engine/headless.js';
+import { migrateState, STATE_SCHEMA } from '../../engine/migrations.js';
+import { validateGame } from '../../engine/validator.js';
+import { analyzeGame } from '../../engine/reachability.js';
+
+const rect = { x: 0, y: 0, w: 10, h: 10 };
+
+const SCENES = {
+    meta: { id: 'visits' },
+    startScene: 'square',
+    items: [{ id: 'map', label: 'Mapa' }],
+    scenes: [{
+        id: 'square', image: 'square.jpg', hotspots: [
+            { id: 'guide', type: 'dialog', dialogId: 'guide', rect: { ...rect } },
+            { id: 'mayor', type: 'dialog', dialogId: 'mayor', rect: { ...rect, x: 20 } },
+            { id: 'gate', type: 'goTo', target: 'square', if: { seen: ['mayor'] }, rect: { ...rect, x: 40 } }
+        ]
+    }]
+};
+
+const DIALOGS = {
+    characters: [],
+    dialogs: [
+        {
+            id: 'guide', typewriter: false,
+            sequence: [{ text: 'Vítejte ve městě! Tady máte mapu.', onNext: { giveItem: 'map' } }],
+            repeatSequence: [
+                { text: 'Ještě něco?', choices: [{ id: 'more', label: 'Znovu', onChoose: { jump: 'again' } }, { label: 'Ne', onChoose: { end: true } }] },
+                { id: 'again', text: 'Radnice je na náměstí.' }
+            ],
+            shortSequence: [{ text: 'Radnice je na náměstí.' }, { text: 'Počtvrté?', if: { dialogs: { guide: { '>=': 4 } } } }]
+        },
+        { id: 'mayor', typewriter: false, once: true, sequence: [{ text: 'Jsem starosta.', if: { notSeen: 'mayor' } }, { text: 'Nashle.' }] }
+    ]
+};
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+const memoryFetch = async (url) => ({
+    ok: true, status: 200,
+    json: async () => clone(String(url).endsWith('dialogs.json') ? DIALOGS : SCENES)
+});
+
+/** Texts of the steps the dialog shows. */
+function recordLines(game) {
+    const lines = [];
+    const ui = game.dialogUI;
+    const render = ui._renderStep.bind(ui);
+    ui._renderStep = (opts) => {
+        lines.push(ui.active.sequence[ui.active.idx]?.text);
+        return render(opts);
+    };
+    return lines;
+}
+
+describe('Dialog visits', () => {
+    it('plays repeatSequence on the second visit and shortSequence after that', async () => {
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch: memoryFetch });
+        const lines = recordLines(hg.game);
+        const visit = async (opts) => {
+            lines.length = 0;
+            await hg.click('guide', opts);
+            return lines.slice();
+        };
+        expect(await visit()).toEqual(['Vítejte ve městě! Tady máte mapu.']);
+        expect(await visit({ choose: ['more'] })).toEqual(['Ještě něco?', 'Radnice je na náměstí.']);
+        expect(await visit()).toEqual(['Radnice je na náměstí.']);
+        expect(await visit()).toEqual(['Radnice je na náměstí.', 'Počtvrté?']);
+        expect(hg.state.dialogs).toEqual({ guide: 4 });
+        expect(hg.inventory).toEqual(['map']);
+        expect(hg.driver.issues).toEqual([]);
+    });
+
+    it('opens a `once` dialog only the first time', async () => {
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch: memoryFetch });
+        const lines = recordLines(hg.game);
+        const opened = [];
+        hg.game.on('dialogopen', (d) => opened.push(d.dialog));
+
+        await hg.click('mayor');
+        // the play is counted when the dialog opens, so `notSeen` on its own steps is already false
+        expect(lines).toEqual(['Nashle.']);
+        await hg.click('mayor');
+        expect(opened).toEqual(['mayor']);
+        expect(hg.state.dialogs).toEqual({ mayor: 1 });
+    });
+
+    it('answers `seen`, `notSeen` and `dialogs` conditions', async () => {
+        const hg = await loadHeadlessGame({ baseUrl: './', fetch: memoryFetch });
+        const g = hg.game;
+        expect(g.checkCondition({ notSeen: ['mayor', 'guide'] })).toBe(true);
+        await hg.click('gate', { locked: true });
+
+        await hg.click('mayor');
+        await hg.click('guide');
+        await hg.click('guide');
+        expect(g.checkCondition({ seen: 'mayor' })).toBe(true);
+        expect(g.checkCondition({ dialogs: { guide: 2, mayor: { '<': 2 } } })).toBe(true);
+        expect(g.checkCondition({ count: { of: 'dialogs', gte: 2 } })).toBe(true);
+        await hg.click('gate');
+    });
+
+    it('adds the play counts to older saves', () => {
+        const st = migrateState(
+            { signature: 'visits|1|cs', schema: 6, scene: 'square', inventory: [], flags: {}, solved: {}, visited: {} },
+            { data: SCENES, signature: 'visits|1|cs', gameId: 'visits', version: '1' }
+        );
+        expect(st.schema).toBe(STATE_SCHEMA);
+        expect(st.dialogs).toEqual({});
+    });
+
+    it('validates every sequence and the dialog ids in conditions', async () => {
+        const dialogs = clone(DIALOGS);
+        dialogs.dialogs[0].shortSequence[0].choices = [{ label: 'Zpět', onChoose: { jump: 'again' } }];
+        dialogs.dialogs[1].sequence[0].if = { seen: 'major' };
+        const report = await validateGame({ scenes: clone(SCENES), puzzles: {}, dialogs });
+        expect(report.errors.map(e => e.message)).toEqual([
+            'dialog "guide" has no step "again" to jump to',
+            'dialog "major" does not exist'
+        ]);
+        expect(report.errors[0].path).toBe('dialog "guide" › shortSequence step #0 › choice #0.onChoose.jump');
+    });
+
+    it('is followed by the reachability analyzer into every sequence', () => {
+        const dialogs = clone(DIALOGS);
+        dialogs.dialogs[0].sequence[0].onNext = {};
+        dialogs.dialogs[0].shortSequence[0].onNext = { giveItem: 'map' };
+        const scenes = clone(SCENES);
+        Object.assign(scenes.scenes[0].hotspots[2], { target: 'hall', requireItems: ['map'] });
+        scenes.scenes.push({ id: 'hall', image: 'hall.jpg', end: true, hotspots: [] });
+        const report = analyzeGame({ scenes, puzzles: {}, dialogs });
+        expect(report.winnable).toBe(true);
+        expect(report.reachable.items).toEqual(['map']);
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { registerAction, listActions, runActions } from '../../engine/actions.js';
+
+const SCENES = {
+    meta: { id: 'actions', version: '1' },
+    scenes: [
+        {
+            id: 'hall', title: 'Hall', image: 'hall.jpg', hotspots: [
+                { type: 'useItem', requireItems: ['key'], rect: { x: 0, y: 0, w: 10, h: 10 },
+                  onApply: { takeItem: 'key', setFlags: ['door_open'], setSceneImage: { image: 'hall_open.jpg' } } }
+            ]
+        },
+        { id: 'vault', title: 'Vault', image: 'vault.jpg', hotspots: [] }
+    ],
+    events: [
+        { id: 'welcome', once: true, when: { on: 'enterScene', scene: 'hall' },
+          then: { giveItem: 'key', setFlags: ['welcomed'] } },
+        { id: 'open', once: true, when: { on: 'stateChange', requireFlags: ['door_open'] },
+          then: [{ giveItem: 'map' }, { goTo: 'vault' }] }
+    ],
+    startScene: 'hall'
+};
+
+function makeGame() {
+    return new Game({
+        storage: new MemoryStorageAdapter(),
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+    });
+}
+
+describe('Actions: unified executor', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => SCENES }));
+    });
+
+    it('events and hotspots share the same action vocabulary', async () => {
+        const game = makeGame();
+        await game.init();
+        expect(game.state.inventory).toEqual(['key']);
+        expect(game.state.flags.welcomed).toBe(true);
+
+        // hotspot onApply → takeItem + setFlags + setSceneImage; stateChange event → giveItem + goTo
+        await game._applyActions(game.currentScene.hotspots[0].onApply);
+        expect(game.data.scenes[0].image).toContain('hall_open.jpg');
+        expect(game.state.inventory).toEqual(['map']);
+        expect(game.state.scene).toBe('vault');
+    });
+
+    it('runs sequences in order and bundle keys in canonical order', async () => {
+        const game = makeGame();
+        await game.init();
+        const log = [];
+        registerAction('test:log', (g, arg) => { log.push(arg + ':' + g.state.inventory.join(',')); });
+
+        await runActions(game, [{ 'test:log': 'a', giveItem: 'coin' }, { delay: 1 }, { 'test:log': 'b', takeItem: 'coin' }]);
+        // custom keys run after built-in logic keys inside one bundle
+        expect(log).toEqual(['a:key,coin', 'b:key']);
+        expect(listActions()).toContain('test:log');
+
+        await runActions(game, { goTo: 'vault', setFlags: ['before_nav'] });
+        expect(game.state.scene).toBe('vault');
+        expect(game.state.flags.before_nav).toBe(true);
+    });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { formatAnswer } from '../../engine/aggregate.js';
+
+const SCENES = {
+    meta: { id: 'quiz', version: '1' },
+    puzzles: {
+        q1: { kind: 'code', title: 'Rok založení', solution: '1348', group: 'history' },
+        q2: {
+            kind: 'quiz', title: 'Řeky', group: 'history',
+            tokens: [{ id: 'a', label: 'Vltava' }, { id: 'b', label: 'Labe' }, { id: 'c', label: 'Dunaj' }]
+        },
+        q3: { kind: 'code', title: 'Kód', solution: '42' }
+    },
+    scenes: [
+        {
+            id: 'class', title: 'Class', image: 'class.jpg', hotspots: [
+                { type: 'puzzle', puzzleRef: 'q1', options: { aggregateOnly: true }, rect: { x: 0, y: 0, w: 10, h: 10 } }
+            ]
+        }
+    ],
+    startScene: 'class'
+};
+
+function makeGame() {
+    return new Game({
+        storage: new MemoryStorageAdapter(),
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+    });
+}
+
+describe('Aggregate results: queries, report and export', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal" class="hidden"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => JSON.parse(JSON.stringify(SCENES)) }));
+    });
+
+    it('records aggregateOnly answers with their group and counts the latest answer per puzzle', async () => {
+        const game = makeGame();
+        await game.init();
+
+        const run = game._activateHotspot(game.currentScene.hotspots[0]);
+        await new Promise(r => setTimeout(r, 0));
+        document.querySelector('.pz-input').value = '1348';
+        document.querySelector('.pz-btn--ok').click();
+        await run;
+
+        expect(game.state.puzzleResults[0]).toMatchObject({ ref: 'q1', ok: true, detail: { value: '1348' }, group: 'history' });
+        expect(game.state.solved['solved:pz:q1']).toBeUndefined();
+
+        game._appendPuzzleResult({ ref: 'q2', ok: false, detail: { selectedIds: ['a'], solutionIds: ['b'] } });
+        game._appendPuzzleResult({ ref: 'q2', ok: true, detail: { selectedIds: ['b'], solutionIds: ['b'] } });
+        game._appendPuzzleResult({ ref: 'q3', ok: false, detail: { value: '7' } });
+
+        expect(game.getResultsSummary({ group: 'history' })).toEqual({ answered: 2, correct: 2, wrong: 0, ratio: 1 });
+        expect(game.getResultsSummary()).toMatchObject({ answered: 3, correct: 2, wrong: 1 });
+        expect(game.getPuzzleResults({ refs: ['q2'] })[0].attempts).toBe(2);
+
+        expect(game.checkCondition({ results: { group: 'history', correct: { gte: 2 }, answered: 2 } })).toBe(true);
+        expect(game.checkCondition({ results: { correct: { '>=': 3 } } })).toBe(false);
+        expect(game.checkCondition({ results: { ratio: [0.5, 1] } })).toBe(true);
+    });
+
+    it('an aggregateOnly puzzle list records every step under the list group', async () => {
+        const game = makeGame();
+        await game.init();
+
+        const run = game._applyActions({ openPuzzleList: { items: ['q1', 'q3'], aggregateOnly: true, group: 'test1' } });
+        await new Promise(r => setTimeout(r, 0));
+        for (const value of ['1348', '0']) {
+            const pz = document.querySelectorAll('.pz-container');
+            const current = pz[pz.length - 1];
+            current.querySelector('.pz-input').value = value;
+            current.querySelector('.pz-btn--ok').click();
+            await new Promise(r => setTimeout(r, 0));
+        }
+        document.querySelector('.pz-list-summary .pz-btn--ok').click();
+        await run;
+
+        expect(game.state.puzzleResults.map(r => [r.ref, r.ok, r.group])).toEqual([['q1', true, 'test1'], ['q3', false, 'test1']]);
+        expect(document.querySelector('.pz-container')).toBe(null);
+    });
+
+    it('checkResults branches and clearResults resets a group', async () => {
+        const game = makeGame();
+        await game.init();
+        game._appendPuzzleResult({ ref: 'q1', ok: true });
+        game._appendPuzzleResult({ ref: 'q2', ok: false });
+
+        await game._applyActions({
+            checkResults: { group: 'history', correct: { gte: 2 }, then: { setFlags: ['passed'] }, else: { setFlags: ['retake'] } }
+        });
+        expect(game.state.flags).toMatchObject({ retake: true });
+        expect(game.state.flags.passed).toBeUndefined();
+
+        await game._applyActions({ clearResults: 'history' });
+        expect(game.state.puzzleResults).toEqual([]);
+    });
+
+    it('showResults renders the per-puzzle breakdown with answers; CSV/JSON export', async () => {
+        const game = makeGame();
+        await game.init();
+        game._appendPuzzleResult({ ref: 'q1', ok: true, detail: { value: '1348' } });
+        game._appendPuzzleResult({ ref: 'q2', ok: false, detail: { selectedIds: ['a', 'c'], solutionIds: ['b'] } });
+        game._appendPuzzleResult({ ref: 'q3', ok: false, detail: { value: '4,"2"' } });
+
+        expect(formatAnswer(game, 'q2', { selectedIds: ['a', 'c'], solutionIds: ['b'] })).toBe('Vltava, Dunaj');
+        expect(formatAnswer(game, 'q1', { reason: 'cancel' })).toBe('');
+
+        const shown = game._applyActions({ showResults: { group: 'history' } });
+        await new Promise(r => setTimeout(r, 0));
+        const modal = document.getElementById('modal');
+        expect(modal.querySelector('.results-score').textContent).toBe('1 / 2 správně');
+        const rows = modal.querySelectorAll('.results-report-table tr');
+        expect(rows).toHaveLength(2);
+        expect(rows[1].textContent).toBe('ŘekyVltava, Dunaj✗');
+        expect(rows[1].classList.contains('is-wrong')).toBe(true);
+        expect(modal.querySelector('.results-export--csv')).not.toBe(null);
+        document.getElementById('modalOk').click();
+        await shown;
+
+        const csv = game.exportResults('csv').trim().split('\n');
+        expect(csv[0]).toBe('ref,title,group,ok,attempts,answer,at');
+        expect(csv[1]).toMatch(/^q1,Rok založení,history,true,1,1348,\d{4}-/);
+        expect(csv[3]).toMatch(/^q3,Kód,,false,1,"4,""2""",/);
+
+        const json = JSON.parse(game.exportResults('json', { group: 'history' }));
+        expect(json.gameId).toBe('quiz');
+        expect(json.summary).toEqual({ answered: 2, correct: 1, wrong: 1, ratio: 0.5 });
+        expect(json.results[1]).toMatchObject({ ref: 'q2', answer: 'Vltava, Dunaj', detail: { selectedIds: ['a', 'c'] } });
+    });
+});
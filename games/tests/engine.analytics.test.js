@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { MemorySink, BeaconSink, toXapiStatement, isoDuration } from '../../engine/analytics.js';
+
+const SCENES = {
+    meta: { id: 'lab', version: '1' },
+    items: [{ id: 'key', name: 'Key' }],
+    puzzles: { safe: { kind: 'code', solution: '1234' } },
+    scenes: [
+        {
+            id: 'hall', title: 'Hall', image: 'hall.jpg', hotspots: [
+                { id: 'rug', type: 'pickup', itemId: 'key', rect: { x: 0, y: 0, w: 10, h: 10 } },
+                { id: 'door', type: 'goTo', target: 'lab', requireFlags: ['open'], rect: { x: 20, y: 0, w: 10, h: 10 } },
+                { id: 'safe', type: 'puzzle', puzzleRef: 'safe', rect: { x: 40, y: 0, w: 10, h: 10 } },
+                { id: 'exit', type: 'goTo', target: 'lab', rect: { x: 60, y: 0, w: 10, h: 10 } }
+            ]
+        },
+        { id: 'lab', title: 'Lab', image: 'lab.jpg', hotspots: [] }
+    ],
+    startScene: 'hall'
+};
+
+function makeGame(extra = {}) {
+    return new Game({
+        storage: new MemoryStorageAdapter(),
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+        ...extra
+    });
+}
+
+describe('Analytics: event bus and sinks', () => {
+    let scenes;
+
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+        scenes = JSON.parse(JSON.stringify(SCENES));
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal" class="hidden"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => JSON.parse(JSON.stringify(scenes)) }));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    it('emits scene, hotspot, item and puzzle events with timing', async () => {
+        const sink = new MemorySink();
+        const game = makeGame({ analyticsSinks: [sink] });
+        await game.init();
+        const [rug, door, safe, exit] = game.currentScene.hotspots;
+
+        await game._activateHotspot(rug);
+        await game._activateHotspot(door);
+
+        const run = game._activateHotspot(safe);
+        await vi.advanceTimersByTimeAsync(4000);
+        document.querySelector('.pz-input').value = '1234';
+        document.querySelector('.pz-btn--ok').click();
+        await run;
+
+        await game._activateHotspot(exit);
+
+        expect(sink.list().map(e => e.type)).toEqual([
+            'session.start', 'scene.enter',
+            'hotspot.click', 'item.pickup',
+            'hotspot.click', 'hotspot.locked',
+            'hotspot.click', 'puzzle.open', 'puzzle.attempt', 'puzzle.resolve',
+            'hotspot.click', 'scene.exit', 'scene.enter'
+        ]);
+        const [first] = sink.list('scene.enter');
+        expect(first).toMatchObject({ gameId: 'lab', scene: 'hall', data: { scene: 'hall', first: true } });
+        expect(first.session).toBe(sink.list('scene.exit')[0].session);
+        expect(sink.list('hotspot.locked')[0].data).toEqual({ hotspot: 'door', type: 'goTo' });
+        expect(sink.list('puzzle.resolve')[0].data).toEqual({
+            puzzle: 'safe', kind: 'code', ok: true, attempts: 1, durationMs: 4000, reason: null, response: '1234'
+        });
+        expect(sink.list('scene.exit')[0].data).toMatchObject({ scene: 'hall', to: 'lab', durationMs: 4000 });
+        expect(sink.list('scene.enter')[1].scene).toBe('lab');
+    });
+
+    it('emits item.use for items dropped on hotspots as for clicks', async () => {
+        scenes.scenes[0].hotspots.push({ id: 'lock', type: 'apply', acceptItems: [{ id: 'key', consume: true }], rect: { x: 80, y: 0, w: 10, h: 10 } });
+        const sink = new MemorySink();
+        const game = makeGame({ analyticsSinks: [sink] });
+        await game.init();
+        const [rug, door, , , lock] = game.currentScene.hotspots;
+        await game._activateHotspot(rug);
+
+        await game._handleItemDropOnHotspot('key', door);
+        await game._handleItemDropOnHotspot('key', lock);
+
+        expect(sink.list('item.use').map(e => e.data)).toEqual([
+            { item: 'key', hotspot: 'door', ok: false },
+            { item: 'key', hotspot: 'lock', ok: true, consumed: true }
+        ]);
+        expect(game.state.inventory).not.toContain('key');
+    });
+
+    it('creates sinks from scenes.json and batches beacons', async () => {
+        const sent = [];
+        vi.stubGlobal('navigator', { sendBeacon: (url, blob) => { sent.push({ url, blob }); return true; } });
+        scenes.analytics = { sinks: [{ type: 'beacon', url: 'https://example.org/collect', batchSize: 50, flushMs: 5000 }, 'nope'] };
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const game = makeGame();
+        await game.init();
+        expect(warn).toHaveBeenCalledWith('[ANALYTICS] Unknown sink type:', 'nope');
+        expect(game.analytics.sinks[0]).toBeInstanceOf(BeaconSink);
+        expect(sent).toHaveLength(0);
+
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(sent).toHaveLength(1);
+        expect(sent[0].url).toBe('https://example.org/collect');
+        const text = await new Promise(res => {
+            const fr = new FileReader();
+            fr.onload = () => res(fr.result);
+            fr.readAsText(sent[0].blob);
+        });
+        expect(JSON.parse(text).map(e => e.type)).toEqual(['session.start', 'scene.enter']);
+
+        await game._activateHotspot(game.currentScene.hotspots[0]);
+        window.dispatchEvent(new Event('pagehide'));
+        expect(sent).toHaveLength(2);
+        warn.mockRestore();
+    });
+
+    it('maps events to xAPI statements', () => {
+        const stmt = toXapiStatement({
+            type: 'puzzle.resolve', at: Date.UTC(2026, 0, 1), t: 0, session: 's1', gameId: 'leeuwenhoek',
+            scene: 'lab', hero: 'adam', data: { puzzle: 'microscope', ok: false, attempts: 3, durationMs: 75500 }
+        }, { activityBase: 'https://school.example/xapi/' });
+
+        expect(stmt.verb.id).toBe('http://adlnet.gov/expapi/verbs/failed');
+        expect(stmt.object.id).toBe('https://school.example/xapi/games/leeuwenhoek/puzzle/microscope');
+        expect(stmt.actor.account).toEqual({ homePage: 'https://school.example/xapi', name: 's1' });
+        expect(stmt.result).toEqual({ success: false, duration: 'PT1M15.5S', completion: true });
+        expect(stmt.timestamp).toBe('2026-01-01T00:00:00.000Z');
+        expect(isoDuration(3_725_000)).toBe('PT1H2M5S');
+    });
+});
@@ -71,7 +71,7 @@ describe('Engine helpers: _resolveAsset + persistence signature', () => {
     expect(game._resolveAsset('https://cdn/x.png')).toBe('https://cdn/x.png');
   });
 
-  it('reuses saved state only when signature (game|version|lang) matches', async () => {
+  it('reuses saved state for the same game, also across a language switch', async () => {
     // First run: create save
     const gameA = new Game({
       baseUrl: './games/test/',
@@ -93,6 +93,7 @@ describe('Engine helpers: _resolveAsset + persistence signature', () => {
     gameA.state.inventory.push('golden_key');
     gameA.state.scene = 'room2';
     gameA._saveState();
+    await gameA.flushSaves(); // storage writes are async
 
     // Second run, same signature → loads
     const gameB = new Game({
@@ -115,7 +116,7 @@ describe('Engine helpers: _resolveAsset + persistence signature', () => {
     expect(gameB.state.inventory.includes('golden_key')).toBe(true);
     expect(gameB.state.scene).toBe('room2');
 
-    // Third run, different lang → signature mismatch → fresh state
+    // Third run, different lang → progress is kept (lang is not part of compatibility)
     const gameC = new Game({
       baseUrl: './games/test/',
       scenesUrl: './games/test/scenes.json',
@@ -133,7 +134,8 @@ describe('Engine helpers: _resolveAsset + persistence signature', () => {
       modalOk: document.getElementById('modalOk'),
     });
     await gameC.init();
-    expect(gameC.state.inventory.includes('golden_key')).toBe(false);
-    expect(gameC.state.scene).toBe('room'); // startScene
+    expect(gameC.state.inventory.includes('golden_key')).toBe(true);
+    expect(gameC.state.scene).toBe('room2');
+    expect(gameC.state.lang).toBe('en');
   });
 });
@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { BRIDGE_CHANNEL, bridgeWanted } from '../../engine/bridge.js';
+
+const SCENES = {
+    meta: { id: 'embed', version: '1' },
+    items: [{ id: 'key', name: 'Key' }],
+    puzzles: { safe: { kind: 'code', solution: '1234' } },
+    scenes: [
+        {
+            id: 'hall', title: 'Hall', image: 'hall.jpg', hotspots: [
+                { id: 'rug', type: 'pickup', itemId: 'key', rect: { x: 0, y: 0, w: 10, h: 10 } },
+                { id: 'safe', type: 'puzzle', puzzleRef: 'safe', rect: { x: 40, y: 0, w: 10, h: 10 } },
+                { id: 'door', type: 'goTo', target: 'lab', rect: { x: 60, y: 0, w: 10, h: 10 } }
+            ]
+        },
+        { id: 'lab', title: 'Lab', image: 'lab.jpg', hotspots: [] }
+    ],
+    startScene: 'hall'
+};
+
+function makeGame(extra = {}) {
+    return new Game({
+        storage: new MemoryStorageAdapter(),
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+        ...extra
+    });
+}
+
+/** Stand-in for the parent window: the bridge's target and the source of its commands. */
+let target;
+
+/** Post a command to the game window as the parent page would. */
+function command(data, origin = 'https://museum.example', source = target) {
+    window.dispatchEvent(new MessageEvent('message', { data: { channel: BRIDGE_CHANNEL, kind: 'command', ...data }, origin, source }));
+}
+
+describe('Public events and the iframe bridge', () => {
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+        target = { postMessage: vi.fn() };
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal" class="hidden"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => JSON.parse(JSON.stringify(SCENES)) }));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    it('dispatches scene, inventory, flag and puzzle events to on() listeners', async () => {
+        const game = makeGame({ bridge: false });
+        const seen = [];
+        for (const type of ['ready', 'scenechange', 'inventorychange', 'flagchange', 'varchange', 'puzzleresolved']) {
+            game.on(type, (detail) => seen.push([type, detail]));
+        }
+        const viaDom = vi.fn();
+        game.addEventListener('scenechange', viaDom);
+
+        await game.init();
+        const [rug, safe, door] = game.currentScene.hotspots;
+        await game._activateHotspot(rug);
+
+        const run = game._activateHotspot(safe);
+        await vi.advanceTimersByTimeAsync(3000);
+        document.querySelector('.pz-input').value = '1234';
+        document.querySelector('.pz-btn--ok').click();
+        await run;
+
+        game.setFlag('lamp');
+        game.setFlag('lamp');            // no change → no event
+        game.setVar('score', 5);
+        await game._activateHotspot(door);
+
+        expect(seen.map(([type]) => type)).toEqual([
+            'scenechange', 'ready', 'inventorychange', 'puzzleresolved', 'flagchange', 'varchange', 'scenechange'
+        ]);
+        expect(seen[0][1]).toEqual({ scene: 'hall', from: null });
+        expect(seen[2][1]).toEqual({ added: 'key', removed: null, inventory: ['key'] });
+        expect(seen[3][1]).toMatchObject({ puzzle: 'safe', ok: true, aggregateOnly: false });
+        expect(seen[4][1]).toEqual({ flag: 'lamp', value: true });
+        expect(seen[5][1]).toEqual({ name: 'score', value: 5, previous: null });
+        expect(seen[6][1]).toEqual({ scene: 'lab', from: 'hall' });
+        expect(viaDom).toHaveBeenCalledTimes(2);
+        expect(viaDom.mock.calls[1][0].detail.scene).toBe('lab');
+    });
+
+    it('on() returns an unsubscribe function; pause() blocks hotspots until resume()', async () => {
+        const game = makeGame({ bridge: false });
+        await game.init();
+        const fn = vi.fn();
+        const off = game.on('inventorychange', fn);
+        off();
+        const states = [];
+        game.on('pause', () => states.push('pause'));
+        game.on('resume', () => states.push('resume'));
+
+        game.pause();
+        expect(game.hotspotLayer.classList.contains('is-paused')).toBe(true);
+        await game._activateHotspot(game.currentScene.hotspots[0]);
+        expect(game.state.inventory).toEqual([]);
+
+        game.resume();
+        await game._activateHotspot(game.currentScene.hotspots[0]);
+        expect(game.state.inventory).toEqual(['key']);
+        expect(fn).not.toHaveBeenCalled();
+        expect(states).toEqual(['pause', 'resume']);
+    });
+
+    it('forwards events to the parent and runs its commands over postMessage', async () => {
+        const game = makeGame({ bridge: { target, origins: ['https://museum.example'], targetOrigin: 'https://museum.example' } });
+        await game.init();
+        const sent = () => target.postMessage.mock.calls.map(([msg]) => msg);
+
+        expect(sent().map(m => m.type)).toEqual(['scenechange', 'ready']);
+        expect(target.postMessage.mock.calls[0][1]).toBe('https://museum.example');
+
+        command({ id: 1, command: 'setFlag', args: { flag: 'power' } });
+        command({ id: 2, command: 'goto', args: { scene: 'lab' } });
+        await vi.advanceTimersByTimeAsync(0);
+        command({ id: 3, command: 'pause' });
+        await vi.advanceTimersByTimeAsync(0);
+        command({ id: 4, command: 'getState' });
+        command({ id: 5, command: 'selfDestruct' });
+        command({ id: 6, command: 'resume' }, 'https://evil.example');
+        command({ id: 7, command: 'resume' }, 'https://museum.example', { postMessage: vi.fn() });  // another frame of that origin
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(game.state.flags.power).toBe(true);
+        expect(game.state.scene).toBe('lab');
+        expect(game.paused).toBe(true);
+        expect(sent().filter(m => m.kind === 'event').map(m => m.type))
+            .toEqual(['scenechange', 'ready', 'flagchange', 'scenechange', 'pause']);
+        const responses = Object.fromEntries(sent().filter(m => m.kind === 'response').map(m => [m.id, m]));
+        expect(responses[4]).toMatchObject({ ok: true, result: { scene: 'lab', flags: { power: true }, paused: true } });
+        expect(responses[5]).toMatchObject({ ok: false, error: 'Unknown command: selfDestruct' });
+        expect(responses[6]).toBeUndefined();
+        expect(responses[7]).toBeUndefined();
+        expect(sent().every(m => m.channel === BRIDGE_CHANNEL)).toBe(true);
+
+        game._disconnectBridge();
+        command({ command: 'resume' });
+        await vi.advanceTimersByTimeAsync(0);
+        expect(game.paused).toBe(true);
+    });
+
+    it('trusts only the framing page when no origins are configured', async () => {
+        Object.defineProperty(document, 'referrer', { configurable: true, get: () => 'https://museum.example/tour/' });
+        const game = makeGame({ bridge: { target } });
+        await game.init();
+        expect(target.postMessage.mock.calls.map(([, origin]) => origin)).toEqual(['https://museum.example', 'https://museum.example']);
+
+        command({ command: 'pause' }, 'https://evil.example');
+        await vi.advanceTimersByTimeAsync(0);
+        expect(game.paused).toBe(false);
+        command({ command: 'pause' });
+        await vi.advanceTimersByTimeAsync(0);
+        expect(game.paused).toBe(true);
+        game._disconnectBridge();
+        delete document.referrer;
+    });
+
+    it('refuses commands and posts nothing when no origin is known', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const game = makeGame({ bridge: { target } });
+        await game.init();
+        command({ id: 1, command: 'setFlag', args: { flag: 'power' } });
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(game.state.flags.power).toBeUndefined();
+        expect(target.postMessage).not.toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith('[BRIDGE] command from unexpected origin ignored:', 'https://museum.example');
+        game._disconnectBridge();
+        warn.mockRestore();
+    });
+
+    it('connects automatically only when the game runs inside a frame', () => {
+        const top = {};
+        top.parent = top;
+        expect(bridgeWanted('auto', top)).toBe(false);
+        expect(bridgeWanted('auto', { parent: top })).toBe(true);
+        expect(bridgeWanted(true, top)).toBe(true);
+        expect(bridgeWanted(false, { parent: top })).toBe(false);
+    });
+});
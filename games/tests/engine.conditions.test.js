@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { evaluateCondition, hostConditionsMet, compareValue } from '../../engine/conditions.js';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+
+const fakeGame = (state, hero = { id: 'eva', gender: 'f' }) => ({ state, getHero: () => hero });
+
+describe('Conditions: expression evaluator', () => {
+    const g = fakeGame({
+        scene: 'lab',
+        inventory: ['crowbar'],
+        flags: { a: true, off: false },
+        visited: { hall: true, lab: true },
+        solved: { 'solved:pz:lens': true },
+        eventsFired: {},
+        puzzleResults: [{ ref: 'q1', ok: true }, { ref: 'q2', ok: false }, { ref: 'q3', ok: true }],
+        startedAt: Date.now() - 125 * 1000
+    });
+
+    it('supports all / any / not and flag, item, visited and solved checks', () => {
+        expect(evaluateCondition(g, { any: [{ flags: ['b'] }, { items: ['crowbar'] }] })).toBe(true);
+        expect(evaluateCondition(g, { all: [{ flags: ['a'] }, { items: ['key'] }] })).toBe(false);
+        expect(evaluateCondition(g, { not: { flags: ['off'] } })).toBe(true);
+        expect(evaluateCondition(g, { missingFlags: ['off', 'b'], missingItems: ['key'] })).toBe(true);
+        expect(evaluateCondition(g, { visited: ['hall'], notVisited: ['vault'] })).toBe(true);
+        expect(evaluateCondition(g, { solved: 'lens', notSolved: ['safe'] })).toBe(true);
+        expect(evaluateCondition(g, [{ scene: 'lab' }, { scene: ['hall'] }])).toBe(false);
+    });
+
+    it('supports hero, counters and elapsed time', () => {
+        expect(evaluateCondition(g, { hero: ['adam', 'eva'], heroGender: 'f' })).toBe(true);
+        expect(evaluateCondition(g, { count: { of: 'correct', gte: 2 } })).toBe(true);
+        expect(evaluateCondition(g, { count: { of: 'visited', eq: 3 } })).toBe(false);
+        expect(evaluateCondition(g, { elapsed: { gte: 120, lt: 130 } })).toBe(true);
+        expect(compareValue(5, [1, 5])).toBe(true);
+        expect(compareValue(5, { ne: 5 })).toBe(false);
+    });
+
+    it('host objects combine legacy require* keys with `if`', () => {
+        expect(hostConditionsMet(g, { type: 'goTo', requireFlags: ['a'], if: { items: ['crowbar'] } })).toBe(true);
+        expect(hostConditionsMet(g, { requireFlags: ['a'], missingItems: ['crowbar'] })).toBe(false);
+        // unrelated host keys (e.g. puzzleList `items`) are not treated as conditions
+        expect(hostConditionsMet(g, { type: 'puzzleList', items: [{ ref: 'x' }] })).toBe(true);
+    });
+});
+
+describe('Conditions: used by hotspots and events', () => {
+    const SCENES = {
+        meta: { id: 'cond', version: '1' },
+        scenes: [
+            {
+                id: 'hall', title: 'Hall', image: 'hall.jpg', hotspots: [
+                    { type: 'goTo', target: 'vault', rect: { x: 0, y: 0, w: 10, h: 10 },
+                      if: { any: [{ flags: ['door_open'] }, { items: ['crowbar'] }] } }
+                ]
+            },
+            { id: 'vault', title: 'Vault', image: 'vault.jpg', hotspots: [] }
+        ],
+        events: [
+            { id: 'hint', when: { on: 'enterScene', scene: 'hall', if: { not: { flags: ['door_open'] } } },
+              then: { setFlags: ['hinted'] } }
+        ],
+        startScene: 'hall'
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => SCENES }));
+    });
+
+    it('opens the door with either the flag or the item (OR condition)', async () => {
+        const game = new Game({
+            storage: new MemoryStorageAdapter(),
+            scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+            sceneImage: document.getElementById('sceneImage'),
+            hotspotLayer: document.getElementById('hotspotLayer'),
+            inventoryRoot: document.getElementById('inventory'),
+            messageBox: document.getElementById('msg'),
+            modalRoot: document.getElementById('modal'),
+            modalTitle: document.getElementById('modalTitle'),
+            modalBody: document.getElementById('modalBody'),
+            modalCancel: document.getElementById('modalCancel'),
+            modalOk: document.getElementById('modalOk'),
+        });
+        await game.init();
+        expect(game.state.flags.hinted).toBe(true);
+
+        const door = game.currentScene.hotspots[0];
+        await game._activateHotspot(door);
+        expect(game.state.scene).toBe('hall');
+
+        game.state.inventory.push('crowbar');
+        await game._activateHotspot(door);
+        expect(game.state.scene).toBe('vault');
+    });
+});
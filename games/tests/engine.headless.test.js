@@ -0,0 +1,128 @@
+import { describe, it, expect, vi } from 'vitest';
+import { loadHeadlessGame, PlaythroughError } from '../../engine/headless.js';
+
+const FILES = {
+    'scenes.json': {
+        meta: { id: 'lab', version: '1' },
+        items: [{ id: 'key', label: 'Key' }, { id: 'badge', label: 'Badge' }],
+        puzzles: {
+            safe: { kind: 'code', solution: '1234' },
+            sort: { kind: 'order', tokens: [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }], solution: ['b', 'a'] }
+        },
+        scenes: [
+            {
+                id: 'hall', image: 'hall.jpg', hotspots: [
+                    { id: 'rug', type: 'pickup', itemId: 'key', rect: { x: 0, y: 0, w: 10, h: 10 } },
+                    { id: 'guard', type: 'dialog', dialogId: 'guard', rect: { x: 10, y: 0, w: 10, h: 10 } },
+                    { id: 'safe', type: 'puzzle', puzzleRef: 'safe', options: { blockUntilSolved: true }, onSuccess: { setFlags: ['safe_open'] }, rect: { x: 20, y: 0, w: 10, h: 10 } },
+                    { id: 'shelf', type: 'puzzle', puzzleRef: 'sort', onFail: { message: 'Nope' }, rect: { x: 30, y: 0, w: 10, h: 10 } },
+                    { type: 'goTo', target: 'lab', requireItems: ['badge'], acceptItems: ['key'], onApply: { goTo: 'lab' }, rect: { x: 40, y: 0, w: 10, h: 10 } }
+                ]
+            },
+            { id: 'lab', image: 'lab.jpg', end: true, hotspots: [] }
+        ],
+        startScene: 'hall'
+    },
+    'dialogs.json': {
+        characters: [],
+        dialogs: [{
+            id: 'guard',
+            sequence: [
+                { text: 'Halt!' },
+                {
+                    id: 'ask', text: 'Who are you?', choices: [
+                        { id: 'lie', label: 'Nobody', onChoose: { end: true } },
+                        { id: 'truth', label: 'The new intern', onChoose: { giveItem: 'badge', end: true } }
+                    ]
+                }
+            ]
+        }]
+    }
+};
+
+/** In-memory fetch over FILES (the playthrough test uses fileFetch on the real games). */
+const memoryFetch = async (url) => {
+    const name = String(url).replace(/^\.\//, '');
+    const hit = Object.hasOwn(FILES, name);
+    return { ok: hit, status: hit ? 200 : 404, json: async () => JSON.parse(JSON.stringify(FILES[name] ?? null)) };
+};
+
+describe('Headless engine mode', () => {
+    it('plays without page markup: clicks by id, answers puzzles and picks dialog choices', async () => {
+        const hg = await loadHeadlessGame({ fetch: memoryFetch });
+        expect(hg.scene).toBe('hall');
+        expect(document.querySelector('.toast-container, .hotspot')).toBeNull();
+
+        await hg.click('rug');
+        expect(hg.inventory).toEqual(['key']);
+
+        await hg.click('safe', { answer: '1234' });
+        expect(hg.flag('safe_open')).toBe(true);
+        expect(hg.solved('safe')).toBe(true);
+
+        await hg.click('shelf', { answer: ['a', 'b'] });
+        expect(hg.solved('sort')).toBe(false);
+        expect(hg.messages).toContain('Nope');
+        await hg.click('shelf', { answer: true });   // the puzzle's own solution
+        expect(hg.solved('sort')).toBe(true);
+
+        expect(hg.canClick({ target: 'lab' })).toBe(false);
+        await hg.click('guard', { choose: ['truth'] });
+        expect(hg.has('badge')).toBe(true);
+
+        await hg.use('key', { target: 'lab' });
+        expect(hg.scene).toBe('lab');
+        expect(hg.state.finishedAt).toBeTruthy();
+    });
+
+    it('retries blockUntilSolved puzzles with the next answer and reports what is missing', async () => {
+        const hg = await loadHeadlessGame({ fetch: memoryFetch });
+
+        const err = await hg.click('safe').catch(e => e);
+        expect(err).toBeInstanceOf(PlaythroughError);
+        expect(err.message).toContain('puzzle "safe" opened without an answer');
+
+        const held = await hg.click('safe', { answer: '0000' }).catch(e => e);
+        expect(held.message).toContain('rejected the answer');
+        expect(hg.flag('safe_open')).toBe(false);
+
+        await hg.actions({ setFlags: ['x'] });
+        await expect(hg.click({ target: 'lab' })).rejects.toThrow(/is locked/);
+        expect(await hg.click({ target: 'lab' }, { locked: true })).toEqual({ locked: true });
+        expect(() => hg.findHotspot('nothing')).toThrow(/No hotspot "nothing" in scene "hall"/);
+    });
+
+    it('runs walkthrough steps and names the failing step', async () => {
+        const hg = await loadHeadlessGame({ fetch: memoryFetch, answers: { safe: '1234' } });
+        await hg.play([
+            { click: 'rug', expect: { items: ['key'], message: 'Key' } },
+            { click: 'safe', expect: { flags: ['safe_open'], solved: ['safe'] } },
+            { click: 'guard', choose: [1] },
+            { use: 'key', on: { target: 'lab' }, expect: { scene: 'lab', finished: true } }
+        ]);
+
+        const other = await loadHeadlessGame({ fetch: memoryFetch });
+        const err = await other.play([
+            { click: 'guard', choose: ['Nobody'] },
+            { expect: { items: ['badge'], scene: 'lab' } }
+        ]).catch(e => e);
+        expect(err).toBeInstanceOf(PlaythroughError);
+        expect(err.code).toBe('expect');
+        expect(err.index).toBe(1);
+        expect(err.message).toBe('Step 2 {"expect":{"items":["badge"],"scene":"lab"}}: scene "hall" instead of "lab"; item "badge" missing');
+    });
+
+    it('stops the timer ticker and its pagehide listener on destroy', async () => {
+        const hg = await loadHeadlessGame({ fetch: memoryFetch });
+        const timers = hg.game.timers;
+        timers.start('game', { duration: 60 });
+        expect(timers._interval).not.toBe(null);
+        const persist = vi.spyOn(timers, '_persist');
+
+        hg.destroy();
+        expect(timers._interval).toBe(null);
+        expect(persist).toHaveBeenCalledTimes(1);   // the last tick is saved
+        window.dispatchEvent(new Event('pagehide'));
+        expect(persist).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { currentLadder } from '../../engine/hints.js';
+
+const SCENES = {
+    meta: { id: 'hints', version: '1' },
+    vars: { score: 100 },
+    timers: { game: { duration: 600 } },
+    hintSettings: { cooldown: 30, cost: 10, timePenalty: 60 },
+    puzzles: {
+        safe: { kind: 'code', solution: '1234', hints: [{ text: 'Počítej hodiny.' }, { text: 'Vpravo dole.', rect: { x: 60, y: 70, w: 30, h: 20 } }] }
+    },
+    scenes: [
+        {
+            id: 'hall', title: 'Hall', image: 'hall.jpg',
+            hints: [
+                { text: 'Podívej se pod koberec.', rect: { x: 10, y: 70, w: 20, h: 10 } },
+                { text: 'Klíč otevře truhlu.', image: 'assets/hint_chest.png', cost: 25, timePenalty: 0 }
+            ],
+            hotspots: [
+                { type: 'puzzle', puzzleRef: 'safe', rect: { x: 50, y: 0, w: 10, h: 10 } }
+            ]
+        }
+    ],
+    startScene: 'hall'
+};
+
+function makeGame() {
+    return new Game({
+        storage: new MemoryStorageAdapter(),
+        baseUrl: './games/hints/',
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+    });
+}
+
+describe('Hints: progressive ladders', () => {
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'Date'] });
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal" class="hidden"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => JSON.parse(JSON.stringify(SCENES)) }));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('reveals scene hints one at a time, pays the price and respects the cooldown', async () => {
+        const game = makeGame();
+        await game.init();
+
+        const first = await game.revealHint();
+        expect(first.ok).toBe(true);
+        expect(first.hint.text).toBe('Podívej se pod koberec.');
+        expect(game.getVar('score')).toBe(90);
+        expect(game.timers.remaining('game')).toBe(540);
+        expect(document.querySelector('#hotspotLayer .hs-glow.outline')).not.toBe(null);
+
+        expect(await game.revealHint()).toEqual({ ok: false, reason: 'cooldown', wait: 30 });
+
+        await vi.advanceTimersByTimeAsync(30_000);
+        const second = await game.revealHint();
+        expect(second.index).toBe(1);
+        expect(game.getVar('score')).toBe(65); // per-hint cost override
+        expect(game.state.hints.revealed['scene:hall']).toBe(2);
+        expect(game.state.hints.log.map(e => e.cost)).toEqual([10, 25]);
+        expect(game.checkCondition({ count: { of: 'hints', eq: 2 } })).toBe(true);
+
+        await vi.advanceTimersByTimeAsync(30_000);
+        expect((await game.revealHint()).reason).toBe('exhausted');
+        game.timers.destroy();
+    });
+
+    it('hint modal lists revealed hints and reveals the next one on click', async () => {
+        const game = makeGame();
+        await game.init();
+
+        const closed = game.openHints();
+        const modal = document.getElementById('modal');
+        expect(modal.classList.contains('modal--top')).toBe(true);
+        const next = () => modal.querySelector('.hint-next');
+        expect(next().textContent).toBe('Ukázat nápovědu 1/2 (−10 b., −60 s)');
+
+        next().click();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(modal.querySelectorAll('.hint-list .hint')).toHaveLength(1);
+        expect(next().disabled).toBe(true);
+        expect(next().textContent).toBe('Další nápověda za 30 s');
+
+        await vi.advanceTimersByTimeAsync(30_000);
+        expect(next().disabled).toBe(false);
+        next().click();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(modal.querySelector('.hint-image').getAttribute('src')).toBe('./games/hints/assets/hint_chest.png');
+        expect(modal.querySelector('.hint-empty').textContent).toBe('Všechny nápovědy už máš.');
+
+        document.getElementById('modalOk').click();
+        await closed;
+        expect(modal.classList.contains('modal--top')).toBe(false);
+        game.timers.destroy();
+    });
+
+    it('uses the puzzle ladder while a puzzle is open', async () => {
+        const game = makeGame();
+        await game.init();
+        expect(currentLadder(game).id).toBe('scene:hall');
+
+        game._activateHotspot(game.currentScene.hotspots[0]);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(currentLadder(game).id).toBe('puzzle:safe');
+        expect((await game.revealHint()).hint.text).toBe('Počítej hodiny.');
+        expect(document.querySelector('.hs-glow')).toBe(null);
+
+        await vi.advanceTimersByTimeAsync(30_000);
+        expect((await game.revealHint()).hint.text).toBe('Vpravo dole.');
+        const glow = document.querySelector('.pz__window > .hs-glow.outline');
+        expect(glow).not.toBe(null);
+        expect([glow.style.left, glow.style.top, glow.style.width, glow.style.height]).toEqual(['60%', '70%', '30%', '20%']);
+        game.timers.destroy();
+    });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { inflateRawSync } from 'node:zlib';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { findScormApi, xapiLaunchParams, scorm12Duration } from '../../engine/lms.js';
+import { buildManifest } from '../../tools/scorm-export.mjs';
+import { createZip, crc32 } from '../../tools/zip.mjs';
+
+const SCENES = {
+    meta: { id: 'lms', version: '2' },
+    results: { show: false, score: { base: 0, perCorrect: 40 } },
+    lms: { scoreMax: 100, passingScore: 0.5 },
+    puzzles: { safe: { kind: 'code', solution: '1234' } },
+    scenes: [
+        {
+            id: 'hall', title: 'Hall', image: 'hall.jpg', hotspots: [
+                { type: 'puzzle', puzzleRef: 'safe', rect: { x: 0, y: 0, w: 10, h: 10 } }
+            ]
+        },
+        { id: 'exit', title: 'Exit', image: 'exit.jpg', end: true, hotspots: [] }
+    ],
+    startScene: 'hall'
+};
+
+/** Local stand-in for the LMS runtime object (SCORM 1.2 `API` or 2004 `API_1484_11`). */
+function scormStub(version) {
+    const data = {};
+    const calls = [];
+    const count = () => Object.keys(data).filter(k => /^cmi\.interactions\.\d+\.id$/.test(k)).length;
+    const get = (k) => (k === 'cmi.interactions._count' ? String(count()) : (data[k] ?? ''));
+    const set = (k, v) => { data[k] = v; return 'true'; };
+    const log = (name, fn) => (...a) => { calls.push(name); return fn(...a); };
+    const api = version === '2004'
+        ? {
+            Initialize: log('Initialize', () => 'true'), Terminate: log('Terminate', () => 'true'),
+            GetValue: get, SetValue: set, Commit: log('Commit', () => 'true'), GetLastError: () => '0'
+        }
+        : {
+            LMSInitialize: log('LMSInitialize', () => 'true'), LMSFinish: log('LMSFinish', () => 'true'),
+            LMSGetValue: get, LMSSetValue: set, LMSCommit: log('LMSCommit', () => 'true'), LMSGetLastError: () => '0'
+        };
+    return { api, data, calls };
+}
+
+function makeGame(extra = {}) {
+    return new Game({
+        storage: new MemoryStorageAdapter(),
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+        ...extra
+    });
+}
+
+async function solveSafe(game, answer) {
+    const run = game._activateHotspot(game.currentScene.hotspots[0]);
+    await vi.advanceTimersByTimeAsync(3000);
+    document.querySelector('.pz-input').value = answer;
+    document.querySelector('.pz-btn--ok').click();
+    await run;
+}
+
+describe('LMS: SCORM runtime and xAPI', () => {
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal" class="hidden"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => JSON.parse(JSON.stringify(SCENES)) }));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        delete window.API;
+    });
+
+    it('reports location, interactions, score and pass status through SCORM 1.2', async () => {
+        const stub = scormStub('1.2');
+        window.API = stub.api;
+        const game = makeGame();
+        await game.init();
+
+        expect(game.lms.scorm.version).toBe('1.2');
+        expect(stub.data['cmi.core.lesson_status']).toBe('incomplete');
+        expect(stub.data['cmi.core.lesson_location']).toBe('hall');
+
+        await solveSafe(game, '1234');
+        expect(stub.data).toMatchObject({
+            'cmi.interactions.0.id': 'puzzle_safe',
+            'cmi.interactions.0.type': 'fill-in',
+            'cmi.interactions.0.result': 'correct',
+            'cmi.interactions.0.student_response': '1234',
+            'cmi.interactions.0.latency': '0000:00:03.00'
+        });
+
+        await game.goto('exit');
+        expect(stub.data).toMatchObject({
+            'cmi.core.score.raw': '40', 'cmi.core.score.max': '100', 'cmi.core.lesson_status': 'failed'
+        });
+
+        window.dispatchEvent(new Event('pagehide'));
+        expect(stub.data['cmi.core.exit']).toBe('');
+        expect(stub.data['cmi.core.session_time']).toBe('0000:00:03.00');
+        expect(stub.calls.filter(c => c === 'LMSFinish')).toHaveLength(1);
+    });
+
+    it('uses the SCORM 2004 API when the LMS provides it and suspends unfinished attempts', async () => {
+        const stub = scormStub('2004');
+        const lmsWindow = { API_1484_11: stub.api, addEventListener: vi.fn() };
+        const game = makeGame({ lmsWindow });
+        await game.init();
+
+        await solveSafe(game, '0000');
+        expect(stub.data['cmi.completion_status']).toBe('incomplete');
+        expect(stub.data['cmi.location']).toBe('hall');
+        expect(stub.data['cmi.interactions.0.result']).toBe('incorrect');
+        expect(stub.data['cmi.interactions.0.latency']).toBe('PT3S');
+
+        game.lms.scorm.finish();
+        expect(stub.data['cmi.exit']).toBe('suspend');
+        expect(stub.calls).toContain('Terminate');
+    });
+
+    it('finds the API in a parent frame and reads xAPI launch parameters', () => {
+        const stub = scormStub('1.2');
+        const top = { API: stub.api };
+        top.parent = top;
+        const frame = { parent: top };
+        expect(findScormApi(frame)).toEqual({ api: stub.api, version: '1.2' });
+        expect(findScormApi({ parent: null })).toBe(null);
+
+        const actor = JSON.stringify({ name: ['Eva'], mbox: ['mailto:eva@example.org'] });
+        expect(xapiLaunchParams(`?endpoint=https%3A%2F%2Flrs.example%2Fxapi&auth=Basic%20abc&actor=${encodeURIComponent(actor)}`))
+            .toEqual({ endpoint: 'https://lrs.example/xapi', auth: 'Basic abc', actor: { name: 'Eva', mbox: 'mailto:eva@example.org' }, registration: null });
+        expect(xapiLaunchParams('?game=x')).toBe(null);
+        expect(scorm12Duration(3_723_500)).toBe('0001:02:03.50');
+    });
+
+    it('builds the imsmanifest and a readable zip for the SCORM package', () => {
+        const manifest = buildManifest({
+            gameId: 'leeuwenhoek', title: 'Mikroskop & spol.', lang: 'en', files: ['index.html', 'engine/engine.js'], masteryScore: 0.7
+        });
+        expect(manifest).toContain('<schemaversion>1.2</schemaversion>');
+        expect(manifest).toContain('parameters="?game=leeuwenhoek&amp;lang=en"');
+        expect(manifest).toContain('<title>Mikroskop &amp; spol.</title>');
+        expect(manifest).toContain('<adlcp:masteryscore>70</adlcp:masteryscore>');
+        expect(manifest).toContain('<file href="engine/engine.js"/>');
+        expect(buildManifest({ gameId: 'x', title: 'X', scorm: '2004', files: [] })).toContain('adlcp:scormType="sco"');
+
+        const text = 'hello '.repeat(100);
+        const zip = createZip([{ name: 'a/b.txt', data: text }]);
+        expect(zip.readUInt32LE(0)).toBe(0x04034b50);
+        expect(zip.readUInt32LE(14)).toBe(crc32(Buffer.from(text)));
+        const size = zip.readUInt32LE(18);
+        const nameLen = zip.readUInt16LE(26);
+        expect(zip.toString('utf8', 30, 30 + nameLen)).toBe('a/b.txt');
+        expect(inflateRawSync(zip.subarray(30 + nameLen, 30 + nameLen + size)).toString()).toBe(text);
+        expect(zip.readUInt32LE(zip.length - 22)).toBe(0x06054b50);
+    });
+});
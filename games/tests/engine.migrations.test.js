@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { migrateState, registerGameMigration, applyDeclarativeStep, STATE_SCHEMA } from '../../engine/migrations.js';
+
+const DATA = {
+    meta: { id: 'lab', version: '1.2.0' },
+    startScene: 'hall',
+    items: [{ id: 'brass_key' }, { id: 'lens' }],
+    scenes: [{ id: 'hall' }, { id: 'lab_new' }],
+    migrations: [
+        {
+            from: '1.0.0',
+            to: '1.1.0',
+            renameFlags: { doorOpen: 'door_open' },
+            renameItems: { key_old: 'brass_key' },
+            remapScenes: { lab: 'lab_new' },
+            renamePuzzles: { pzA: 'pz_a' }
+        }
+    ]
+};
+
+const ctx = (extra = {}) => ({ gameId: 'lab', version: '1.2.0', lang: 'en', data: DATA, ...extra });
+
+describe('Save-state migrations', () => {
+    it('upgrades a pre-schema save and walks the declared game steps', () => {
+        registerGameMigration('lab', {
+            from: '1.1.0',
+            to: '1.2.0',
+            migrate(state) { state.flags.migrated = true; }
+        });
+
+        const saved = {
+            signature: 'lab|1.0.0|cs',
+            inventory: ['key_old', 'gone_item'],
+            flags: { doorOpen: true },
+            solved: { 'solved:pz:pzA': true },
+            visited: { lab: true },
+            scene: 'lab',
+            puzzleResults: [{ ref: 'pzA', ok: true }]
+        };
+
+        const st = migrateState(saved, ctx());
+        expect(st.schema).toBe(STATE_SCHEMA);
+        expect(st.lang).toBe('en');
+        expect(st.signature).toBe('lab|1.2.0|en');
+        expect(st.eventsFired).toEqual({});
+        expect(st.flags).toEqual({ door_open: true, migrated: true });
+        expect(st.inventory).toEqual(['brass_key']); // unknown item dropped
+        expect(st.scene).toBe('lab_new');
+        expect(st.visited).toEqual({ lab_new: true });
+        expect(st.solved).toEqual({ 'solved:pz:pz_a': true });
+        expect(st.puzzleResults[0].ref).toBe('pz_a');
+        // input is not mutated
+        expect(saved.flags).toEqual({ doorOpen: true });
+    });
+
+    it('keeps progress on a version bump without steps, falling back to start scene if needed', () => {
+        const st = migrateState(
+            { signature: 'lab|0.9|cs', schema: 2, inventory: ['lens'], flags: { a: true }, scene: 'removed' },
+            ctx()
+        );
+        expect(st.inventory).toEqual(['lens']);
+        expect(st.flags.a).toBe(true);
+        expect(st.scene).toBe('hall');
+        expect(st.signature).toBe('lab|1.2.0|en');
+    });
+
+    it('drops an item renamed to null, also as the item in use', () => {
+        const state = { flags: {}, vars: {}, inventory: ['key_old', 'lens'], useItemId: 'key_old', puzzleResults: [] };
+        applyDeclarativeStep(state, { renameItems: { key_old: null } });
+        expect(state.inventory).toEqual(['lens']);
+        expect(state.useItemId).toBe(null);
+
+        state.inventory = ['toString'];
+        state.useItemId = 'lens';
+        applyDeclarativeStep(state, { renameItems: { key_old: 'brass_key' } });
+        expect(state.inventory).toEqual(['toString']);  // only own keys rename
+        expect(state.useItemId).toBe('lens');
+    });
+
+    it('discards saves from another game', () => {
+        expect(migrateState({ signature: 'other|1.2.0|en', schema: 2 }, ctx())).toBe(null);
+        expect(migrateState(null, ctx())).toBe(null);
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { getHotspotType, getTrigger } from '../../engine/plugins.js';
+import { getAction } from '../../engine/actions.js';
+
+const SCENES = {
+    meta: { id: 'plugins', version: '1' },
+    scenes: [
+        {
+            id: 'hall', title: 'Hall', image: 'hall.jpg', hotspots: [
+                { type: 'lever', color: 'red', rect: { x: 0, y: 0, w: 10, h: 10 } }
+            ]
+        },
+        { id: 'vault', title: 'Vault', image: 'vault.jpg', hotspots: [] }
+    ],
+    events: [
+        { id: 'red', when: { on: 'leverPulled', lever: 'red' }, then: { stamp: 'red', setFlags: ['red_pulled'] } },
+        { id: 'blue', when: { on: 'leverPulled', lever: 'blue' }, then: { goTo: 'vault' } }
+    ],
+    startScene: 'hall'
+};
+
+function makeGame(opts = {}) {
+    return new Game({
+        storage: new MemoryStorageAdapter(),
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+        ...opts
+    });
+}
+
+describe('Plugins: registration API', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => SCENES }));
+    });
+
+    it('custom hotspot type fires a custom trigger whose events run a custom action', async () => {
+        const stamps = [];
+        const setup = (game) => {
+            game.registerAction('stamp', (g, arg) => { stamps.push(arg); });
+            game.registerHotspotType('lever', (g, h) => g.fireTrigger('leverPulled', { lever: h.color }));
+            game.registerTrigger('leverPulled', { match: (when, trigger) => !when.lever || when.lever === trigger.lever });
+        };
+        const game = makeGame({ plugins: [setup] });
+        await game.init();
+        expect(getHotspotType('lever', game._hotspotTypes)).toBeTypeOf('function');
+        expect(getTrigger('leverPulled', game._triggers)).not.toBe(null);
+
+        await game._activateHotspot(game.currentScene.hotspots[0]);
+        expect(stamps).toEqual(['red']);
+        expect(game.state.flags.red_pulled).toBe(true);
+        expect(game.state.scene).toBe('hall');
+
+        await game.fireTrigger('leverPulled', { lever: 'blue' });
+        expect(game.state.scene).toBe('vault');
+    });
+
+    it('keeps a game\'s registrations to that game', async () => {
+        const a = makeGame({ plugins: [(g) => {
+            g.registerAction('stamp', () => {});
+            g.registerHotspotType('lever', () => {});
+            g.registerTrigger('leverPulled');
+        }] });
+        await a.init();
+        const b = makeGame();
+        await b.init();
+        expect(getAction('stamp', a._actions)).toBeTypeOf('function');
+        expect(getAction('stamp', b._actions)).toBe(null);
+        expect(getHotspotType('lever', b._hotspotTypes)).toBe(null);
+        expect(getTrigger('leverPulled', b._triggers)).toBe(null);
+        expect(getAction('stamp')).toBe(null);
+    });
+
+    it('refuses to replace built-in actions, hotspot types and triggers', () => {
+        expect(() => Game.registerHotspotType('goTo', () => {})).toThrow(/built in/);
+        expect(() => Game.registerTrigger('enterScene')).toThrow(/built in/);
+        expect(() => Game.registerAction('openDialog', () => {})).toThrow(/built in/);
+        const game = makeGame();
+        expect(() => game.registerAction('goTo', () => {})).toThrow(/built in/);
+        expect(() => game.registerHotspotType('dialog', () => {})).toThrow(/built in/);
+        expect(getAction('goTo')).not.toBe(null);
+    });
+
+    it('skips a missing plugin module without failing init', async () => {
+        const base = async () => ({ ok: true, json: async () => SCENES });
+        vi.stubGlobal('fetch', async (url, init) => (init?.method === 'HEAD' ? { ok: false } : base()));
+        const game = makeGame({ pluginsUrl: './games/plugins/plugins.js' });
+        await game.init();
+        expect(game.state.scene).toBe('hall');
+    });
+
+    it('checks the plugin module through the game\'s fetch', async () => {
+        const globalFetch = vi.fn();
+        vi.stubGlobal('fetch', globalFetch);
+        const calls = [];
+        const fetch = async (url, init) => {
+            calls.push(init?.method || 'GET');
+            return init?.method === 'HEAD' ? { ok: false } : { ok: true, json: async () => SCENES };
+        };
+        const game = makeGame({ fetch, pluginsUrl: './games/plugins/plugins.js' });
+        await game.init();
+        expect(calls).toContain('HEAD');
+        expect(globalFetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { loadLeaderboard } from '../../engine/results.js';
+
+const SCENES = {
+    meta: { id: 'results', version: '1' },
+    vars: { score: 0 },
+    timers: { game: { duration: 600 } },
+    results: {
+        leaderboard: true,
+        score: { base: 1000, perCorrect: 100, perWrong: -20, perHint: -50, perMinute: -5, perItem: 10, var: 'score', min: 0 }
+    },
+    items: [{ id: 'key', name: 'Key' }, { id: 'lamp', name: 'Lamp' }],
+    puzzles: { safe: { kind: 'code', solution: '1234' }, quiz: { kind: 'code', solution: '42' } },
+    scenes: [
+        {
+            id: 'hall', title: 'Hall', image: 'hall.jpg', hotspots: [
+                { type: 'pickup', itemId: 'key', rect: { x: 0, y: 0, w: 10, h: 10 } },
+                { type: 'puzzle', puzzleRef: 'safe', rect: { x: 20, y: 0, w: 10, h: 10 } },
+                { type: 'puzzle', puzzleRef: 'quiz', options: { aggregateOnly: true }, rect: { x: 40, y: 0, w: 10, h: 10 } }
+            ]
+        },
+        { id: 'exit', title: 'Exit', image: 'exit.jpg', end: true, hotspots: [] }
+    ],
+    startScene: 'hall'
+};
+
+function makeGame(storage) {
+    return new Game({
+        storage,
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+    });
+}
+
+describe('Results: scoring and end screen', () => {
+    let storage;
+
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'Date'] });
+        storage = new MemoryStorageAdapter();
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal" class="hidden"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => JSON.parse(JSON.stringify(SCENES)) }));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('summarizes the run and applies the score formula', async () => {
+        const game = makeGame(storage);
+        await game.init();
+
+        await game._activateHotspot(game.currentScene.hotspots[0]); // key
+        const run = game._activateHotspot(game.currentScene.hotspots[1]);
+        await vi.advanceTimersByTimeAsync(0);
+        document.querySelector('.pz-btn--cancel').click(); // failed attempt
+        await run;
+        game._appendPuzzleResult({ ref: 'quiz1', ok: true });
+        game.setVar('score', 40);
+        await vi.advanceTimersByTimeAsync(3 * 60_000 + 5_000);
+
+        const r = game.getResults();
+        expect(r).toMatchObject({
+            finished: false, hintsUsed: 0, attempts: 1, correct: 1, wrong: 1,
+            scenesVisited: 1, scenesTotal: 2, itemsFound: 1, itemsTotal: 2
+        });
+        expect(r.puzzles).toEqual([{ ref: 'safe', attempts: 1, ok: false }]);
+        // 1000 + 100 - 20 - 3*5 + 10 + 40
+        expect(r.score).toBe(1115);
+        game.timers.destroy();
+    });
+
+    it('counts an aggregateOnly puzzle once, by its latest answer', async () => {
+        const game = makeGame(storage);
+        await game.init();
+        const answer = async (value) => {
+            const run = game._activateHotspot(game.currentScene.hotspots[2]);
+            await vi.advanceTimersByTimeAsync(0);
+            document.querySelector('.pz-input').value = value;
+            document.querySelector('.pz-btn--ok').click();
+            await run;
+        };
+
+        await answer('42');
+        expect(game.getResults()).toMatchObject({ attempts: 0, correct: 1, wrong: 0, puzzles: [] });
+        await answer('7');
+        expect(game.getResults()).toMatchObject({ attempts: 0, correct: 0, wrong: 1 });
+        expect(game.state.puzzleResults).toHaveLength(2);
+        game.timers.destroy();
+    });
+
+    it('reaching an end scene freezes the clock and opens the results screen with a leaderboard', async () => {
+        const game = makeGame(storage);
+        await game.init();
+        await vi.advanceTimersByTimeAsync(65_000);
+        await game.goto('exit');
+        await vi.advanceTimersByTimeAsync(0); // leaderboard is read before the modal opens
+
+        expect(game.state.finishedAt).toBeTypeOf('number');
+        expect(game.timers.get('game').running).toBe(false);
+        const modal = document.getElementById('modal');
+        expect(modal.classList.contains('hidden')).toBe(false);
+        expect(modal.querySelector('.results-score').textContent).toBe('Skóre: 995');
+        expect(modal.querySelector('.results-table').textContent).toContain('1:05');
+
+        await vi.advanceTimersByTimeAsync(60_000);
+        expect(game.getResults().elapsedMs).toBe(65_000); // stays at finish time
+
+        modal.querySelector('.results-name').value = 'Modrý tým';
+        modal.querySelector('.results-submit').click();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(modal.querySelector('.results-board-list li.is-current').textContent).toBe('Modrý tým · 995 · 01:05');
+        expect((await loadLeaderboard(game))[0].name).toBe('Modrý tým');
+    });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { SaveManager, SaveFileError, openSaveMenu } from '../../engine/saves.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+
+function mountDom() {
+    document.body.innerHTML = `
+    <main id="gameRoot">
+      <div id="sceneContainer">
+        <img id="sceneImage" alt="scene">
+        <div id="hotspotLayer"></div>
+      </div>
+      <section id="uiBar">
+        <div id="inventory"></div>
+        <div id="msg"></div>
+      </section>
+      <div id="modal" class="hidden">
+        <div id="modalTitle"></div>
+        <div id="modalBody"></div>
+        <button id="modalCancel">X</button>
+        <button id="modalOk">OK</button>
+      </div>
+    </main>`;
+    Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+    Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+}
+
+const sceneFixture = (id) => ({
+    meta: { id, version: '1.0' },
+    scenes: [
+        { id: 'room', title: 'Room', image: 'room.jpg', hotspots: [] },
+        { id: 'hall', title: 'Hall', image: 'hall.jpg', hotspots: [] },
+    ],
+    startScene: 'room'
+});
+
+let storage;
+
+function makeGame(gameId) {
+    vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => sceneFixture(gameId) }));
+    return new Game({
+        storage,
+        baseUrl: `./games/${gameId}/`,
+        scenesUrl: `./games/${gameId}/scenes.json`,
+        lang: 'cs',
+        i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+    });
+}
+
+describe('Save games (slots per game id)', () => {
+    beforeEach(() => {
+        mountDom();
+        localStorage.clear();
+        storage = new MemoryStorageAdapter();
+    });
+
+    it('keeps autosaves of different games apart', async () => {
+        const a = makeGame('alpha');
+        await a.init();
+        a.state.inventory.push('key');
+        a._saveState();
+        await a.flushSaves();
+
+        const b = makeGame('beta');
+        await b.init();
+        expect(b.state.inventory).toEqual([]);
+
+        const a2 = makeGame('alpha');
+        await a2.init();
+        expect(a2.state.inventory).toEqual(['key']);
+    });
+
+    it('saves, lists, loads and deletes manual slots', async () => {
+        const game = makeGame('alpha');
+        await game.init();
+
+        const slot = await game.saveToSlot(null, 'Before hall');
+        expect(slot.kind).toBe('manual');
+        expect(slot.sceneTitle).toBe('Room');
+        expect(slot.thumbnail).toBe('./games/alpha/room.jpg');
+
+        await game.goto('hall');
+        game.state.flags.late = true;
+
+        const list = await game.saves.list();
+        expect(list[0].kind).toBe('auto');
+        expect(list.map(s => s.name)).toContain('Before hall');
+
+        expect(await game.loadFromSlot(slot.id)).toBe(true);
+        expect(game.state.scene).toBe('room');
+        expect(game.state.flags.late).toBeUndefined();
+
+        await game.saves.remove(slot.id);
+        expect((await game.saves.list()).some(s => s.id === slot.id)).toBe(false);
+    });
+
+    it('queues a delete from the save menu behind pending autosaves', async () => {
+        // async backend: every call takes a few ms, so unqueued calls would interleave
+        const mem = new MemoryStorageAdapter();
+        const slow = (fn) => (...a) => new Promise(r => setTimeout(r, 5)).then(() => fn(...a));
+        storage = { getItem: slow(k => mem.getItem(k)), setItem: slow((k, v) => mem.setItem(k, v)), removeItem: slow(k => mem.removeItem(k)) };
+        const game = makeGame('alpha');
+        await game.init();
+        const slot = await game.saveToSlot(null, 'Keep?');
+
+        void openSaveMenu(game);
+        await vi.waitFor(() => expect(document.querySelector(`[data-slot-id="${slot.id}"] .save-delete`)).not.toBe(null));
+        game.state.flags.moved = true;
+        game._saveState();
+        document.querySelector(`[data-slot-id="${slot.id}"] .save-delete`).click();
+        await game.flushSaves();
+
+        expect((await game.saves.list()).map(s => s.id)).toEqual(['autosave']);
+        expect(await game.saves.load(slot.id)).toBe(null);
+        game._closeModal(true);
+    });
+
+    it('adopts the legacy single-key save for the matching game only', async () => {
+        localStorage.setItem('leeuwenhoek_escape_state', JSON.stringify({ signature: 'alpha|1.0|cs', scene: 'hall' }));
+
+        expect(await new SaveManager({ gameId: 'beta' }).loadAuto()).toBe(null);
+        expect((await new SaveManager({ gameId: 'alpha' }).loadAuto()).scene).toBe('hall');
+        expect(localStorage.getItem('leeuwenhoek_escape_state')).toBe(null);
+    });
+});
+
+describe('Portable save files (export / import)', () => {
+    beforeEach(() => {
+        mountDom();
+        localStorage.clear();
+        storage = new MemoryStorageAdapter();
+    });
+
+    it('round-trips state through an exported file', async () => {
+        const src = makeGame('alpha');
+        await src.init();
+        src.state.inventory.push('key');
+        src.state.flags.open = true;
+        src.state.dialogs = { guard: 2 };
+        src.state.dialogLog = { guard: [{ at: 1, visit: 2, side: 'left', name: 'Strážný', portrait: '', text: 'Stát!' }] };
+        await src.goto('hall');
+        src.enterUseMode('key');
+
+        const file = src.exportSave();
+        expect(file.signature).toBe('alpha|1.0|cs');
+        expect(file.state.useItemId).toBeUndefined();
+        expect(file.checksum).toMatch(/^[0-9a-f]{8}$/);
+
+        storage = new MemoryStorageAdapter();
+        const dst = makeGame('alpha');
+        await dst.init();
+        await dst.importSave(JSON.stringify(file));
+        expect(dst.state.scene).toBe('hall');
+        expect(dst.state.inventory).toEqual(['key']);
+        expect(dst.state.flags.open).toBe(true);
+        expect(dst.state.dialogs).toEqual({ guard: 2 });
+        expect(dst.state.dialogLog).toEqual(src.state.dialogLog);
+    });
+
+    it('rejects damaged files and files from another game with coded errors', async () => {
+        const src = makeGame('alpha');
+        await src.init();
+        const file = src.exportSave();
+
+        const dst = makeGame('beta');
+        await dst.init();
+
+        await expect(dst.importSave('{nope')).rejects.toMatchObject({ code: 'parse' });
+        await expect(dst.importSave({ hello: 1 })).rejects.toMatchObject({ code: 'format' });
+
+        const edited = JSON.parse(JSON.stringify(file));
+        edited.state.flags.cheat = true;
+        await expect(dst.importSave(edited)).rejects.toMatchObject({ code: 'checksum' });
+
+        const err = await dst.importSave(file).catch(e => e);
+        expect(err).toBeInstanceOf(SaveFileError);
+        expect(err.code).toBe('game');
+        expect(dst._saveFileErrorText(err)).toContain('alpha');
+    });
+});
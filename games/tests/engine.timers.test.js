@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { formatClock } from '../../engine/timers.js';
+import { registerAction } from '../../engine/actions.js';
+
+const SCENES = {
+    meta: { id: 'timers', version: '1' },
+    timers: { game: { duration: 60, label: 'Čas', onExpire: { goTo: 'fail' } } },
+    puzzles: {
+        fuse: { kind: 'code', solution: '1234', timer: { duration: 10, show: false } }
+    },
+    scenes: [
+        {
+            id: 'hall', title: 'Hall', image: 'hall.jpg', hotspots: [
+                { type: 'goTo', target: 'lab', rect: { x: 0, y: 0, w: 10, h: 10 } },
+                { type: 'puzzle', puzzleRef: 'fuse', rect: { x: 20, y: 0, w: 10, h: 10 },
+                  onFail: { setFlags: ['fuse_failed'] } }
+            ]
+        },
+        { id: 'lab', title: 'Lab', image: 'lab.jpg', timer: { duration: 20 }, hotspots: [] },
+        { id: 'fail', title: 'Fail', image: 'fail.jpg', hotspots: [] }
+    ],
+    events: [
+        { id: 'lost', once: true, when: { on: 'timerExpired', timer: 'game' }, then: { setFlags: ['time_up'] } }
+    ],
+    startScene: 'hall'
+};
+
+function makeGame(storage) {
+    return new Game({
+        storage,
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        timerRoot: document.getElementById('timers'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+    });
+}
+
+describe('Timers: countdowns', () => {
+    let storage;
+
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'Date'] });
+        storage = new MemoryStorageAdapter();
+        document.body.innerHTML = `
+        <div id="timers"></div>
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => JSON.parse(JSON.stringify(SCENES)) }));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('game timer renders in the topbar, pauses for dialogs and fires onExpire + timerExpired', async () => {
+        const game = makeGame(storage);
+        await game.init();
+        const clock = () => document.querySelector('#timers .timer[data-timer="game"]');
+        expect(clock().textContent).toBe('Čas 01:00');
+
+        await vi.advanceTimersByTimeAsync(10_000);
+        expect(game.timers.remaining('game')).toBe(50);
+        expect(game.checkCondition({ timers: { game: { lte: 50 } } })).toBe(true);
+
+        game.timers.pause('dialog');
+        await vi.advanceTimersByTimeAsync(20_000);
+        expect(game.timers.remaining('game')).toBe(50);
+        expect(clock().classList.contains('timer--paused')).toBe(true);
+        game.timers.resume('dialog');
+
+        await vi.advanceTimersByTimeAsync(15_000);
+        expect(clock().classList.contains('timer--warn')).toBe(true);
+
+        await vi.advanceTimersByTimeAsync(40_000);
+        expect(game.state.scene).toBe('fail');
+        expect(game.state.flags.time_up).toBe(true);
+        expect(clock().classList.contains('timer--expired')).toBe(true);
+    });
+
+    it('keeps the remaining time across reloads', async () => {
+        const a = makeGame(storage);
+        await a.init();
+        await vi.advanceTimersByTimeAsync(12_000);
+        a.timers.destroy();
+        window.dispatchEvent(new Event('pagehide')); // last tick since the periodic save is flushed on unload
+        await a.flushSaves();
+
+        const b = makeGame(storage);
+        await b.init();
+        expect(b.timers.remaining('game')).toBe(48);
+        b.timers.destroy();
+    });
+
+    it('scene timers stop when leaving; puzzle timers fail the puzzle on expiry', async () => {
+        const game = makeGame(storage);
+        await game.init();
+        await game.goto('lab');
+        expect(game.timers.get('scene:lab')).not.toBe(null);
+        await game.goto('hall');
+        expect(game.timers.get('scene:lab')).toBe(null);
+
+        const run = game._activateHotspot(game.currentScene.hotspots[1]);
+        await vi.advanceTimersByTimeAsync(11_000);
+        await run;
+        expect(game.state.flags.fuse_failed).toBe(true);
+        expect(game.timers.get('puzzle:fuse')).toBe(null);
+        game.timers.destroy();
+    });
+
+    it('logs a failing onExpire instead of leaving the rejection unhandled', async () => {
+        registerAction('timersTestExplode', () => {
+            throw new Error('boom');
+        });
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const game = makeGame(storage);
+        await game.init();
+        game.timers.start('fuse', { duration: 1, onExpire: { timersTestExplode: true } });
+        await vi.advanceTimersByTimeAsync(2_000);
+        expect(warn).toHaveBeenCalledWith('[TIMERS] onExpire failed:', 'fuse', expect.objectContaining({ message: 'boom' }));
+        expect(game.timers.get('fuse').expired).toBe(true);
+        warn.mockRestore();
+        game.timers.destroy();
+    });
+
+    it('formats clocks', () => {
+        expect(formatClock(65_000)).toBe('01:05');
+        expect(formatClock(3_661_000)).toBe('1:01:01');
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { MemoryStorageAdapter } from '../../engine/storage.js';
+import { migrateState, STATE_SCHEMA } from '../../engine/migrations.js';
+import { evaluateCondition } from '../../engine/conditions.js';
+
+const SCENES = {
+    meta: { id: 'vars', version: '1' },
+    vars: { pressure: { value: 40, min: 0, max: 100 }, lives: 3, mode: 'idle' },
+    scenes: [
+        {
+            id: 'control', title: 'Pressure {pressure} %', image: 'control.jpg', hotspots: [
+                { type: 'apply', rect: { x: 0, y: 0, w: 10, h: 10 },
+                  onApply: [{ incVar: { pressure: 30 }, decVar: 'lives' }, { message: 'Tlak {pressure}, životy {lives}' }] }
+            ]
+        },
+        { id: 'meltdown', title: 'Meltdown', image: 'meltdown.jpg', hotspots: [] }
+    ],
+    events: [
+        { id: 'alarm', once: true, when: { on: 'stateChange', if: { vars: { pressure: { '>=': 80 } } } },
+          then: [{ setVar: { mode: 'alarm' } }, { goTo: 'meltdown' }] }
+    ],
+    startScene: 'control'
+};
+
+function makeGame() {
+    return new Game({
+        storage: new MemoryStorageAdapter(),
+        scenesUrl: 'scenes.json', lang: 'cs', i18n: { engine: {}, game: {} },
+        sceneImage: document.getElementById('sceneImage'),
+        hotspotLayer: document.getElementById('hotspotLayer'),
+        inventoryRoot: document.getElementById('inventory'),
+        messageBox: document.getElementById('msg'),
+        modalRoot: document.getElementById('modal'),
+        modalTitle: document.getElementById('modalTitle'),
+        modalBody: document.getElementById('modalBody'),
+        modalCancel: document.getElementById('modalCancel'),
+        modalOk: document.getElementById('modalOk'),
+    });
+}
+
+describe('Variables: actions, conditions and interpolation', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+        <img id="sceneImage"><div id="hotspotLayer"></div><div id="inventory"></div><div id="msg"></div>
+        <div id="modal"><div id="modalTitle"></div><div id="modalBody"></div>
+        <button id="modalCancel"></button><button id="modalOk"></button></div>`;
+        Object.defineProperty(HTMLImageElement.prototype, 'naturalWidth', { configurable: true, get() { return 800; } });
+        Object.defineProperty(HTMLImageElement.prototype, 'complete', { configurable: true, get() { return true; } });
+        vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => SCENES }));
+    });
+
+    it('starts from declared values and interpolates them in texts', async () => {
+        const game = makeGame();
+        await game.init();
+        expect(game.state.vars).toEqual({ pressure: 40, lives: 3, mode: 'idle' });
+        expect(document.getElementById('msg').textContent).toBe('Pressure 40 %');
+        expect(game._fmt('{who}: {lives}', { who: 'Eva' })).toBe('Eva: 3');
+        expect(game._fmt('{unknown}')).toBe('{unknown}');
+    });
+
+    it('inc/dec/set actions change vars, clamp to the range and drive conditions', async () => {
+        const game = makeGame();
+        await game.init();
+        const lever = game.currentScene.hotspots[0];
+
+        await game._activateHotspot(lever);
+        expect(game.getVar('pressure')).toBe(70);
+        expect(game.getVar('lives')).toBe(2);
+        expect(document.getElementById('msg').textContent).toBe('Tlak 70, životy 2');
+        expect(game.state.scene).toBe('control');
+
+        await game._activateHotspot(lever);
+        expect(game.getVar('pressure')).toBe(100); // clamped to max
+        expect(game.getVar('mode')).toBe('alarm');
+        expect(game.state.scene).toBe('meltdown');
+
+        expect(evaluateCondition(game, { vars: { lives: [1, 2], mode: 'alarm' } })).toBe(true);
+        expect(evaluateCondition(game, { vars: { pressure: { lt: 100 } } })).toBe(false);
+    });
+
+    it('old saves gain the vars bucket and newly declared vars', () => {
+        const st = migrateState(
+            { signature: 'vars|1|cs', schema: 2, scene: 'control', inventory: [], flags: {}, solved: {}, visited: {} },
+            { gameId: 'vars', version: '1', lang: 'cs', data: SCENES }
+        );
+        expect(st.schema).toBe(STATE_SCHEMA);
+        expect(st.vars).toEqual({ pressure: 40, lives: 3, mode: 'idle' });
+    });
+});
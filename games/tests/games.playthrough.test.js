@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { loadHeadlessGame, fileFetch } from '../../engine/headless.js';
+
+// Every game ships a walkthrough.json next to its scenes.json; this plays it start to finish
+// headlessly, so a content edit that breaks the route fails here with the step that broke.
+const ROOT = process.cwd();   // vitest runs from the repository root
+const GAMES = readdirSync(join(ROOT, 'games'), { withFileTypes: true })
+    .filter(d => d.isDirectory() && existsSync(join(ROOT, 'games', d.name, 'scenes.json')))
+    .map(d => d.name);
+
+describe('Game walkthroughs', () => {
+    it('finds the games', () => {
+        expect(GAMES.length).toBeGreaterThan(0);
+    });
+
+    it.each(GAMES)('%s plays through its walkthrough', async (gameId) => {
+        const file = join(ROOT, 'games', gameId, 'walkthrough.json');
+        expect(existsSync(file), `games/${gameId}/walkthrough.json is missing`).toBe(true);
+        const wt = JSON.parse(readFileSync(file, 'utf8'));
+
+        const hg = await loadHeadlessGame({
+            gameId,
+            fetch: fileFetch(ROOT),
+            lang: wt.lang,
+            answers: wt.answers,
+            autoSolve: wt.autoSolve,
+            choose: wt.choose
+        });
+        try {
+            await hg.play(wt.steps);
+        } finally {
+            hg.destroy();
+        }
+    }, 30000);
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeGame, formatAnalysis, hasProblems, toDot, toMermaid } from '../../engine/reachability.js';
+import { analyzeGameDir } from '../../tools/analyze.mjs';
+
+const rect = { x: 0, y: 0, w: 10, h: 10 };
+
+// hall → (dialog gives a key) → vault needs the key; "lever" eats the key for nothing
+const vault = () => ({
+    scenes: {
+        meta: { id: 'vault' },
+        items: [{ id: 'key' }, { id: 'coin' }],
+        startScene: 'hall',
+        scenes: [
+            {
+                id: 'hall', hotspots: [
+                    { type: 'apply', acceptItems: [{ id: 'key', consume: true }], onApply: { setFlags: ['lever'] }, rect },
+                    { type: 'apply', acceptItems: [{ id: 'key', consume: true }], onApply: { goTo: 'vault' }, rect },
+                    { type: 'goTo', target: 'attic', requireFlags: ['ladder'], rect }
+                ]
+            },
+            { id: 'vault', end: true, hotspots: [] },
+            { id: 'attic', hotspots: [{ type: 'pickup', itemId: 'coin', rect }] }
+        ],
+        events: [{ id: 'guard', once: true, when: { on: 'enterScene', scene: 'hall' }, then: { openDialog: 'guard' } }]
+    },
+    puzzles: [],
+    dialogs: {
+        dialogs: [{
+            id: 'guard',
+            sequence: [{ id: 'ask', text: 'Klíč?', choices: [
+                { id: 'yes', label: 'Ano', onChoose: { giveItem: 'key' } },
+                { id: 'no', label: 'Ne', onChoose: { end: true } }
+            ] }]
+        }]
+    }
+});
+
+describe('Reachability analysis', () => {
+    it('finds the winning route through dialog choices and item use', () => {
+        const a = analyzeGame(vault());
+        expect(a.winnable).toBe(true);
+        expect(a.winPath).toEqual(['use key on #1 apply']);
+        expect(a.reachable.dialogs).toEqual(['guard']);
+        expect(a.truncated).toBe(false);
+    });
+
+    it('reports unreachable scenes/items and flags that are never set', () => {
+        const a = analyzeGame(vault());
+        expect(a.unreachable.scenes).toEqual(['attic']);
+        expect(a.unreachable.items).toEqual(['coin']);
+        expect(a.neverSet.flags).toEqual([{ id: 'ladder', where: 'scene "hall" › hotspot #2' }]);
+        expect(formatAnalysis(a)).toMatch(/Flag "ladder" is required .* but never set/);
+    });
+
+    it('detects softlocks – a consumed item needed later, a missed one-time dialog', () => {
+        const a = analyzeGame(vault());
+        expect(a.softlockCount).toBe(2);
+        expect(a.softlocks.map(s => s.path)).toEqual(expect.arrayContaining([
+            [],                                     // said "no" to the guard right at the start
+            ['use key on #0 apply']
+        ]));
+        expect(a.softlocks.find(s => s.flags.includes('lever')).lostItems).toEqual(['key']);
+        expect(hasProblems(a)).toBe(true);
+    });
+
+    it('reports an end scene that can never be reached', () => {
+        const c = vault();
+        c.scenes.scenes[0].hotspots[1].onApply = { setFlags: ['open'] };
+        const a = analyzeGame(c);
+        expect(a.winnable).toBe(false);
+        expect(a.unreachable.endScenes).toEqual(['vault']);
+        expect(formatAnalysis(a)).toContain('Winnable: NO');
+    });
+
+    it('explores both puzzle outcomes and respects the state limit', () => {
+        const c = vault();
+        c.puzzles = [{ id: 'safe', kind: 'code', solution: '1' }];
+        c.scenes.scenes[0].hotspots.push({ type: 'puzzle', puzzleRef: 'safe', onSuccess: { setFlags: ['ladder'] }, rect });
+        const a = analyzeGame(c);
+        expect(a.reachable.scenes).toContain('attic');
+        expect(a.reachable.puzzles).toEqual(['safe']);
+        expect(a.neverSet.flags).toEqual([]);
+
+        const small = analyzeGame(c, { maxStates: 2 });
+        expect(small.truncated).toBe(true);
+        expect(small.softlockCount).toBe(0);               // not claimed on a partial search
+    });
+
+    it('draws the scene graph as Graphviz and Mermaid', () => {
+        const a = analyzeGame(vault());
+        const dot = toDot(a);
+        expect(dot).toMatch(/^digraph "vault" \{/);
+        expect(dot).toContain('"hall" -> "vault" [label="needs key"];');
+        expect(dot).toContain('"hall" -> "attic" [label="flags ladder", style=dashed, color=grey];');
+        expect(dot).toContain('"vault" [peripheries=2];');
+
+        const mmd = toMermaid(a);
+        expect(mmd).toMatch(/^flowchart LR/);
+        expect(mmd).toContain('s0 -->|"needs key"| s1');
+        expect(mmd).toContain('s2["attic"]:::unreachable');
+    });
+
+    it.each([
+        ['leeuwenhoek'], ['reactor', ['exit']], ['stop-train'], ['time-factory'], ['warp-engine']
+    ])('shipped game %s is winnable without softlocks', async (gameId, goals = null) => {
+        const a = await analyzeGameDir({ gameId, root: process.cwd(), goals });
+        expect(a.truncated).toBe(false);
+        expect(a.winnable).toBe(true);
+        expect(a.unreachable.endScenes).toEqual([]);
+        expect(a.softlocks).toEqual([]);
+    }, 60000);
+
+    it('finds the softlocks of the shipped demo: no way back from steel_door to the workshop', async () => {
+        const a = await analyzeGameDir({ gameId: 'demo', root: process.cwd() });
+        expect(a.winnable).toBe(true);
+        expect(a.unreachable.endScenes).toEqual([]);
+        expect(a.softlockCount).toBe(42);
+        expect(a.softlocks[0]).toMatchObject({ scene: 'steel_door', inventory: [], path: ['#2 goTo → steel_door'] });
+    }, 60000);
+});
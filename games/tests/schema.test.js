@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { loadSchemas, validateJson, SCHEMA_FILES } from '../../engine/schema.js';
+import { validateGame } from '../../engine/validator.js';
+import { fileFetch } from '../../engine/headless.js';
+
+const ROOT = process.cwd();
+const schemas = await loadSchemas({ baseUrl: 'schemas/', fetch: fileFetch(ROOT) });
+const GAMES = readdirSync(join(ROOT, 'games'), { withFileTypes: true })
+    .filter(d => d.isDirectory() && existsSync(join(ROOT, 'games', d.name, 'scenes.json')))
+    .map(d => d.name);
+
+const rect = { x: 0, y: 0, w: 10, h: 10 };
+const scenes = () => ({
+    startScene: 'hall',
+    scenes: [{
+        id: 'hall', image: 'hall.jpg', hotspots: [
+            { type: 'goTo', target: 'lab', rect: { ...rect } },
+            { type: 'pickup', itemId: 'key', rect: { ...rect }, onApply: { toast: { text: 'Hi', ms: 500 }, setFlags: { a: true } } }
+        ]
+    }],
+    events: [{ id: 'e1', when: { on: 'stateChange', if: { any: [{ flags: ['a'] }, { vars: { lives: { '>': 0 } } }] } }, then: [{ delay: 100 }, { goTo: { scene: 'hall' } }] }]
+});
+
+const paths = (errs) => errs.map(e => `${e.path}: ${e.message}`);
+
+describe('JSON schemas', () => {
+    it('load from schemas/ and resolve every $ref', () => {
+        expect(Object.keys(schemas).sort()).toEqual(['common.schema.json', 'dialogs.schema.json', 'puzzles.schema.json', 'scenes.schema.json']);
+        const refs = [];
+        const walk = (v, file) => {
+            if (Array.isArray(v)) v.forEach(x => walk(x, file));
+            else if (v && typeof v === 'object') Object.entries(v).forEach(([k, x]) => (k === '$ref' ? refs.push([file, x]) : walk(x, file)));
+        };
+        Object.entries(schemas).forEach(([file, s]) => walk(s, file));
+        for (const [file, ref] of refs) {
+            const [doc, pointer] = ref.split('#');
+            let node = schemas[doc || file];
+            pointer.split('/').filter(Boolean).forEach(p => { node = node?.[p]; });
+            expect(node, `${file}: ${ref}`).toBeDefined();
+        }
+    });
+
+    it('accepts valid content', () => {
+        expect(validateJson(scenes(), 'scenes.schema.json', schemas)).toEqual([]);
+    });
+
+    it('reports the exact path of invalid fields in scenes.json', () => {
+        const s = scenes();
+        s.scenes[0].hotspots[0].rect.w = '10';
+        delete s.scenes[0].hotspots[1].itemId;
+        s.scenes[0].hotspots[1].onApply.goTo = 5;
+        s.scenes[0].hotspots[1].requireItems = ['key', 3];
+        s.events[0].when.if.any[1].vars.lives = { more: 0 };
+        s.events[0].then[0].delay = -1;
+        expect(paths(validateJson(s, 'scenes.schema.json', schemas))).toEqual([
+            'scenes[0].hotspots[0].rect.w: must be number',
+            'scenes[0].hotspots[1].requireItems[1]: must be string',
+            'scenes[0].hotspots[1].onApply.goTo: must be string or object',
+            'scenes[0].hotspots[1]: must have property "itemId"',
+            'events[0].when.if.any[1].vars.lives: property name "more" is not allowed',
+            'events[0].then[0].delay: must be ≥ 0'
+        ]);
+    });
+
+    it('accepts all puzzles.json shapes and checks kind-specific fields', () => {
+        const code = { kind: 'code', solution: '1234' };
+        for (const shape of [{ lock: code }, { byId: { lock: code } }, [{ id: 'lock', ...code }]]) {
+            expect(validateJson(shape, 'puzzles.schema.json', schemas)).toEqual([]);
+        }
+        expect(validateJson({ custom: { kind: 'plugin-kind', anything: 1 } }, 'puzzles.schema.json', schemas)).toEqual([]);
+        const bad = {
+            pairs: { kind: 'match', tokens: [], pairs: [['a', 'b', 'c']] },
+            lock: { kind: 'code' },
+            untyped: { title: 'x' }
+        };
+        expect(paths(validateJson(bad, 'puzzles.schema.json', schemas))).toEqual([
+            'pairs.pairs[0]: must have at most 2 item(s)',
+            'lock: must have property "solution" or must have property "solutions"',
+            'untyped: must have property "kind"'
+        ]);
+    });
+
+    it('checks dialogs.json steps and choices', () => {
+        const dialogs = {
+            dialogs: [{
+                id: 'intro', left: { characterId: 'guide' },
+                sequence: [{ speaker: 'middle', text: 'Hi', choices: [{ onChoose: { jump: 3 } }] }]
+            }]
+        };
+        expect(paths(validateJson(dialogs, 'dialogs.schema.json', schemas))).toEqual([
+            'dialogs[0].sequence[0].speaker: must be one of "left", "right"',
+            'dialogs[0].sequence[0].choices[0]: must have property "label"',
+            'dialogs[0].sequence[0].choices[0].onChoose.jump: must be string'
+        ]);
+    });
+
+    it('surfaces schema errors as validator issues with file and path', async () => {
+        const s = scenes();
+        s.scenes[0].hotspots[0].rect.w = '10';
+        const report = await validateGame({ scenes: s, puzzles: {}, dialogs: { dialogs: [] } }, { schemas });
+        expect(report.ok).toBe(false);
+        expect(report.errors).toContainEqual(expect.objectContaining({
+            code: 'schema', file: 'scenes.json', path: 'scenes[0].hotspots[0].rect.w',
+            message: 'scenes[0].hotspots[0].rect.w must be number'
+        }));
+    });
+
+    it.each(GAMES)('shipped game "%s" matches the schemas', (game) => {
+        for (const [file, schema] of Object.entries(SCHEMA_FILES)) {
+            const path = join(ROOT, 'games', game, file);
+            if (!existsSync(path)) continue;
+            expect(paths(validateJson(JSON.parse(readFileSync(path, 'utf8')), schema, schemas)), `${game}/${file}`).toEqual([]);
+        }
+    });
+});
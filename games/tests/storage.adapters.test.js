@@ -0,0 +1,165 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import http from 'node:http';
+import {
+    MemoryStorageAdapter,
+    LocalStorageAdapter,
+    IndexedDBAdapter,
+    RestStorageAdapter,
+    createStorage
+} from '../../engine/storage.js';
+import { SaveManager } from '../../engine/saves.js';
+
+// Minimal REST backend: GET/PUT/DELETE /store/<key>, requires a bearer token.
+function startMockServer() {
+    const data = new Map();
+    const server = http.createServer((req, res) => {
+        if (req.headers.authorization !== 'Bearer s3cret') {
+            res.writeHead(401).end();
+            return;
+        }
+        const key = decodeURIComponent(req.url.replace(/^\/store\//, ''));
+        if (req.method === 'GET') {
+            if (!data.has(key)) return res.writeHead(404).end();
+            return res.writeHead(200, { 'Content-Type': 'text/plain' }).end(data.get(key));
+        }
+        if (req.method === 'PUT') {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                data.set(key, body);
+                res.writeHead(204).end();
+            });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            data.delete(key);
+            return res.writeHead(204).end();
+        }
+        res.writeHead(405).end();
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, data, port: server.address().port }));
+    });
+}
+
+// Minimal IndexedDB: open/upgrade, one readonly/readwrite transaction per request, get/put/delete.
+function fakeIndexedDB() {
+    const dbs = new Map();
+    const request = (run) => {
+        const req = {};
+        queueMicrotask(() => run(req));
+        return req;
+    };
+    return {
+        dbs,
+        open: (name) => request(req => {
+            const isNew = !dbs.has(name);
+            if (isNew) dbs.set(name, new Map());
+            const stores = dbs.get(name);
+            req.result = {
+                objectStoreNames: { contains: (s) => stores.has(s) },
+                createObjectStore: (s) => stores.set(s, new Map()),
+                transaction: (s) => {
+                    const tx = {};
+                    const done = (req2, result) => {
+                        req2.result = result;
+                        queueMicrotask(() => tx.oncomplete?.());
+                    };
+                    const data = stores.get(s);
+                    tx.objectStore = () => ({
+                        get: (k) => request(r => done(r, data.get(k))),
+                        put: (v, k) => request(r => done(r, (data.set(k, v), k))),
+                        delete: (k) => request(r => done(r, (data.delete(k), undefined)))
+                    });
+                    return tx;
+                }
+            };
+            if (isNew) req.onupgradeneeded?.();
+            req.onsuccess?.();
+        })
+    };
+}
+
+async function roundTrip(adapter) {
+    expect(await adapter.getItem('missing')).toBe(null);
+    await adapter.setItem('k', 'v1');
+    expect(await adapter.getItem('k')).toBe('v1');
+    await adapter.setItem('k', 'v2');
+    expect(await adapter.getItem('k')).toBe('v2');
+    await adapter.removeItem('k');
+    expect(await adapter.getItem('k')).toBe(null);
+}
+
+describe('Storage adapters', () => {
+    let mock;
+
+    beforeAll(async () => { mock = await startMockServer(); });
+    afterAll(() => new Promise(r => mock.server.close(r)));
+
+    it('memory adapter implements the async interface', async () => {
+        await roundTrip(new MemoryStorageAdapter());
+    });
+
+    it('localStorage adapter writes through and falls back to memory when storage throws', async () => {
+        localStorage.clear();
+        const ls = new LocalStorageAdapter();
+        await roundTrip(ls);
+        await ls.setItem('x', '1');
+        expect(localStorage.getItem('x')).toBe('1');
+
+        const broken = { setItem() { throw new Error('QuotaExceededError'); }, getItem() { return null; }, removeItem() {} };
+        const fallback = new LocalStorageAdapter(broken);
+        await fallback.setItem('y', '2');
+        expect(await fallback.getItem('y')).toBe('2');
+    });
+
+    it('IndexedDB adapter keeps string keys and values in its object store', async () => {
+        const idb = fakeIndexedDB();
+        const adapter = new IndexedDBAdapter({ dbName: 'lab', storeName: 'saves', indexedDB: idb });
+        await roundTrip(adapter);
+
+        await adapter.setItem('a', '1');
+        await adapter.setItem(2, { toString: () => 'two' });
+        await adapter.removeItem('missing');
+        expect(await adapter.getItem('a')).toBe('1');
+        expect(await adapter.getItem('2')).toBe('two');
+        expect([...idb.dbs.get('lab').get('saves').entries()]).toEqual([['a', '1'], ['2', 'two']]);
+    });
+
+    it('IndexedDB adapter falls back to memory when IndexedDB is missing', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const adapter = createStorage('indexeddb');
+        expect(adapter).toBeInstanceOf(IndexedDBAdapter);
+        expect(warn).toHaveBeenCalledWith('[STORAGE] IndexedDB is not available, keeping saves in memory');
+        await roundTrip(adapter);
+
+        const saves = new SaveManager({ gameId: 'lab', storage: adapter });
+        await saves.saveAuto({ scene: 'hall' }, { sceneTitle: 'Hall' });
+        expect((await saves.loadAuto()).scene).toBe('hall');
+        warn.mockRestore();
+    });
+
+    it('REST adapter talks to a server and SaveManager works on top of it', async () => {
+        const rest = new RestStorageAdapter({
+            baseUrl: `http://127.0.0.1:${mock.port}/store/`,
+            headers: { Authorization: 'Bearer s3cret' }
+        });
+        await roundTrip(rest);
+
+        const saves = new SaveManager({ gameId: 'lab', storage: rest });
+        await saves.saveAuto({ scene: 'hall', flags: { a: true } }, { sceneTitle: 'Hall' });
+        expect(mock.data.has('escape:lab:slot:autosave')).toBe(true);
+        expect((await saves.loadAuto()).flags.a).toBe(true);
+        expect((await saves.list())[0].sceneTitle).toBe('Hall');
+
+        const denied = new RestStorageAdapter({ baseUrl: `http://127.0.0.1:${mock.port}/store` });
+        await expect(denied.setItem('k', 'v')).rejects.toThrow(/401/);
+    });
+
+    it('createStorage builds adapters from a short spec', () => {
+        expect(createStorage('memory')).toBeInstanceOf(MemoryStorageAdapter);
+        expect(createStorage()).toBeInstanceOf(LocalStorageAdapter);
+        expect(createStorage({ type: 'rest', baseUrl: '/api/save' })).toBeInstanceOf(RestStorageAdapter);
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { validateGame, normalizePuzzles, formatReport } from '../../engine/validator.js';
+import { validateGameDir } from '../../tools/validate.mjs';
+import { loadHeadlessGame, fileFetch } from '../../engine/headless.js';
+
+const content = () => ({
+    scenes: {
+        meta: { id: 'lint', languages: ['cs', 'en'] },
+        items: [
+            { id: 'key', label: '@item.key@Klíč', icon: 'assets/key.png' },
+            { id: 'lamp', label: 'Lampa' }
+        ],
+        startScene: 'hall',
+        scenes: [
+            {
+                id: 'hall', title: '@scene.hall@Hala', image: 'assets/hall.jpg', hotspots: [
+                    { type: 'pickup', itemId: 'key', rect: { x: 0, y: 0, w: 10, h: 10 } },
+                    { type: 'goTo', target: 'lab', rect: { x: 5, y: 5, w: 10, h: 10 } },
+                    { type: 'puzzle', puzzleRef: 'safe', requireItems: ['keyy'], rect: { x: 50, y: 0, w: 10, h: 10 } },
+                    { type: 'dialog', dialogId: 'guardd', rect: { x: 70, y: 0, w: 10, h: 10 } },
+                    { type: 'apply', acceptItems: ['key'], onApply: { giveItem: 'badge', shake: 1 }, rect: { x: 80, y: 0, w: 30, h: 10 } },
+                    { type: 'goTo', target: 'hall', rect: { x: 0, y: 50 } }
+                ]
+            },
+            { id: 'hall', image: 'assets/hall.jpg', hotspots: [] }
+        ],
+        events: [{ id: 'intro', when: { on: 'enterScene', scene: 'halll' }, then: { openDialog: 'guard', openPuzzle: 'sortt' } }]
+    },
+    puzzles: [
+        { id: 'safe', kind: 'code', title: '@pz.safe@Trezor', solution: '1234', background: 'assets/paper.jpg' },
+        { id: 'spare', kind: 'quiz' },
+        { id: 'weird', kind: 'riddle' },
+        { id: 'chain', kind: 'list', steps: [{ ref: 'safe' }, { ref: 'ghost' }] }
+    ],
+    dialogs: {
+        characters: [{ id: 'guard', name: 'Strážce', poses: { neutral: 'assets/guard.png' } }],
+        dialogs: [{
+            id: 'guard',
+            left: { characterId: 'guard', defaultPose: 'neutral' },
+            right: { characterId: 'thief' },
+            sequence: [
+                { id: 's1', speaker: 'left', pose: 'angry', text: 'Stůj!' },
+                { id: 's2', speaker: 'left', text: 'Kam?', choices: [
+                    { id: 'a', label: 'Dál', onChoose: { jump: 's9' } },
+                    { id: 'b', label: 'Pryč', onChoose: { jump: 's1', giveItem: 'lamp' } }
+                ] }
+            ]
+        }]
+    },
+    i18n: { cs: {}, en: { 'item.key': 'Key' } }
+});
+
+const codes = (issues) => issues.map(i => `${i.code}@${i.path}`);
+
+describe('Content validator', () => {
+    it('reports schema problems and dangling references as errors', async () => {
+        const res = await validateGame(content());
+        expect(res.ok).toBe(false);
+        const errs = codes(res.errors);
+        expect(errs).toEqual(expect.arrayContaining([
+            'duplicate-id@scenes[1]',
+            'missing-scene@scene "hall" › hotspot #1.target',
+            'missing-item@scene "hall" › hotspot #2.requireItems',
+            'missing-dialog@scene "hall" › hotspot #3.dialogId',
+            'missing-item@scene "hall" › hotspot #4.onApply.giveItem',
+            'schema@scene "hall" › hotspot #5.rect',
+            'missing-scene@event "intro".when.scene',
+            'missing-puzzle@event "intro".then.openPuzzle',
+            'schema@puzzle "weird".kind',
+            'missing-puzzle@puzzle "chain".steps[1]',
+            'missing-character@dialog "guard".right',
+            'missing-pose@dialog "guard" › step "s1".pose',
+            'missing-step@dialog "guard" › step "s2" › choice "a".onChoose.jump'
+        ]));
+        // valid references stay quiet
+        expect(errs.some(e => e.includes('openDialog') || e.includes('"b"'))).toBe(false);
+    });
+
+    it('warns about unused content, overlaps, unknown actions, rect bounds and missing translations', async () => {
+        const res = await validateGame(content());
+        expect(codes(res.warnings)).toEqual(expect.arrayContaining([
+            'overlap@scene "hall" › hotspot #0',
+            'unknown-action@scene "hall" › hotspot #4.onApply.shake',
+            'rect-bounds@scene "hall" › hotspot #4.rect',
+            'unused-puzzle@puzzle "spare"'
+        ]));
+        expect(res.warnings.find(w => w.code === 'unused-item')).toBeUndefined();   // lamp comes from a dialog choice
+
+        const i18n = res.warnings.find(w => w.code === 'missing-i18n');
+        expect(i18n.lang).toBe('en');                   // cs is the source language of the inline fallbacks
+        expect(i18n.keys).toEqual(['scene.hall', 'pz.safe']);
+        expect(formatReport(res)).toMatch(/\d+ error\(s\), \d+ warning\(s\)$/);
+    });
+
+    it('checks assets through assetExists, resolving them as written in the JSON', async () => {
+        const seen = [];
+        const res = await validateGame(content(), { assetExists: (p) => (seen.push(p), p !== 'assets/paper.jpg') });
+        expect(seen).toEqual(expect.arrayContaining(['assets/key.png', 'assets/hall.jpg', 'assets/paper.jpg', 'assets/guard.png']));
+        expect(res.errors.filter(e => e.code === 'missing-asset').map(e => e.message)).toEqual(['asset "assets/paper.jpg" not found']);
+    });
+
+    it('checks hero poses per hero, for the default hero without heroes, and warns on known missing assets', async () => {
+        const c = content();
+        c.dialogs.characters.push({ id: 'hero', poses: { idle: 'assets/npc/hero/idle.webp' } });
+        const seen = [];
+        const res = await validateGame(c, {
+            assetExists: (p) => (seen.push(p), p !== 'assets/paper.jpg'),
+            knownMissing: ['assets/paper.jpg']
+        });
+        expect(seen).toContain('assets/npc/adam/idle.webp');
+        expect(seen).not.toContain('assets/npc/hero/idle.webp');
+        expect(res.errors.filter(e => e.code === 'missing-asset')).toEqual([]);
+        expect(res.warnings.filter(w => w.code === 'missing-asset').map(w => w.message))
+            .toEqual(['asset "assets/paper.jpg" not found (known missing)']);
+
+        c.scenes.heroes = { eva: { id: 'eva', assetsBase: 'assets/npc/eva/' } };
+        seen.length = 0;
+        await validateGame(c, { assetExists: (p) => (seen.push(p), true) });
+        expect(seen).toContain('assets/npc/eva/idle.webp');
+        expect(seen).not.toContain('assets/npc/adam/idle.webp');
+    });
+
+    it('accepts every puzzles.json shape', () => {
+        const p = { id: 'a', kind: 'code' };
+        expect(normalizePuzzles({ byId: { a: p } })).toEqual({ a: p });
+        expect(normalizePuzzles([p])).toEqual({ a: p });
+        expect(normalizePuzzles({ a: p })).toEqual({ a: p });
+    });
+
+    it('validates a running game against its files (Game#validateContent)', async () => {
+        const hg = await loadHeadlessGame({ gameId: 'reactor', fetch: fileFetch(process.cwd()) });
+        hg.game.data.scenes[0].image = 'changed-at-runtime.jpg';     // setSceneImage mutates data; files are re-read
+        const res = await hg.game.validateContent({ assets: false });
+        expect(res.ok).toBe(true);
+        expect(res.issues).toEqual([]);
+    });
+
+    it.each(['demo', 'leeuwenhoek', 'reactor', 'stop-train', 'time-factory', 'warp-engine'])(
+        'shipped game %s has no broken references or missing assets', async (gameId) => {
+            const res = await validateGameDir({ gameId, root: process.cwd() });
+            expect(formatReport({ errors: res.errors, warnings: [] })).toBe('0 error(s), 0 warning(s)');
+        });
+});
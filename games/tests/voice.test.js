@@ -0,0 +1,256 @@
+// games/tests/voice.test.js
+// Dialog voice-over: clip per step, auto-advance, typewriter sync, volume (Vitest + JSDOM)
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Game } from '../../engine/engine.js';
+import { VOICE_VOLUME_KEY } from '../../engine/voice.js';
+import { validateGame } from '../../engine/validator.js';
+import { connectBridge, BRIDGE_CHANNEL } from '../../engine/bridge.js';
+
+function buildDom() {
+    document.body.innerHTML = `
+    <img id="sceneImage">
+    <div id="hotspotLayer"></div>
+    <div id="inventory"></div>
+    <div id="msg"></div>
+    <div id="modal" class="hidden">
+      <div class="modal-content">
+        <div id="modalTitle"></div>
+        <div id="modalBody"></div>
+        <button id="modalCancel">Zrušit</button>
+        <button id="modalOk">OK</button>
+      </div>
+    </div>`;
+    const img = document.getElementById('sceneImage');
+    Object.defineProperty(img, 'naturalWidth', { value: 1600, configurable: true });
+    Object.defineProperty(img, 'complete', { value: true, configurable: true });
+    const $ = (id) => document.getElementById(id);
+    return {
+        sceneImage: img, hotspotLayer: $('hotspotLayer'), inventoryRoot: $('inventory'), messageBox: $('msg'),
+        modalRoot: $('modal'), modalTitle: $('modalTitle'), modalBody: $('modalBody'), modalCancel: $('modalCancel'), modalOk: $('modalOk')
+    };
+}
+
+/** Stand-in for HTMLAudioElement: the test ends clips by hand. */
+class FakeAudio extends EventTarget {
+    constructor(src, duration = 2) {
+        super();
+        this.src = src;
+        this.volume = 1;
+        this.duration = duration;
+        this.readyState = 1;
+        this.paused = true;
+    }
+    play() {
+        this.paused = false;
+        return Promise.resolve();
+    }
+    pause() {
+        this.paused = true;
+    }
+    end() {
+        this.paused = true;
+        this.dispatchEvent(new Event('ended'));
+    }
+}
+
+const SCENES = {
+    meta: { id: 'voice', languages: ['cs', 'en'] },
+    startScene: 'hall',
+    scenes: [{ id: 'hall', title: 'Hala', image: 'hall.jpg', hotspots: [] }]
+};
+
+const DIALOGS = {
+    characters: [{ id: 'guide', name: 'Průvodce', poses: {} }],
+    dialogs: [
+        {
+            id: 'intro', left: { characterId: 'guide' }, typewriter: false, voice: { advanceDelay: 0 },
+            sequence: [
+                { speaker: 'left', text: 'Vítej v laboratoři.', voice: 'assets/voice/{lang}/intro-1.mp3' },
+                { speaker: 'left', text: 'Tady je mikroskop.', voice: '@voice.intro.2@assets/voice/cs/intro-2.mp3' },
+                { speaker: 'left', text: 'Kam dál?', voice: 'assets/voice/{lang}/intro-3.mp3', choices: [{ label: 'Konec', onChoose: { end: true } }] }
+            ]
+        },
+        {
+            id: 'typed', left: { characterId: 'guide' }, typewriter: { speed: 30 },
+            sequence: [{ speaker: 'left', text: 'Dvacet znaků dlouhé.', voice: 'assets/voice/cs/typed.mp3' }]
+        },
+        {
+            id: 'silent', left: { characterId: 'guide' }, typewriter: false, voice: false,
+            sequence: [{ speaker: 'left', text: 'Bez hlasu.', voice: 'assets/voice/cs/silent.mp3' }]
+        }
+    ]
+};
+
+let clips;
+const current = () => clips[clips.length - 1];
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+const stepText = () => document.querySelector('.dlg-text')?.textContent;
+
+async function startGame({ settings } = {}) {
+    clips = [];
+    const scenes = { ...JSON.parse(JSON.stringify(SCENES)), ...(settings ? { settings } : {}) };
+    const game = new Game({
+        ...buildDom(),
+        baseUrl: './games/voice/',
+        scenesUrl: './games/voice/scenes.json',
+        dialogsUrl: './games/voice/dialogs.json',
+        lang: 'cs',
+        fetch: async (url) => ({ ok: true, json: async () => (String(url).endsWith('dialogs.json') ? DIALOGS : scenes) }),
+        createAudio: (src) => {
+            const a = new FakeAudio(src);
+            clips.push(a);
+            return a;
+        },
+        bridge: false
+    });
+    await game.init();
+    return game;
+}
+
+describe('Voice-over', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('plays the clip of each step and advances when it ends, waiting at choices', async () => {
+        const game = await startGame();
+        const done = game.openDialog('intro');
+        await tick();
+        expect(current().src).toBe('./games/voice/assets/voice/cs/intro-1.mp3');
+        expect(current().paused).toBe(false);
+        expect(document.querySelector('.dlg-voice').classList.contains('hidden')).toBe(false);
+
+        current().end();
+        await tick(5);
+        expect(stepText()).toBe('Tady je mikroskop.');
+        expect(current().src).toBe('./games/voice/assets/voice/cs/intro-2.mp3');
+
+        current().end();
+        await tick(5);
+        expect(stepText()).toBe('Kam dál?');
+        current().end();
+        await tick(20);
+        expect(stepText()).toBe('Kam dál?');
+
+        document.querySelector('.dlg-choices button').click();
+        await done;
+    });
+
+    it('ducks the clip out when the player clicks on or closes the dialog', async () => {
+        const game = await startGame();
+        void game.openDialog('intro');
+        await tick();
+        const first = current();
+        document.querySelector('.dlg-panel').click();
+        await tick(200);
+        expect(first.paused).toBe(true);
+        expect(first.volume).toBe(0);
+        expect(stepText()).toBe('Tady je mikroskop.');
+
+        // the ended event of a skipped clip does not advance again
+        first.end();
+        await tick(5);
+        expect(stepText()).toBe('Tady je mikroskop.');
+
+        const second = current();
+        game.dialogUI.close();
+        await tick(200);
+        expect(second.paused).toBe(true);
+        expect(game.voice.clip).toBe(null);
+    });
+
+    it('paces the typewriter to the clip length', async () => {
+        const game = await startGame();
+        vi.spyOn(game.dialogUI, '_sleep').mockResolvedValue();
+        void game.openDialog('typed');
+        await tick();
+        // 2 s clip, 85 % of it over 20 characters
+        expect(game.dialogUI._charDelay).toBeCloseTo(85);
+        game.dialogUI.close();
+    });
+
+    it('resolves {lang} and i18n paths for the current language', async () => {
+        const game = await startGame();
+        game.lang = 'en';
+        game.i18n.game = { 'voice.intro.2': 'assets/voice/en/intro-2.ogg' };
+        expect(game.voice.resolve('assets/voice/{lang}/a.mp3')).toBe('./games/voice/assets/voice/en/a.mp3');
+        expect(game.voice.resolve('@voice.intro.2@assets/voice/cs/intro-2.mp3')).toBe('./games/voice/assets/voice/en/intro-2.ogg');
+        expect(game.voice.resolve(null)).toBe('');
+    });
+
+    it('plays nothing for dialogs with voice: false', async () => {
+        const game = await startGame();
+        void game.openDialog('silent');
+        await tick();
+        expect(clips).toHaveLength(0);
+        expect(document.querySelector('.dlg-voice').classList.contains('hidden')).toBe(true);
+        game.dialogUI.close();
+    });
+
+    it('stores the volume, prefers it over settings.voice.volume and plays nothing at 0', async () => {
+        let game = await startGame({ settings: { voice: { volume: 0.5 } } });
+        expect(game.voiceVolume).toBe(0.5);
+
+        void game.openDialog('intro');
+        await tick();
+        expect(current().volume).toBe(0.5);
+        const slider = document.querySelector('.dlg-voice input');
+        expect(slider.value).toBe('0.5');
+        expect(slider.getAttribute('aria-label')).toBe('Hlasitost hlasu');
+        slider.value = '0';
+        slider.dispatchEvent(new Event('input'));
+        expect(current().paused).toBe(true);
+        await tick();
+        expect(localStorage.getItem(VOICE_VOLUME_KEY)).toBe('0');
+        game.dialogUI.close();
+
+        game = await startGame({ settings: { voice: { volume: 0.5 } } });
+        localStorage.setItem(VOICE_VOLUME_KEY, '0');
+        await game.voice.load();
+        expect(game.voiceVolume).toBe(0);
+        void game.openDialog('intro');
+        await tick(20);
+        expect(clips).toHaveLength(0);
+        expect(stepText()).toBe('Vítej v laboratoři.');
+        game.dialogUI.close();
+    });
+
+    it('pauses and resumes with the game', async () => {
+        const game = await startGame();
+        void game.openDialog('intro');
+        await tick();
+        game.pause();
+        expect(current().paused).toBe(true);
+        game.resume();
+        expect(current().paused).toBe(false);
+        game.dialogUI.close();
+    });
+
+    it('takes the volume from the bridge command', async () => {
+        const game = await startGame();
+        const posted = [];
+        const target = { postMessage: (m) => posted.push(m) };
+        const disconnect = connectBridge(game, { target, origins: ['https://museum.example'] });
+        window.dispatchEvent(new MessageEvent('message', {
+            data: { channel: BRIDGE_CHANNEL, kind: 'command', id: 1, command: 'setVoiceVolume', args: { volume: 0.3 } },
+            origin: 'https://museum.example',
+            source: target
+        }));
+        await tick();
+        disconnect();
+        expect(posted).toContainEqual(expect.objectContaining({ kind: 'response', id: 1, ok: true, result: 0.3 }));
+        expect(game.voiceVolume).toBe(0.3);
+    });
+
+    it('reports missing voice clips for every language', async () => {
+        const report = await validateGame(
+            { scenes: SCENES, puzzles: {}, dialogs: DIALOGS, i18n: { cs: {}, en: { 'voice.intro.2': 'assets/voice/en/intro-2.ogg' } } },
+            { assetExists: async (path) => !path.includes('/en/') }
+        );
+        const missing = report.errors.filter(e => e.code === 'missing-asset').map(e => e.message);
+        expect(missing).toEqual([
+            'asset "assets/voice/en/intro-1.mp3" not found',
+            'asset "assets/voice/en/intro-2.ogg" not found',
+            'asset "assets/voice/en/intro-3.mp3" not found'
+        ]);
+    });
+});
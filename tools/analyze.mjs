@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// tools/analyze.mjs
+// Reachability + softlock analysis (see engine/reachability.js): is every end scene reachable, which
+// scenes/items are not, which required flags are never set, where can a player get stuck.
+//
+//   node tools/analyze.mjs time-factory              → report, exit 1 on problems
+//   node tools/analyze.mjs --all                     → every games/<id>
+//   node tools/analyze.mjs reactor --goal exit       → treat scene "exit" as the win condition
+//   node tools/analyze.mjs demo --dot | dot -Tsvg > demo.svg
+//   node tools/analyze.mjs demo --mermaid            → paste into Markdown
+//   node tools/analyze.mjs demo --json               → full report incl. winning path and graph
+
+import {dirname, resolve} from 'node:path';
+import {fileURLToPath, pathToFileURL} from 'node:url';
+import {loadGameContent} from '../engine/validator.js';
+import {analyzeGame, formatAnalysis, hasProblems, toDot, toMermaid} from '../engine/reachability.js';
+import {fileFetch, listGames} from './validate.mjs';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Analyze games/<gameId>.
+ * @param {{gameId:string, root?:string, goals?:string[], maxStates?:number}} o
+ */
+export async function analyzeGameDir({gameId, root = ROOT, goals = null, maxStates}) {
+    const content = await loadGameContent({baseUrl: `games/${gameId}/`, fetch: fileFetch(root)});
+    const res = analyzeGame(content, {goals, maxStates});
+    return {...res, game: res.game || gameId};
+}
+
+function parseArgs(argv) {
+    const args = {games: [], all: false, json: false, dot: false, mermaid: false, goals: [], maxStates: undefined};
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--all') args.all = true;
+        else if (a === '--json') args.json = true;
+        else if (a === '--dot') args.dot = true;
+        else if (a === '--mermaid') args.mermaid = true;
+        else if (a === '--goal') args.goals.push(argv[++i]);
+        else if (a === '--max-states') args.maxStates = Number(argv[++i]);
+        else if (!a.startsWith('--')) args.games.push(a);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const games = args.all ? await listGames(ROOT) : args.games;
+    if (!games.length) {
+        console.error('Usage: node tools/analyze.mjs <gameId…> | --all [--goal <sceneId>] [--max-states N] [--dot|--mermaid|--json]');
+        process.exit(1);
+    }
+    let failed = false;
+    const results = {};
+    for (const gameId of games) {
+        const res = await analyzeGameDir({gameId, goals: args.goals.length ? args.goals : null, maxStates: args.maxStates});
+        if (hasProblems(res)) failed = true;
+        if (args.dot) console.log(toDot(res));
+        else if (args.mermaid) console.log(toMermaid(res));
+        else if (args.json) results[gameId] = res;
+        else console.log(`${hasProblems(res) ? '✗' : '✓'} ${gameId}\n${formatAnalysis(res)}\n`);
+    }
+    if (args.json) console.log(JSON.stringify(results, null, 2));
+    process.exit(failed ? 1 : 0);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// tools/scorm-export.mjs
+// Package games/<id> together with the engine as a SCORM 1.2 / 2004 zip (imsmanifest.xml at the root).
+//
+//   node tools/scorm-export.mjs leeuwenhoek                       → dist/leeuwenhoek-scorm12.zip
+//   node tools/scorm-export.mjs leeuwenhoek --scorm 2004 --lang en --out moodle/leeuwenhoek.zip
+//
+// The package launches index.html?game=<id>&lang=<lang>; at runtime engine/lms.js finds the LMS API.
+
+import {readFileSync, readdirSync, statSync, mkdirSync, writeFileSync} from 'node:fs';
+import {join, relative, dirname, resolve} from 'node:path';
+import {fileURLToPath, pathToFileURL} from 'node:url';
+import {createZip} from './zip.mjs';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Shared files every package needs (besides games/<id>). */
+const ENGINE_PATHS = ['index.html', 'manifest.webmanifest', 'engine', 'styles'];
+
+const xml = (s) => String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/** "@key@Fallback" → "Fallback" (the manifest has no i18n). */
+const plainText = (s) => String(s ?? '').replace(/^@[^@]*@/, '');
+
+/** Files under the given paths (relative to root, forward slashes), skipping dotfiles and OS junk. */
+export function collectFiles(root, paths) {
+    const out = [];
+    const walk = (rel) => {
+        const abs = join(root, rel);
+        const st = statSync(abs, {throwIfNoEntry: false});
+        if (!st) return;
+        if (st.isDirectory()) {
+            for (const name of readdirSync(abs).sort()) {
+                if (name.startsWith('.') || name === 'Thumbs.db') continue;
+                walk(rel ? `${rel}/${name}` : name);
+            }
+        } else {
+            out.push(relative(root, abs).split('\\').join('/'));
+        }
+    };
+    paths.forEach(walk);
+    return out;
+}
+
+/**
+ * imsmanifest.xml for one SCO launching the game.
+ * @param {{gameId:string, title:string, version?:string, lang?:string, scorm?:'1.2'|'2004', files:string[], masteryScore?:number}} o
+ * @returns {string}
+ */
+export function buildManifest({gameId, title, version = '1', lang = 'cs', scorm = '1.2', files, masteryScore = null}) {
+    const id = 'escape-' + gameId.replace(/[^\w.-]/g, '_');
+    const params = `?game=${encodeURIComponent(gameId)}&lang=${encodeURIComponent(lang)}`;
+    const fileList = files.map(f => `      <file href="${xml(f)}"/>`).join('\n');
+
+    if (scorm === '2004') {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${xml(id)}" version="${xml(version)}"
+  xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 4th Edition</schemaversion>
+  </metadata>
+  <organizations default="org-${xml(id)}">
+    <organization identifier="org-${xml(id)}">
+      <title>${xml(title)}</title>
+      <item identifier="item-${xml(id)}" identifierref="res-${xml(id)}" parameters="${xml(params)}">
+        <title>${xml(title)}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="res-${xml(id)}" type="webcontent" adlcp:scormType="sco" href="index.html">
+${fileList}
+    </resource>
+  </resources>
+</manifest>
+`;
+    }
+
+    const mastery = masteryScore != null ? `\n        <adlcp:masteryscore>${Math.round(masteryScore * 100)}</adlcp:masteryscore>` : '';
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${xml(id)}" version="${xml(version)}"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="org-${xml(id)}">
+    <organization identifier="org-${xml(id)}">
+      <title>${xml(title)}</title>
+      <item identifier="item-${xml(id)}" identifierref="res-${xml(id)}" parameters="${xml(params)}">
+        <title>${xml(title)}</title>${mastery}
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="res-${xml(id)}" type="webcontent" adlcp:scormtype="sco" href="index.html">
+${fileList}
+    </resource>
+  </resources>
+</manifest>
+`;
+}
+
+/**
+ * Build the SCORM zip for games/<gameId>.
+ * @param {{gameId:string, scorm?:'1.2'|'2004', lang?:string, root?:string}} o
+ * @returns {{zip:Buffer, manifest:string, files:string[]}}
+ */
+export function buildScormPackage({gameId, scorm = '1.2', lang = 'cs', root = ROOT}) {
+    const scenesPath = join(root, 'games', gameId, 'scenes.json');
+    const scenes = JSON.parse(readFileSync(scenesPath, 'utf8'));
+    const meta = scenes.meta || {};
+    const files = collectFiles(root, [...ENGINE_PATHS, `games/${gameId}`]);
+    const manifest = buildManifest({
+        gameId,
+        title: plainText(meta.name) || gameId,
+        version: meta.version || '1',
+        lang,
+        scorm,
+        files,
+        masteryScore: scenes.lms?.passingScore ?? null
+    });
+    const zip = createZip([
+        {name: 'imsmanifest.xml', data: manifest},
+        ...files.map(f => ({name: f, data: readFileSync(join(root, f))}))
+    ]);
+    return {zip, manifest, files};
+}
+
+function parseArgs(argv) {
+    const args = {gameId: null, scorm: '1.2', lang: 'cs', out: null};
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--scorm') args.scorm = argv[++i];
+        else if (a === '--lang') args.lang = argv[++i];
+        else if (a === '--out') args.out = argv[++i];
+        else if (!a.startsWith('--')) args.gameId = a;
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.gameId || !['1.2', '2004'].includes(args.scorm)) {
+        console.error('Usage: node tools/scorm-export.mjs <gameId> [--scorm 1.2|2004] [--lang cs] [--out file.zip]');
+        process.exit(1);
+    }
+    try {
+        const {zip, files} = buildScormPackage(args);
+        const out = resolve(args.out || join(ROOT, 'dist', `${args.gameId}-scorm${args.scorm.replace('.', '')}.zip`));
+        mkdirSync(dirname(out), {recursive: true});
+        writeFileSync(out, zip);
+        console.log(`SCORM ${args.scorm} package: ${out} (${files.length} files, ${(zip.length / 1024).toFixed(0)} kB)`);
+    } catch (err) {
+        console.error(`Export failed: ${err.message}`);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// tools/validate.mjs
+// Lint game content: JSON schemas (schemas/*.schema.json), dangling references, missing assets,
+// unused items/puzzles, overlapping hotspots and missing i18n keys (see engine/validator.js).
+//
+//   node tools/validate.mjs leeuwenhoek                 → report, exit 1 on errors
+//   node tools/validate.mjs --all --strict              → every games/<id>, exit 1 on warnings too
+//   node tools/validate.mjs reactor --json --no-assets  → machine-readable, skip the asset check
+//
+// games/<id>/validate.json (optional): { "knownMissingAssets": ["assets/video/intro.mp4"] } – assets not in the
+// repository yet; reported as warnings instead of errors.
+
+import {readFile, stat, readdir} from 'node:fs/promises';
+import {join, dirname, resolve} from 'node:path';
+import {fileURLToPath, pathToFileURL} from 'node:url';
+import {loadGameContent, validateGame, formatReport} from '../engine/validator.js';
+import {loadSchemas} from '../engine/schema.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/** fetch() over the repository (relative URLs only). */
+export const fileFetch = (root) => async (url) => {
+    try {
+        const text = await readFile(join(root, String(url)), 'utf8');
+        return {ok: true, status: 200, json: async () => JSON.parse(text)};
+    } catch {
+        return {ok: false, status: 404, json: async () => null};
+    }
+};
+
+/** Asset paths resolve like Game#_resolveAsset: "./x" and "/x" from the root, the rest from the game folder. */
+const assetCheck = (root, gameId) => async (path) => {
+    const rel = path.startsWith('./') || path.startsWith('/') ? path : `games/${gameId}/${path}`;
+    const st = await stat(join(root, rel.split(/[?#]/)[0])).catch(() => null);
+    return !!st?.isFile();
+};
+
+/**
+ * Validate games/<gameId>.
+ * @param {{gameId:string, root?:string, assets?:boolean, schemas?:boolean}} o
+ */
+export async function validateGameDir({gameId, root = ROOT, assets = true, schemas = true}) {
+    const content = await loadGameContent({baseUrl: `games/${gameId}/`, fetch: fileFetch(root)});
+    const settings = await fileFetch(root)(`games/${gameId}/validate.json`).then(r => r.json());
+    return validateGame(content, {
+        assetExists: assets ? assetCheck(root, gameId) : null,
+        knownMissing: settings?.knownMissingAssets || [],
+        schemas: schemas ? await loadSchemas({baseUrl: 'schemas/', fetch: fileFetch(root)}) : null
+    });
+}
+
+/** Game ids under games/ that have a scenes.json. */
+export async function listGames(root = ROOT) {
+    const dirs = await readdir(join(root, 'games'), {withFileTypes: true});
+    const out = [];
+    for (const d of dirs) {
+        if (d.isDirectory() && await stat(join(root, 'games', d.name, 'scenes.json')).catch(() => null)) out.push(d.name);
+    }
+    return out.sort();
+}
+
+function parseArgs(argv) {
+    const args = {games: [], all: false, json: false, assets: true, strict: false};
+    for (const a of argv) {
+        if (a === '--all') args.all = true;
+        else if (a === '--json') args.json = true;
+        else if (a === '--no-assets') args.assets = false;
+        else if (a === '--strict') args.strict = true;
+        else if (!a.startsWith('--')) args.games.push(a);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const games = args.all ? await listGames(ROOT) : args.games;
+    if (!games.length) {
+        console.error('Usage: node tools/validate.mjs <gameId…> | --all [--json] [--no-assets] [--strict]');
+        process.exit(1);
+    }
+    let failed = false;
+    const results = {};
+    for (const gameId of games) {
+        let res;
+        try {
+            res = await validateGameDir({gameId, assets: args.assets});
+        } catch (err) {
+            res = {ok: false, errors: [{level: 'error', code: 'load', file: '', path: '', message: err.message}], warnings: []};
+        }
+        results[gameId] = {ok: res.ok, errors: res.errors, warnings: res.warnings};
+        if (!res.ok || (args.strict && res.warnings.length)) failed = true;
+        if (!args.json) console.log(`${res.ok ? '✓' : '✗'} ${gameId}\n${formatReport(res)}\n`);
+    }
+    if (args.json) console.log(JSON.stringify(results, null, 2));
+    process.exit(failed ? 1 : 0);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();